@@ -74,6 +74,14 @@ module.exports = {
     'react/no-string-refs': 'off', // This rule will be enforced only when the screens are refactored as functional components
     'class-methods-use-this': 'off', // This rule will be enforced only when the screens are refactored as functional components
   },
+  overrides: [
+    {
+      files: ['src/**/*.test.js'],
+      env: {
+        jest: true,
+      },
+    },
+  ],
   settings: {
     react: {
       version: 'detect',
@@ -5,55 +5,66 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import React, { useCallback, useEffect } from 'react';
+import React, { lazy, Suspense, useCallback, useEffect, useState } from 'react';
 
 import { Switch, BrowserRouter as Router, Route } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { axios as hathorLibAxios, config as hathorLibConfig } from '@hathor/wallet-lib';
-import { useTheme, useNewUiEnabled, useNewUiLoad } from './hooks';
+import { useTheme, useNewUiEnabled, useNewUiLoad, useScreenRetryBudget } from './hooks';
 import GDPRConsent from './components/GDPRConsent';
 import Loading from './components/Loading';
 import Navigation from './components/Navigation';
 import Footer from './components/Footer';
-import PeerAdmin from './screens/PeerAdmin';
-import DashboardTx from './screens/DashboardTx';
-import TransactionDetail from './screens/TransactionDetail';
-import AddressDetail from './screens/AddressDetail';
-import DecodeTx from './screens/DecodeTx';
-import PushTx from './screens/PushTx';
-import TransactionList from './screens/TransactionList';
-import FeatureList from './screens/FeatureList';
-import TokenList from './screens/TokenList';
-import TokenBalancesList from './screens/TokenBalances';
-import BlockList from './screens/BlockList';
-import TokenDetail from './screens/TokenDetail';
-import Dag from './screens/Dag';
-import Dashboard from './screens/Dashboard';
 import VersionError from './screens/VersionError';
 import ErrorMessage from './components/error/ErrorMessage';
 import WebSocketHandler from './WebSocketHandler';
-import NanoContractDetail from './screens/nano/NanoContractDetail';
-import BlueprintDetail from './screens/nano/BlueprintDetail';
 import {
   apiLoadErrorUpdate,
   dashboardUpdate,
   isVersionAllowedUpdate,
   updateServerInfo,
+  wsConnectionStateUpdate,
 } from './actions/index';
 import versionApi from './api/version';
 import helpers from './utils/helpers';
-import { BASE_URL } from './constants';
 import createRequestInstance from './api/customAxiosInstance';
+import { rebuildExplorerServiceInstance } from './api/axiosInstance';
 
-hathorLibConfig.setServerUrl(BASE_URL);
+// Screens are loaded on demand, so opening one does not download the code of all the others
+const PeerAdmin = lazy(() => import('./screens/PeerAdmin'));
+const DashboardTx = lazy(() => import('./screens/DashboardTx'));
+const TransactionDetail = lazy(() => import('./screens/TransactionDetail'));
+const BlockDetail = lazy(() => import('./screens/BlockDetail'));
+const AddressDetail = lazy(() => import('./screens/AddressDetail'));
+const DecodeTx = lazy(() => import('./screens/DecodeTx'));
+const PushTx = lazy(() => import('./screens/PushTx'));
+const TransactionList = lazy(() => import('./screens/TransactionList'));
+const FeatureList = lazy(() => import('./screens/FeatureList'));
+const TokenList = lazy(() => import('./screens/TokenList'));
+const TokenBalancesList = lazy(() => import('./screens/TokenBalances'));
+const BlockList = lazy(() => import('./screens/BlockList'));
+const TokenDetail = lazy(() => import('./screens/TokenDetail'));
+const Dag = lazy(() => import('./screens/Dag'));
+const Dashboard = lazy(() => import('./screens/Dashboard'));
+const NanoContractDetail = lazy(() => import('./screens/nano/NanoContractDetail'));
+const BlueprintDetail = lazy(() => import('./screens/nano/BlueprintDetail'));
+const Portfolio = lazy(() => import('./screens/Portfolio'));
+const XpubDetail = lazy(() => import('./screens/XpubDetail'));
+const AddressLabels = lazy(() => import('./screens/AddressLabels'));
+const FundTrace = lazy(() => import('./screens/FundTrace'));
+const TxCompare = lazy(() => import('./screens/TxCompare'));
+const MultisigTx = lazy(() => import('./screens/MultisigTx'));
 
 const NavigationRoute = ({ internalScreen: InternalScreen }) => {
   const newUiEnabled = useNewUiEnabled();
+  useScreenRetryBudget();
 
   return (
     <div>
       <Navigation />
-      <InternalScreen />
+      <Suspense fallback={<Loading />}>
+        <InternalScreen />
+      </Suspense>
       {newUiEnabled ? <Footer /> : ''}
     </div>
   );
@@ -66,6 +77,10 @@ function Root() {
   const apiLoadError = useSelector(state => state.apiLoadError);
   const newUiLoading = useNewUiLoad();
 
+  const network = useSelector(state => state.network);
+  // loadAttempt {number} Incremented to request the version again after an error
+  const [loadAttempt, setLoadAttempt] = useState(0);
+
   const handleWebsocket = useCallback(
     wsData => {
       if (wsData.type === 'dashboard:metrics') {
@@ -75,31 +90,64 @@ function Root() {
     [dispatch]
   );
 
+  const handleWsConnectionState = useCallback(
+    state => {
+      dispatch(wsConnectionStateUpdate(state));
+    },
+    [dispatch]
+  );
+
   // Screen initialization
   useEffect(() => {
     WebSocketHandler.on('dashboard', handleWebsocket);
+    WebSocketHandler.on('connection_state', handleWsConnectionState);
+    // The connection may have changed state before this listener was registered
+    dispatch(wsConnectionStateUpdate(WebSocketHandler.connectionState));
 
     hathorLibAxios.registerNewCreateRequestInstance(createRequestInstance);
+
+    return () => {
+      WebSocketHandler.removeListener('dashboard', handleWebsocket);
+      WebSocketHandler.removeListener('connection_state', handleWsConnectionState);
+    };
+  }, [dispatch, handleWebsocket, handleWsConnectionState]);
+
+  // Connects every client to the selected network, then validates its version
+  useEffect(() => {
+    let ignore = false;
+
+    rebuildExplorerServiceInstance(network);
+    WebSocketHandler.setUrl(network.wsUrl);
+    hathorLibConfig.setServerUrl(network.baseUrl);
+    dispatch(dashboardUpdate(null));
     dispatch(apiLoadErrorUpdate({ apiLoadError: false }));
+    dispatch(isVersionAllowedUpdate({ allowed: undefined }));
 
     versionApi
       .getVersion()
       .then(data => {
-        const network = data.network.includes('testnet') ? 'testnet' : data.network;
-        hathorLibConfig.setNetwork(network);
+        if (ignore) {
+          // The user switched networks again before this request finished
+          return;
+        }
+        const libNetwork = data.network.includes('testnet') ? 'testnet' : data.network;
+        hathorLibConfig.setNetwork(libNetwork);
         dispatch(updateServerInfo(data));
         dispatch(isVersionAllowedUpdate({ allowed: helpers.isVersionAllowed(data.version) }));
       })
       .catch(e => {
+        if (ignore) {
+          return;
+        }
         // Error in request
         console.log(e);
-        dispatch(apiLoadErrorUpdate({ apiLoadError: true }));
+        dispatch(apiLoadErrorUpdate({ apiLoadError: e }));
       });
 
     return () => {
-      WebSocketHandler.removeListener('dashboard', handleWebsocket);
+      ignore = true;
     };
-  }, [dispatch, handleWebsocket]);
+  }, [dispatch, network, loadAttempt]);
 
   if (isVersionAllowed === undefined) {
     // Waiting for version
@@ -107,7 +155,14 @@ function Root() {
       <Router>
         <>
           <Navigation />
-          {apiLoadError ? <ErrorMessage /> : <Loading />}
+          {apiLoadError ? (
+            <ErrorMessage
+              error={apiLoadError}
+              onRetry={() => setLoadAttempt(attempt => attempt + 1)}
+            />
+          ) : (
+            <Loading />
+          )}
         </>
       </Router>
     );
@@ -128,12 +183,18 @@ function Root() {
           <Route exact path="/transaction/:id">
             <NavigationRoute internalScreen={TransactionDetail} />
           </Route>
+          <Route exact path="/block/:heightOrHash">
+            <NavigationRoute internalScreen={BlockDetail} />
+          </Route>
           <Route exact path="/push-tx">
             <NavigationRoute internalScreen={PushTx} />
           </Route>
           <Route exact path="/decode-tx">
             <NavigationRoute internalScreen={DecodeTx} />
           </Route>
+          <Route exact path="/multisig-tx">
+            <NavigationRoute internalScreen={MultisigTx} />
+          </Route>
           <Route exact path="/transactions">
             <NavigationRoute internalScreen={TransactionList} />
           </Route>
@@ -167,6 +228,21 @@ function Root() {
           <Route exact path="/address/:address">
             <NavigationRoute internalScreen={AddressDetail} />
           </Route>
+          <Route exact path="/xpub/:xpub">
+            <NavigationRoute internalScreen={XpubDetail} />
+          </Route>
+          <Route exact path="/portfolio">
+            <NavigationRoute internalScreen={Portfolio} />
+          </Route>
+          <Route exact path="/labels">
+            <NavigationRoute internalScreen={AddressLabels} />
+          </Route>
+          <Route exact path="/trace/:txId/:index">
+            <NavigationRoute internalScreen={FundTrace} />
+          </Route>
+          <Route exact path="/compare">
+            <NavigationRoute internalScreen={TxCompare} />
+          </Route>
           <Route exact path="/nano_contract/detail/:nc_id" component={NanoContractDetail}>
             <NavigationRoute internalScreen={NanoContractDetail} />
           </Route>
@@ -6,17 +6,38 @@
  */
 
 import EventEmitter from 'events';
-import { WS_URL } from './constants';
+import networkUtils from './utils/network';
+import { WS_CONNECTION_STATES } from './constants';
 
 const HEARTBEAT_TMO = 30000; // 30s
+// Time to wait for the pong of a ping before considering the connection dead
+const PONG_TMO = 10000; // 10s
+// Reconnection delay grows exponentially from the base until the max
+const RECONNECT_BASE_DELAY = 1000; // 1s
+const RECONNECT_MAX_DELAY = 60000; // 60s
 
+/**
+ * Websocket connection with the full node.
+ *
+ * Messages are emitted with the prefix of their type as the event name,
+ * e.g. 'network' for 'network:new_tx_accepted'.
+ * Changes on the connection state are emitted as 'connection_state' events, with one of
+ * WS_CONNECTION_STATES as argument.
+ */
 class WS extends EventEmitter {
   constructor() {
     super();
     this.connected = false;
+    this.connectionState = WS_CONNECTION_STATES.disconnected;
+    this.url = networkUtils.getSelectedNetwork().wsUrl;
+    this.reconnectTimeout = null;
+    this.pongTimeout = null;
+    // Number of failed attempts since the last successful connection
+    this.reconnectAttempts = 0;
     this.setup = this.setup.bind(this);
     this.sendPing = this.sendPing.bind(this);
     this.sendMessage = this.sendMessage.bind(this);
+    this.onPongTimeout = this.onPongTimeout.bind(this);
 
     this.setup();
   }
@@ -26,8 +47,12 @@ class WS extends EventEmitter {
       return;
     }
     console.log('ws setup');
+    this.reconnectTimeout = null;
+    if (this.reconnectAttempts > 0) {
+      this.setConnectionState(WS_CONNECTION_STATES.reconnecting);
+    }
     this.ws = null;
-    this.ws = new WebSocket(WS_URL);
+    this.ws = new WebSocket(this.url);
 
     this.ws.onopen = this.onOpen.bind(this);
     this.ws.onmessage = this.onMessage.bind(this);
@@ -35,16 +60,51 @@ class WS extends EventEmitter {
     this.ws.onclose = this.onClose.bind(this);
   }
 
+  /**
+   * Updates the connection state and notifies the listeners
+   *
+   * @param {string} state One of WS_CONNECTION_STATES
+   */
+  setConnectionState(state) {
+    if (state === this.connectionState) {
+      return;
+    }
+    this.connectionState = state;
+    this.emit('connection_state', state);
+  }
+
   onMessage(evt) {
-    const message = JSON.parse(evt.data);
+    // Any message proves the connection is alive, not only the pong
+    clearTimeout(this.pongTimeout);
+
+    let message;
+    try {
+      message = JSON.parse(evt.data);
+    } catch (e) {
+      console.warn('ws discarding malformed message', evt.data);
+      return;
+    }
+
+    if (typeof message?.type !== 'string') {
+      console.warn('ws discarding message without type', message);
+      return;
+    }
+
     const _type = message.type.split(':')[0];
-    this.emit(_type, message);
+    try {
+      this.emit(_type, message);
+    } catch (e) {
+      // A failing listener must not break the connection handling
+      console.error(`ws error handling ${message.type} message`, e);
+    }
   }
 
   onOpen() {
     this.connected = true;
+    this.reconnectAttempts = 0;
     console.log('ws connection established');
     this.heartbeat = setInterval(this.sendPing, HEARTBEAT_TMO);
+    this.setConnectionState(WS_CONNECTION_STATES.connected);
   }
 
   onClose(evt) {
@@ -52,15 +112,77 @@ class WS extends EventEmitter {
     if (evt?.code === 1006) {
       console.warn('Abnormal ws connection closure. Are you using a secure ws connection?');
     }
-    setTimeout(this.setup, 5000);
     clearInterval(this.heartbeat);
-    console.log('ws connection closed');
+    clearTimeout(this.pongTimeout);
+    this.setConnectionState(WS_CONNECTION_STATES.disconnected);
+
+    const delay = this.getReconnectDelay();
+    this.reconnectAttempts += 1;
+    this.reconnectTimeout = setTimeout(this.setup, delay);
+    console.log(`ws connection closed, reconnecting in ${Math.round(delay / 1000)}s`);
   }
 
   onError(evt) {
     console.log('ws error', evt);
   }
 
+  /**
+   * Exponential backoff with jitter, so clients disconnected together
+   * do not reconnect all at the same time.
+   *
+   * @return {number} Delay in milliseconds until the next connection attempt
+   */
+  getReconnectDelay() {
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts);
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  /**
+   * Called when the full node did not answer a ping in time.
+   * The browser may take minutes to notice a dead connection, so we drop it ourselves.
+   */
+  onPongTimeout() {
+    console.warn('ws heartbeat timeout, dropping the connection');
+    this.dropConnection();
+    this.onClose();
+  }
+
+  /**
+   * Closes the current connection without triggering its handlers
+   */
+  dropConnection() {
+    clearTimeout(this.reconnectTimeout);
+    clearTimeout(this.pongTimeout);
+    clearInterval(this.heartbeat);
+    if (this.ws) {
+      // Detach the handlers so the old connection does not schedule a reconnection
+      this.ws.onopen = null;
+      this.ws.onmessage = null;
+      this.ws.onerror = null;
+      this.ws.onclose = null;
+      this.ws.close();
+    }
+    this.connected = false;
+  }
+
+  /**
+   * Closes the current connection and connects to a new url.
+   * Used when the user switches networks at runtime.
+   *
+   * @param {string} url Websocket url of the selected network
+   */
+  setUrl(url) {
+    if (url === this.url) {
+      return;
+    }
+
+    this.url = url;
+    this.dropConnection();
+    this.reconnectAttempts = 0;
+    this.setConnectionState(WS_CONNECTION_STATES.disconnected);
+    this.setup();
+  }
+
   sendMessage(msg) {
     if (!this.connected) {
       console.log('ws not connected, cannot send message');
@@ -73,6 +195,8 @@ class WS extends EventEmitter {
   sendPing() {
     const msg = JSON.stringify({ type: 'ping' });
     this.sendMessage(msg);
+    clearTimeout(this.pongTimeout);
+    this.pongTimeout = setTimeout(this.onPongTimeout, PONG_TMO);
   }
 }
 
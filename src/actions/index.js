@@ -7,6 +7,9 @@
 
 import store from '../store/index';
 import themeUtils from '../utils/theme';
+import networkUtils from '../utils/network';
+import watchlistUtils from '../utils/watchlist';
+import addressLabelsUtils from '../utils/addressLabels';
 
 export const dashboardUpdate = data => ({ type: 'dashboard_update', payload: data });
 
@@ -19,6 +22,11 @@ export const apiLoadErrorUpdate = data => ({ type: 'api_load_error_update', payl
 
 export const updateServerInfo = data => ({ type: 'update_server_info', payload: data });
 
+export const wsConnectionStateUpdate = data => ({
+  type: 'ws_connection_state_update',
+  payload: data,
+});
+
 export const toggleTheme = () => {
   const state = store.getState();
   const currentTheme = state.theme === 'light' ? 'dark' : 'light';
@@ -27,3 +35,24 @@ export const toggleTheme = () => {
 
   return { type: 'toggle_theme', payload: currentTheme };
 };
+
+export const selectNetwork = network => {
+  networkUtils.saveSelectedNetwork(network.id);
+
+  return { type: 'select_network', payload: network };
+};
+
+export const updateNetworks = () => ({
+  type: 'update_networks',
+  payload: networkUtils.getNetworks(),
+});
+
+export const updateWatchlist = () => ({
+  type: 'update_watchlist',
+  payload: watchlistUtils.getWatchlist(),
+});
+
+export const updatePrivateLabels = () => ({
+  type: 'update_private_labels',
+  payload: addressLabelsUtils.getPrivateLabels(),
+});
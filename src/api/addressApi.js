@@ -6,13 +6,15 @@
  */
 
 import requestExplorerServiceV1 from './axiosInstance';
+import { toApiError } from './errors';
 
 const addressApi = {
-  getTokens(address, limit, offset) {
+  getTokens(address, limit, offset, { cache = true } = {}) {
     /*
      address: address to search tokens on
      limit (optional): int -> how many objects we want
      offset (optional): int -> offset this many transactions before fetching
+     cache (optional): bool -> false to skip the cached tokens, e.g. after a new transaction
     */
 
     const data = { address };
@@ -23,22 +25,23 @@ const addressApi = {
       data.offset = offset;
     }
 
-    return requestExplorerServiceV1.get(`address/tokens`, { params: data }).then(res => {
-      if (res && res.data) {
-        return res.data;
-      }
-      return undefined;
-    });
+    return requestExplorerServiceV1
+      .get(`address/tokens`, { params: data, cache })
+      .then(res => res.data)
+      .catch(e => {
+        throw toApiError(e, `Unknown error on get tokens of ${address}`);
+      });
   },
 
-  getBalance(address, token) {
+  getBalance(address, token, { cache = true } = {}) {
+    /*
+     cache (optional): bool -> false to skip the cached balance, e.g. after a new transaction
+    */
     return requestExplorerServiceV1
-      .get(`address/balance`, { params: { address, token } })
-      .then(res => {
-        if (res && res.data) {
-          return res.data;
-        }
-        return undefined;
+      .get(`address/balance`, { params: { address, token }, cache })
+      .then(res => res.data)
+      .catch(e => {
+        throw toApiError(e, `Unknown error on get balance of ${address}`);
       });
   },
 
@@ -64,12 +67,12 @@ const addressApi = {
       data.last_ts = lastTs;
     }
 
-    return requestExplorerServiceV1.get(`address/history`, { params: data }).then(res => {
-      if (res && res.data) {
-        return res.data;
-      }
-      return undefined;
-    });
+    return requestExplorerServiceV1
+      .get(`address/history`, { params: data })
+      .then(res => res.data)
+      .catch(e => {
+        throw toApiError(e, `Unknown error on get history of ${address}`);
+      });
   },
 };
 
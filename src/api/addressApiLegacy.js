@@ -6,19 +6,15 @@
  */
 
 import requestExplorerServiceV1 from './axiosInstance';
+import { assertSuccess, toApiError } from './errors';
 
 const addressApi = {
   getBalance(address) {
     return requestExplorerServiceV1
       .get(`node_api/address_balance`, { params: { address } })
-      .then(res => {
-        if (res && res.data) {
-          return res.data;
-        }
-        return undefined;
-      })
+      .then(res => assertSuccess(res.data))
       .catch(error => {
-        console.error(`Failure obtaining address ${address} balance`, error);
+        throw toApiError(error, `Failure obtaining address ${address} balance`);
       });
   },
 
@@ -43,14 +39,9 @@ const addressApi = {
 
     return requestExplorerServiceV1
       .get(`node_api/address_search`, { params: data })
-      .then(res => {
-        if (res && res.data) {
-          return res.data;
-        }
-        return undefined;
-      })
+      .then(res => assertSuccess(res.data))
       .catch(error => {
-        console.error('Failure searching for addresses', error);
+        throw toApiError(error, 'Failure searching for addresses');
       });
   },
 };
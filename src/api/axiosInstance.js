@@ -6,15 +6,68 @@
  */
 
 import axios from 'axios';
-import { EXPLORER_SERVICE_BASE_URL } from '../constants';
+import networkUtils from '../utils/network';
+import createFullnodeBackend from './fullnodeBackend';
+import createRequestCache, { getCacheKey } from './requestCache';
+import { BACKEND_TYPES, REQUEST_TIMEOUT } from '../constants';
+import { toApiError } from './errors';
+import { withRetry } from './retry';
+
+const CACHE_MAX_ENTRIES = 500;
+const SHORT_TTL = 5000; // 5s
+const MEDIUM_TTL = 60000; // 1min
+const LONG_TTL = 600000; // 10min
+
+const shortTtl = () => SHORT_TTL;
+const mediumTtl = () => MEDIUM_TTL;
+const longTtl = () => LONG_TTL;
+
+/**
+ * How long the response of each GET endpoint is cached, in milliseconds.
+ * Requests to endpoints not listed here are only shared while in flight.
+ */
+const CACHE_TTLS = {
+  // Immutable resources
+  'node_api/nc_blueprint_information': longTtl,
+  'node_api/nc_blueprint_source_code': longTtl,
+  'node_api/decode_tx': longTtl,
+  // Resources that change rarely
+  'metadata/dag': mediumTtl,
+  'node_api/token': mediumTtl,
+  'node_api/version': mediumTtl,
+  // Volatile resources, cached just long enough to avoid repeated requests of the same screen
+  'blocks/best_chain_height': shortTtl,
+  'node_api/address_balance': shortTtl,
+  'node_api/address_search': shortTtl,
+  'node_api/block_at_height': shortTtl,
+  'node_api/dashboard_tx': shortTtl,
+  'node_api/nc_history': shortTtl,
+  'node_api/nc_state': shortTtl,
+  'node_api/token_history': shortTtl,
+  // Confirmed transactions still change when their outputs are spent
+  'node_api/transaction': shortTtl,
+  'node_api/transactions': shortTtl,
+  'node_api/transaction_acc_weight': shortTtl,
+  'address/balance': shortTtl,
+  'address/history': shortTtl,
+  'address/tokens': shortTtl,
+  token_balances: shortTtl,
+  tokens: shortTtl,
+};
+
+const noCache = () => 0;
+
+const requestCache = createRequestCache(CACHE_MAX_ENTRIES);
 
 const errorHandler = error => {
   console.log('ERROR RESPONSE', error);
+  return Promise.reject(toApiError(error));
 };
 
-const requestExplorerServiceV1 = () => {
+const requestExplorerServiceV1 = baseURL => {
   const defaultOptions = {
-    baseURL: EXPLORER_SERVICE_BASE_URL,
+    baseURL,
+    timeout: REQUEST_TIMEOUT,
     headers: {
       'Content-Type': 'application/json',
     },
@@ -27,4 +80,58 @@ const requestExplorerServiceV1 = () => {
   return instance;
 };
 
-export default requestExplorerServiceV1();
+/**
+ * Creates the backend the api modules will request, according to the network configuration
+ *
+ * @param {NetworkConfig} network
+ */
+const createBackend = network => {
+  if (network.backend === BACKEND_TYPES.fullnode) {
+    return createFullnodeBackend(requestExplorerServiceV1(network.baseUrl));
+  }
+  return requestExplorerServiceV1(network.explorerServiceUrl);
+};
+
+let currentInstance = createBackend(networkUtils.getSelectedNetwork());
+
+/**
+ * Rebuilds the backend instance, so every api module starts requesting the new network.
+ * Used when the user switches networks at runtime.
+ *
+ * @param {NetworkConfig} network Selected network
+ */
+export const rebuildExplorerServiceInstance = network => {
+  currentInstance = createBackend(network);
+  // Cached responses belong to the previous network
+  requestCache.clear();
+};
+
+/**
+ * The api modules keep a reference to this object, so it must delegate to the current instance
+ * instead of being replaced when the network changes.
+ *
+ * GET requests go through the request cache and are retried on transient failures.
+ * The `retry` option of the request config sets the retry options of `withRetry`, or disables
+ * the retries when false. Other methods are never retried, since they may not be idempotent, and
+ * have no timeout, since a slow request may still succeed on the server, e.g. pushing a transaction.
+ * The `cache` option set to false skips the cached response, for data known to have changed.
+ */
+const explorerServiceV1 = {
+  get: (url, { retry, cache = true, ...config } = {}) => {
+    const key = getCacheKey(url, config.params);
+    if (!cache) {
+      requestCache.remove(key);
+    }
+    return requestCache.get(
+      key,
+      () => {
+        const request = () => currentInstance.get(url, config);
+        return retry === false ? request() : withRetry(request, retry);
+      },
+      CACHE_TTLS[url] || noCache
+    );
+  },
+  post: (url, data, config = {}) => currentInstance.post(url, data, { timeout: 0, ...config }),
+};
+
+export default explorerServiceV1;
@@ -5,11 +5,8 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import helpers from '../utils/helpers';
-
 import requestExplorerServiceV1 from './axiosInstance';
-
-const BLOCK_API_DEFAULT_TIMEOUT = 35000; // ms
+import { assertSuccess, toApiError } from './errors';
 
 const blockApi = {
   /**
@@ -18,10 +15,30 @@ const blockApi = {
    * @returns {Promise}
    */
   async getBestChainHeight() {
-    const response = await requestExplorerServiceV1.get('blocks/best_chain_height', {
-      timeout: BLOCK_API_DEFAULT_TIMEOUT,
-    });
-    return helpers.handleExplorerServiceResponse(response);
+    try {
+      const response = await requestExplorerServiceV1.get('blocks/best_chain_height');
+      return response.data;
+    } catch (e) {
+      throw toApiError(e, 'Unknown error on get best chain height');
+    }
+  },
+
+  /**
+   * Get the block of the best chain at a height
+   *
+   * @param {number} height
+   *
+   * @returns {Promise} Data with the block in the `block` key
+   */
+  async getBlockAtHeight(height) {
+    try {
+      const response = await requestExplorerServiceV1.get('node_api/block_at_height', {
+        params: { height },
+      });
+      return assertSuccess(response.data);
+    } catch (e) {
+      throw toApiError(e, `Unknown error on get block at height ${height}`);
+    }
   },
 };
 
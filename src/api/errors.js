@@ -0,0 +1,143 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { apiErrorMessages } from '../messages';
+
+/**
+ * Errors thrown by the api modules.
+ *
+ * Every failed request is converted to an ApiError, so the screens can tell a missing resource
+ * from a backend that is down and show the user a specific message.
+ *
+ * @module ApiErrors
+ */
+
+export const API_ERROR_TYPES = {
+  // The request could not reach the server
+  network: 'network',
+  // The server took too long to answer
+  timeout: 'timeout',
+  // The requested resource does not exist
+  notFound: 'not_found',
+  // The server failed to process a valid request
+  server: 'server',
+  // The request was rejected because of its data
+  validation: 'validation',
+};
+
+/**
+ * Error of a request made by the api modules
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} type One of API_ERROR_TYPES
+   * @param {string} message Description of the error, from the server when available
+   * @param {Object} [options]
+   * @param {number} [options.status] HTTP status of the response
+   * @param {Error} [options.cause] Original error
+   */
+  constructor(type, message, { status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.type = type;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Converts an HTTP status to the error type
+ *
+ * @param {number} status
+ *
+ * @return {string} One of API_ERROR_TYPES
+ */
+const getTypeFromStatus = status => {
+  if (status === 404) {
+    return API_ERROR_TYPES.notFound;
+  }
+  if (status >= 500) {
+    return API_ERROR_TYPES.server;
+  }
+  return API_ERROR_TYPES.validation;
+};
+
+/**
+ * Converts any error raised while requesting to an ApiError
+ *
+ * @param {Error} error Axios error or an ApiError
+ * @param {string} [fallbackMessage] Message used when the server does not send one
+ *
+ * @return {ApiError}
+ */
+export const toApiError = (error, fallbackMessage = 'Unknown error on request') => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+    return new ApiError(API_ERROR_TYPES.timeout, 'Request timed out', { cause: error });
+  }
+
+  if (error?.response) {
+    const { status, data } = error.response;
+    return new ApiError(
+      getTypeFromStatus(status),
+      data?.message || data?.error || fallbackMessage,
+      {
+        status,
+        cause: error,
+      }
+    );
+  }
+
+  if (error?.request) {
+    return new ApiError(API_ERROR_TYPES.network, 'Could not connect to the server', {
+      cause: error,
+    });
+  }
+
+  return new ApiError(API_ERROR_TYPES.server, error?.message || fallbackMessage, { cause: error });
+};
+
+/**
+ * The full node answers some failures with status 200 and `success: false`, e.g. a transaction
+ * that does not exist. Throws them as an ApiError.
+ *
+ * @param {Object} data Response data
+ *
+ * @return {Object} The same data, when successful
+ * @throws {ApiError}
+ */
+export const assertSuccess = data => {
+  if (data?.success === false) {
+    const message = data.message || 'Unknown error on request';
+    const type = /not found|does not exist|unknown token/i.test(message)
+      ? API_ERROR_TYPES.notFound
+      : API_ERROR_TYPES.validation;
+    throw new ApiError(type, message);
+  }
+  return data;
+};
+
+/**
+ * Message shown to the user for an error.
+ * Validation errors show the reason sent by the server, since it's specific to the request.
+ *
+ * @param {Error} error
+ *
+ * @return {string}
+ */
+export const getErrorMessage = error => {
+  if (!(error instanceof ApiError)) {
+    return 'Unknown error. Please try again.';
+  }
+  if (error.type === API_ERROR_TYPES.validation && error.message) {
+    return error.message;
+  }
+  return apiErrorMessages[error.type];
+};
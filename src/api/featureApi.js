@@ -6,12 +6,16 @@
  */
 
 import requestExplorerServiceV1 from './axiosInstance';
+import { toApiError } from './errors';
 
 const featureApi = {
   async getFeatures(block = null) {
-    return requestExplorerServiceV1.get(`node_api/feature`, { params: { block } }).then(res => {
-      return res.data;
-    });
+    return requestExplorerServiceV1
+      .get(`node_api/feature`, { params: { block } })
+      .then(res => res.data)
+      .catch(e => {
+        throw toApiError(e, 'Unknown error on get features');
+      });
   },
 
   async getSignalBits(block) {
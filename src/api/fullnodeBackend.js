@@ -0,0 +1,105 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Backend that answers the explorer service requests talking directly to a full node.
+ *
+ * The explorer service proxies the full node api under `node_api/`, so most requests only need
+ * their path translated. A few explorer service endpoints can be emulated with full node data,
+ * and the ones that depend on the explorer service indexes are not available.
+ *
+ * @module FullnodeBackend
+ */
+
+import { API_ERROR_TYPES, ApiError } from './errors';
+
+const NODE_API_PREFIX = 'node_api/';
+
+/**
+ * Full node paths of the `node_api/` endpoints whose name is different on the explorer service
+ */
+const NODE_API_ROUTES = {
+  address_balance: 'thin_wallet/address_balance',
+  address_search: 'thin_wallet/address_search',
+  transactions: 'transaction',
+  tokens: 'thin_wallet/token',
+  token: 'thin_wallet/token',
+  token_history: 'thin_wallet/token_history',
+  nc_state: 'nano_contract/state',
+  nc_history: 'nano_contract/history',
+  nc_blueprint_information: 'nano_contract/blueprint/info',
+  nc_blueprint_source_code: 'nano_contract/blueprint/source',
+};
+
+/**
+ * Creates the full node backend, with the same `get`/`post` interface of the axios instance used
+ * for the explorer service. Requests to unavailable endpoints are rejected as not found.
+ *
+ * @param {Object} instance Axios instance with the full node api as base url
+ *
+ * @return {Object}
+ */
+const createFullnodeBackend = instance => {
+  const getLatestBlock = async () => {
+    const response = await instance.get('transaction', { params: { type: 'block', count: 1 } });
+    return response?.data?.transactions?.[0];
+  };
+
+  /**
+   * Explorer service endpoints answered with full node data
+   */
+  const emulatedRoutes = {
+    'blocks/best_chain_height': async () => {
+      const block = await getLatestBlock();
+      if (!block) {
+        throw new ApiError(API_ERROR_TYPES.notFound, 'No block found on the full node');
+      }
+      const hit = {
+        height: block.height,
+        timestamp: new Date(block.timestamp * 1000).toISOString(),
+      };
+      return { status: 200, data: { hits: [hit] } };
+    },
+    // Token metadata (NFT, banned tokens, ...) is maintained by the explorer service only
+    'metadata/dag': async () => ({ status: 200, data: {} }),
+    // The full node only knows its own status, so it's the single peer of the network screen
+    node: async () => {
+      const response = await instance.get('status');
+      return { ...response, data: [response.data.server.id] };
+    },
+  };
+
+  const get = async (url, config) => {
+    if (emulatedRoutes[url]) {
+      return emulatedRoutes[url](config);
+    }
+
+    if (url.startsWith('node/')) {
+      return instance.get('status', config);
+    }
+
+    if (!url.startsWith(NODE_API_PREFIX)) {
+      throw new ApiError(
+        API_ERROR_TYPES.notFound,
+        `${url} is not available when connected directly to a full node`,
+        { status: 404 }
+      );
+    }
+
+    const path = url.slice(NODE_API_PREFIX.length);
+    return instance.get(NODE_API_ROUTES[path] || path, config);
+  };
+
+  const post = async (url, data, config) => {
+    const path = url.slice(NODE_API_PREFIX.length);
+    return instance.post(NODE_API_ROUTES[path] || path, data, config);
+  };
+
+  return { get, post };
+};
+
+export default createFullnodeBackend;
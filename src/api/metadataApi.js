@@ -6,19 +6,20 @@
  */
 
 import requestExplorerServiceV1 from './axiosInstance';
+import { toApiError } from './errors';
 
 const metadataApi = {
   getDagMetadata(id) {
     return requestExplorerServiceV1
       .get(`metadata/dag`, { params: { id } })
       .then(res => {
-        if (res && id in res.data) {
+        if (id in res.data) {
           return res.data[id];
         }
         return undefined;
       })
       .catch(error => {
-        console.error(`Error fetching dag metadata for ${id}`, error);
+        throw toApiError(error, `Error fetching dag metadata for ${id}`);
       });
   },
 };
@@ -6,6 +6,7 @@
  */
 
 import requestExplorerServiceV1 from './axiosInstance';
+import { toApiError } from './errors';
 
 const nanoApi = {
   /**
@@ -24,9 +25,7 @@ const nanoApi = {
       .get(`node_api/nc_state`, { params: data })
       .then(res => res.data)
       .catch(err => {
-        throw new Error(
-          err?.data?.message || err?.message || `Unknown error on get nc state for ${id}`
-        );
+        throw toApiError(err, `Unknown error on get nc state for ${id}`);
       });
   },
 
@@ -55,7 +54,7 @@ const nanoApi = {
       .get(`node_api/nc_history`, { params: data })
       .then(res => res.data)
       .catch(err => {
-        throw new Error(err?.data?.message || err?.message || `Unknown error on get nc history`);
+        throw toApiError(err, `Unknown error on get nc history`);
       });
   },
 
@@ -72,11 +71,7 @@ const nanoApi = {
       .get(`node_api/nc_blueprint_information`, { params: data })
       .then(res => res.data)
       .catch(err => {
-        throw new Error(
-          err?.data?.message ||
-            err?.message ||
-            `Unknown error on get blueprint data for ${blueprintId}`
-        );
+        throw toApiError(err, `Unknown error on get blueprint data for ${blueprintId}`);
       });
   },
 
@@ -93,11 +88,7 @@ const nanoApi = {
       .get(`node_api/nc_blueprint_source_code`, { params: data })
       .then(res => res.data)
       .catch(err => {
-        throw new Error(
-          err?.data?.message ||
-            err?.message ||
-            `Unknown error on get blueprint source code for ${blueprintId}`
-        );
+        throw toApiError(err, `Unknown error on get blueprint source code for ${blueprintId}`);
       });
   },
 };
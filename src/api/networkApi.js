@@ -6,6 +6,7 @@
  */
 
 import requestExplorerServiceV1 from './axiosInstance';
+import { toApiError } from './errors';
 
 const networkApi = {
   getPeerList() {
@@ -18,7 +19,7 @@ const networkApi = {
         return res.data;
       })
       .catch(res => {
-        throw new Error(res?.data?.message || res?.message || 'Unknown error on get all nodes');
+        throw toApiError(res, 'Unknown error on get all nodes');
       });
   },
   getPeer(hash) {
@@ -31,7 +32,7 @@ const networkApi = {
         return res.data;
       })
       .catch(res => {
-        throw new Error(res?.data?.message || res?.message || `Unknown error on get node ${hash}`);
+        throw toApiError(res, `Unknown error on get node ${hash}`);
       });
   },
 };
@@ -0,0 +1,119 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { cloneDeep } from 'lodash';
+
+/**
+ * Cache of GET responses shared by all api modules.
+ *
+ * Identical requests made while one is in flight share the same promise, and resolved
+ * responses are kept for a time that depends on how often the resource changes.
+ * The least recently used entries are evicted when the cache is full.
+ *
+ * @module RequestCache
+ */
+
+/**
+ * Builds the cache key of a request from its url and query parameters
+ *
+ * @param {string} url
+ * @param {Object} [params]
+ *
+ * @return {string}
+ */
+const getCacheKey = (url, params = {}) => {
+  const sortedParams = Object.keys(params)
+    .sort()
+    .filter(key => params[key] !== undefined)
+    .map(key => `${key}=${JSON.stringify(params[key])}`);
+  return `${url}?${sortedParams.join('&')}`;
+};
+
+/**
+ * Creates a request cache
+ *
+ * @param {number} maxEntries Maximum number of responses kept in the cache
+ *
+ * @return {Object}
+ */
+const createRequestCache = maxEntries => {
+  // Map keeps the insertion order, so the first entry is always the least recently used
+  const entries = new Map();
+
+  const evict = () => {
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  /**
+   * Returns the cached response of a request, fetching it when missing or expired.
+   *
+   * Failed requests are never cached.
+   *
+   * @param {string} key Key returned by getCacheKey
+   * @param {function(): Promise<Object>} fetcher Makes the request
+   * @param {function(Object): number} getTtl Milliseconds the response should be kept
+   *
+   * @return {Promise<Object>} A copy of the response, so callers can mutate it freely
+   */
+  const get = (key, fetcher, getTtl) => {
+    const entry = entries.get(key);
+    if (entry && (entry.expiresAt === null || entry.expiresAt > Date.now())) {
+      // Moving the entry to the end of the map marks it as the most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.promise.then(cloneDeep);
+    }
+
+    const newEntry = { expiresAt: null };
+    newEntry.promise = fetcher().then(
+      response => {
+        const ttl = getTtl(response);
+        if (ttl > 0 && entries.get(key) === newEntry) {
+          newEntry.expiresAt = Date.now() + ttl;
+        } else if (entries.get(key) === newEntry) {
+          entries.delete(key);
+        }
+        return response;
+      },
+      error => {
+        if (entries.get(key) === newEntry) {
+          entries.delete(key);
+        }
+        throw error;
+      }
+    );
+
+    entries.delete(key);
+    entries.set(key, newEntry);
+    evict();
+    return newEntry.promise.then(cloneDeep);
+  };
+
+  /**
+   * Removes the response of a request, so the next one fetches it again
+   *
+   * @param {string} key Key returned by getCacheKey
+   */
+  const remove = key => {
+    entries.delete(key);
+  };
+
+  /**
+   * Removes all responses, e.g. when the explorer connects to another network
+   */
+  const clear = () => {
+    entries.clear();
+  };
+
+  return { get, remove, clear };
+};
+
+export { getCacheKey };
+
+export default createRequestCache;
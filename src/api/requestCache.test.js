@@ -0,0 +1,113 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import createRequestCache, { getCacheKey } from './requestCache';
+
+const ttl = ms => () => ms;
+
+describe('getCacheKey', () => {
+  it('does not depend on the order of the parameters', () => {
+    expect(getCacheKey('tx', { b: 1, a: 'x' })).toBe(getCacheKey('tx', { a: 'x', b: 1 }));
+  });
+
+  it('ignores undefined parameters', () => {
+    expect(getCacheKey('tx', { a: 1, b: undefined })).toBe(getCacheKey('tx', { a: 1 }));
+  });
+});
+
+describe('createRequestCache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('shares the request in flight', async () => {
+    const cache = createRequestCache(10);
+    const fetcher = jest.fn().mockResolvedValue({ data: 1 });
+
+    const results = await Promise.all([
+      cache.get('key', fetcher, ttl(0)),
+      cache.get('key', fetcher, ttl(0)),
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(results).toEqual([{ data: 1 }, { data: 1 }]);
+  });
+
+  it('keeps the response until it expires', async () => {
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const cache = createRequestCache(10);
+    const fetcher = jest.fn().mockResolvedValue({ data: 1 });
+
+    await cache.get('key', fetcher, ttl(500));
+    now += 499;
+    await cache.get('key', fetcher, ttl(500));
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    now += 1;
+    await cache.get('key', fetcher, ttl(500));
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not keep responses without a ttl', async () => {
+    const cache = createRequestCache(10);
+    const fetcher = jest.fn().mockResolvedValue({ data: 1 });
+
+    await cache.get('key', fetcher, ttl(0));
+    await cache.get('key', fetcher, ttl(0));
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not keep failures', async () => {
+    const cache = createRequestCache(10);
+    const fetcher = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('down'))
+      .mockResolvedValueOnce({ data: 1 });
+
+    await expect(cache.get('key', fetcher, ttl(500))).rejects.toThrow('down');
+    await expect(cache.get('key', fetcher, ttl(500))).resolves.toEqual({ data: 1 });
+  });
+
+  it('returns copies of the response', async () => {
+    const cache = createRequestCache(10);
+    const fetcher = jest.fn().mockResolvedValue({ data: { value: 1 } });
+
+    const first = await cache.get('key', fetcher, ttl(500));
+    first.data.value = 2;
+    expect(await cache.get('key', fetcher, ttl(500))).toEqual({ data: { value: 1 } });
+  });
+
+  it('evicts the least recently used entries', async () => {
+    const cache = createRequestCache(2);
+    const fetcher = jest.fn().mockResolvedValue({});
+
+    await cache.get('a', fetcher, ttl(500));
+    await cache.get('b', fetcher, ttl(500));
+    // Using 'a' again makes 'b' the least recently used
+    await cache.get('a', fetcher, ttl(500));
+    await cache.get('c', fetcher, ttl(500));
+    expect(fetcher).toHaveBeenCalledTimes(3);
+
+    await cache.get('a', fetcher, ttl(500));
+    expect(fetcher).toHaveBeenCalledTimes(3);
+    await cache.get('b', fetcher, ttl(500));
+    expect(fetcher).toHaveBeenCalledTimes(4);
+  });
+
+  it('fetches again after an entry is removed or the cache is cleared', async () => {
+    const cache = createRequestCache(10);
+    const fetcher = jest.fn().mockResolvedValue({});
+
+    await cache.get('key', fetcher, ttl(500));
+    cache.remove('key');
+    await cache.get('key', fetcher, ttl(500));
+    cache.clear();
+    await cache.get('key', fetcher, ttl(500));
+    expect(fetcher).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { API_ERROR_TYPES } from './errors';
+import {
+  REQUEST_MAX_RETRIES,
+  REQUEST_RETRY_BASE_DELAY,
+  REQUEST_RETRY_MAX_DELAY,
+  REQUEST_SCREEN_BUDGET,
+} from '../constants';
+
+/**
+ * Retry of idempotent requests.
+ *
+ * Failed requests are retried with exponential backoff while the screen that made them is
+ * within its time budget, so a slow backend does not keep a screen retrying forever.
+ *
+ * @module Retry
+ */
+
+// Moment after which requests of the current screen are not retried anymore
+let screenDeadline = Date.now() + REQUEST_SCREEN_BUDGET;
+
+/**
+ * Starts the retry budget of a new screen
+ */
+export const startScreenBudget = () => {
+  screenDeadline = Date.now() + REQUEST_SCREEN_BUDGET;
+};
+
+/**
+ * Failures that may succeed if the request is made again
+ *
+ * @param {ApiError} error
+ *
+ * @return {boolean}
+ */
+const isRetryable = error => {
+  return (
+    error.type === API_ERROR_TYPES.network ||
+    error.type === API_ERROR_TYPES.timeout ||
+    error.type === API_ERROR_TYPES.server ||
+    error.status === 429
+  );
+};
+
+/**
+ * Delay asked by the server on the `Retry-After` header, in seconds or as a date
+ *
+ * @param {ApiError} error
+ *
+ * @return {number | null} Delay in milliseconds, null if the server did not ask for one
+ */
+const getRetryAfterDelay = error => {
+  const retryAfter = error.cause?.response?.headers?.['retry-after'];
+  if (!retryAfter) {
+    return null;
+  }
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * @param {number} attempt Number of retries already made
+ *
+ * @return {number} Delay in milliseconds before the next retry
+ */
+const getBackoffDelay = attempt => {
+  return Math.min(REQUEST_RETRY_MAX_DELAY, REQUEST_RETRY_BASE_DELAY * 2 ** attempt);
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Makes a request, retrying it on transient failures.
+ * Must only be used with idempotent requests.
+ *
+ * @param {function(): Promise} request Makes the request
+ * @param {Object} [options]
+ * @param {number} [options.retries] Maximum number of retries, 0 disables them
+ *
+ * @return {Promise} Response of the first successful attempt
+ * @throws {ApiError} Error of the last attempt
+ */
+export const withRetry = async (request, { retries = REQUEST_MAX_RETRIES } = {}) => {
+  const deadline = screenDeadline;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delay = getRetryAfterDelay(error) ?? getBackoffDelay(attempt);
+      if (Date.now() + delay > deadline) {
+        // The screen has already waited too long for this request
+        throw error;
+      }
+      console.log(`Request failed, retrying in ${delay}ms`, error);
+      await sleep(delay);
+    }
+  }
+};
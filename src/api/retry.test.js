@@ -0,0 +1,106 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { withRetry, startScreenBudget } from './retry';
+import { ApiError, API_ERROR_TYPES } from './errors';
+import { REQUEST_MAX_RETRIES, REQUEST_RETRY_BASE_DELAY, REQUEST_SCREEN_BUDGET } from '../constants';
+
+const serverError = (headers = {}) =>
+  new ApiError(API_ERROR_TYPES.server, 'Server error', {
+    status: 500,
+    cause: { response: { headers } },
+  });
+
+// Delays waited between the attempts
+let delays;
+let now;
+
+beforeEach(() => {
+  delays = [];
+  now = 0;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(global, 'setTimeout').mockImplementation((callback, delay) => {
+    delays.push(delay);
+    callback();
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  startScreenBudget();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('withRetry', () => {
+  it('retries transient failures with exponential backoff', async () => {
+    const request = jest
+      .fn()
+      .mockRejectedValueOnce(serverError())
+      .mockRejectedValueOnce(new ApiError(API_ERROR_TYPES.network, 'Network error'))
+      .mockResolvedValueOnce('response');
+
+    await expect(withRetry(request, { retries: 3 })).resolves.toBe('response');
+    expect(request).toHaveBeenCalledTimes(3);
+    expect(delays).toEqual([REQUEST_RETRY_BASE_DELAY, REQUEST_RETRY_BASE_DELAY * 2]);
+  });
+
+  it('does not retry failures caused by the request', async () => {
+    const error = new ApiError(API_ERROR_TYPES.notFound, 'Not found', { status: 404 });
+    const request = jest.fn().mockRejectedValue(error);
+
+    await expect(withRetry(request)).rejects.toBe(error);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries when the server asks to slow down', async () => {
+    const error = new ApiError(API_ERROR_TYPES.validation, 'Too many requests', { status: 429 });
+    const request = jest
+      .fn()
+      .mockRejectedValueOnce(error)
+      .mockResolvedValueOnce('response');
+
+    await expect(withRetry(request)).resolves.toBe('response');
+  });
+
+  it('waits the delay of the Retry-After header', async () => {
+    const request = jest
+      .fn()
+      .mockRejectedValueOnce(serverError({ 'retry-after': '2' }))
+      .mockResolvedValueOnce('response');
+
+    await withRetry(request);
+    expect(delays).toEqual([2000]);
+  });
+
+  it('throws the last error when the retries run out', async () => {
+    const errors = [serverError(), serverError(), serverError(), serverError()];
+    const request = jest.fn();
+    errors.forEach(error => request.mockRejectedValueOnce(error));
+
+    await expect(withRetry(request, { retries: 2 })).rejects.toBe(errors[2]);
+    expect(request).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry when disabled', async () => {
+    const request = jest.fn().mockRejectedValue(serverError());
+
+    await expect(withRetry(request, { retries: 0 })).rejects.toBeInstanceOf(ApiError);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops retrying once the screen is out of time', async () => {
+    const request = jest.fn().mockImplementation(async () => {
+      now = REQUEST_SCREEN_BUDGET - 100;
+      throw serverError();
+    });
+
+    await expect(withRetry(request, { retries: REQUEST_MAX_RETRIES })).rejects.toBeInstanceOf(
+      ApiError
+    );
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
@@ -6,6 +6,7 @@
  */
 
 import requestExplorerServiceV1 from './axiosInstance';
+import { assertSuccess, toApiError } from './errors';
 import { TX_COUNT } from '../constants';
 
 const tokenApi = {
@@ -14,7 +15,7 @@ const tokenApi = {
       .get(`node_api/tokens`)
       .then(res => res.data)
       .catch(err => {
-        throw new Error(err?.data?.message || err?.message || `Unknown error on get tokens list`);
+        throw toApiError(err, `Unknown error on get tokens list`);
       });
   },
 
@@ -22,11 +23,9 @@ const tokenApi = {
     const data = { id };
     return requestExplorerServiceV1
       .get(`node_api/token`, { params: data })
-      .then(res => res.data)
+      .then(res => assertSuccess(res.data))
       .catch(err => {
-        throw new Error(
-          err?.data?.message || err?.message || `Unknown error on get token data for ${id}`
-        );
+        throw toApiError(err, `Unknown error on get token data for ${id}`);
       });
   },
 
@@ -36,9 +35,7 @@ const tokenApi = {
       .get(`node_api/token_history`, { params: data })
       .then(res => res.data)
       .catch(err => {
-        throw new Error(
-          err?.data?.message || err?.message || `Unknown error on get history for ${id}`
-        );
+        throw toApiError(err, `Unknown error on get history for ${id}`);
       });
   },
 };
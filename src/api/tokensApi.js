@@ -6,9 +6,7 @@
  */
 
 import requestExplorerServiceV1 from './axiosInstance';
-import helpers from '../utils/helpers';
-
-const TOKENS_API_DEFAULT_TIMEOUT = 10000; // ms
+import { toApiError } from './errors';
 
 const tokensApi = {
   /**
@@ -30,12 +28,14 @@ const tokensApi = {
       search_after: searchAfter.join(','),
     };
 
-    const response = await requestExplorerServiceV1.get('tokens', {
-      params: data,
-      timeout: TOKENS_API_DEFAULT_TIMEOUT,
-    });
-
-    return helpers.handleExplorerServiceResponse(response);
+    try {
+      const response = await requestExplorerServiceV1.get('tokens', {
+        params: data,
+      });
+      return response.data;
+    } catch (e) {
+      throw toApiError(e, 'Unknown error on get tokens list');
+    }
   },
 
   /**
@@ -46,11 +46,12 @@ const tokensApi = {
    * @return {Promise}
    */
   async getToken(tokenId) {
-    const response = await requestExplorerServiceV1.get(`tokens/${tokenId}`, {
-      timeout: TOKENS_API_DEFAULT_TIMEOUT,
-    });
-
-    return helpers.handleExplorerServiceResponse(response);
+    try {
+      const response = await requestExplorerServiceV1.get(`tokens/${tokenId}`);
+      return response.data;
+    } catch (e) {
+      throw toApiError(e, `Unknown error on get token ${tokenId}`);
+    }
   },
 
   /**
@@ -72,12 +73,14 @@ const tokensApi = {
       search_after: searchAfter.join(','),
     };
 
-    const response = await requestExplorerServiceV1.get('token_balances', {
-      params: data,
-      timeout: TOKENS_API_DEFAULT_TIMEOUT,
-    });
-
-    return helpers.handleExplorerServiceResponse(response);
+    try {
+      const response = await requestExplorerServiceV1.get('token_balances', {
+        params: data,
+      });
+      return response.data;
+    } catch (e) {
+      throw toApiError(e, `Unknown error on get balances of ${tokenId}`);
+    }
   },
 
   /**
@@ -92,12 +95,14 @@ const tokensApi = {
       token_id: tokenId,
     };
 
-    const response = await requestExplorerServiceV1.get('token_balances/information', {
-      params: data,
-      timeout: TOKENS_API_DEFAULT_TIMEOUT,
-    });
-
-    return helpers.handleExplorerServiceResponse(response);
+    try {
+      const response = await requestExplorerServiceV1.get('token_balances/information', {
+        params: data,
+      });
+      return response.data;
+    } catch (e) {
+      throw toApiError(e, `Unknown error on get balance information of ${tokenId}`);
+    }
   },
 };
 
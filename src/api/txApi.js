@@ -6,6 +6,7 @@
  */
 
 import requestExplorerServiceV1 from './axiosInstance';
+import { assertSuccess, toApiError } from './errors';
 
 const txApi = {
   getTransactions(type, count, timestamp, hash, page) {
@@ -25,59 +26,53 @@ const txApi = {
     }
     return requestExplorerServiceV1
       .get(`node_api/transactions`, { params: data })
-      .then(res => {
-        return res.data;
-      })
+      .then(res => assertSuccess(res.data))
       .catch(e => {
-        throw new Error(e);
+        throw toApiError(e, `Unknown error on get ${type} list`);
       });
   },
 
   getTransaction(id) {
     return requestExplorerServiceV1
       .get(`node_api/transaction`, { params: { id } })
-      .then(res => {
-        return res.data;
-      })
+      .then(res => assertSuccess(res.data))
       .catch(e => {
-        throw new Error(e);
+        throw toApiError(e, `Unknown error on get transaction ${id}`);
       });
   },
 
   decodeTx(hex_tx) {
     const data = { hex_tx };
-    return requestExplorerServiceV1.get(`node_api/decode_tx`, { params: data }).then(
-      res => {
-        return res.data;
-      },
-      res => {
-        throw new Error(res.data.message);
-      }
-    );
+    return requestExplorerServiceV1
+      .get(`node_api/decode_tx`, { params: data })
+      .then(res => assertSuccess(res.data))
+      .catch(e => {
+        throw toApiError(e, 'Unknown error on decode tx');
+      });
   },
 
+  /*
+   * A transaction rejected by the full node is not an error: it resolves with `success: false`,
+   * the reason and if it can be forced.
+   */
   pushTx(hex_tx, force) {
     const data = { hex_tx, force };
-    return requestExplorerServiceV1.post(`node_api/push_tx`, data).then(
-      res => {
-        return res.data;
-      },
-      res => {
-        throw new Error(res.data.message);
-      }
-    );
+    return requestExplorerServiceV1
+      .post(`node_api/push_tx`, data)
+      .then(res => res.data)
+      .catch(e => {
+        throw toApiError(e, 'Unknown error on push tx');
+      });
   },
 
   getDashboardTx(block, tx) {
     const data = { block, tx };
-    return requestExplorerServiceV1.get(`node_api/dashboard_tx`, { params: data }).then(
-      res => {
-        return res.data;
-      },
-      res => {
-        throw new Error(res.data.message);
-      }
-    );
+    return requestExplorerServiceV1
+      .get(`node_api/dashboard_tx`, { params: data })
+      .then(res => res.data)
+      .catch(e => {
+        throw toApiError(e, 'Unknown error on get dashboard data');
+      });
   },
 
   /*
@@ -93,7 +88,10 @@ const txApi = {
     const data = { id };
     return requestExplorerServiceV1
       .get(`node_api/transaction_acc_weight`, { params: data })
-      .then(res => res.data);
+      .then(res => res.data)
+      .catch(e => {
+        throw toApiError(e, `Unknown error on get confirmation data of ${id}`);
+      });
   },
 };
 
@@ -6,6 +6,7 @@
  */
 
 import requestExplorerServiceV1 from './axiosInstance';
+import { toApiError } from './errors';
 
 const versionApi = {
   getVersion() {
@@ -13,7 +14,7 @@ const versionApi = {
       .get(`node_api/version`)
       .then(res => res.data)
       .catch(err => {
-        throw new Error(err?.data?.message || err?.message || `Unknown error on get node version`);
+        throw toApiError(err, `Unknown error on get node version`);
       });
   },
 };
@@ -9,12 +9,19 @@ import React, { useCallback, useEffect, useRef, useState } from 'react';
 import hathorLib from '@hathor/wallet-lib';
 import ReactLoading from 'react-loading';
 import { find } from 'lodash';
-import { useHistory, useParams } from 'react-router-dom';
+import { Link, useHistory, useParams } from 'react-router-dom';
 import { useNewUiEnabled } from '../hooks';
 import AddressSummary from './AddressSummary';
 import AddressHistory from './AddressHistory';
+import AddressHistoryExport from './AddressHistoryExport';
+import WatchAddressButton from './WatchAddressButton';
+import AddressMultisigInfo from './AddressMultisigInfo';
+import AddressPaymentRequest from './AddressPaymentRequest';
+import AddressLockedBalance from './AddressLockedBalance';
+import AddressUtxos from './AddressUtxos';
 import Loading from './Loading';
 import ErrorMessageWithIcon from './error/ErrorMessageWithIcon';
+import { getErrorMessage } from '../api/errors';
 import PaginationURL from '../utils/pagination';
 import colors from '../index.scss';
 import WebSocketHandler from '../WebSocketHandler';
@@ -22,6 +29,14 @@ import { TOKEN_COUNT, TX_COUNT } from '../constants';
 import metadataApi from '../api/metadataApi';
 import addressApi from '../api/addressApi';
 import txApi from '../api/txApi';
+import helpers from '../utils/helpers';
+import multisigUtils from '../utils/multisig';
+
+// Tabs shown below the address summary
+const ADDRESS_TABS = {
+  history: 'history',
+  utxos: 'utxos',
+};
 
 /**
  * Check if the searched address is on the inputs or outputs of the new tx
@@ -55,6 +70,33 @@ function shouldUpdate(tx, checkToken, queryToken, updateAddress) {
   return false;
 }
 
+/**
+ * Builds the history element of a new tx received in the websocket, as the address api returns it
+ *
+ * @param {Object} tx Transaction data received in the websocket
+ * @param {string} token Token of the history
+ * @param {string} historyAddress Address of the history
+ *
+ * @return {Object} History element with the balance of the tx on the address
+ */
+function buildHistoryElement(tx, token, historyAddress) {
+  const isAddressToken = element =>
+    element.decoded?.address === historyAddress &&
+    element.token === token &&
+    !hathorLib.transactionUtils.isAuthorityOutput(element);
+
+  const received = tx.outputs.filter(isAddressToken).reduce((acc, output) => acc + output.value, 0);
+  const sent = tx.inputs.filter(isAddressToken).reduce((acc, input) => acc + input.value, 0);
+
+  return {
+    tx_id: tx.tx_id,
+    timestamp: tx.timestamp,
+    version: tx.version,
+    voided: false,
+    balance: received - sent,
+  };
+}
+
 function AddressDetailExplorer() {
   const pagination = useRef(
     new PaginationURL({
@@ -75,7 +117,8 @@ function AddressDetailExplorer() {
    * loadingHistory {boolean} If is waiting response of data history request
    * loadingTokens {boolean} If is waiting response of tokens request
    * errorMessage {String} message to be shown in case of an error
-   * warningRefreshPage {boolean} If should show a warning to refresh the page to see newest data for the address
+   * liveTxs {Array} Transactions of this address received in the websocket and not yet on screen
+   * newTxIds {Array} Ids of the transactions received in the websocket, highlighted on the history
    * warnMissingTokens {number} If there are tokens that could not be fetched, this should be the total number of tokens.
    * selectedTokenMetadata {Object} Metadata of the selected token
    * metadataLoaded {boolean} When the selected token metadata was loaded
@@ -83,6 +126,7 @@ function AddressDetailExplorer() {
    * txCache {Object} we save each transaction fetched to avoid making too many calls to the fullnode
    * showReloadDataButton {boolean} show a button to reload the screen data
    * showReloadTokenButton {boolean} show a button to reload the token data
+   * activeTab {String} Tab shown below the summary, one of ADDRESS_TABS
    */
   const [page, setPage] = useState(0);
   const [selectedToken, setSelectedToken] = useState('');
@@ -95,7 +139,8 @@ function AddressDetailExplorer() {
   const [loadingTokens, setLoadingTokens] = useState(true);
   const [loadingPagination, setLoadingPagination] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
-  const [warningRefreshPage, setWarningRefreshPage] = useState(false);
+  const [liveTxs, setLiveTxs] = useState([]);
+  const [newTxIds, setNewTxIds] = useState([]);
   const [warnMissingTokens, setWarnMissingTokens] = useState(0);
   const [selectedTokenMetadata, setSelectedTokenMetadata] = useState(null);
   const [metadataLoaded, setMetadataLoaded] = useState(false);
@@ -103,6 +148,9 @@ function AddressDetailExplorer() {
   const [txCache, setTxCache] = useState({});
   const [showReloadDataButton, setShowReloadDataButton] = useState(false);
   const [showReloadTokenButton, setShowReloadTokenButton] = useState(false);
+  const [activeTab, setActiveTab] = useState(ADDRESS_TABS.history);
+  // requestError {ApiError | null} Error of the request that made the reload buttons appear
+  const [requestError, setRequestError] = useState(null);
   const [pageSearchAfter, setPageSearchAfter] = useState([
     {
       page: 0,
@@ -128,8 +176,8 @@ function AddressDetailExplorer() {
 
       const { token: queryToken } = pagination.current.obtainQueryParams();
       if (shouldUpdate(wsData, false, queryToken, address)) {
-        // If the search address is in one of the inputs or outputs
-        setWarningRefreshPage(true);
+        // If the search address is in one of the inputs or outputs, it's applied once the screen is loaded
+        setLiveTxs(txs => [...txs, wsData]);
       }
     },
     [address]
@@ -151,6 +199,8 @@ function AddressDetailExplorer() {
 
     // Trigger effect that fetches all tokens for this address and loads one of them on screen
     setLoadingTokens(true);
+    setLiveTxs([]);
+    setNewTxIds([]);
 
     // Starting the Websocket
     WebSocketHandler.on('network', handleWebsocket);
@@ -170,16 +220,17 @@ function AddressDetailExplorer() {
    */
   const getHistoryData = useCallback(
     async (addressToFetch, tokenToFetch, lastTx, lastTs) => {
-      const response = await addressApi.getHistory(
-        addressToFetch,
-        tokenToFetch,
-        TX_COUNT,
-        lastTx,
-        lastTs
-      );
-
-      if (!response) {
-        // An error happened with the API call
+      let response;
+      try {
+        response = await addressApi.getHistory(
+          addressToFetch,
+          tokenToFetch,
+          TX_COUNT,
+          lastTx,
+          lastTs
+        );
+      } catch (error) {
+        setRequestError(error);
         setShowReloadTokenButton(true);
         return undefined;
       }
@@ -201,16 +252,18 @@ function AddressDetailExplorer() {
         }
       }
 
-      Promise.all(txPromises).then(txResults => {
-        setTxCache(oldCache => {
-          const newCache = { ...oldCache };
-          for (const txData of txResults) {
-            const tx = { ...txData.tx, meta: txData.meta };
-            newCache[tx.hash] = tx;
-          }
-          return newCache;
-        });
-      });
+      Promise.all(txPromises)
+        .then(txResults => {
+          setTxCache(oldCache => {
+            const newCache = { ...oldCache };
+            for (const txData of txResults) {
+              const tx = { ...txData.tx, meta: txData.meta };
+              newCache[tx.hash] = tx;
+            }
+            return newCache;
+          });
+        })
+        .catch(error => console.error('Error fetching the transactions of the history', error));
       setLoadingHistory(false);
 
       return undefined;
@@ -230,31 +283,58 @@ function AddressDetailExplorer() {
       return;
     }
 
-    const dagData = await metadataApi.getDagMetadata(tokenToFetch);
-    if (dagData) {
-      setSelectedTokenMetadata(dagData);
+    try {
+      const dagData = await metadataApi.getDagMetadata(tokenToFetch);
+      if (dagData) {
+        setSelectedTokenMetadata(dagData);
+      }
+    } catch (error) {
+      console.error(`Error fetching metadata of ${tokenToFetch}`, error);
     }
     setMetadataLoaded(true);
   }, []);
 
+  /**
+   * Reloads the balance of the token, its first page of history and metadata
+   *
+   * @param {string} addressToReload
+   * @param {string} tokenToReload
+   * @param {Object} [options]
+   * @param {boolean} [options.background] Only refreshes the balance, keeping the data on screen
+   *                                       while it loads
+   */
   const reloadTokenSummaryAndHistory = useCallback(
-    async (addressToReload, tokenToReload) => {
+    async (addressToReload, tokenToReload, { background = false } = {}) => {
+      if (background) {
+        try {
+          // The cached balance is from before the transaction that triggered this refresh
+          setBalance(await addressApi.getBalance(addressToReload, tokenToReload, { cache: false }));
+        } catch (error) {
+          // The balance on screen is only outdated, there is no need to interrupt the user
+          console.error('Error refreshing the address balance', error);
+        }
+        return undefined;
+      }
+
       setLoadingSummary(true);
       setLoadingHistory(true);
 
+      let balanceData;
+      try {
+        balanceData = await addressApi.getBalance(addressToReload, tokenToReload);
+      } catch (error) {
+        setRequestError(error);
+        setShowReloadTokenButton(true);
+        return undefined;
+      }
+
       try {
-        const balanceData = await addressApi.getBalance(addressToReload, tokenToReload);
-        if (!balanceData) {
-          // An error happened with the API call
-          setShowReloadTokenButton(true);
-          return undefined;
-        }
         setBalance(balanceData);
 
         await getHistoryData(addressToReload, tokenToReload);
         await getSelectedTokenMetadata(tokenToReload);
       } catch (error) {
-        setErrorMessage(error);
+        setErrorMessage(error.message || error.toString());
       }
       setLoadingSummary(false);
       return undefined;
@@ -267,14 +347,16 @@ function AddressDetailExplorer() {
     async (urlAddress, urlSelectedToken) => {
       setLoadingTokens(true);
 
+      let tokensResponse;
       try {
-        const tokensResponse = await addressApi.getTokens(urlAddress, TOKEN_COUNT);
-        if (!tokensResponse) {
-          // An error happened with the API call
-          setShowReloadDataButton(true);
-          return undefined;
-        }
+        tokensResponse = await addressApi.getTokens(urlAddress, TOKEN_COUNT);
+      } catch (error) {
+        setRequestError(error);
+        setShowReloadDataButton(true);
+        return undefined;
+      }
 
+      try {
         let newSelectedToken = '';
 
         const tokens = tokensResponse.tokens || {};
@@ -326,6 +408,113 @@ function AddressDetailExplorer() {
     [reloadTokenSummaryAndHistory]
   );
 
+  /**
+   * Refreshes the tokens of the address without reloading the rest of the screen
+   *
+   * @param {string} addressToReload
+   */
+  const refreshAddressTokens = useCallback(async addressToReload => {
+    let tokensResponse;
+    try {
+      tokensResponse = await addressApi.getTokens(addressToReload, TOKEN_COUNT, 0, {
+        cache: false,
+      });
+    } catch (error) {
+      console.error('Error refreshing the address tokens', error);
+      return;
+    }
+
+    const tokens = tokensResponse.tokens || {};
+    const total = tokensResponse.total || 0;
+    setWarnMissingTokens(total > Object.keys(tokens).length ? total : 0);
+    setAddressTokens(tokens);
+  }, []);
+
+  /**
+   * Puts on screen the transactions of this address received in the websocket, keeping the
+   * selected token and history page.
+   *
+   * @param {Object[]} txs Transactions data received in the websocket
+   */
+  const applyLiveTxs = useCallback(
+    async txs => {
+      if (Object.keys(addressTokens).length === 0) {
+        // The address had no transactions, so there is nothing on screen to keep
+        setLoadingTokens(true);
+        return;
+      }
+
+      const txTokens = new Set();
+      for (const tx of txs) {
+        for (const element of [...tx.outputs, ...tx.inputs]) {
+          if (element.decoded?.address === address) {
+            txTokens.add(element.token);
+          }
+        }
+      }
+      if ([...txTokens].some(token => !addressTokens[token])) {
+        // The address received a token it didn't have before
+        refreshAddressTokens(address);
+      }
+
+      const selectedTokenTxs = txs.filter(
+        tx =>
+          shouldUpdate(tx, true, selectedToken, address) &&
+          !transactions.some(element => element.tx_id === tx.tx_id)
+      );
+      if (selectedTokenTxs.length === 0) {
+        return;
+      }
+
+      setNewTxIds(ids => [...ids, ...selectedTokenTxs.map(tx => tx.tx_id)]);
+      setTxCache(oldCache => {
+        const newCache = { ...oldCache };
+        for (const tx of selectedTokenTxs) {
+          newCache[tx.tx_id] = tx;
+        }
+        return newCache;
+      });
+
+      // Only the first page can have new elements, other pages are kept as they are
+      if (page === 0) {
+        let newTransactions = [...transactions];
+        for (const tx of selectedTokenTxs) {
+          newTransactions = helpers.updateListWs(
+            newTransactions,
+            buildHistoryElement(tx, selectedToken, address),
+            TX_COUNT
+          );
+        }
+        setTransactions(newTransactions);
+        setHasAfter(hasAfter || transactions.length + selectedTokenTxs.length > TX_COUNT);
+      }
+
+      await reloadTokenSummaryAndHistory(address, selectedToken, { background: true });
+    },
+    [
+      address,
+      addressTokens,
+      selectedToken,
+      transactions,
+      page,
+      hasAfter,
+      refreshAddressTokens,
+      reloadTokenSummaryAndHistory,
+    ]
+  );
+
+  // Applies the transactions received in the websocket once the screen is not loading
+  useEffect(() => {
+    if (liveTxs.length === 0 || loadingTokens || loadingSummary || loadingPagination) {
+      return;
+    }
+
+    setLiveTxs([]);
+    applyLiveTxs(liveTxs).catch(e =>
+      console.error('Error applying the new transactions of the address', e)
+    );
+  }, [liveTxs, loadingTokens, loadingSummary, loadingPagination, applyLiveTxs]);
+
   // Loads all data on screen once the initial validation is done and a loading flag is triggered
   useEffect(() => {
     // This effect only runs once it's triggered by the "loadingTokens" flag
@@ -367,6 +556,7 @@ function AddressDetailExplorer() {
     setSelectedTokenMetadata(null);
     setBalance({});
     setTransactions([]);
+    setNewTxIds([]);
 
     updateTokenURL(tokenUid);
     await reloadTokenSummaryAndHistory(address, tokenUid);
@@ -414,7 +604,6 @@ function AddressDetailExplorer() {
   const handleRefreshAllPageData = e => {
     e.preventDefault();
     setShowReloadDataButton(false);
-    setWarningRefreshPage(false);
 
     reloadTokensForAddress(address, selectedToken).catch(err =>
       console.error('Error on handleRefreshAllPageData', err)
@@ -477,22 +666,6 @@ function AddressDetailExplorer() {
     setLoadingPagination(false);
   };
 
-  const renderWarningAlert = () => {
-    if (warningRefreshPage) {
-      return (
-        <div className="alert alert-warning refresh-alert" role="alert">
-          There is a new transaction for this address. Please{' '}
-          <a href="true" onClick={reloadPage}>
-            refresh
-          </a>{' '}
-          the page to see the newest data.
-        </div>
-      );
-    }
-
-    return null;
-  };
-
   const renderReloadTokenButton = () => {
     if (showReloadTokenButton) {
       return (
@@ -551,7 +724,9 @@ function AddressDetailExplorer() {
     if (showReloadDataButton || showReloadTokenButton) {
       return (
         <div>
-          <ErrorMessageWithIcon message="The request to get address data has failed. Try to load again, please." />
+          <ErrorMessageWithIcon
+            message={`The request to get address data has failed. ${getErrorMessage(requestError)}`}
+          />
           {renderReloadDataButton()}
           {renderReloadTokenButton()}
         </div>
@@ -567,7 +742,6 @@ function AddressDetailExplorer() {
 
     return (
       <div>
-        {renderWarningAlert()}
         {renderMissingTokensAlert()}
         <AddressSummary
           address={address}
@@ -579,6 +753,71 @@ function AddressDetailExplorer() {
           metadataLoaded={metadataLoaded}
           newUiEnabled={newUiEnabled}
         />
+        <AddressLockedBalance
+          address={address}
+          token={selectedToken}
+          lockedBalance={balance.locked_balance}
+          isNFT={Boolean(isNFT())}
+          newUiEnabled={newUiEnabled}
+        />
+        <WatchAddressButton address={address} />
+        <Link className="d-inline-block mt-2" to={`/labels?address=${address}`}>
+          Label this address
+        </Link>
+        <AddressPaymentRequest address={address} tokens={addressTokens} />
+        {multisigUtils.isP2SH(address) && (
+          <AddressMultisigInfo
+            address={address}
+            token={selectedToken}
+            newUiEnabled={newUiEnabled}
+          />
+        )}
+        <ul className="nav nav-tabs address-tabs mt-3">
+          <li className="nav-item">
+            <button
+              type="button"
+              className={`nav-link ${activeTab === ADDRESS_TABS.history ? 'active' : ''}`}
+              onClick={() => setActiveTab(ADDRESS_TABS.history)}
+            >
+              History
+            </button>
+          </li>
+          <li className="nav-item">
+            <button
+              type="button"
+              className={`nav-link ${activeTab === ADDRESS_TABS.utxos ? 'active' : ''}`}
+              onClick={() => setActiveTab(ADDRESS_TABS.utxos)}
+            >
+              UTXOs
+            </button>
+          </li>
+        </ul>
+        {activeTab === ADDRESS_TABS.utxos ? (
+          <AddressUtxos
+            address={address}
+            token={selectedToken}
+            tokenSymbol={addressTokens[selectedToken]?.symbol || selectedToken}
+            isNFT={Boolean(isNFT())}
+            numTransactions={balance.transactions}
+            newUiEnabled={newUiEnabled}
+          />
+        ) : (
+          renderHistory()
+        )}
+      </div>
+    );
+  };
+
+  const renderHistory = () => {
+    return (
+      <>
+        <AddressHistoryExport
+          address={address}
+          token={selectedToken}
+          tokenSymbol={addressTokens[selectedToken]?.symbol || selectedToken}
+          isNFT={Boolean(isNFT())}
+          numTransactions={balance.transactions}
+        />
         <AddressHistory
           address={address}
           onRowClicked={onRowClicked}
@@ -589,6 +828,7 @@ function AddressDetailExplorer() {
           hasAfter={hasAfter}
           hasBefore={hasBefore}
           data={transactions}
+          newTxIds={newTxIds}
           numTransactions={balance.transactions}
           txCache={txCache}
           isNFT={isNFT()}
@@ -597,7 +837,7 @@ function AddressDetailExplorer() {
           loading={loadingHistory}
           newUiEnabled={newUiEnabled}
         />
-      </div>
+      </>
     );
   };
 
@@ -18,6 +18,7 @@ import { TX_COUNT } from '../constants';
 import helpers from '../utils/helpers';
 import metadataApi from '../api/metadataApi';
 import addressApiLegacy from '../api/addressApiLegacy';
+import { getErrorMessage } from '../api/errors';
 
 class AddressDetailLegacy extends React.Component {
   pagination = new PaginationURL({
@@ -183,11 +184,12 @@ class AddressDetailLegacy extends React.Component {
     addressApiLegacy
       .search(this.state.address, TX_COUNT, queryParams.hash, queryParams.page, queryParams.token)
       .then(response => {
-        if (response.success) {
-          this.handleFetchedData(response, queryParams);
-        }
+        this.handleFetchedData(response, queryParams);
         // fetch metadata for selected token
         this.getSelectedTokenMetadata(queryParams.token);
+      })
+      .catch(error => {
+        this.setState({ loadingHistory: false, errorMessage: getErrorMessage(error) });
       });
   };
 
@@ -233,8 +235,9 @@ class AddressDetailLegacy extends React.Component {
    * Request data from server and update state balance
    */
   getSummaryData = () => {
-    addressApiLegacy.getBalance(this.state.address).then(response => {
-      if (response.success) {
+    addressApiLegacy
+      .getBalance(this.state.address)
+      .then(response => {
         let selectedToken = '';
         if (this.state.selectedToken && this.state.selectedToken in response.tokens_data) {
           // If user had selected a token already, should continue the same
@@ -266,22 +269,25 @@ class AddressDetailLegacy extends React.Component {
         });
 
         this.getSelectedTokenMetadata(selectedToken);
-      } else {
+      })
+      .catch(error => {
         this.setState({
           loadingSummary: false,
-          errorMessage: response.message,
+          errorMessage: getErrorMessage(error),
         });
-      }
-    });
+      });
   };
 
   getSelectedTokenMetadata = selectedToken => {
-    metadataApi.getDagMetadata(selectedToken).then(data => {
-      if (data) {
-        this.setState({ selectedTokenMetadata: data });
-      }
-      this.setState({ metadataLoaded: true });
-    });
+    metadataApi
+      .getDagMetadata(selectedToken)
+      .then(data => {
+        if (data) {
+          this.setState({ selectedTokenMetadata: data });
+        }
+      })
+      .catch(error => console.error(`Error fetching metadata of ${selectedToken}`, error))
+      .then(() => this.setState({ metadataLoaded: true }));
   };
 
   /**
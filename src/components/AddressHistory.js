@@ -146,6 +146,9 @@ class AddressHistory extends SortableTable {
         // We don't show green/red info while metadata is not loaded
         trClass = '';
       }
+      if (this.props.newTxIds.includes(tx.tx_id)) {
+        trClass = `${trClass} new-tx-tr`;
+      }
       return (
         <tr key={tx.tx_id} className={trClass} onClick={_e => this.props.onRowClicked(tx.tx_id)}>
           <td className="d-none d-lg-table-cell pe-3">
@@ -220,6 +223,9 @@ class AddressHistory extends SortableTable {
         // We don't show green/red info while metadata is not loaded
         trClass = '';
       }
+      if (this.props.newTxIds.includes(tx.tx_id)) {
+        trClass = `${trClass} new-tx-tr`;
+      }
       return (
         <tr key={tx.tx_id} className={trClass} onClick={_e => this.props.onRowClicked(tx.tx_id)}>
           <td className="pe-3">{hathorLib.transactionUtils.getTxType(tx)}</td>
@@ -253,6 +259,7 @@ class AddressHistory extends SortableTable {
  * transactions: Array of transaction balances to show in the history
  * numTransactions: total number of transactions
  * txCache: An object with the original txs in the transactions array
+ * newTxIds: Ids of the transactions that arrived while the screen was open, to be highlighted
  */
 AddressHistory.propTypes = {
   ...SortableTable.propTypes,
@@ -262,6 +269,11 @@ AddressHistory.propTypes = {
   selectedToken: PropTypes.string.isRequired,
   numTransactions: PropTypes.number.isRequired,
   txCache: PropTypes.object.isRequired,
+  newTxIds: PropTypes.arrayOf(PropTypes.string),
+};
+
+AddressHistory.defaultProps = {
+  newTxIds: [],
 };
 
 export default connect(mapStateToProps)(AddressHistory);
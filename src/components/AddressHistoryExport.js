@@ -0,0 +1,167 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSelector } from 'react-redux';
+import ErrorMessageWithIcon from './error/ErrorMessageWithIcon';
+import addressHistoryUtils from '../utils/addressHistory';
+import exportUtils from '../utils/export';
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv', serialize: addressHistoryUtils.toCsv },
+  json: { extension: 'json', mimeType: 'application/json', serialize: addressHistoryUtils.toJson },
+};
+
+/**
+ * Exports the whole history of an address for the selected token as a CSV or JSON file
+ *
+ * @memberof Components
+ */
+function AddressHistoryExport({ address, token, tokenSymbol, isNFT, numTransactions }) {
+  const decimalPlaces = useSelector(state => state.serverInfo.decimal_places);
+  // exporting {string | null} Format being exported, null when there is no export running
+  const [exporting, setExporting] = useState(null);
+  // fetched {number} Number of history elements already fetched by the running export
+  const [fetched, setFetched] = useState(0);
+  // failure {Object | null} Format and error of the last export, when it failed
+  const [failure, setFailure] = useState(null);
+  // abortController {AbortController | null} Cancels the running export
+  const abortController = useRef(null);
+
+  // A running export or its failure belong to the previous address or token
+  useEffect(() => {
+    setFailure(null);
+    return () => {
+      if (abortController.current) {
+        abortController.current.abort();
+      }
+    };
+  }, [address, token]);
+
+  /**
+   * @param {string} format One of EXPORT_FORMATS keys
+   */
+  const startExport = async format => {
+    const controller = new AbortController();
+    abortController.current = controller;
+    setExporting(format);
+    setFetched(0);
+    setFailure(null);
+
+    try {
+      const history = await addressHistoryUtils.fetchAll(address, token, {
+        onProgress: count => !controller.signal.aborted && setFetched(count),
+        signal: controller.signal,
+      });
+      if (!history) {
+        return;
+      }
+
+      const { extension, mimeType, serialize } = EXPORT_FORMATS[format];
+      const rows = addressHistoryUtils.buildExportRows(
+        history,
+        tokenSymbol,
+        isNFT ? 0 : decimalPlaces
+      );
+      exportUtils.downloadFile(
+        serialize(rows),
+        `${address}-${tokenSymbol}-history.${extension}`,
+        mimeType
+      );
+    } catch (e) {
+      if (!controller.signal.aborted) {
+        setFailure({ format, error: e });
+      }
+    } finally {
+      if (abortController.current === controller) {
+        abortController.current = null;
+        setExporting(null);
+      }
+    }
+  };
+
+  const cancelExport = () => {
+    abortController.current.abort();
+    abortController.current = null;
+    setExporting(null);
+  };
+
+  const renderProgress = () => {
+    const percentage = numTransactions
+      ? Math.min(100, Math.round((fetched / numTransactions) * 100))
+      : 0;
+
+    return (
+      <div className="d-flex flex-row align-items-center address-export-progress">
+        <div className="progress flex-grow-1 me-3">
+          <div
+            className="progress-bar"
+            role="progressbar"
+            style={{ width: `${percentage}%` }}
+            aria-valuenow={percentage}
+            aria-valuemin="0"
+            aria-valuemax="100"
+          />
+        </div>
+        <span className="me-3">
+          Exporting {fetched}
+          {numTransactions ? ` of ${numTransactions}` : ''} transactions...
+        </span>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={cancelExport}>
+          Cancel
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="address-export mt-3 mb-3">
+      {exporting ? (
+        renderProgress()
+      ) : (
+        <div className="d-flex flex-row align-items-center">
+          <span className="me-3">Export history:</span>
+          <button
+            type="button"
+            className="btn btn-hathor btn-sm me-2"
+            onClick={() => startExport('csv')}
+          >
+            CSV
+          </button>
+          <button
+            type="button"
+            className="btn btn-hathor btn-sm"
+            onClick={() => startExport('json')}
+          >
+            JSON
+          </button>
+        </div>
+      )}
+      {failure && (
+        <ErrorMessageWithIcon error={failure.error} onRetry={() => startExport(failure.format)} />
+      )}
+    </div>
+  );
+}
+
+/**
+ * address: Address whose history is exported
+ * token: Uid of the token selected on the address screen
+ * tokenSymbol: Symbol of the selected token, written on each exported row
+ * isNFT: If the selected token is an NFT, whose amounts have no decimal places
+ * numTransactions: Number of transactions of the address with the token, to show the progress
+ */
+AddressHistoryExport.propTypes = {
+  address: PropTypes.string.isRequired,
+  token: PropTypes.string.isRequired,
+  tokenSymbol: PropTypes.string.isRequired,
+  isNFT: PropTypes.bool,
+  numTransactions: PropTypes.number,
+};
+
+export default AddressHistoryExport;
@@ -0,0 +1,48 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { useAddressLabels } from '../hooks';
+import { LABEL_CATEGORIES, LABEL_SOURCES } from '../utils/addressLabels';
+
+/**
+ * Label of an address, linking to the labels screen filtered by it. Renders nothing when the
+ * address has no label.
+ *
+ * @memberof Components
+ */
+function AddressLabel({ address }) {
+  const labels = useAddressLabels();
+  const entry = labels[address];
+  if (!entry) {
+    return null;
+  }
+
+  const source = entry.source === LABEL_SOURCES.private ? 'Private label' : 'Public label';
+  return (
+    <Link
+      className={`address-label address-label-${entry.source} ms-2`}
+      to={`/labels?q=${encodeURIComponent(entry.label)}`}
+      title={`${source} - ${LABEL_CATEGORIES[entry.category]}`}
+      // Rows of some tables are links themselves
+      onClick={e => e.stopPropagation()}
+    >
+      {entry.label}
+    </Link>
+  );
+}
+
+/**
+ * address: Address whose label is shown
+ */
+AddressLabel.propTypes = {
+  address: PropTypes.string.isRequired,
+};
+
+export default AddressLabel;
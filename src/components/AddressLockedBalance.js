@@ -0,0 +1,256 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { get } from 'lodash';
+import { numberUtils } from '@hathor/wallet-lib';
+import Loading from './Loading';
+import ErrorMessageWithIcon from './error/ErrorMessageWithIcon';
+import blockApi from '../api/blockApi';
+import utxoUtils, { LOCK_REASONS } from '../utils/utxo';
+import dateFormatter from '../utils/date';
+import helpers from '../utils/helpers';
+import { AVERAGE_BLOCK_TIME, UTXO_SCAN_MAX_TXS } from '../constants';
+
+/**
+ * @param {AddressUtxo[]} utxos
+ *
+ * @return {number} Sum of the amounts of the outputs, ignoring authorities
+ */
+const sumValues = utxos =>
+  utxos.reduce((acc, utxo) => (utxo.isAuthority ? acc : acc + utxo.value), 0);
+
+/**
+ * Breakdown of the locked balance of an address, with the reason and unlock countdown of each
+ * locked output
+ *
+ * @memberof Components
+ */
+function AddressLockedBalance({ address, token, lockedBalance, isNFT, newUiEnabled }) {
+  const decimalPlaces = useSelector(state => state.serverInfo.decimal_places);
+  const rewardLock = useSelector(state => state.serverInfo.reward_spend_min_blocks);
+  const dashboardHeight = useSelector(state => state.data?.best_block_height);
+
+  // utxos {AddressUtxo[]} Unspent outputs found with a lock when they were loaded
+  const [utxos, setUtxos] = useState([]);
+  // complete {boolean} If all the locked outputs were found
+  const [complete, setComplete] = useState(true);
+  // loading {boolean} If the outputs are being loaded
+  const [loading, setLoading] = useState(true);
+  // error {ApiError | null} Error loading the outputs
+  const [error, setError] = useState(null);
+  // loadAttempt {number} Incremented to load the outputs again after an error
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  // fetchedHeight {number | null} Best chain height loaded with the outputs, until the dashboard
+  // data arrives
+  const [fetchedHeight, setFetchedHeight] = useState(null);
+  // now {number} Current timestamp in seconds, updated every second while there are countdowns
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  const currentHeight = dashboardHeight || fetchedHeight;
+  // Latest height, read when loading the outputs without loading them again on every block
+  const currentHeightRef = useRef(currentHeight);
+  currentHeightRef.current = currentHeight;
+
+  // The countdowns only need the clock while there are locked outputs on screen
+  const hasCountdowns = lockedBalance > 0 && utxos.length > 0;
+
+  useEffect(() => {
+    if (!hasCountdowns) {
+      return undefined;
+    }
+    setNow(Math.floor(Date.now() / 1000));
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => {
+      clearInterval(interval);
+    };
+  }, [hasCountdowns]);
+
+  useEffect(() => {
+    if (lockedBalance <= 0) {
+      return undefined;
+    }
+    const controller = new AbortController();
+
+    async function loadUtxos() {
+      setLoading(true);
+      setError(null);
+      try {
+        // Reward locks depend on the height, so it must be known before looking for the outputs
+        let height = currentHeightRef.current;
+        if (!height) {
+          height = get(await blockApi.getBestChainHeight(), 'hits[0].height', null);
+          setFetchedHeight(height);
+        }
+
+        const lockOptions = {
+          now: Math.floor(Date.now() / 1000),
+          currentHeight: height,
+          rewardLock,
+        };
+        const filterLocked = items =>
+          items.filter(utxo => utxoUtils.getLock(utxo, lockOptions) !== null);
+
+        const data = await utxoUtils.fetchUtxos(address, token, {
+          until: found => sumValues(filterLocked(found)) >= lockedBalance,
+          signal: controller.signal,
+        });
+        if (data) {
+          const locked = filterLocked(data.utxos);
+          setUtxos(locked);
+          setComplete(data.complete || sumValues(locked) >= lockedBalance);
+        }
+      } catch (e) {
+        if (!controller.signal.aborted) {
+          setError(e);
+        }
+      }
+      if (!controller.signal.aborted) {
+        setLoading(false);
+      }
+    }
+
+    loadUtxos();
+    return () => {
+      controller.abort();
+    };
+  }, [address, token, lockedBalance, rewardLock, loadAttempt]);
+
+  if (lockedBalance <= 0) {
+    return null;
+  }
+
+  const renderValue = value => numberUtils.prettyValue(value, isNFT ? 0 : decimalPlaces);
+
+  /**
+   * @param {UtxoLock} lock
+   *
+   * @return {string} Time left until the output unlocks
+   */
+  const renderCountdown = lock => {
+    if (lock.reason === LOCK_REASONS.timelock) {
+      return dateFormatter.uptimeFormat(lock.unlockTimestamp - now);
+    }
+    if (!currentHeight) {
+      return '-';
+    }
+    const blocksLeft = lock.unlockHeight - currentHeight;
+    return `${blocksLeft} ${
+      blocksLeft === 1 ? 'block' : 'blocks'
+    } (about ${dateFormatter.uptimeFormat(blocksLeft * AVERAGE_BLOCK_TIME)})`;
+  };
+
+  const renderRow = utxo => {
+    const lock = utxoUtils.getLock(utxo, { now, currentHeight, rewardLock });
+    const key = `${utxo.tx_id}:${utxo.index}`;
+    return (
+      <tr key={key}>
+        <td>
+          <Link to={`/transaction/${utxo.tx_id}`}>{helpers.getShortHash(utxo.tx_id)}</Link>
+          {` [${utxo.index}]`}
+        </td>
+        <td>{utxo.isAuthority ? 'Authority' : renderValue(utxo.value)}</td>
+        {lock ? (
+          <>
+            <td>{lock.reason === LOCK_REASONS.timelock ? 'Timelock' : 'Reward lock'}</td>
+            <td>
+              {lock.reason === LOCK_REASONS.timelock
+                ? dateFormatter.parseTimestamp(lock.unlockTimestamp)
+                : `Block ${lock.unlockHeight}`}
+            </td>
+            <td>{renderCountdown(lock)}</td>
+          </>
+        ) : (
+          <td colSpan={3}>Unlocked</td>
+        )}
+      </tr>
+    );
+  };
+
+  const renderTable = () => {
+    const content = (
+      <>
+        <thead>
+          <tr>
+            <th>Output</th>
+            <th>Amount</th>
+            <th>Reason</th>
+            <th>Unlocks at</th>
+            <th>Unlocks in</th>
+          </tr>
+        </thead>
+        <tbody>{utxos.map(renderRow)}</tbody>
+      </>
+    );
+
+    return (
+      <div className="table-responsive">
+        {newUiEnabled ? (
+          <table className="table-stylized" id="locked-utxos-table">
+            {content}
+          </table>
+        ) : (
+          <table className="table table-striped" id="locked-utxos-table">
+            {content}
+          </table>
+        )}
+      </div>
+    );
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return <Loading />;
+    }
+    if (error) {
+      return <ErrorMessageWithIcon error={error} onRetry={() => setLoadAttempt(a => a + 1)} />;
+    }
+
+    return (
+      <div>
+        {renderTable()}
+        {!complete && (
+          <p className="text-warning">
+            Only the locked outputs among the latest {UTXO_SCAN_MAX_TXS} transactions of the address
+            are shown.
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="address-locked-balance mt-3">
+      <h5>Locked balance</h5>
+      {renderContent()}
+    </div>
+  );
+}
+
+/**
+ * address: Address shown on the screen
+ * token: Uid of the selected token
+ * lockedBalance: Locked balance of the token on the address, the sum of the outputs to find
+ * isNFT: If the token is an NFT, shown without decimal places
+ * newUiEnabled: If the new UI is enabled
+ */
+AddressLockedBalance.propTypes = {
+  address: PropTypes.string.isRequired,
+  token: PropTypes.string.isRequired,
+  lockedBalance: PropTypes.number,
+  isNFT: PropTypes.bool,
+  newUiEnabled: PropTypes.bool,
+};
+
+AddressLockedBalance.defaultProps = {
+  lockedBalance: 0,
+};
+
+export default AddressLockedBalance;
@@ -0,0 +1,152 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import Loading from './Loading';
+import AddressLabel from './AddressLabel';
+import ErrorMessageWithIcon from './error/ErrorMessageWithIcon';
+import multisigUtils from '../utils/multisig';
+import helpers from '../utils/helpers';
+import { MULTISIG_SCAN_MAX_TXS } from '../constants';
+
+/**
+ * Signers of a P2SH multisig address, read from the redeem script of a transaction spending it
+ *
+ * @memberof Components
+ */
+function AddressMultisigInfo({ address, token, newUiEnabled }) {
+  // policy {MultisigPolicy | null} Policy of the address, null while unknown
+  const [policy, setPolicy] = useState(null);
+  // loading {boolean} If the transactions of the address are being checked
+  const [loading, setLoading] = useState(true);
+  // error {ApiError | null} Error looking for the policy
+  const [error, setError] = useState(null);
+  // loadAttempt {number} Incremented to look for the policy again after an error
+  const [loadAttempt, setLoadAttempt] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    async function loadPolicy() {
+      setPolicy(null);
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await multisigUtils.findPolicy(address, token, {
+          signal: controller.signal,
+        });
+        if (!controller.signal.aborted) {
+          setPolicy(data);
+        }
+      } catch (e) {
+        if (!controller.signal.aborted) {
+          setError(e);
+        }
+      }
+      if (!controller.signal.aborted) {
+        setLoading(false);
+      }
+    }
+
+    loadPolicy();
+    return () => {
+      controller.abort();
+    };
+  }, [address, token, loadAttempt]);
+
+  const renderParticipants = () => {
+    const content = (
+      <>
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Public key</th>
+            <th>Address</th>
+          </tr>
+        </thead>
+        <tbody>
+          {policy.participants.map((participant, idx) => (
+            <tr key={participant.publicKey}>
+              <td>{idx + 1}</td>
+              <td className="multisig-public-key">{participant.publicKey}</td>
+              <td>
+                <Link to={`/address/${participant.address}`}>{participant.address}</Link>
+                <AddressLabel address={participant.address} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </>
+    );
+
+    return (
+      <div className="table-responsive">
+        {newUiEnabled ? (
+          <table className="table-stylized" id="multisig-participants-table">
+            {content}
+          </table>
+        ) : (
+          <table className="table table-striped" id="multisig-participants-table">
+            {content}
+          </table>
+        )}
+      </div>
+    );
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return <Loading />;
+    }
+    if (error) {
+      return <ErrorMessageWithIcon error={error} onRetry={() => setLoadAttempt(a => a + 1)} />;
+    }
+    if (!policy) {
+      return (
+        <p>
+          The signers of a multisig address are only public after it spends an output. None of its
+          latest {MULTISIG_SCAN_MAX_TXS} transactions spent from it.
+        </p>
+      );
+    }
+
+    return (
+      <div>
+        <p>
+          <strong>
+            {policy.signaturesRequired} of {policy.participants.length}
+          </strong>{' '}
+          signatures required, as revealed by{' '}
+          <Link to={`/transaction/${policy.txId}`}>{helpers.getShortHash(policy.txId)}</Link>
+        </p>
+        {renderParticipants()}
+      </div>
+    );
+  };
+
+  return (
+    <div className="address-multisig mt-3">
+      <h5>P2SH multisig address</h5>
+      {renderContent()}
+    </div>
+  );
+}
+
+/**
+ * address: P2SH address shown on the screen
+ * token: Uid of the token whose history is checked for a transaction spending the address
+ * newUiEnabled: If the new UI is enabled
+ */
+AddressMultisigInfo.propTypes = {
+  address: PropTypes.string.isRequired,
+  token: PropTypes.string.isRequired,
+  newUiEnabled: PropTypes.bool,
+};
+
+export default AddressMultisigInfo;
@@ -0,0 +1,166 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import hathorLib from '@hathor/wallet-lib';
+import { useSelector } from 'react-redux';
+import { QRCodeCanvas, QRCodeSVG } from 'qrcode.react';
+import { CopyToClipboard } from 'react-copy-to-clipboard';
+import NewHathorAlert from './NewHathorAlert';
+import paymentUtils from '../utils/payment';
+import exportUtils from '../utils/export';
+
+// Size of the downloaded PNG, larger than the one on screen so it prints well
+const PNG_QR_CODE_SIZE = 512;
+
+/**
+ * QR code of a payment request to the address, with an optional amount and token
+ *
+ * @memberof Components
+ */
+function AddressPaymentRequest({ address, tokens }) {
+  const serverInfo = useSelector(state => state.serverInfo);
+  const nativeTokenUid = hathorLib.constants.NATIVE_TOKEN_UID;
+  const nativeSymbol =
+    serverInfo?.native_token?.symbol ?? hathorLib.constants.DEFAULT_NATIVE_TOKEN_CONFIG.symbol;
+
+  // open {boolean} If the panel is expanded
+  const [open, setOpen] = useState(false);
+  // amount {string} Amount requested, as typed by the user
+  const [amount, setAmount] = useState('');
+  // token {string} Uid of the token requested
+  const [token, setToken] = useState(nativeTokenUid);
+  // successMessage {string} Message of the success alert
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const svgContainer = useRef(null);
+  const canvasContainer = useRef(null);
+  const alertSuccess = useRef(null);
+
+  const isAmountValid = !amount || paymentUtils.isValidAmount(amount, serverInfo.decimal_places);
+  const uri = paymentUtils.buildUri(address, { amount, token });
+
+  const tokenOptions = [
+    { uid: nativeTokenUid, symbol: nativeSymbol },
+    ...Object.values(tokens)
+      .filter(item => item.token_id !== nativeTokenUid)
+      .map(item => ({ uid: item.token_id, symbol: item.symbol })),
+  ];
+
+  /**
+   * Method called on copy to clipboard success
+   *
+   * @param {string} _text Text copied to clipboard
+   * @param {*} result Null in case of error
+   */
+  const copied = (_text, result) => {
+    if (result) {
+      setSuccessMessage('Payment request copied to clipboard!');
+      alertSuccess.current.show(3000);
+    }
+  };
+
+  const downloadPng = () => {
+    const canvas = canvasContainer.current.querySelector('canvas');
+    canvas.toBlob(blob => exportUtils.downloadFile(blob, `${address}.png`));
+  };
+
+  const downloadSvg = () => {
+    const svg = svgContainer.current.querySelector('svg');
+    const content = new XMLSerializer().serializeToString(svg);
+    exportUtils.downloadFile(content, `${address}.svg`, 'image/svg+xml');
+  };
+
+  if (!open) {
+    return (
+      <button type="button" className="btn btn-secondary btn-sm mt-3" onClick={() => setOpen(true)}>
+        Request payment
+      </button>
+    );
+  }
+
+  return (
+    <div className="address-payment-request mt-3">
+      <div className="d-flex flex-row align-items-center mb-3">
+        <h5 className="mb-0 me-3">Payment request</h5>
+        <i className="fa fa-times pointer" title="Close" onClick={() => setOpen(false)}></i>
+      </div>
+      <div className="d-flex flex-column flex-lg-row">
+        <div className="payment-request-form me-lg-4 mb-3">
+          <label htmlFor="payment-amount" className="form-label">
+            Amount (optional)
+          </label>
+          <input
+            id="payment-amount"
+            className="form-control mb-2"
+            inputMode="decimal"
+            placeholder="0.00"
+            value={amount}
+            onChange={e => setAmount(e.target.value.trim())}
+          />
+          {!isAmountValid && (
+            <p className="text-danger">
+              Invalid amount, use up to {serverInfo.decimal_places} decimal places.
+            </p>
+          )}
+          <label htmlFor="payment-token" className="form-label">
+            Token
+          </label>
+          <select
+            id="payment-token"
+            className="form-select"
+            value={token}
+            onChange={e => setToken(e.target.value)}
+          >
+            {tokenOptions.map(option => (
+              <option key={option.uid} value={option.uid}>
+                {option.symbol}
+              </option>
+            ))}
+          </select>
+        </div>
+        {isAmountValid && (
+          <div className="d-flex flex-column align-items-start">
+            <div className="payment-request-qr-code" ref={svgContainer}>
+              <QRCodeSVG size={200} value={uri} includeMargin />
+            </div>
+            <div className="d-none" ref={canvasContainer}>
+              <QRCodeCanvas size={PNG_QR_CODE_SIZE} value={uri} includeMargin />
+            </div>
+            <p className="payment-request-uri mt-2">
+              {uri}
+              <CopyToClipboard text={uri} onCopy={copied}>
+                <i className="fa fa-clone pointer ms-2" title="Copy to clipboard"></i>
+              </CopyToClipboard>
+            </p>
+            <div>
+              <button type="button" className="btn btn-hathor btn-sm me-2" onClick={downloadPng}>
+                Download PNG
+              </button>
+              <button type="button" className="btn btn-hathor btn-sm" onClick={downloadSvg}>
+                Download SVG
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+      <NewHathorAlert ref={alertSuccess} text={successMessage} type="success" />
+    </div>
+  );
+}
+
+/**
+ * address: Address that receives the payment
+ * tokens: Tokens of the address, indexed by uid, offered on the token selection
+ */
+AddressPaymentRequest.propTypes = {
+  address: PropTypes.string.isRequired,
+  tokens: PropTypes.object.isRequired,
+};
+
+export default AddressPaymentRequest;
@@ -10,6 +10,7 @@ import PropTypes from 'prop-types';
 import { numberUtils } from '@hathor/wallet-lib';
 import { connect } from 'react-redux';
 import HathorSelect from './HathorSelect';
+import AddressLabel from './AddressLabel';
 
 const mapStateToProps = state => ({
   decimalPlaces: state.serverInfo.decimal_places,
@@ -35,6 +36,7 @@ class AddressSummary extends React.Component {
         <div className="card text-white bg-dark mb-3">
           <div className="card-body">
             Address: {this.props.address}
+            <AddressLabel address={this.props.address} />
             <br />
             Number of tokens: {Object.keys(this.props.tokens).length}
           </div>
@@ -48,7 +50,10 @@ class AddressSummary extends React.Component {
           <div className="summary-main-info-container ">
             <div className="address-container-title summary-container-title-purple">Address</div>
             <div className="address-div">
-              <p>{this.props.address}</p>
+              <p>
+                {this.props.address}
+                <AddressLabel address={this.props.address} />
+              </p>
             </div>
           </div>
           <div className="summary-main-info-container">
@@ -0,0 +1,181 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSelector } from 'react-redux';
+import { orderBy } from 'lodash';
+import Loading from './Loading';
+import ErrorMessageWithIcon from './error/ErrorMessageWithIcon';
+import AddressUtxosTable from './AddressUtxosTable';
+import utxoUtils from '../utils/utxo';
+import exportUtils from '../utils/export';
+import { UTXO_SCAN_MAX_TXS } from '../constants';
+
+/**
+ * Unspent outputs of an address for the selected token, with sorting and CSV export
+ *
+ * @memberof Components
+ */
+function AddressUtxos({ address, token, tokenSymbol, isNFT, numTransactions, newUiEnabled }) {
+  const decimalPlaces = useSelector(state => state.serverInfo.decimal_places);
+
+  // utxos {AddressUtxo[]} Unspent outputs of the address
+  const [utxos, setUtxos] = useState([]);
+  // complete {boolean} If all the transactions of the address were checked
+  const [complete, setComplete] = useState(true);
+  // checked {number} Number of transactions already checked, to show the progress
+  const [checked, setChecked] = useState(0);
+  // loading {boolean} If the outputs are being loaded
+  const [loading, setLoading] = useState(true);
+  // error {ApiError | null} Error loading the outputs
+  const [error, setError] = useState(null);
+  // loadAttempt {number} Incremented to load the outputs again
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  // sortBy {string} Field of the outputs used for sorting
+  const [sortBy, setSortBy] = useState('value');
+  // order {string} Order of the table, 'asc' or 'desc'
+  const [order, setOrder] = useState('desc');
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    async function loadUtxos() {
+      setUtxos([]);
+      setChecked(0);
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await utxoUtils.fetchUtxos(address, token, {
+          onProgress: count => !controller.signal.aborted && setChecked(count),
+          signal: controller.signal,
+        });
+        if (data) {
+          setUtxos(data.utxos);
+          setComplete(data.complete);
+        }
+      } catch (e) {
+        if (!controller.signal.aborted) {
+          setError(e);
+        }
+      }
+      if (!controller.signal.aborted) {
+        setLoading(false);
+      }
+    }
+
+    loadUtxos();
+    return () => {
+      controller.abort();
+    };
+  }, [address, token, loadAttempt]);
+
+  const onTableHeaderClicked = (e, field) => {
+    e.preventDefault();
+    if (field === sortBy) {
+      setOrder(order === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortBy(field);
+      setOrder('desc');
+    }
+  };
+
+  const exportCsv = () => {
+    const rows = utxoUtils.buildExportRows(utxos, tokenSymbol, isNFT ? 0 : decimalPlaces);
+    exportUtils.downloadFile(
+      utxoUtils.toCsv(rows),
+      `${address}-${tokenSymbol}-utxos.csv`,
+      'text/csv'
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="address-utxos mt-3">
+        <Loading />
+        <p>
+          Checked {checked}
+          {numTransactions ? ` of ${numTransactions}` : ''} transactions...
+        </p>
+      </div>
+    );
+  }
+  if (error) {
+    return (
+      <div className="address-utxos mt-3">
+        <ErrorMessageWithIcon error={error} onRetry={() => setLoadAttempt(a => a + 1)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="address-utxos mt-3">
+      <div className="d-flex flex-row align-items-center mb-2">
+        <span className="me-3">
+          {utxos.length} unspent {utxos.length === 1 ? 'output' : 'outputs'}
+        </span>
+        <button
+          type="button"
+          className="btn btn-hathor btn-sm me-2"
+          onClick={exportCsv}
+          disabled={utxos.length === 0}
+        >
+          Export CSV
+        </button>
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={() => setLoadAttempt(a => a + 1)}
+        >
+          Reload
+        </button>
+      </div>
+      {!complete && (
+        <p className="text-warning">
+          Only the outputs of the latest {UTXO_SCAN_MAX_TXS} transactions of the address are shown.
+        </p>
+      )}
+      {utxos.length === 0 ? (
+        <p>This address has no unspent outputs of this token.</p>
+      ) : (
+        <AddressUtxosTable
+          data={orderBy(utxos, [sortBy, 'tx_id', 'index'], [order, 'asc', 'asc'])}
+          hasBefore={false}
+          hasAfter={false}
+          onNextPageClicked={() => {}}
+          onPreviousPageClicked={() => {}}
+          loading={false}
+          sortBy={sortBy}
+          order={order}
+          tableHeaderClicked={onTableHeaderClicked}
+          decimalPlaces={decimalPlaces}
+          isNFT={isNFT}
+          newUiEnabled={newUiEnabled}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * address: Address shown on the screen
+ * token: Uid of the selected token
+ * tokenSymbol: Symbol of the selected token, written on the exported rows
+ * isNFT: If the token is an NFT, shown without decimal places
+ * numTransactions: Number of transactions of the address with the token, to show the progress
+ * newUiEnabled: If the new UI is enabled
+ */
+AddressUtxos.propTypes = {
+  address: PropTypes.string.isRequired,
+  token: PropTypes.string.isRequired,
+  tokenSymbol: PropTypes.string.isRequired,
+  isNFT: PropTypes.bool,
+  numTransactions: PropTypes.number,
+  newUiEnabled: PropTypes.bool,
+};
+
+export default AddressUtxos;
@@ -0,0 +1,90 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { numberUtils } from '@hathor/wallet-lib';
+import SortableTable from './SortableTable';
+import utxoUtils from '../utils/utxo';
+import dateFormatter from '../utils/date';
+
+/**
+ * Columns of the table, the key is the field of the outputs used for sorting
+ */
+const COLUMNS = [
+  { key: 'tx_id', title: 'Transaction' },
+  { key: 'index', title: 'Index' },
+  { key: 'value', title: 'Amount' },
+  { key: 'timelock', title: 'Timelock' },
+  { key: 'isAuthority', title: 'Authority' },
+];
+
+class AddressUtxosTable extends SortableTable {
+  renderTable(content) {
+    return this.props.newUiEnabled ? (
+      <table className="table-stylized" id="utxos-table">
+        {content}
+      </table>
+    ) : (
+      <table className="table table-striped" id="utxos-table">
+        {content}
+      </table>
+    );
+  }
+
+  renderTableHead() {
+    return (
+      <tr>
+        {COLUMNS.map(column => (
+          <th
+            key={column.key}
+            className="sortable"
+            onClick={e => this.props.tableHeaderClicked(e, column.key)}
+          >
+            {column.title} {this.getArrow(column.key)}
+          </th>
+        ))}
+      </tr>
+    );
+  }
+
+  renderTableBody() {
+    return this.props.data.map(utxo => (
+      <tr key={`${utxo.tx_id}:${utxo.index}`}>
+        <td className="utxo-tx-id">
+          <Link to={`/transaction/${utxo.tx_id}`}>{utxo.tx_id}</Link>
+        </td>
+        <td>{utxo.index}</td>
+        <td>
+          {utxo.isAuthority
+            ? '-'
+            : numberUtils.prettyValue(utxo.value, this.props.isNFT ? 0 : this.props.decimalPlaces)}
+        </td>
+        <td>{utxo.timelock ? dateFormatter.parseTimestamp(utxo.timelock) : '-'}</td>
+        <td>{utxo.isAuthority ? utxoUtils.getAuthorityName(utxo.value) : 'No'}</td>
+      </tr>
+    ));
+  }
+
+  // All the outputs are loaded at once, so there are no pages
+  loadPagination() {
+    return null;
+  }
+}
+
+/**
+ * decimalPlaces: Decimal places of the amounts
+ * isNFT: If the token is an NFT, shown without decimal places
+ */
+AddressUtxosTable.propTypes = {
+  ...SortableTable.propTypes,
+  decimalPlaces: PropTypes.number.isRequired,
+  isNFT: PropTypes.bool,
+};
+
+export default AddressUtxosTable;
@@ -0,0 +1,216 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { select } from 'd3-selection';
+import { zoom, zoomIdentity } from 'd3-zoom';
+
+const HEIGHT = 500;
+const NODE_WIDTH = 150;
+const NODE_HEIGHT = 44;
+const COLUMN_WIDTH = 280;
+const ROW_HEIGHT = 70;
+const MARGIN = 30;
+// Characters of the hash that fit on a node, next to the expand button
+const HASH_LENGTH = 12;
+
+export const TRACE_NODE_STATUS = {
+  pending: 'pending',
+  loading: 'loading',
+  expanded: 'expanded',
+  error: 'error',
+};
+
+/**
+ * @param {Object} node
+ *
+ * @return {string} Second line of the node
+ */
+const describeStatus = node => {
+  switch (node.status) {
+    case TRACE_NODE_STATUS.pending:
+      return 'Click + to expand';
+    case TRACE_NODE_STATUS.loading:
+      return 'Loading...';
+    case TRACE_NODE_STATUS.error:
+      return 'Failed to load';
+    default:
+      return `Hop ${node.hop}`;
+  }
+};
+
+/**
+ * Transactions of a fund trace in columns by hop, with pan and zoom
+ *
+ * @memberof Components
+ */
+function FundTraceGraph({ nodes, edges, selectedTx, highlightedEdges, onSelect, onExpand }) {
+  const svgRef = useRef(null);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const svg = select(svgRef.current);
+    const container = select(containerRef.current);
+    const zoomBehavior = zoom()
+      .scaleExtent([0.2, 3])
+      .on('zoom', event => container.attr('transform', event.transform));
+    svg.call(zoomBehavior).on('dblclick.zoom', null);
+    svg.call(zoomBehavior.transform, zoomIdentity.translate(MARGIN, MARGIN));
+    return () => {
+      svg.on('.zoom', null);
+    };
+  }, []);
+
+  useEffect(() => {
+    const container = select(containerRef.current);
+    container.selectAll('*').remove();
+
+    // Position of each transaction, in columns by hop
+    const positions = new Map();
+    const rows = {};
+    for (const node of nodes) {
+      const row = rows[node.hop] || 0;
+      rows[node.hop] = row + 1;
+      positions.set(node.txId, { x: node.hop * COLUMN_WIDTH, y: row * ROW_HEIGHT });
+    }
+
+    for (const edge of edges) {
+      const from = positions.get(edge.source);
+      const to = positions.get(edge.target);
+      if (!from || !to) {
+        continue;
+      }
+
+      // Links go from the right of the earlier column to the left of the later one
+      const [start, end] = from.x <= to.x ? [from, to] : [to, from];
+      const x0 = start.x + NODE_WIDTH;
+      const y0 = start.y + NODE_HEIGHT / 2;
+      const x1 = end.x;
+      const y1 = end.y + NODE_HEIGHT / 2;
+      const middle = (x0 + x1) / 2;
+
+      const group = container
+        .append('g')
+        .attr(
+          'class',
+          highlightedEdges.includes(edge.id)
+            ? 'fund-trace-edge fund-trace-edge-highlighted'
+            : 'fund-trace-edge'
+        );
+      group
+        .append('path')
+        .attr('d', `M${x0},${y0}C${middle},${y0} ${middle},${y1} ${x1},${y1}`)
+        .append('title')
+        .text(`${edge.address || 'Unknown address'}\n${edge.label}`);
+      group
+        .append('text')
+        .attr('x', middle)
+        .attr('y', (y0 + y1) / 2 - 4)
+        .attr('text-anchor', 'middle')
+        .text(edge.label);
+    }
+
+    for (const node of nodes) {
+      const { x, y } = positions.get(node.txId);
+      let className = `fund-trace-node fund-trace-node-${node.status}`;
+      if (node.isStart) {
+        className += ' fund-trace-node-start';
+      }
+      if (node.txId === selectedTx) {
+        className += ' fund-trace-node-selected';
+      }
+
+      const group = container
+        .append('g')
+        .attr('class', className)
+        .attr('transform', `translate(${x},${y})`)
+        .on('click', () => onSelect(node.txId));
+      group
+        .append('rect')
+        .attr('width', NODE_WIDTH)
+        .attr('height', NODE_HEIGHT)
+        .attr('rx', 4);
+      group.append('title').text(node.txId);
+      group
+        .append('text')
+        .attr('x', 10)
+        .attr('y', 18)
+        .attr('class', 'fund-trace-node-hash')
+        .text(`${node.txId.substring(0, HASH_LENGTH)}...`);
+      group
+        .append('text')
+        .attr('x', 10)
+        .attr('y', 35)
+        .text(describeStatus(node));
+
+      if (node.status === TRACE_NODE_STATUS.pending || node.status === TRACE_NODE_STATUS.error) {
+        const button = group
+          .append('g')
+          .attr('class', 'fund-trace-node-expand')
+          .attr('transform', `translate(${NODE_WIDTH - 16},${NODE_HEIGHT / 2})`)
+          .on('click', event => {
+            event.stopPropagation();
+            onExpand(node.txId);
+          });
+        button.append('circle').attr('r', 10);
+        button
+          .append('text')
+          .attr('text-anchor', 'middle')
+          .attr('dy', '0.35em')
+          .text('+');
+        button
+          .append('title')
+          .text(node.status === TRACE_NODE_STATUS.error ? 'Try again' : 'Expand');
+      }
+    }
+  }, [nodes, edges, selectedTx, highlightedEdges, onSelect, onExpand]);
+
+  return (
+    <svg className="fund-trace-graph" ref={svgRef} width="100%" height={HEIGHT}>
+      <g ref={containerRef} />
+    </svg>
+  );
+}
+
+/**
+ * nodes: Transactions shown, with their hop and status
+ * edges: Outputs linking the transactions, with the text shown on them
+ * selectedTx: Transaction selected by the user
+ * highlightedEdges: Ids of the edges on the path to the selected transaction
+ * onSelect: Called with the id of a transaction clicked
+ * onExpand: Called with the id of a transaction to follow its funds
+ */
+FundTraceGraph.propTypes = {
+  nodes: PropTypes.arrayOf(
+    PropTypes.shape({
+      txId: PropTypes.string.isRequired,
+      hop: PropTypes.number.isRequired,
+      status: PropTypes.string.isRequired,
+      isStart: PropTypes.bool,
+    })
+  ).isRequired,
+  edges: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      source: PropTypes.string.isRequired,
+      target: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      address: PropTypes.string,
+    })
+  ).isRequired,
+  selectedTx: PropTypes.string,
+  highlightedEdges: PropTypes.arrayOf(PropTypes.string),
+  onSelect: PropTypes.func.isRequired,
+  onExpand: PropTypes.func.isRequired,
+};
+
+FundTraceGraph.defaultProps = {
+  highlightedEdges: [],
+};
+
+export default FundTraceGraph;
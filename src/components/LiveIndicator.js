@@ -0,0 +1,34 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { useSelector } from 'react-redux';
+import { WS_CONNECTION_STATES } from '../constants';
+
+const LABELS = {
+  [WS_CONNECTION_STATES.connected]: 'Live',
+  [WS_CONNECTION_STATES.reconnecting]: 'Reconnecting...',
+  [WS_CONNECTION_STATES.disconnected]: 'Disconnected',
+};
+
+/**
+ * Shows if the real time data of the screen is being received through the websocket
+ *
+ * @memberof Components
+ */
+function LiveIndicator() {
+  const wsConnectionState = useSelector(state => state.wsConnectionState);
+
+  return (
+    <span className={`live-indicator live-indicator-${wsConnectionState}`}>
+      <span className="live-indicator-dot" />
+      {LABELS[wsConnectionState]}
+    </span>
+  );
+}
+
+export default LiveIndicator;
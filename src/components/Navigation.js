@@ -5,12 +5,12 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import React, { useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { NavLink, Link, useHistory } from 'react-router-dom';
-import hathorLib from '@hathor/wallet-lib';
+import { debounce } from 'lodash';
 import { useFlag } from '@unleash/proxy-client-react';
 import { useDispatch, useSelector } from 'react-redux';
-import { useNewUiEnabled } from '../hooks';
+import { useBackendSupports, useFeatureFlagName, useNewUiEnabled } from '../hooks';
 import logo from '../assets/images/hathor-white-logo.png';
 import moon from '../assets/images/moon.svg';
 import sun from '../assets/images/sun-dark.svg';
@@ -19,29 +19,56 @@ import { ReactComponent as GlobeNetwork } from '../assets/images/global.svg';
 import { ReactComponent as SearchIcon } from '../assets/images/search-icon.svg';
 import { ReactComponent as MenuIcon } from '../assets/images/sidebar-menu.svg';
 import { ReactComponent as ArrorDownNavItem } from '../assets/images/arrow-down-nav-dropdown.svg';
-import HathorAlert from './HathorAlert';
 import Version from './Version';
 import ConditionalNavigation from './ConditionalNavigation';
 import Sidebar from './Sidebar';
+import NetworkSwitcher from './NetworkSwitcher';
+import SearchPanel from './SearchPanel';
+import searchUtils, { SEARCH_RESULT_TYPES } from '../utils/search';
+import xpubUtils from '../utils/xpub';
 import {
   UNLEASH_TOKENS_BASE_FEATURE_FLAG,
   UNLEASH_TOKEN_BALANCES_FEATURE_FLAG,
-  REACT_APP_NETWORK,
+  BACKEND_CAPABILITIES,
 } from '../constants';
 import { toggleTheme } from '../actions';
 
+const DEBOUNCE_SEARCH_TIME = 300; // ms
+// Minimum length of the text to suggest tokens while the user types
+const MIN_SUGGESTION_LENGTH = 2;
+
 function Navigation() {
   const history = useHistory();
   const dispatch = useDispatch();
-  const alertErrorRef = useRef(null);
   const txSearchRef = useRef(null);
-  const isTokensBaseEnabled = useFlag(`${UNLEASH_TOKENS_BASE_FEATURE_FLAG}.rollout`);
-  const isTokensBalanceEnabled = useFlag(`${UNLEASH_TOKEN_BALANCES_FEATURE_FLAG}.rollout`);
+  // latestSearch {number} Id of the latest search, so results of previous ones are discarded
+  const latestSearch = useRef(0);
+  const tokensBaseFlag = useFeatureFlagName(UNLEASH_TOKENS_BASE_FEATURE_FLAG);
+  const tokenBalancesFlag = useFeatureFlagName(UNLEASH_TOKEN_BALANCES_FEATURE_FLAG);
+  const isTokensBaseEnabled = useFlag(`${tokensBaseFlag}.rollout`);
+  const isTokensBalanceEnabled = useFlag(`${tokenBalancesFlag}.rollout`);
   const theme = useSelector(state => state.theme);
   const newUiEnabled = useNewUiEnabled();
   const [showSearchInput, setShowSearchInput] = useState(false);
   const [showSidebar, setShowSidebar] = useState(false);
-  const showTokensTab = isTokensBalanceEnabled || isTokensBaseEnabled;
+  const hasTokenIndex = useBackendSupports(BACKEND_CAPABILITIES.tokenIndex);
+  const showTokensTab = hasTokenIndex && (isTokensBalanceEnabled || isTokensBaseEnabled);
+  // searchPanel {Object | null} Props of the panel below the search input, null when hidden
+  const [searchPanel, setSearchPanel] = useState(null);
+
+  useEffect(() => {
+    if (!searchPanel) {
+      return undefined;
+    }
+
+    const hidePanelOnClickOutside = e => {
+      if (!e.target.closest('.search-container')) {
+        setSearchPanel(null);
+      }
+    };
+    document.addEventListener('mousedown', hidePanelOnClickOutside);
+    return () => document.removeEventListener('mousedown', hidePanelOnClickOutside);
+  }, [searchPanel]);
 
   const showSidebarHandler = () => {
     setShowSidebar(!showSidebar);
@@ -54,37 +81,105 @@ function Navigation() {
   const handleKeyUp = e => {
     if (e.key === 'Enter') {
       search();
+    } else if (e.key === 'Escape') {
+      setSearchPanel(null);
     }
   };
 
-  const search = () => {
-    const text = txSearchRef.current.value;
+  const onResultSelected = result => {
+    setSearchPanel(null);
+    history.push(result.path);
+  };
 
-    if (text) {
-      const regex = /[A-Fa-f\d]{64}/g;
-      if (regex.test(text)) {
-        // It's a valid hash
-        history.push(`/transaction/${text}`);
-      } else {
-        const network = hathorLib.config.getNetwork();
-        const addressObj = new hathorLib.Address(text, { network });
-        if (addressObj.isValid()) {
-          // It's a valid address
-          history.push(`/address/${text}`);
-        } else {
-          showError();
-        }
+  /**
+   * Runs a search, showing its progress and outcome on the search panel
+   *
+   * @param {string} query Text being searched
+   * @param {function(): Promise<SearchResult[]>} getResults
+   *
+   * @return {Promise<SearchResult[] | null>} Results, or null if the search failed or is outdated
+   */
+  const runSearch = async (query, getResults) => {
+    const searchId = ++latestSearch.current;
+    setSearchPanel({ query, loading: true });
+
+    try {
+      const results = await getResults();
+      return searchId === latestSearch.current ? results : null;
+    } catch (error) {
+      if (searchId === latestSearch.current) {
+        setSearchPanel({ query, error });
       }
+      return null;
     }
   };
 
-  const showError = () => {
-    alertErrorRef.current.show(3000);
+  const suggestTokens = useMemo(
+    () =>
+      debounce(async query => {
+        const results = await runSearch(query, () => searchUtils.searchTokens(query));
+        if (results) {
+          setSearchPanel({ query, results, title: 'Tokens' });
+        }
+      }, DEBOUNCE_SEARCH_TIME),
+    // runSearch only uses refs and state setters, so the first one can be kept
+    []
+  );
+
+  useEffect(() => () => suggestTokens.cancel(), [suggestTokens]);
+
+  const handleSearchChange = e => {
+    const text = e.target.value.trim();
+    suggestTokens.cancel();
+
+    const isTokenName =
+      text.length >= MIN_SUGGESTION_LENGTH &&
+      !searchUtils.isHash(text) &&
+      !searchUtils.isHeight(text) &&
+      !searchUtils.isAddress(text) &&
+      !xpubUtils.isXpub(text);
+
+    if (!hasTokenIndex || !isTokenName) {
+      // Discards suggestions still being searched
+      latestSearch.current += 1;
+      setSearchPanel(null);
+      return;
+    }
+
+    suggestTokens(text);
   };
 
-  const renderNewUi = () => {
-    const hathorNetwork = `Hathor ${REACT_APP_NETWORK}`;
+  const search = async () => {
+    const text = txSearchRef.current.value.trim();
+    if (!text) {
+      return;
+    }
+
+    suggestTokens.cancel();
+    const results = await runSearch(text, () => searchUtils.resolve(text, hasTokenIndex));
+    if (!results) {
+      return;
+    }
+
+    if (results.length === 1) {
+      onResultSelected(results[0]);
+      return;
+    }
 
+    let title = null;
+    if (results.length > 1) {
+      title = results.every(result => result.type === SEARCH_RESULT_TYPES.token)
+        ? 'Tokens'
+        : 'This hash matches more than one result';
+    }
+    setSearchPanel({ query: text, results, title });
+  };
+
+  const renderSearchPanel = () => {
+    return searchPanel && <SearchPanel {...searchPanel} onSelect={onResultSelected} />;
+  };
+
+  const renderNewUi = () => {
     return (
       <nav>
         <div className="hide-logo-container-mobile">
@@ -118,7 +213,7 @@ function Navigation() {
                 theme === 'dark' ? 'dark-theme-logo' : 'light-theme-logo'
               } theme-network-logo`}
             />
-            <span className="nav-title">{hathorNetwork}</span>
+            <NetworkSwitcher />
           </div>
         </div>
         <div className="nav-tabs-container hide-tabs">
@@ -152,12 +247,12 @@ function Navigation() {
                     <ConditionalNavigation
                       to="/tokens"
                       label="Token list"
-                      featureToggle={`${UNLEASH_TOKENS_BASE_FEATURE_FLAG}.rollout`}
+                      featureToggle={`${tokensBaseFlag}.rollout`}
                     />
                     <ConditionalNavigation
                       to="/token_balances"
                       label="Token balances"
-                      featureToggle={`${UNLEASH_TOKEN_BALANCES_FEATURE_FLAG}.rollout`}
+                      featureToggle={`${tokenBalancesFlag}.rollout`}
                     />
                   </li>
                 </div>
@@ -204,17 +299,26 @@ function Navigation() {
                 <NavLink to="/push-tx/" exact className="nav-link">
                   Push Tx
                 </NavLink>
+                <NavLink to="/multisig-tx/" exact className="nav-link">
+                  Multisig Tx
+                </NavLink>
                 <NavLink to="/dag/" exact className="nav-link">
                   DAG
                 </NavLink>
                 <NavLink to="/features/" exact className="nav-link">
                   Features
                 </NavLink>
+                <NavLink to="/portfolio/" exact className="nav-link">
+                  Portfolio
+                </NavLink>
+                <NavLink to="/labels/" exact className="nav-link">
+                  Labels
+                </NavLink>
               </div>
             </li>
           </ul>
           <div className="d-flex flex-row align-items-center ms-auto navigation-search">
-            <div className="d-flex flex-row align-items-center">
+            <div className="d-flex flex-row align-items-center search-container">
               <input
                 className="form-control me-2 bg-dark text-light navigation-search-input"
                 type="search"
@@ -222,7 +326,9 @@ function Navigation() {
                 aria-label="Search"
                 ref={txSearchRef}
                 onKeyUp={handleKeyUp}
+                onChange={handleSearchChange}
               />
+              {renderSearchPanel()}
             </div>
           </div>
         </div>
@@ -238,23 +344,27 @@ function Navigation() {
             <GlobeNetwork
               className={`${theme === 'dark' ? 'dark-theme-logo' : 'light-theme-logo'}`}
             />
-            <span className="nav-title">{hathorNetwork}</span>
+            <NetworkSwitcher />
           </div>
         </div>
         <div className="mobile-tabs">
           {showSearchInput ? (
-            <input
-              type="search"
-              className={`form-control me-2 bg-dark text-light mobile-search-input ${
-                showSearchInput ? 'expanded' : ''
-              }`}
-              placeholder="Search..."
-              aria-label="Search"
-              ref={txSearchRef}
-              onKeyUp={handleKeyUp}
-              onBlur={() => setShowSearchInput(false)}
-              autoFocus
-            />
+            <div className="search-container mobile-search-container">
+              <input
+                type="search"
+                className={`form-control me-2 bg-dark text-light mobile-search-input ${
+                  showSearchInput ? 'expanded' : ''
+                }`}
+                placeholder="Search..."
+                aria-label="Search"
+                ref={txSearchRef}
+                onKeyUp={handleKeyUp}
+                onChange={handleSearchChange}
+                onBlur={() => setShowSearchInput(false)}
+                autoFocus
+              />
+              {renderSearchPanel()}
+            </div>
           ) : (
             <SearchIcon
               fill={theme === 'dark' ? 'white' : 'black'}
@@ -323,12 +433,12 @@ function Navigation() {
                       <ConditionalNavigation
                         to="/tokens"
                         label="Token list"
-                        featureToggle={`${UNLEASH_TOKENS_BASE_FEATURE_FLAG}.rollout`}
+                        featureToggle={`${tokensBaseFlag}.rollout`}
                       />
                       <ConditionalNavigation
                         to="/token_balances"
                         label="Token balances"
-                        featureToggle={`${UNLEASH_TOKEN_BALANCES_FEATURE_FLAG}.rollout`}
+                        featureToggle={`${tokenBalancesFlag}.rollout`}
                       />
                     </ul>
                   </div>
@@ -374,32 +484,43 @@ function Navigation() {
                   <NavLink to="/push-tx/" exact className="nav-link">
                     Push Tx
                   </NavLink>
+                  <NavLink to="/multisig-tx/" exact className="nav-link">
+                    Multisig Tx
+                  </NavLink>
                   <NavLink to="/dag/" exact className="nav-link">
                     DAG
                   </NavLink>
                   <NavLink to="/features/" exact className="nav-link">
                     Features
                   </NavLink>
+                  <NavLink to="/portfolio/" exact className="nav-link">
+                    Portfolio
+                  </NavLink>
+                  <NavLink to="/labels/" exact className="nav-link">
+                    Labels
+                  </NavLink>
                 </div>
               </li>
             </ul>
             <div className="d-flex flex-row align-items-center ms-auto navigation-search">
-              <div className="d-flex flex-row align-items-center">
+              <div className="d-flex flex-row align-items-center search-container">
                 <input
                   className="form-control me-2"
                   type="search"
-                  placeholder="Search tx or address"
+                  placeholder="Search tx, block, address or token"
                   aria-label="Search"
                   ref={txSearchRef}
                   onKeyUp={handleKeyUp}
+                  onChange={handleSearchChange}
                 />
                 <i className="fa fa-search pointer" onClick={search}></i>
+                {renderSearchPanel()}
               </div>
+              <NetworkSwitcher />
               <Version />
             </div>
           </div>
         </nav>
-        <HathorAlert ref={alertErrorRef} text="Invalid hash format or address" type="danger" />
       </div>
     );
   };
@@ -0,0 +1,192 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useId, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useHistory } from 'react-router-dom';
+import networkUtils from '../utils/network';
+import { selectNetwork, updateNetworks } from '../actions';
+import { BACKEND_TYPES } from '../constants';
+
+const emptyForm = {
+  name: '',
+  baseUrl: '',
+  explorerServiceUrl: '',
+  wsUrl: '',
+  backend: BACKEND_TYPES.explorerService,
+};
+
+/**
+ * Dropdown that shows the network the explorer is connected to and allows the user to switch
+ * between the registered networks or add a new one.
+ *
+ * @memberof Components
+ */
+function NetworkSwitcher() {
+  const dispatch = useDispatch();
+  // This component is also rendered outside the router, on the version error screen
+  const history = useHistory();
+  const network = useSelector(state => state.network);
+  const networks = useSelector(state => state.networks);
+  // The switcher is rendered on both the desktop and mobile navigation, so the ids must be unique
+  const id = useId();
+  const dropdownId = `networkDropdown${id}`;
+  const backendInputId = `fullnodeBackend${id}`;
+  // showForm {boolean} If should show the form to add a new network
+  const [showForm, setShowForm] = useState(false);
+  // formData {Object} Data of the network being added
+  const [formData, setFormData] = useState(emptyForm);
+  // errorMessage {string | null} Validation error of the network being added
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  const onNetworkSelected = selected => {
+    if (selected.id === network.id) {
+      return;
+    }
+
+    dispatch(selectNetwork(selected));
+    // Data on the current screen belongs to the previous network
+    if (history) {
+      history.push('/');
+    }
+  };
+
+  const onNetworkRemoved = (e, removed) => {
+    e.stopPropagation();
+    networkUtils.removeCustomNetwork(removed.id);
+    dispatch(updateNetworks());
+
+    if (removed.id === network.id) {
+      onNetworkSelected(networkUtils.getBuildNetwork());
+    }
+  };
+
+  const onFormChange = e => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const onBackendChange = e => {
+    const backend = e.target.checked ? BACKEND_TYPES.fullnode : BACKEND_TYPES.explorerService;
+    setFormData({ ...formData, backend });
+  };
+
+  const onFormSubmit = e => {
+    e.preventDefault();
+
+    let added;
+    try {
+      added = networkUtils.addCustomNetwork(formData);
+    } catch (err) {
+      setErrorMessage(err.message);
+      return;
+    }
+
+    setErrorMessage(null);
+    setFormData(emptyForm);
+    setShowForm(false);
+    dispatch(updateNetworks());
+    onNetworkSelected(added);
+  };
+
+  const renderNetworkItem = item => {
+    return (
+      <li key={item.id}>
+        <button
+          type="button"
+          className={`dropdown-item d-flex justify-content-between ${
+            item.id === network.id ? 'active' : ''
+          }`}
+          onClick={() => onNetworkSelected(item)}
+        >
+          <span>{item.name}</span>
+          {item.custom && (
+            <i
+              className="fa fa-times ms-3"
+              title="Remove network"
+              onClick={e => onNetworkRemoved(e, item)}
+            ></i>
+          )}
+        </button>
+      </li>
+    );
+  };
+
+  const renderInput = (name, placeholder, required) => {
+    return (
+      <input
+        className="form-control form-control-sm mb-2"
+        name={name}
+        placeholder={placeholder}
+        value={formData[name]}
+        onChange={onFormChange}
+        required={required}
+      />
+    );
+  };
+
+  const renderForm = () => {
+    const isFullnode = formData.backend === BACKEND_TYPES.fullnode;
+    return (
+      <form className="px-3 py-2" onSubmit={onFormSubmit}>
+        {renderInput('name', 'Name', true)}
+        {renderInput('baseUrl', 'Full node url, e.g. http://localhost:8080/v1a/', true)}
+        <div className="form-check text-start mb-2">
+          <input
+            className="form-check-input"
+            type="checkbox"
+            id={backendInputId}
+            checked={isFullnode}
+            onChange={onBackendChange}
+          />
+          <label className="form-check-label" htmlFor={backendInputId}>
+            Connect directly to the full node
+          </label>
+        </div>
+        {renderInput(
+          'explorerServiceUrl',
+          isFullnode ? 'Explorer service url (optional)' : 'Explorer service url',
+          !isFullnode
+        )}
+        {renderInput('wsUrl', 'Websocket url (optional)', false)}
+        {errorMessage && <p className="text-danger small mb-2">{errorMessage}</p>}
+        <button type="submit" className="btn btn-hathor btn-sm">
+          Add and connect
+        </button>
+      </form>
+    );
+  };
+
+  return (
+    <div className="dropdown network-switcher">
+      <span
+        className="nav-title dropdown-toggle"
+        id={dropdownId}
+        role="button"
+        data-bs-toggle="dropdown"
+        data-bs-auto-close="outside"
+        aria-haspopup="true"
+        aria-expanded="false"
+      >
+        Hathor {network.name}
+      </span>
+      <ul className="dropdown-menu dropdown-menu-end" aria-labelledby={dropdownId}>
+        {networks.map(renderNetworkItem)}
+        <li>
+          <hr className="dropdown-divider" />
+        </li>
+        <li>
+          <button type="button" className="dropdown-item" onClick={() => setShowForm(!showForm)}>
+            {showForm ? 'Cancel' : 'Add network'}
+          </button>
+        </li>
+        {showForm && <li>{renderForm()}</li>}
+      </ul>
+    </div>
+  );
+}
+
+export default NetworkSwitcher;
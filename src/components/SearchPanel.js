@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import helpers from '../utils/helpers';
+import { getErrorMessage } from '../api/errors';
+
+/**
+ * Panel below the navigation search input, with the token suggestions, the results of an
+ * ambiguous search or why the search failed.
+ *
+ * @memberof Components
+ */
+function SearchPanel({ query, title, results, loading, error, onSelect }) {
+  const renderContent = () => {
+    if (loading) {
+      return <li className="search-panel-message">Searching...</li>;
+    }
+
+    if (error) {
+      return <li className="search-panel-message text-danger">{getErrorMessage(error)}</li>;
+    }
+
+    if (results.length === 0) {
+      return <li className="search-panel-message">No results found for &quot;{query}&quot;</li>;
+    }
+
+    return results.map(result => (
+      <li
+        key={`${result.type}-${result.id}`}
+        className="search-panel-item"
+        // Keeps the focus on the input, which hides on blur on mobile
+        onMouseDown={e => e.preventDefault()}
+        onClick={() => onSelect(result)}
+      >
+        <span className="search-panel-type">{result.label}</span>
+        {result.description && <span>{result.description}</span>}
+        <span className="search-panel-id">{helpers.getShortHash(result.id)}</span>
+      </li>
+    ));
+  };
+
+  return (
+    <ul className="search-panel">
+      {title && <li className="search-panel-title">{title}</li>}
+      {renderContent()}
+    </ul>
+  );
+}
+
+/**
+ * query: Text searched by the user
+ * title: Explains the results, e.g. that the hash is ambiguous
+ * results: Results the user can choose from
+ * loading: If the search is still running
+ * error: Error of the search, if it failed
+ * onSelect: Called with the result chosen by the user
+ */
+SearchPanel.propTypes = {
+  query: PropTypes.string.isRequired,
+  title: PropTypes.string,
+  results: PropTypes.arrayOf(PropTypes.object),
+  loading: PropTypes.bool,
+  error: PropTypes.instanceOf(Error),
+  onSelect: PropTypes.func.isRequired,
+};
+
+SearchPanel.defaultProps = {
+  results: [],
+};
+
+export default SearchPanel;
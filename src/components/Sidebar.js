@@ -10,12 +10,14 @@ import { useFlag } from '@unleash/proxy-client-react';
 import { useSelector } from 'react-redux';
 import { NavLink, Link, useHistory } from 'react-router-dom';
 import {
-  REACT_APP_NETWORK,
   UNLEASH_TOKENS_BASE_FEATURE_FLAG,
   UNLEASH_TOKEN_BALANCES_FEATURE_FLAG,
+  BACKEND_CAPABILITIES,
 } from '../constants';
 import ConditionalNavigation from './ConditionalNavigation';
+import { useBackendSupports, useFeatureFlagName } from '../hooks';
 import Version from './Version';
+import NetworkSwitcher from './NetworkSwitcher';
 import { ThemeSwitch } from './ThemeSwitch';
 import { ReactComponent as SidebarLogo } from '../assets/images/logo-sidebar.svg';
 import { ReactComponent as SunIconLight } from '../assets/images/sun-light.svg';
@@ -26,12 +28,14 @@ import { ReactComponent as ArrorDownNavItem } from '../assets/images/arrow-down-
 
 function Sidebar({ close, open }) {
   const history = useHistory();
-  const isTokensBaseEnabled = useFlag(`${UNLEASH_TOKENS_BASE_FEATURE_FLAG}.rollout`);
-  const isTokensBalanceEnabled = useFlag(`${UNLEASH_TOKEN_BALANCES_FEATURE_FLAG}.rollout`);
-  const showTokensTab = isTokensBalanceEnabled || isTokensBaseEnabled;
+  const tokensBaseFlag = useFeatureFlagName(UNLEASH_TOKENS_BASE_FEATURE_FLAG);
+  const tokenBalancesFlag = useFeatureFlagName(UNLEASH_TOKEN_BALANCES_FEATURE_FLAG);
+  const isTokensBaseEnabled = useFlag(`${tokensBaseFlag}.rollout`);
+  const isTokensBalanceEnabled = useFlag(`${tokenBalancesFlag}.rollout`);
+  const hasTokenIndex = useBackendSupports(BACKEND_CAPABILITIES.tokenIndex);
+  const showTokensTab = hasTokenIndex && (isTokensBalanceEnabled || isTokensBaseEnabled);
   const theme = useSelector(state => state.theme);
   const sidebarRef = useRef(null);
-  const hathorNetwork = `Hathor ${REACT_APP_NETWORK}`;
 
   useEffect(() => {
     const handleClickOutside = event => {
@@ -107,12 +111,12 @@ function Sidebar({ close, open }) {
                       <ConditionalNavigation
                         to="/tokens"
                         label="Token list"
-                        featureToggle={`${UNLEASH_TOKENS_BASE_FEATURE_FLAG}.rollout`}
+                        featureToggle={`${tokensBaseFlag}.rollout`}
                       />
                       <ConditionalNavigation
                         to="/token_balances"
                         label="Token balances"
-                        featureToggle={`${UNLEASH_TOKEN_BALANCES_FEATURE_FLAG}.rollout`}
+                        featureToggle={`${tokenBalancesFlag}.rollout`}
                       />
                     </li>
                   </div>
@@ -164,6 +168,12 @@ function Sidebar({ close, open }) {
                   <NavLink to="/features/" exact className="nav-link">
                     Features
                   </NavLink>
+                  <NavLink to="/portfolio/" exact className="nav-link">
+                    Portfolio
+                  </NavLink>
+                  <NavLink to="/labels/" exact className="nav-link">
+                    Labels
+                  </NavLink>
                 </div>
               </li>
             </ul>
@@ -185,7 +195,7 @@ function Sidebar({ close, open }) {
                 theme === 'dark' ? 'dark-theme-logo' : 'light-theme-logo'
               } theme-network-logo`}
             />
-            <span className="nav-title">{hathorNetwork}</span>
+            <NetworkSwitcher />
           </div>
           <div className="aside-version">
             <Version explorer />
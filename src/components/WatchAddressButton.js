@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { updateWatchlist } from '../actions';
+import watchlistUtils from '../utils/watchlist';
+
+/**
+ * Adds the address to the watchlist of the portfolio screen, or removes it
+ *
+ * @memberof Components
+ */
+function WatchAddressButton({ address }) {
+  const dispatch = useDispatch();
+  const watched = useSelector(state => state.watchlist.some(item => item.address === address));
+
+  const onClick = () => {
+    if (watched) {
+      watchlistUtils.removeAddress(address);
+    } else {
+      watchlistUtils.addAddress(address);
+    }
+    dispatch(updateWatchlist());
+  };
+
+  return (
+    <div className="d-flex flex-row align-items-center mt-3">
+      <button type="button" className="btn btn-secondary btn-sm me-3" onClick={onClick}>
+        {watched ? 'Remove from watchlist' : 'Add to watchlist'}
+      </button>
+      {watched && <Link to="/portfolio">See portfolio</Link>}
+    </div>
+  );
+}
+
+/**
+ * address: Address shown on the screen
+ */
+WatchAddressButton.propTypes = {
+  address: PropTypes.string.isRequired,
+};
+
+export default WatchAddressButton;
@@ -7,21 +7,33 @@
 
 import React from 'react';
 import { useNewUiEnabled } from '../../hooks';
+import { getErrorMessage } from '../../api/errors';
 
-function ErrorMessage() {
+/**
+ * Error loading a whole screen
+ *
+ * @param {Object} props
+ * @param {Error} [props.error] Error thrown by an api module, to show a specific message
+ * @param {function} [props.onRetry] Retry action, reloads the page when missing
+ */
+function ErrorMessage({ error, onRetry }) {
   const newUiEnabled = useNewUiEnabled();
 
   const refreshPage = () => {
     window.location.reload();
   };
 
+  const retry = onRetry || refreshPage;
+
   return newUiEnabled ? (
     <div className="error-message-container">
       <span role="img" aria-label="sad face">
         😞
       </span>
       <p style={{ marginBottom: '0px', marginTop: '1rem' }}>Error loading.</p>
-      <p style={{ marginBottom: '1rem', marginTop: '0px' }}>Please try again.</p>
+      <p style={{ marginBottom: '1rem', marginTop: '0px' }}>
+        {error ? getErrorMessage(error) : 'Please try again.'}
+      </p>
       <button
         className="error-massage-button"
         type="button"
@@ -30,16 +42,19 @@ function ErrorMessage() {
         aria-controls="navbarSupportedContent"
         aria-expanded="false"
         aria-label="Toggle navigation"
-        onClick={refreshPage}
+        onClick={retry}
       >
-        <span className="footer-title">Refresh page</span>
+        <span className="footer-title">{onRetry ? 'Try again' : 'Refresh page'}</span>
       </button>
     </div>
   ) : (
     <div className="content-wrapper">
       <h3 className="text-danger">
-        Error loading the explorer. Please reload the page to try again.
+        Error loading the explorer. {error ? getErrorMessage(error) : ''}
       </h3>
+      <button type="button" className="btn btn-hathor mt-3" onClick={retry}>
+        {onRetry ? 'Try again' : 'Reload page'}
+      </button>
     </div>
   );
 }
@@ -1,22 +1,32 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import { getErrorMessage } from '../../api/errors';
 
-const ErrorMessageWithIcon = ({ message }) => {
+const ErrorMessageWithIcon = ({ message, error, onRetry }) => {
   return (
     <div className="col-12">
       <span>
         <i className={`fa fa-frown-o`}></i>
-        <strong> {message} </strong>
+        <strong> {message || getErrorMessage(error)} </strong>
       </span>
+      {onRetry && (
+        <button type="button" className="btn btn-link btn-sm error-retry-button" onClick={onRetry}>
+          Try again
+        </button>
+      )}
     </div>
   );
 };
 
 /**
  * message: Error message that will be shown to the customer with the icon
+ * error: Error thrown by an api module, used to build the message when it's not informed
+ * onRetry: Called when the customer asks to try again. The retry action is hidden when missing
  */
 ErrorMessageWithIcon.propTypes = {
-  message: PropTypes.string.isRequired,
+  message: PropTypes.string,
+  error: PropTypes.instanceOf(Error),
+  onRetry: PropTypes.func,
 };
 
 export default ErrorMessageWithIcon;
@@ -198,7 +198,7 @@ class Features extends React.Component {
         <div>
           <div>
             Showing feature states for{' '}
-            <Link to={`/transaction/${this.state.block_hash}`}>current best block</Link> at height{' '}
+            <Link to={`/block/${this.state.block_hash}`}>current best block</Link> at height{' '}
             {height}.
           </div>
           {!this.state.loaded ? (
@@ -47,15 +47,18 @@ class ScreenStatusMessage extends React.Component {
    *
    */
   getBestChainHeight = async () => {
-    const blockApiResponse = await blockApi.getBestChainHeight();
+    try {
+      const blockApiResponse = await blockApi.getBestChainHeight();
+      const blockApiResponseData = get(blockApiResponse, 'hits[0]', []);
 
-    const blockApiResponseData = get(blockApiResponse, 'data.hits[0]', []);
-
-    this.setState({
-      height: get(blockApiResponseData, 'height', 0),
-      timestamp: get(blockApiResponseData, 'timestamp', ''),
-      error: get(blockApiResponse, 'error', false),
-    });
+      this.setState({
+        height: get(blockApiResponseData, 'height', 0),
+        timestamp: get(blockApiResponseData, 'timestamp', ''),
+        error: false,
+      });
+    } catch (error) {
+      this.setState({ error });
+    }
   };
 
   render() {
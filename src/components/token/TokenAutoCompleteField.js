@@ -1,6 +1,6 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { debounce, get } from 'lodash';
+import { debounce } from 'lodash';
 import { constants as hathorLibConstants } from '@hathor/wallet-lib';
 import { connect } from 'react-redux';
 import tokensApi from '../../api/tokensApi';
@@ -163,15 +163,14 @@ class TokenAutoCompleteField extends React.Component {
    * @params {string} searchText Text written by the user in the search input
    */
   executeSearch = async searchText => {
-    const tokensRequest = await tokensApi.getList(searchText, 'transaction_timestamp', 'desc', []);
-    this.setState({
-      error: get(tokensRequest, 'error', false),
-    });
-
-    const tokens = get(tokensRequest, 'data', { hits: [], has_next: false });
-    const searchResults = tokens.hits;
-
-    return searchResults;
+    try {
+      const tokens = await tokensApi.getList(searchText, 'transaction_timestamp', 'desc', []);
+      this.setState({ error: false });
+      return tokens.hits;
+    } catch (error) {
+      this.setState({ error });
+      return [];
+    }
   };
 
   _renderInputForm() {
@@ -12,6 +12,7 @@ import { numberUtils } from '@hathor/wallet-lib';
 import { useSelector } from 'react-redux';
 import { useIsMobile, useNewUiEnabled } from '../../hooks';
 import EllipsiCell from '../EllipsiCell';
+import AddressLabel from '../AddressLabel';
 
 function TokenBalanceRow({ tokenId, address, total, unlocked, locked }) {
   const history = useHistory();
@@ -30,7 +31,10 @@ function TokenBalanceRow({ tokenId, address, total, unlocked, locked }) {
 
   const renderUi = () => (
     <tr onClick={onRowClicked}>
-      <td className="d-lg-table-cell pe-3">{address}</td>
+      <td className="d-lg-table-cell pe-3">
+        {address}
+        <AddressLabel address={address} />
+      </td>
       <td className="d-lg-table-cell pe-3">{numberUtils.prettyValue(total, decimalPlaces)}</td>
       <td className="d-lg-table-cell pe-3">{numberUtils.prettyValue(unlocked, decimalPlaces)}</td>
       <td className="d-lg-table-cell pe-3">{numberUtils.prettyValue(locked, decimalPlaces)}</td>
@@ -39,7 +43,10 @@ function TokenBalanceRow({ tokenId, address, total, unlocked, locked }) {
 
   const renderNewUi = () => (
     <tr onClick={onRowClicked}>
-      <td className="d-lg-table-cell pe-3">{isMobile ? <EllipsiCell id={address} /> : address}</td>
+      <td className="d-lg-table-cell pe-3">
+        {isMobile ? <EllipsiCell id={address} /> : address}
+        <AddressLabel address={address} />
+      </td>
       <td className="d-lg-table-cell pe-3">{numberUtils.prettyValue(total, decimalPlaces)}</td>
       <td className="d-lg-table-cell pe-3 td-mobile">
         {numberUtils.prettyValue(unlocked, decimalPlaces)}
@@ -16,6 +16,7 @@ import TokenBalancesTable from './TokenBalancesTable';
 import tokensApi from '../../api/tokensApi';
 import PaginationURL from '../../utils/pagination';
 import ErrorMessageWithIcon from '../error/ErrorMessageWithIcon';
+import { getErrorMessage } from '../../api/errors';
 import TokenAutoCompleteField from './TokenAutoCompleteField';
 
 /**
@@ -42,13 +43,13 @@ function TokenBalances({ maintenanceMode }) {
    * loading: Initial loading, when user clicks on the Tokens navigation item
    * isSearchLoading: Indicates if search results are being retrieved from explorer-service
    * calculatingPage: Indicates if next page is being retrieved from explorer-service
-   * error: Indicates if an unexpected error happened when calling the explorer-service
-   * tokenBalanceInformationError: Indicates if an unexpected error happened when calling the token balance information service
+   * error: Unexpected error that happened when calling the explorer-service, false if none
+   * tokenBalanceInformationError: Unexpected error that happened when calling the token balance information service, false if none
    * maintenanceMode: Indicates if explorer-service or its downstream services are experiencing problems. If so, maintenance mode will be enabled on
    *                  our feature toggle service (Unleash) to remove additional load until the team fixes the problem
    * transactionsCount: Number of transactions for the searched token
    * addressesCount: Number of addressed for the searched token
-   * tokensApiError: Flag indicating if the request to the token api failed, to decide wether to display or not the total number of transactions
+   * tokensApiError: Error of the request to the token api, false if none. Used to decide wether to display or not the total number of transactions
    */
   const [tokenId, setTokenId] = useState(hathorLibConstants.NATIVE_TOKEN_UID);
   const [tokenName, setTokenName] = useState(undefined);
@@ -81,10 +82,13 @@ function TokenBalances({ maintenanceMode }) {
   );
 
   const fetchHTRTransactionCount = useCallback(async () => {
-    const tokenApiResponse = await tokensApi.getToken(hathorLibConstants.NATIVE_TOKEN_UID);
-
-    setTokensApiError(get(tokenApiResponse, 'error', false));
-    setTransactionsCount(get(tokenApiResponse, 'data.hits[0].transactions_count', 0));
+    try {
+      const tokenApiResponse = await tokensApi.getToken(hathorLibConstants.NATIVE_TOKEN_UID);
+      setTokensApiError(false);
+      setTransactionsCount(get(tokenApiResponse, 'hits[0].transactions_count', 0));
+    } catch (e) {
+      setTokensApiError(e);
+    }
   }, []);
 
   // Initialization effect, incorporating querystring parameters
@@ -126,28 +130,35 @@ function TokenBalances({ maintenanceMode }) {
    */
   const getTokenBalances = useCallback(
     async (queryTokenId, querySortBy, queryOrder, searchAfter) => {
-      const tokenBalancesResponse = await tokensApi.getBalances(
-        queryTokenId,
-        querySortBy,
-        queryOrder,
-        searchAfter
-      );
-      setError(tokenBalancesResponse.error || false);
-      return tokenBalancesResponse.data || { hits: [], has_next: false };
+      try {
+        const tokenBalancesResponse = await tokensApi.getBalances(
+          queryTokenId,
+          querySortBy,
+          queryOrder,
+          searchAfter
+        );
+        setError(false);
+        return tokenBalancesResponse;
+      } catch (e) {
+        setError(e);
+        return { hits: [], has_next: false };
+      }
     },
     []
   );
 
   const loadTokenBalanceInformation = useCallback(async queryTokenId => {
-    const tokenBalanceInformationResponse = await tokensApi.getBalanceInformation(queryTokenId);
-    setTokenBalanceInformationError(tokenBalanceInformationResponse.error || false);
-
-    return (
-      tokenBalanceInformationResponse.data || {
+    try {
+      const tokenBalanceInformationResponse = await tokensApi.getBalanceInformation(queryTokenId);
+      setTokenBalanceInformationError(false);
+      return tokenBalanceInformationResponse;
+    } catch (e) {
+      setTokenBalanceInformationError(e);
+      return {
         transactions: 0,
         addresses: 0,
-      }
-    );
+      };
+    }
   }, []);
 
   /**
@@ -299,6 +310,16 @@ function TokenBalances({ maintenanceMode }) {
     setIsSearchLoading(true);
   };
 
+  /**
+   * Request the token balances and information again after an error
+   */
+  const retry = () => {
+    if (tokensApiError && tokenId === hathorLibConstants.NATIVE_TOKEN_UID) {
+      fetchHTRTransactionCount().catch(e => console.error('Error on retry', e));
+    }
+    setIsSearchLoading(true);
+  };
+
   /**
    * Turn loading false.
    * Useful to be used by autocomplete component when the first search doesn't find any token
@@ -327,7 +348,12 @@ function TokenBalances({ maintenanceMode }) {
 
   const renderTokensTable = () => {
     if (error) {
-      return <ErrorMessageWithIcon message="Error loading token balances. Please try again." />;
+      return (
+        <ErrorMessageWithIcon
+          message={`Error loading token balances. ${getErrorMessage(error)}`}
+          onRetry={retry}
+        />
+      );
     }
 
     return (
@@ -372,7 +398,12 @@ function TokenBalances({ maintenanceMode }) {
         )}
 
         {(tokensApiError || tokenBalanceInformationError) && (
-          <ErrorMessageWithIcon message="Error loading the complete token balance information. Please try again." />
+          <ErrorMessageWithIcon
+            message={`Error loading the complete token balance information. ${getErrorMessage(
+              tokensApiError || tokenBalanceInformationError
+            )}`}
+            onRetry={retry}
+          />
         )}
       </div>
 
@@ -415,7 +446,12 @@ function TokenBalances({ maintenanceMode }) {
         )}
 
         {(tokensApiError || tokenBalanceInformationError) && (
-          <ErrorMessageWithIcon message="Error loading the complete token balance information. Please try again." />
+          <ErrorMessageWithIcon
+            message={`Error loading the complete token balance information. ${getErrorMessage(
+              tokensApiError || tokenBalanceInformationError
+            )}`}
+            onRetry={retry}
+          />
         )}
       </div>
 
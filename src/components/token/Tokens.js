@@ -14,6 +14,7 @@ import TokenSearchField from './TokenSearchField';
 import tokensApi from '../../api/tokensApi';
 import PaginationURL from '../../utils/pagination';
 import ErrorMessageWithIcon from '../error/ErrorMessageWithIcon';
+import { getErrorMessage } from '../../api/errors';
 import helpers from '../../utils/helpers';
 
 /**
@@ -49,7 +50,7 @@ class Tokens extends React.Component {
      * loading: Initial loading, when user clicks on the Tokens navigation item
      * isSearchLoading: Indicates if search results are being retrieved from explorer-service
      * calculatingPage: Indicates if next page is being retrieved from explorer-service
-     * error: Indicates if an unexpected error happened when calling the explorer-service
+     * error: Error of the last request to the explorer-service, false if none
      * maintenanceMode: Indicates if explorer-service or its downstream services are experiencing problems. If so, maintenance mode will be enabled on
      *                  our feature toggle service (Unleash) to remove additional load until the team fixes the problem
      */
@@ -100,18 +101,20 @@ class Tokens extends React.Component {
    * @returns tokens
    */
   getTokens = async searchAfter => {
-    const tokensRequest = await tokensApi.getList(
-      this.state.searchText,
-      this.state.sortBy,
-      this.state.order,
-      searchAfter
-    );
-
-    this.setState({
-      error: get(tokensRequest, 'error', false),
-    });
+    let tokens;
+    try {
+      tokens = await tokensApi.getList(
+        this.state.searchText,
+        this.state.sortBy,
+        this.state.order,
+        searchAfter
+      );
+      this.setState({ error: false });
+    } catch (error) {
+      this.setState({ error });
+      tokens = { hits: [], has_next: false };
+    }
 
-    const tokens = get(tokensRequest, 'data', { hits: [], has_next: false });
     tokens.hits = tokens.hits.map(token => ({
       ...token,
       uid: token.id,
@@ -284,7 +287,12 @@ class Tokens extends React.Component {
       }
 
       if (this.state.error) {
-        return <ErrorMessageWithIcon message="Error loading tokens. Please try again." />;
+        return (
+          <ErrorMessageWithIcon
+            message={`Error loading tokens. ${getErrorMessage(this.state.error)}`}
+            onRetry={this.onSearchButtonClicked}
+          />
+        );
       }
 
       return (
@@ -0,0 +1,369 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { select } from 'd3-selection';
+import { zoom, zoomIdentity } from 'd3-zoom';
+import txApi from '../../api/txApi';
+import Loading from '../Loading';
+import ErrorMessageWithIcon from '../error/ErrorMessageWithIcon';
+import dagNeighborsUtils from '../../utils/dagNeighbors';
+import helpers from '../../utils/helpers';
+import {
+  NEIGHBORS_GRAPH_DEFAULT_LEVEL,
+  NEIGHBORS_GRAPH_MAX_LEVEL,
+  NEIGHBORS_GRAPH_MAX_NODES,
+} from '../../constants';
+
+const HEIGHT = 400;
+const COLUMN_WIDTH = 140;
+const ROW_HEIGHT = 56;
+const NODE_RADIUS = 14;
+// Characters of the hash written below each node
+const HASH_LENGTH = 8;
+
+/**
+ * @return {Object} Empty graph, with the nodes, the edges and the neighbors of each node
+ */
+const createGraph = () => ({
+  nodes: new Map(),
+  edges: new Map(),
+  neighbors: new Map(),
+  truncated: false,
+});
+
+/**
+ * Neighbors of a transaction on the DAG, drawn around it with pan and zoom. Clicking a node
+ * centers the graph on it, and the neighbors can be expanded one level at a time.
+ *
+ * @memberof Components
+ */
+function DagNeighborsGraph({ txId, graphType }) {
+  const svgRef = useRef(null);
+  const containerRef = useRef(null);
+  const zoomRef = useRef(null);
+  // The graph is changed by the requests in place, like the fund trace
+  const graphRef = useRef(createGraph());
+
+  // center {string} Transaction the graph is centered on
+  const [center, setCenter] = useState(txId);
+  // level {number} Levels of neighbors loaded around the center
+  const [level, setLevel] = useState(0);
+  // graphVersion {number} Incremented when the graph changes, to draw it again
+  const [graphVersion, setGraphVersion] = useState(0);
+  // loading {boolean} If a level of neighbors is being loaded
+  const [loading, setLoading] = useState(true);
+  // error {ApiError | null} Error loading the last level
+  const [error, setError] = useState(null);
+  // loadAttempt {number} Incremented to load the graph again
+  const [loadAttempt, setLoadAttempt] = useState(0);
+
+  // The graph starts again from the new transaction when the screen shows another one
+  useEffect(() => {
+    setCenter(txId);
+  }, [txId]);
+
+  /**
+   * Loads the neighbors of the nodes on the edge of the graph, one level further from the center
+   *
+   * @param {Object} graph Graph being loaded, so a graph replaced meanwhile is left alone
+   * @param {number} currentLevel Level of the nodes being expanded
+   *
+   * @return {Promise<boolean>} If some neighbors were left out, to keep the graph readable
+   */
+  const loadLevel = useCallback(
+    async (graph, currentLevel) => {
+      const added = new Map();
+      for (const node of graph.nodes.values()) {
+        if (Math.abs(node.depth) !== currentLevel) {
+          continue;
+        }
+        const { before, after } = graph.neighbors.get(node.id);
+        if (node.depth <= 0) {
+          for (const id of before) {
+            graph.edges.set(`${id}:${node.id}`, { id: `${id}:${node.id}`, from: id, to: node.id });
+            added.set(id, node.depth - 1);
+          }
+        }
+        if (node.depth >= 0) {
+          for (const id of after) {
+            graph.edges.set(`${node.id}:${id}`, { id: `${node.id}:${id}`, from: node.id, to: id });
+            added.set(id, node.depth + 1);
+          }
+        }
+      }
+
+      const toLoad = [...added.keys()].filter(id => !graph.nodes.has(id));
+      const room = NEIGHBORS_GRAPH_MAX_NODES - graph.nodes.size;
+      const loaded = await Promise.all(
+        toLoad.slice(0, Math.max(room, 0)).map(id => txApi.getTransaction(id))
+      );
+      for (const txData of loaded) {
+        const node = dagNeighborsUtils.buildNode(txData, added.get(txData.tx.hash));
+        graph.nodes.set(node.id, node);
+        graph.neighbors.set(node.id, dagNeighborsUtils.getNeighbors(txData, graphType));
+      }
+
+      // Arrows between the new nodes and the ones already on the graph
+      for (const txData of loaded) {
+        const id = txData.tx.hash;
+        const { before, after } = graph.neighbors.get(id);
+        for (const other of before.filter(item => graph.nodes.has(item))) {
+          graph.edges.set(`${other}:${id}`, { id: `${other}:${id}`, from: other, to: id });
+        }
+        for (const other of after.filter(item => graph.nodes.has(item))) {
+          graph.edges.set(`${id}:${other}`, { id: `${id}:${other}`, from: id, to: other });
+        }
+      }
+      return toLoad.length > room;
+    },
+    [graphType]
+  );
+
+  useEffect(() => {
+    let ignore = false;
+    const graph = createGraph();
+    graphRef.current = graph;
+    setLevel(0);
+    setGraphVersion(v => v + 1);
+
+    async function loadGraph() {
+      setLoading(true);
+      setError(null);
+      try {
+        const txData = await txApi.getTransaction(center);
+        graph.nodes.set(center, dagNeighborsUtils.buildNode(txData, 0));
+        graph.neighbors.set(center, dagNeighborsUtils.getNeighbors(txData, graphType));
+        for (let i = 0; i < NEIGHBORS_GRAPH_DEFAULT_LEVEL && !ignore; i++) {
+          graph.truncated = await loadLevel(graph, i);
+          if (!ignore) {
+            setLevel(i + 1);
+          }
+        }
+      } catch (e) {
+        if (!ignore) {
+          setError(e);
+        }
+      }
+      if (!ignore) {
+        setLoading(false);
+        setGraphVersion(v => v + 1);
+      }
+    }
+
+    loadGraph();
+    return () => {
+      ignore = true;
+    };
+  }, [center, graphType, loadLevel, loadAttempt]);
+
+  const expand = async () => {
+    const graph = graphRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      graph.truncated = await loadLevel(graph, level);
+      if (graph === graphRef.current) {
+        setLevel(level + 1);
+      }
+    } catch (e) {
+      if (graph === graphRef.current) {
+        setError(e);
+      }
+    }
+    if (graph === graphRef.current) {
+      setLoading(false);
+      setGraphVersion(v => v + 1);
+    }
+  };
+
+  /**
+   * Moves the view back to the center of the graph, at the original zoom
+   */
+  const resetView = useCallback(() => {
+    const svg = select(svgRef.current);
+    const width = svgRef.current.clientWidth || COLUMN_WIDTH * 4;
+    svg.call(zoomRef.current.transform, zoomIdentity.translate(width / 2, HEIGHT / 2));
+  }, []);
+
+  useEffect(() => {
+    const container = select(containerRef.current);
+    zoomRef.current = zoom()
+      .scaleExtent([0.2, 3])
+      .on('zoom', event => container.attr('transform', event.transform));
+    const svg = select(svgRef.current);
+    svg.call(zoomRef.current).on('dblclick.zoom', null);
+    return () => {
+      svg.on('.zoom', null);
+    };
+  }, []);
+
+  useEffect(() => {
+    resetView();
+  }, [center, resetView]);
+
+  useEffect(() => {
+    const graph = graphRef.current;
+    const container = select(containerRef.current);
+    container.selectAll('*').remove();
+
+    // Columns by depth, with the nodes of each column centered on the middle of the graph
+    const columns = {};
+    for (const node of graph.nodes.values()) {
+      columns[node.depth] = [...(columns[node.depth] || []), node.id];
+    }
+    const positions = new Map();
+    for (const [depth, ids] of Object.entries(columns)) {
+      ids.forEach((id, row) => {
+        positions.set(id, {
+          x: Number(depth) * COLUMN_WIDTH,
+          y: (row - (ids.length - 1) / 2) * ROW_HEIGHT,
+        });
+      });
+    }
+
+    for (const edge of graph.edges.values()) {
+      const from = positions.get(edge.from);
+      const to = positions.get(edge.to);
+      if (!from || !to) {
+        continue;
+      }
+      // The arrow ends on the border of the node, not on its center
+      const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+      const ratio = (length - NODE_RADIUS - 2) / length;
+      container
+        .append('line')
+        .attr('class', 'dag-neighbors-edge')
+        .attr('x1', from.x)
+        .attr('y1', from.y)
+        .attr('x2', from.x + (to.x - from.x) * ratio)
+        .attr('y2', from.y + (to.y - from.y) * ratio)
+        .attr('marker-end', `url(#dag-neighbors-arrow-${graphType})`);
+    }
+
+    for (const node of graph.nodes.values()) {
+      const { x, y } = positions.get(node.id);
+      let className = `dag-neighbors-node ${
+        node.isBlock ? 'dag-neighbors-node-block' : 'dag-neighbors-node-tx'
+      }`;
+      if (node.isVoided) {
+        className += ' dag-neighbors-node-voided';
+      }
+      if (node.id === center) {
+        className += ' dag-neighbors-node-center';
+      }
+
+      const group = container
+        .append('g')
+        .attr('class', className)
+        .attr('transform', `translate(${x},${y})`)
+        .on('click', () => setCenter(node.id));
+      if (node.isBlock) {
+        group
+          .append('rect')
+          .attr('x', -NODE_RADIUS)
+          .attr('y', -NODE_RADIUS)
+          .attr('width', NODE_RADIUS * 2)
+          .attr('height', NODE_RADIUS * 2)
+          .attr('rx', 3);
+      } else {
+        group.append('circle').attr('r', NODE_RADIUS);
+      }
+      group
+        .append('text')
+        .attr('y', NODE_RADIUS + 14)
+        .attr('text-anchor', 'middle')
+        .text(node.id.substring(0, HASH_LENGTH));
+      group.append('title').text(dagNeighborsUtils.describeNode(node));
+    }
+  }, [graphVersion, center, graphType]);
+
+  const canExpand =
+    !loading &&
+    level < NEIGHBORS_GRAPH_MAX_LEVEL &&
+    !graphRef.current.truncated &&
+    graphRef.current.nodes.size > 0;
+
+  return (
+    <div className="dag-neighbors">
+      <div className="d-flex flex-row flex-wrap align-items-center mb-2">
+        <button
+          type="button"
+          className="btn btn-hathor btn-sm me-2"
+          onClick={expand}
+          disabled={!canExpand}
+        >
+          Show one more level
+        </button>
+        <button type="button" className="btn btn-secondary btn-sm me-2" onClick={resetView}>
+          Reset view
+        </button>
+        {center !== txId && (
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm me-2"
+            onClick={() => setCenter(txId)}
+          >
+            Back to {helpers.getShortHash(txId)}
+          </button>
+        )}
+        <span className="dag-neighbors-info">
+          {level} {level === 1 ? 'level' : 'levels'}, centered on{' '}
+          <Link to={`/transaction/${center}`}>{helpers.getShortHash(center)}</Link>
+        </span>
+      </div>
+      {graphRef.current.truncated && (
+        <p className="text-warning">
+          The graph reached {NEIGHBORS_GRAPH_MAX_NODES} transactions, the next ones are not shown.
+        </p>
+      )}
+      {error && (
+        <ErrorMessageWithIcon
+          error={error}
+          onRetry={
+            // Only the last level failed when the center was loaded
+            graphRef.current.nodes.size > 0 ? expand : () => setLoadAttempt(a => a + 1)
+          }
+        />
+      )}
+      <svg className="dag-neighbors-graph" ref={svgRef} width="100%" height={HEIGHT}>
+        <defs>
+          <marker
+            id={`dag-neighbors-arrow-${graphType}`}
+            viewBox="0 0 10 10"
+            refX="10"
+            refY="5"
+            markerWidth="6"
+            markerHeight="6"
+            orient="auto"
+          >
+            <path d="M0,0L10,5L0,10z" />
+          </marker>
+        </defs>
+        <g ref={containerRef} />
+      </svg>
+      {loading && <Loading showSlowLoadMessage={false} />}
+      <p className="text-muted dag-neighbors-hint">
+        Drag to move and scroll to zoom. Click a transaction to center the graph on it, hover it to
+        see its details.
+      </p>
+    </div>
+  );
+}
+
+/**
+ * txId: Transaction shown on the screen, where the graph starts
+ * graphType: One of NEIGHBOR_GRAPH_TYPES
+ */
+DagNeighborsGraph.propTypes = {
+  txId: PropTypes.string.isRequired,
+  graphType: PropTypes.string.isRequired,
+};
+
+export default DagNeighborsGraph;
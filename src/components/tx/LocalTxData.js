@@ -0,0 +1,283 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import hathorLib, { numberUtils } from '@hathor/wallet-lib';
+import txApi from '../../api/txApi';
+import localDecodeUtils, { SIGNATURE_STATUS } from '../../utils/localDecode';
+import utxoUtils from '../../utils/utxo';
+import dateFormatter from '../../utils/date';
+import helpers from '../../utils/helpers';
+import AddressLabel from '../AddressLabel';
+
+/**
+ * Class of the text of each signature status
+ */
+const STATUS_CLASSES = {
+  [SIGNATURE_STATUS.valid]: 'text-success',
+  [SIGNATURE_STATUS.partial]: 'text-warning',
+  [SIGNATURE_STATUS.invalid]: 'text-danger',
+  [SIGNATURE_STATUS.unsigned]: 'text-muted',
+  [SIGNATURE_STATUS.unknown]: 'text-muted',
+};
+
+/**
+ * Transaction decoded on the browser, with the signature of each input checked against the
+ * output it spends
+ *
+ * @memberof Components
+ */
+function LocalTxData({ transaction }) {
+  const serverInfo = useSelector(state => state.serverInfo);
+  const decimalPlaces = serverInfo.decimal_places;
+  const nativeSymbol =
+    serverInfo?.native_token?.symbol ?? hathorLib.constants.DEFAULT_NATIVE_TOKEN_CONFIG.symbol;
+
+  // checks {SignatureCheck[] | null} Signature check of each input, null while loading
+  const [checks, setChecks] = useState(null);
+  // checkAttempt {number} Incremented to load the spent outputs again
+  const [checkAttempt, setCheckAttempt] = useState(0);
+
+  useEffect(() => {
+    let ignore = false;
+
+    async function checkSignatures() {
+      setChecks(null);
+      // Inputs without data don't need the spent output
+      const txIds = [
+        ...new Set(transaction.inputs.filter(input => input.data).map(input => input.tx_id)),
+      ];
+      const spentTxs = {};
+      await Promise.all(
+        txIds.map(async txId => {
+          try {
+            spentTxs[txId] = await txApi.getTransaction(txId);
+          } catch (e) {
+            // Checked as unknown, the full node may be unreachable
+            spentTxs[txId] = null;
+          }
+        })
+      );
+      if (ignore) {
+        return;
+      }
+      setChecks(
+        transaction.inputs.map(input =>
+          localDecodeUtils.verifyInput(
+            input,
+            transaction.dataToSignHash,
+            spentTxs[input.tx_id]?.tx.outputs[input.index] || null
+          )
+        )
+      );
+    }
+
+    checkSignatures();
+    return () => {
+      ignore = true;
+    };
+  }, [transaction, checkAttempt]);
+
+  /**
+   * @param {DecodedOutput} output
+   *
+   * @return {string} Amount and token of the output, or its authority
+   */
+  const formatValue = output => {
+    if (output.isAuthority) {
+      return `${utxoUtils.getAuthorityName(output.value)} authority`;
+    }
+    const symbol =
+      output.token === hathorLib.constants.NATIVE_TOKEN_UID
+        ? nativeSymbol
+        : helpers.getShortHash(output.token);
+    return `${numberUtils.prettyValue(output.value, decimalPlaces)} ${symbol}`;
+  };
+
+  /**
+   * @param {DecodedOutput} output
+   *
+   * @return {string | JSX.Element} Address or data of the output script
+   */
+  const renderScript = output => {
+    if (output.address) {
+      return (
+        <>
+          <Link to={`/address/${output.address}`}>{output.address}</Link>
+          <AddressLabel address={output.address} />
+        </>
+      );
+    }
+    if (output.data !== null) {
+      return `${output.data} [Data]`;
+    }
+    return <span className="local-tx-hex">{output.script}</span>;
+  };
+
+  const renderCheck = index => {
+    if (!checks) {
+      return <span className="text-muted">Checking...</span>;
+    }
+    return <span className={STATUS_CLASSES[checks[index].status]}>{checks[index].message}</span>;
+  };
+
+  const renderHeader = () => (
+    <table className="table table-striped">
+      <tbody>
+        <tr>
+          <th>Hash</th>
+          <td className="local-tx-hex">{transaction.hash}</td>
+        </tr>
+        <tr>
+          <th>Type</th>
+          <td>
+            {transaction.tokenInfo
+              ? `Token creation (${transaction.tokenInfo.name}, ${transaction.tokenInfo.symbol})`
+              : 'Transaction'}
+          </td>
+        </tr>
+        <tr>
+          <th>Version</th>
+          <td>{transaction.version}</td>
+        </tr>
+        <tr>
+          <th>Signal bits</th>
+          <td>{transaction.signalBits}</td>
+        </tr>
+        <tr>
+          <th>Timestamp</th>
+          <td>{dateFormatter.parseTimestamp(transaction.timestamp)}</td>
+        </tr>
+        <tr>
+          <th>Weight</th>
+          <td>{helpers.roundFloat(transaction.weight)}</td>
+        </tr>
+        <tr>
+          <th>Nonce</th>
+          <td>{transaction.nonce}</td>
+        </tr>
+        <tr>
+          <th>Parents</th>
+          <td>
+            {transaction.parents.length
+              ? transaction.parents.map(parent => (
+                  <Link key={parent} className="d-block" to={`/transaction/${parent}`}>
+                    {parent}
+                  </Link>
+                ))
+              : 'None yet'}
+          </td>
+        </tr>
+        {transaction.tokens.length > 0 && (
+          <tr>
+            <th>Tokens</th>
+            <td>
+              {transaction.tokens.map((uid, index) => (
+                <div key={uid}>
+                  {index + 1}: <Link to={`/token_detail/${uid}`}>{uid}</Link>
+                </div>
+              ))}
+            </td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+  );
+
+  const renderInputs = () => (
+    <table className="table table-striped">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Spent output</th>
+          <th>Signature</th>
+          <th>Data</th>
+        </tr>
+      </thead>
+      <tbody>
+        {transaction.inputs.map((input, index) => (
+          <tr key={`${input.tx_id}:${input.index}`}>
+            <td>{index}</td>
+            <td>
+              <Link to={`/transaction/${input.tx_id}`}>{helpers.getShortHash(input.tx_id)}</Link> (
+              {input.index})
+            </td>
+            <td>{renderCheck(index)}</td>
+            <td className="local-tx-hex">{input.data || '-'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  const renderOutputs = () => (
+    <table className="table table-striped">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Value</th>
+          <th>Token data</th>
+          <th>Script</th>
+          <th>Timelock</th>
+        </tr>
+      </thead>
+      <tbody>
+        {transaction.outputs.map((output, index) => (
+          <tr key={index}>
+            <td>{index}</td>
+            <td>{formatValue(output)}</td>
+            <td>{output.tokenData}</td>
+            <td>
+              {renderScript(output)} [{output.type.toUpperCase()}]
+            </td>
+            <td>{output.timelock ? dateFormatter.parseTimestamp(output.timelock) : '-'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  const hasUnknown = checks?.some(
+    (check, index) =>
+      check.status === SIGNATURE_STATUS.unknown && transaction.inputs[index].data !== null
+  );
+
+  return (
+    <div className="local-tx-data mt-4">
+      <h4>Decoded on the browser</h4>
+      <p className="text-muted">
+        The signatures are checked against the outputs being spent, loaded from the full node.
+      </p>
+      {renderHeader()}
+      <h5>Inputs</h5>
+      {transaction.inputs.length ? renderInputs() : <p>No inputs</p>}
+      {hasUnknown && (
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm mb-3"
+          onClick={() => setCheckAttempt(a => a + 1)}
+        >
+          Check the signatures again
+        </button>
+      )}
+      <h5>Outputs</h5>
+      {renderOutputs()}
+    </div>
+  );
+}
+
+/**
+ * transaction: Transaction decoded by `localDecodeUtils.decodeTx`
+ */
+LocalTxData.propTypes = {
+  transaction: PropTypes.object.isRequired,
+};
+
+export default LocalTxData;
@@ -17,6 +17,7 @@ import colors from '../../index.scss';
 import PaginationURL from '../../utils/pagination';
 import { useNewUiEnabled, useIsMobile } from '../../hooks';
 import Spinner from '../Spinner';
+import ErrorMessageWithIcon from '../error/ErrorMessageWithIcon';
 
 /**
  * Displays transactions history in a table with pagination buttons. As the user navigates through the history,
@@ -69,6 +70,8 @@ function Transactions({ shouldUpdateList, updateData, title, noPagination }) {
   const [lastHash, setLastHash] = useState(null);
   // lastTimestamp {number | null} Last timestamp of the current list
   const [lastTimestamp, setLastTimestamp] = useState(null);
+  // error {ApiError | null} Error loading the current page
+  const [error, setError] = useState(null);
 
   /**
    * useCallback is important here to update this method with new history state
@@ -193,11 +196,13 @@ function Transactions({ shouldUpdateList, updateData, title, noPagination }) {
     queryParams => {
       updateData(queryParams.ts, queryParams.hash, queryParams.page).then(
         data => {
+          setError(null);
           handleDataFetched(data, queryParams);
         },
         e => {
           // Error in request
           console.log(e);
+          setError(e);
         }
       );
     },
@@ -365,10 +370,16 @@ function Transactions({ shouldUpdateList, updateData, title, noPagination }) {
     return (
       <div className="w-100">
         {title}
-        {!loaded ? (
+        {error && (
+          <ErrorMessageWithIcon
+            error={error}
+            onRetry={() => getData(pagination.obtainQueryParams())}
+          />
+        )}
+        {!loaded && !error ? (
           <ReactLoading type="spin" color={colors.purpleHathor} delay={500} />
         ) : (
-          loadTable()
+          loaded && loadTable()
         )}
         {loadPagination()}
       </div>
@@ -379,7 +390,14 @@ function Transactions({ shouldUpdateList, updateData, title, noPagination }) {
     return (
       <div className="w-100">
         {title}
-        {!loaded ? <Spinner /> : loadNewTable()}
+        {error && (
+          <ErrorMessageWithIcon
+            error={error}
+            onRetry={() => getData(pagination.obtainQueryParams())}
+          />
+        )}
+        {!loaded && !error && <Spinner />}
+        {loaded && loadNewTable()}
         {loadNewPagination()}
       </div>
     );
@@ -6,12 +6,10 @@
  */
 
 import React from 'react';
-import Viz from 'viz.js';
 import $ from 'jquery';
 import hathorLib from '@hathor/wallet-lib';
 import { CopyToClipboard } from 'react-copy-to-clipboard';
 import { Link } from 'react-router-dom';
-import { Module, render } from 'viz.js/full.render';
 import { connect } from 'react-redux';
 import { get, upperFirst } from 'lodash';
 import TokenMarkers from '../token/TokenMarkers';
@@ -20,8 +18,13 @@ import TxMarkers from './TxMarkers';
 import dateFormatter from '../../utils/date';
 import helpers from '../../utils/helpers';
 import metadataApi from '../../api/metadataApi';
-import graphvizApi from '../../api/graphvizApi';
 import Loading from '../Loading';
+import ErrorMessageWithIcon from '../error/ErrorMessageWithIcon';
+import AddressLabel from '../AddressLabel';
+import TxFlowDiagram from './TxFlowDiagram';
+import DagNeighborsGraph from './DagNeighborsGraph';
+import { TRACE_DIRECTIONS } from '../../utils/fundTrace';
+import { NEIGHBOR_GRAPH_TYPES } from '../../utils/dagNeighbors';
 import FeatureDataRow from '../feature_activation/FeatureDataRow';
 import featureApi from '../../api/featureApi';
 import HathorSnackbar from '../HathorSnackbar';
@@ -42,21 +45,13 @@ const mapStateToProps = state => ({
  * @memberof Components
  */
 class TxData extends React.Component {
-  /**
-   * Base states of a graph
-   */
-  baseItemGraph = {
-    calculatedNeighbors: false,
-    showNeighbors: false,
-    graphLoading: false,
-  };
-
   /**
    * raw {boolean} if should show raw transaction
    * children {boolean} if should show children (default is hidden but user can show with a click)
    * tokens {Array} tokens contained in this transaction
    * metadataLoaded {boolean} true when all token metadatas are loaded
-   * graphs {array} hold all states that a graph needs
+   * graphs {array} neighbors graphs of the transaction and if each one is shown
+   * flowDiagram {boolean} if inputs and outputs are shown as a flow diagram instead of a list
    */
   state = {
     raw: false,
@@ -66,20 +61,22 @@ class TxData extends React.Component {
     showFeatureActivation: false,
     loadedSignalBits: false,
     signalBits: [],
+    signalBitsError: null,
     graphs: [
       {
-        name: 'verification',
+        name: NEIGHBOR_GRAPH_TYPES.verification,
         label: 'Verification neighbors',
-        ...this.baseItemGraph,
+        showNeighbors: false,
       },
       {
-        name: 'funds',
+        name: NEIGHBOR_GRAPH_TYPES.funds,
         label: 'Funds neighbors',
-        ...this.baseItemGraph,
+        showNeighbors: false,
       },
     ],
     ncDeserializer: null,
     ncLoading: false,
+    flowDiagram: false,
   };
 
   // Array of token uid that was already found to show the symbol
@@ -198,53 +195,35 @@ class TxData extends React.Component {
     this.setState({ showFeatureActivation: !this.state.showFeatureActivation });
 
     if (!this.state.loadedSignalBits) {
-      const signalBits = (await featureApi.getSignalBits(this.props.transaction.hash)) || [];
-      this.setState({ signalBits, loadedSignalBits: true });
+      await this.loadSignalBits();
     }
   };
 
   /**
-   * Given a graph type, it calculates the DAG (verification or funds) and renders into the HTML element
-   *
-   * @param {string} graphType
+   * Get the signal bits of the block, keeping the error to allow the user to retry
    */
-  calculateNeighborsGraph = async graphType => {
-    const viz = new Viz({ Module, render });
-
-    const graphvizResponse = await graphvizApi.dotNeighbors(this.props.transaction.hash, graphType);
-    const element = await viz.renderSVGElement(graphvizResponse);
-
-    element.id = `graph-${graphType}-data`;
-    document.getElementById(`graph-${graphType}`).appendChild(element);
+  loadSignalBits = async () => {
+    this.setState({ signalBitsError: null });
+    try {
+      const signalBits = (await featureApi.getSignalBits(this.props.transaction.hash)) || [];
+      this.setState({ signalBits, loadedSignalBits: true });
+    } catch (e) {
+      this.setState({ signalBitsError: e });
+    }
   };
 
   /**
-   * Handle all the necessary events to perform the graph toggle event
+   * Shows or hides a neighbors graph. The graph is loaded again each time it's shown.
    *
    * @param {e} e Event emitted when clicking the link
    * @param {number} index Index of the graph that will be toggled
    */
-  toggleGraph = async (e, index) => {
+  toggleGraph = (e, index) => {
     e.preventDefault();
 
     const graphs = [...this.state.graphs];
-    graphs[index].showNeighbors = !graphs[index].showNeighbors;
-
+    graphs[index] = { ...graphs[index], showNeighbors: !graphs[index].showNeighbors };
     this.setState({ graphs });
-
-    // Check if graph needs to be calculated before showing
-    if (!graphs[index].calculatedNeighbors && !graphs[index].graphLoading) {
-      graphs[index].graphLoading = true;
-      this.setState({ graphs });
-
-      // Make the necessary requests to calculate the graph
-      await this.calculateNeighborsGraph(graphs[index].name);
-
-      // Update graph status
-      graphs[index].calculatedNeighbors = true;
-      graphs[index].graphLoading = false;
-      this.setState({ graphs });
-    }
   };
 
   /**
@@ -296,6 +275,16 @@ class TxData extends React.Component {
     return tokenConfig.symbol;
   };
 
+  /**
+   * @param {string} uid UID of the token
+   *
+   * @return {boolean} If the token is an NFT, whose values have no decimal places
+   */
+  isNFT = uid => {
+    const tokenData = this.state.tokens.find(token => token.uid === uid);
+    return Boolean(tokenData?.meta?.nft);
+  };
+
   /**
    * Get uid of token from an output token data
    *
@@ -324,7 +313,13 @@ class TxData extends React.Component {
         return (
           <div key={`${input.tx_id}${input.index}`}>
             <Link to={`/transaction/${input.tx_id}`}>{helpers.getShortHash(input.tx_id)}</Link> (
-            {input.index}){renderInputOrOutput(input, 0, false)}
+            {input.index}) (
+            <Link
+              to={`/trace/${input.tx_id}/${input.index}?direction=${TRACE_DIRECTIONS.backward}`}
+            >
+              Trace back
+            </Link>
+            ){renderInputOrOutput(input, 0, false)}
           </div>
         );
       });
@@ -369,7 +364,8 @@ class TxData extends React.Component {
         return (
           <span>
             {' '}
-            (<Link to={`/transaction/${this.props.spentOutputs[idx]}`}>Spent</Link>)
+            (<Link to={`/transaction/${this.props.spentOutputs[idx]}`}>Spent</Link>,{' '}
+            <Link to={`/trace/${this.props.transaction.hash}/${idx}`}>Trace</Link>)
           </span>
         );
       }
@@ -390,6 +386,45 @@ class TxData extends React.Component {
       );
     };
 
+    const renderFlowToggle = () => {
+      return (
+        <div
+          className="btn-group btn-group-sm mb-3"
+          role="group"
+          aria-label="Inputs and outputs view"
+        >
+          <button
+            type="button"
+            className={`btn ${this.state.flowDiagram ? 'btn-outline-secondary' : 'btn-hathor'}`}
+            onClick={() => this.setState({ flowDiagram: false })}
+          >
+            List
+          </button>
+          <button
+            type="button"
+            className={`btn ${this.state.flowDiagram ? 'btn-hathor' : 'btn-outline-secondary'}`}
+            onClick={() => this.setState({ flowDiagram: true })}
+          >
+            Flow diagram
+          </button>
+        </div>
+      );
+    };
+
+    const renderFlowDiagram = () => {
+      if (!this.state.metadataLoaded) {
+        return <Loading />;
+      }
+      return (
+        <TxFlowDiagram
+          transaction={this.props.transaction}
+          decimalPlaces={this.props.decimalPlaces}
+          getSymbol={this.getSymbol}
+          isNFT={this.isNFT}
+        />
+      );
+    };
+
     const renderOutputs = outputs => {
       return outputs.map((output, idx) => {
         return renderInputOrOutput(output, idx, true);
@@ -439,12 +474,18 @@ class TxData extends React.Component {
     };
 
     const renderP2PKHorMultiSig = decoded => {
-      let ret = decoded.address;
+      let ret = '';
       if (decoded.timelock) {
-        ret = `${ret} | Locked until ${dateFormatter.parseTimestamp(decoded.timelock)}`;
+        ret = ` | Locked until ${dateFormatter.parseTimestamp(decoded.timelock)}`;
       }
       ret = `${ret} [${decoded.type}]`;
-      return ret;
+      return (
+        <>
+          {decoded.address}
+          <AddressLabel address={decoded.address} />
+          {ret}
+        </>
+      );
     };
 
     const renderListWithLinks = (hashes, textDark) => {
@@ -507,6 +548,22 @@ class TxData extends React.Component {
       );
     };
 
+    const renderCompareLink = () => {
+      const params = new URLSearchParams();
+      [this.props.transaction.hash, ...this.props.meta.conflict_with].forEach(hash =>
+        params.append('tx', hash)
+      );
+      return (
+        <div className="mt-2">
+          <Link className="text-dark" to={`/compare?${params.toString()}`}>
+            <i className="fa fa-columns me-1" />
+            Compare with conflicting{' '}
+            {helpers.plural(this.props.meta.conflict_with.length, 'transaction', 'transactions')}
+          </Link>
+        </div>
+      );
+    };
+
     const renderConflicts = () => {
       const { twins } = this.props.meta;
       const conflictNotTwin = this.props.meta.conflict_with.length
@@ -539,6 +596,7 @@ class TxData extends React.Component {
                 </div>
               )}
               {renderTwins()}
+              {renderCompareLink()}
             </div>
           );
         }
@@ -584,6 +642,7 @@ class TxData extends React.Component {
             </div>
           )}
           {renderTwins()}
+          {renderCompareLink()}
         </div>
       );
     };
@@ -623,6 +682,7 @@ class TxData extends React.Component {
                 </div>
               )}
               {renderTwins()}
+              {renderCompareLink()}
             </div>
           );
         }
@@ -668,6 +728,7 @@ class TxData extends React.Component {
             </div>
           )}
           {renderTwins()}
+          {renderCompareLink()}
         </div>
       );
     };
@@ -688,11 +749,12 @@ class TxData extends React.Component {
                 {this.state.graphs[graphIndex].showNeighbors ? 'Click to hide' : 'Click to show'}
               </a>
             ) : null}
-            <div
-              className={this.state.graphs[graphIndex].showNeighbors ? undefined : 'd-none'}
-              id={`graph-${this.state.graphs[graphIndex].name}`}
-            ></div>
-            {this.state.graphs[graphIndex].graphLoading ? <Loading /> : null}
+            {this.state.graphs[graphIndex].showNeighbors ? (
+              <DagNeighborsGraph
+                txId={this.props.transaction.hash}
+                graphType={this.state.graphs[graphIndex].name}
+              />
+            ) : null}
           </div>
         </div>
       );
@@ -721,11 +783,12 @@ class TxData extends React.Component {
                 </a>
               ) : null}
             </div>
-            <div
-              className={this.state.graphs[graphIndex].showNeighbors ? '' : 'd-none'}
-              id={`graph-${this.state.graphs[graphIndex].name}`}
-            ></div>
-            {this.state.graphs[graphIndex].graphLoading ? <Loading /> : null}
+            {this.state.graphs[graphIndex].showNeighbors ? (
+              <DagNeighborsGraph
+                txId={this.props.transaction.hash}
+                graphType={this.state.graphs[graphIndex].name}
+              />
+            ) : null}
           </div>
         </div>
       );
@@ -748,7 +811,10 @@ class TxData extends React.Component {
     const renderHeight = () => {
       return (
         <div className="summary-balance-info-container">
-          <label className="address-container-title">Height:</label> {this.props.transaction.height}
+          <label className="address-container-title">Height:</label>{' '}
+          <Link to={`/block/${this.props.transaction.height}`}>
+            {this.props.transaction.height}
+          </Link>
         </div>
       );
     };
@@ -791,7 +857,7 @@ class TxData extends React.Component {
 
     const renderFirstBlock = () => {
       return (
-        <Link to={`/transaction/${this.props.meta.first_block}`}>
+        <Link to={`/block/${this.props.meta.first_block}`}>
           {' '}
           {helpers.getShortHash(this.props.meta.first_block)}
         </Link>
@@ -949,7 +1015,15 @@ class TxData extends React.Component {
             {this.state.showFeatureActivation &&
               this.state.loadedSignalBits &&
               renderBitSignalTable()}
-            {this.state.showFeatureActivation && !this.state.loadedSignalBits && <Loading />}
+            {this.state.showFeatureActivation &&
+              !this.state.loadedSignalBits &&
+              !this.state.signalBitsError && <Loading />}
+            {this.state.showFeatureActivation && this.state.signalBitsError && (
+              <ErrorMessageWithIcon
+                error={this.state.signalBitsError}
+                onRetry={this.loadSignalBits}
+              />
+            )}
           </div>
         </div>
       );
@@ -1039,20 +1113,25 @@ class TxData extends React.Component {
             {this.props.transaction.version === hathorLib.constants.NANO_CONTRACTS_VERSION &&
               renderNCActions()}
           </div>
-          <div className="d-flex flex-column flex-lg-row align-items-start mb-3 w-100">
-            <div className="f-flex flex-column align-items-start common-div bordered-wrapper me-lg-3 w-100">
-              <div>
-                <label>Inputs ({this.props.transaction.inputs.length})</label>
+          {renderFlowToggle()}
+          {this.state.flowDiagram ? (
+            <div className="common-div bordered-wrapper mb-3 w-100">{renderFlowDiagram()}</div>
+          ) : (
+            <div className="d-flex flex-column flex-lg-row align-items-start mb-3 w-100">
+              <div className="f-flex flex-column align-items-start common-div bordered-wrapper me-lg-3 w-100">
+                <div>
+                  <label>Inputs ({this.props.transaction.inputs.length})</label>
+                </div>
+                {renderInputs(this.props.transaction.inputs)}
               </div>
-              {renderInputs(this.props.transaction.inputs)}
-            </div>
-            <div className="d-flex flex-column align-items-center common-div bordered-wrapper mt-3 mt-lg-0 w-100">
-              <div>
-                <label>Outputs ({this.props.transaction.outputs.length})</label>
+              <div className="d-flex flex-column align-items-center common-div bordered-wrapper mt-3 mt-lg-0 w-100">
+                <div>
+                  <label>Outputs ({this.props.transaction.outputs.length})</label>
+                </div>
+                {renderOutputs(this.props.transaction.outputs)}
               </div>
-              {renderOutputs(this.props.transaction.outputs)}
             </div>
-          </div>
+          )}
           {this.state.tokens.length > 0 && renderTokenList()}
           <div className="d-flex flex-column flex-lg-row align-items-start mb-3">
             <div className="f-flex flex-column align-items-start common-div bordered-wrapper me-lg-3 w-100">
@@ -1153,14 +1232,21 @@ class TxData extends React.Component {
               <div className="d-flex flex-row align-items-start mb-3"> {renderNCActions()}</div>
             )}
 
-            <div className="tx-drop-container-div">
-              <DropDetails startOpen title={`Inputs (${this.props.transaction.inputs.length})`}>
-                {renderInputs(this.props.transaction.inputs)}
-              </DropDetails>
-              <DropDetails startOpen title={`Outputs (${this.props.transaction.outputs.length})`}>
-                {renderOutputs(this.props.transaction.outputs)}
+            {renderFlowToggle()}
+            {this.state.flowDiagram ? (
+              <DropDetails startOpen title="Flow diagram">
+                {renderFlowDiagram()}
               </DropDetails>
-            </div>
+            ) : (
+              <div className="tx-drop-container-div">
+                <DropDetails startOpen title={`Inputs (${this.props.transaction.inputs.length})`}>
+                  {renderInputs(this.props.transaction.inputs)}
+                </DropDetails>
+                <DropDetails startOpen title={`Outputs (${this.props.transaction.outputs.length})`}>
+                  {renderOutputs(this.props.transaction.outputs)}
+                </DropDetails>
+              </div>
+            )}
             {/* {this.state.tokens.length > 0 && renderTokenList()} */}
             <div className="tx-drop-container-div">
               <DropDetails title="Parents:">
@@ -1180,7 +1266,15 @@ class TxData extends React.Component {
                 {this.state.showFeatureActivation &&
                   this.state.loadedSignalBits &&
                   renderBitSignalTable()}
-                {this.state.showFeatureActivation && !this.state.loadedSignalBits && <Loading />}
+                {this.state.showFeatureActivation &&
+                  !this.state.loadedSignalBits &&
+                  !this.state.signalBitsError && <Loading />}
+                {this.state.showFeatureActivation && this.state.signalBitsError && (
+                  <ErrorMessageWithIcon
+                    error={this.state.signalBitsError}
+                    onRetry={this.loadSignalBits}
+                  />
+                )}
               </DropDetails>
             )}
 
@@ -0,0 +1,236 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { useHistory } from 'react-router-dom';
+import { select } from 'd3-selection';
+import { numberUtils } from '@hathor/wallet-lib';
+import txFlowUtils from '../../utils/txFlow';
+import utxoUtils from '../../utils/utxo';
+import helpers from '../../utils/helpers';
+import { useAddressLabels } from '../../hooks';
+
+// Width of the drawing, it's scaled to the width of the screen
+const WIDTH = 960;
+const NODE_WIDTH = 14;
+// X of the input and output nodes, leaving room for their texts
+const INPUTS_X = 300;
+const OUTPUTS_X = WIDTH - INPUTS_X - NODE_WIDTH;
+// Height available to the value nodes of each side of a token
+const TOKEN_HEIGHT = 160;
+const TOKEN_TITLE_HEIGHT = 28;
+const TOKEN_GAP = 24;
+const NODE_PADDING = 8;
+const MIN_NODE_HEIGHT = 2;
+const AUTHORITY_NODE_HEIGHT = 6;
+const AUTHORITY_LINK_WIDTH = 2;
+
+/**
+ * Positions the nodes of a side of a token flow from the top of the token section
+ *
+ * @param {FlowNode[]} nodes
+ * @param {number} top
+ * @param {number} scale Height of one unit of value
+ *
+ * @return {number} Bottom of the last node
+ */
+const positionNodes = (nodes, top, scale) => {
+  let y = top;
+  for (const node of nodes) {
+    node.y = y;
+    node.height = node.isAuthority
+      ? AUTHORITY_NODE_HEIGHT
+      : Math.max(MIN_NODE_HEIGHT, node.value * scale);
+    y += node.height + NODE_PADDING;
+  }
+  return y - NODE_PADDING;
+};
+
+/**
+ * @param {FlowNode[]} nodes
+ *
+ * @return {number} Height for each unit of value that fits all nodes on the token section
+ */
+const getScale = nodes => {
+  const valueNodes = nodes.filter(node => !node.isAuthority);
+  const total = valueNodes.reduce((acc, node) => acc + node.value, 0);
+  const available =
+    TOKEN_HEIGHT -
+    NODE_PADDING * Math.max(0, nodes.length - 1) -
+    AUTHORITY_NODE_HEIGHT * (nodes.length - valueNodes.length);
+  return total > 0 ? Math.max(0, available) / total : 0;
+};
+
+/**
+ * Flow of each token of a transaction from its inputs to its outputs, as a Sankey diagram.
+ * Inputs and outputs are summed by address.
+ *
+ * @memberof Components
+ */
+function TxFlowDiagram({ transaction, decimalPlaces, getSymbol, isNFT }) {
+  const history = useHistory();
+  const labels = useAddressLabels();
+  const svgRef = useRef(null);
+
+  const layout = useMemo(() => {
+    const flows = txFlowUtils.buildFlow(transaction);
+    let top = 0;
+    for (const flow of flows) {
+      flow.top = top;
+      const scale = Math.min(getScale(flow.inputs), getScale(flow.outputs));
+      flow.scale = scale;
+      const nodesTop = top + TOKEN_TITLE_HEIGHT;
+      const bottom = Math.max(
+        positionNodes(flow.inputs, nodesTop, scale),
+        positionNodes(flow.outputs, nodesTop, scale)
+      );
+      top = bottom + TOKEN_GAP;
+
+      // Links leave and arrive at the nodes one below the other, in order
+      const offsets = new Map();
+      for (const link of flow.links) {
+        const isAuthority = link.value === 0;
+        link.width = isAuthority ? AUTHORITY_LINK_WIDTH : Math.max(1, link.value * scale);
+        const sourceOffset = offsets.get(link.source) || 0;
+        const targetOffset = offsets.get(link.target) || 0;
+        link.sourceY = link.source.y + sourceOffset + link.width / 2;
+        link.targetY = link.target.y + targetOffset + link.width / 2;
+        if (!isAuthority) {
+          offsets.set(link.source, sourceOffset + link.width);
+          offsets.set(link.target, targetOffset + link.width);
+        }
+      }
+    }
+    return { flows, height: Math.max(top - TOKEN_GAP, 0) };
+  }, [transaction]);
+
+  useEffect(() => {
+    const formatValue = (value, token) =>
+      `${numberUtils.prettyValue(value, isNFT(token) ? 0 : decimalPlaces)} ${getSymbol(token)}`;
+
+    const describeNode = node => {
+      if (node.virtual) {
+        return node.virtual;
+      }
+      const name = labels[node.address]?.label || helpers.getShortHash(node.address || 'Unknown');
+      if (node.isAuthority) {
+        return `${name} (${utxoUtils.getAuthorityName(node.authorities).toLowerCase()} authority)`;
+      }
+      return `${name}${node.isChange ? ' (change)' : ''}`;
+    };
+
+    const svg = select(svgRef.current);
+    svg.selectAll('*').remove();
+
+    for (const flow of layout.flows) {
+      const section = svg.append('g').attr('class', 'tx-flow-token');
+      section
+        .append('text')
+        .attr('class', 'tx-flow-token-title')
+        .attr('x', WIDTH / 2)
+        .attr('y', flow.top + 16)
+        .attr('text-anchor', 'middle')
+        .text(getSymbol(flow.token) || helpers.getShortHash(flow.token));
+
+      for (const link of flow.links) {
+        const x0 = INPUTS_X + NODE_WIDTH;
+        const x1 = OUTPUTS_X;
+        const middle = (x0 + x1) / 2;
+        section
+          .append('path')
+          .attr('class', link.value > 0 ? 'tx-flow-link' : 'tx-flow-link tx-flow-link-authority')
+          .attr(
+            'd',
+            `M${x0},${link.sourceY}C${middle},${link.sourceY} ${middle},${link.targetY} ${x1},${link.targetY}`
+          )
+          .attr('stroke-width', link.width)
+          .append('title')
+          .text(
+            link.value > 0
+              ? `${describeNode(link.source)} → ${describeNode(link.target)}: ${formatValue(
+                  link.value,
+                  flow.token
+                )}`
+              : `${describeNode(link.source)} → ${describeNode(link.target)}: authority`
+          );
+      }
+
+      const drawNodes = (nodes, x, isOutput) => {
+        for (const node of nodes) {
+          let className = 'tx-flow-node';
+          if (node.virtual) {
+            className += ' tx-flow-node-virtual';
+          } else if (node.isAuthority) {
+            className += ' tx-flow-node-authority';
+          } else if (node.isChange) {
+            className += ' tx-flow-node-change';
+          }
+
+          const group = section.append('g').attr('class', className);
+          if (node.address) {
+            group
+              .classed('pointer', true)
+              .on('click', () => history.push(`/address/${node.address}`));
+          }
+          group
+            .append('rect')
+            .attr('x', x)
+            .attr('y', node.y)
+            .attr('width', NODE_WIDTH)
+            .attr('height', node.height);
+
+          const value = node.isAuthority
+            ? `${utxoUtils.getAuthorityName(node.authorities)} authority`
+            : formatValue(node.value, node.token);
+          group
+            .append('text')
+            .attr('x', isOutput ? x + NODE_WIDTH + 6 : x - 6)
+            .attr('y', node.y + node.height / 2)
+            .attr('dy', '0.35em')
+            .attr('text-anchor', isOutput ? 'start' : 'end')
+            .text(`${describeNode(node)} · ${value}`);
+          group.append('title').text(`${node.address || describeNode(node)}\n${value}`);
+        }
+      };
+
+      drawNodes(flow.inputs, INPUTS_X, false);
+      drawNodes(flow.outputs, OUTPUTS_X, true);
+    }
+  }, [layout, labels, history, decimalPlaces, getSymbol, isNFT]);
+
+  return (
+    <div className="tx-flow-diagram">
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${layout.height}`}
+        width="100%"
+        preserveAspectRatio="xMidYMin meet"
+      />
+      <div className="tx-flow-legend">
+        <span className="tx-flow-legend-change">Change</span>
+        <span className="tx-flow-legend-authority">Authority</span>
+        <span className="tx-flow-legend-virtual">Fee, reward, mint or melt</span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * transaction: Transaction returned by the full node
+ * decimalPlaces: Decimal places of the amounts
+ * getSymbol: Returns the symbol of a token uid
+ * isNFT: Returns if a token uid is an NFT, shown without decimal places
+ */
+TxFlowDiagram.propTypes = {
+  transaction: PropTypes.object.isRequired,
+  decimalPlaces: PropTypes.number.isRequired,
+  getSymbol: PropTypes.func.isRequired,
+  isNFT: PropTypes.func.isRequired,
+};
+
+export default TxFlowDiagram;
@@ -17,7 +17,8 @@ const TxRow = ({ tx, ellipsis }) => {
   const history = useHistory();
 
   const handleClickTr = hash => {
-    history.push(`/transaction/${hash}`);
+    const path = hathorLib.transactionUtils.isBlock(tx) ? 'block' : 'transaction';
+    history.push(`/${path}/${hash}`);
   };
 
   const renderNewUi = () => (
@@ -11,6 +11,26 @@ export const EXPLORER_SERVICE_BASE_URL =
   process.env.REACT_APP_EXPLORER_SERVICE_BASE_URL || 'https://explorer-service.hathor.network/';
 export const REACT_APP_NETWORK = process.env.REACT_APP_NETWORK || 'mainnet';
 
+/**
+ * Backends the explorer can get its data from.
+ * The full node backend does not depend on the explorer service, but the screens that need its
+ * indexes (see BACKEND_CAPABILITIES) are not available.
+ */
+export const BACKEND_TYPES = {
+  explorerService: 'explorer-service',
+  fullnode: 'fullnode',
+};
+
+export const REACT_APP_BACKEND = process.env.REACT_APP_BACKEND || BACKEND_TYPES.explorerService;
+
+/**
+ * Features that depend on the explorer service Elasticsearch indexes
+ */
+export const BACKEND_CAPABILITIES = {
+  addressIndex: 'address-index',
+  tokenIndex: 'token-index',
+};
+
 let tmp_ws_url = process.env.REACT_APP_WS_URL || 'wss://node.explorer.hathor.network/v1a/ws/';
 if (!(tmp_ws_url.startsWith('ws:') || tmp_ws_url.startsWith('wss:'))) {
   if (tmp_ws_url.startsWith('/')) {
@@ -27,18 +47,97 @@ if (!(tmp_ws_url.startsWith('ws:') || tmp_ws_url.startsWith('wss:'))) {
 
 export const WS_URL = tmp_ws_url;
 
+/**
+ * Networks that are always available in the network switcher, besides the one configured at build
+ * time and the ones added by the user.
+ */
+export const PRESET_NETWORKS = [
+  {
+    id: 'mainnet',
+    name: 'mainnet',
+    baseUrl: 'https://node.explorer.hathor.network/v1a/',
+    explorerServiceUrl: 'https://explorer-service.hathor.network/',
+    wsUrl: 'wss://node.explorer.hathor.network/v1a/ws/',
+    backend: BACKEND_TYPES.explorerService,
+  },
+  {
+    id: 'testnet',
+    name: 'testnet',
+    baseUrl: 'https://node.explorer.testnet.hathor.network/v1a/',
+    explorerServiceUrl: 'https://explorer-service.testnet.hathor.network/',
+    wsUrl: 'wss://node.explorer.testnet.hathor.network/v1a/ws/',
+    backend: BACKEND_TYPES.explorerService,
+  },
+];
+
+/**
+ * States of the websocket connection with the full node
+ */
+export const WS_CONNECTION_STATES = {
+  connected: 'connected',
+  disconnected: 'disconnected',
+  reconnecting: 'reconnecting',
+};
+
 export const TX_COUNT = 10;
 
+// Number of history elements requested per page when exporting the history of an address
+export const ADDRESS_EXPORT_PAGE_SIZE = 50;
+
+// Maximum number of transactions of a P2SH address checked looking for one that spends from it
+export const MULTISIG_SCAN_MAX_TXS = 50;
+
+// Maximum number of transactions of an address checked looking for its unspent outputs
+export const UTXO_SCAN_MAX_TXS = 1000;
+
+// Average time between blocks in seconds, used to estimate when a reward lock ends
+export const AVERAGE_BLOCK_TIME = 30;
+
+// Hops followed when a fund trace starts, and the most the user can ask for at once
+export const TRACE_DEFAULT_HOPS = 2;
+export const TRACE_MAX_HOPS = 6;
+
+// Maximum number of transactions on a fund trace, so a busy address doesn't load the whole DAG
+export const TRACE_MAX_NODES = 150;
+
 // Maximum number of features shown in a single page of the features table
 export const FEATURE_COUNT = 10;
 
 // Maximum number of tokens to fetch when searching for tokens of an address
 export const TOKEN_COUNT = 50;
 
+// Number of consecutive unused addresses after which the scan of an xpub stops
+export const XPUB_GAP_LIMIT = 20;
+
 export const DASHBOARD_BLOCKS_COUNT = 6;
 
 export const DASHBOARD_TX_COUNT = 6;
 
+// Page size used to fetch the blocks and transactions missed while the websocket was down
+export const WS_BACKFILL_PAGE_SIZE = 50;
+
+// Maximum pages fetched on a backfill. Longer gaps reload the screen data from scratch instead
+export const WS_BACKFILL_MAX_PAGES = 10;
+
+// Maximum transactions listed as first confirmed by a block on the block screen
+export const BLOCK_CONFIRMED_TXS_MAX = 100;
+
+// Timeout of each attempt of an explorer request
+export const REQUEST_TIMEOUT = parseInt(process.env.REACT_APP_REQUEST_TIMEOUT || '15000', 10); // 15s
+
+// Number of times a failed GET request is retried
+export const REQUEST_MAX_RETRIES = parseInt(process.env.REACT_APP_REQUEST_MAX_RETRIES || '3', 10);
+
+// Delay before the first retry, doubled on each attempt until the max
+export const REQUEST_RETRY_BASE_DELAY = 500; // 500ms
+export const REQUEST_RETRY_MAX_DELAY = 8000; // 8s
+
+// Time a screen can spend retrying its requests, counted from when it was opened
+export const REQUEST_SCREEN_BUDGET = parseInt(
+  process.env.REACT_APP_REQUEST_SCREEN_BUDGET || '45000',
+  10
+); // 45s
+
 export const MAINNET_GENESIS_BLOCK = [
   '000006cb93385b8b87a545a1cbb6197e6caff600c12cc12fc54250d39c8088fc',
 ];
@@ -61,8 +160,13 @@ export const VERSION = '0.20.6';
 
 export const MIN_API_VERSION = '0.33.0';
 
-// Max level of the graph generated by the full node in the transaction detail screen
-export const MAX_GRAPH_LEVEL = 1;
+// Levels of neighbors loaded when a graph of the transaction detail screen is opened, and the
+// most it can be expanded to
+export const NEIGHBORS_GRAPH_DEFAULT_LEVEL = 1;
+export const NEIGHBORS_GRAPH_MAX_LEVEL = 5;
+
+// Maximum number of transactions on a neighbors graph, so it can still be read
+export const NEIGHBORS_GRAPH_MAX_NODES = 80;
 
 // Token maks
 // First bit in the index byte indicates whether it's an authority output
@@ -99,11 +203,12 @@ export const UNLEASH_CONFIG = {
   appName: 'explorer',
 };
 
-export const UNLEASH_ADDRESS_DETAIL_BASE_FEATURE_FLAG = `explorer-address-detail-${REACT_APP_NETWORK}`;
-export const UNLEASH_TOKENS_BASE_FEATURE_FLAG = `explorer-tokens-${REACT_APP_NETWORK}`;
-export const UNLEASH_TOKEN_BALANCES_FEATURE_FLAG = `explorer-address-list-${REACT_APP_NETWORK}`;
-export const UNLEASH_TIME_SERIES_FEATURE_FLAG = `explorer-timeseries-${REACT_APP_NETWORK}`;
-export const UNLEASH_NEW_UI_FEATURE_FLAG = `explorer-new-ui-enabled-${REACT_APP_NETWORK}`;
+// Flags are set for each network, the hook useFeatureFlagName adds the selected one to the name
+export const UNLEASH_ADDRESS_DETAIL_BASE_FEATURE_FLAG = 'explorer-address-detail';
+export const UNLEASH_TOKENS_BASE_FEATURE_FLAG = 'explorer-tokens';
+export const UNLEASH_TOKEN_BALANCES_FEATURE_FLAG = 'explorer-address-list';
+export const UNLEASH_TIME_SERIES_FEATURE_FLAG = 'explorer-timeseries';
+export const UNLEASH_NEW_UI_FEATURE_FLAG = 'explorer-new-ui-enabled';
 
 export const { REACT_APP_TIMESERIES_DASHBOARD_ID } = process.env;
 export const TIMESERIES_DASHBOARD_URL = `https://hathor-explorer-75a9f9.kb.eu-central-1.aws.cloud.es.io:9243/s/anonymous-user/app/dashboards?auth_provider_hint=anonymous1#/view/${REACT_APP_TIMESERIES_DASHBOARD_ID}?embed=true&_g=(filters%3A!()%2CrefreshInterval%3A(pause%3A!t%2Cvalue%3A0)%2Ctime%3A(from%3Anow-1w%2Cto%3Anow))&show-time-filter=true&hide-filter-bar=true`;
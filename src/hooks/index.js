@@ -5,7 +5,12 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+export { AddressLabelsProvider, useAddressLabels } from './useAddressLabels';
+export { useBackendSupports } from './useBackendSupports';
+export { useFeatureFlagName } from './useFeatureFlagName';
 export { useIsMobile } from './useIsMobile';
 export { useNewUiEnabled } from './useNewUiEnabled';
 export { useNewUiLoad } from './useNewUiLoad';
+export { useScreenRetryBudget } from './useScreenRetryBudget';
 export { useTheme } from './useTheme';
+export { useWsReconnect } from './useWsReconnect';
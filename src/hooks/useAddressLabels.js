@@ -0,0 +1,41 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { createContext, useContext, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useSelector } from 'react-redux';
+import addressLabelsUtils from '../utils/addressLabels';
+
+const AddressLabelsContext = createContext({});
+
+/**
+ * Builds the label map once for the whole app, so the labels on the screen share it instead of
+ * validating every private label again
+ */
+export function AddressLabelsProvider({ children }) {
+  const privateLabels = useSelector(state => state.privateLabels);
+  // Set once the wallet-lib is set to the network of the server, which the labels depend on
+  const serverNetwork = useSelector(state => state.serverInfo.network);
+
+  const labels = useMemo(
+    () => (serverNetwork ? addressLabelsUtils.buildLabelMap(privateLabels) : {}),
+    [privateLabels, serverNetwork]
+  );
+
+  return <AddressLabelsContext.Provider value={labels}>{children}</AddressLabelsContext.Provider>;
+}
+
+AddressLabelsProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+/**
+ * Labels of the addresses, public and private, for the selected network
+ *
+ * @returns {Object} Labels indexed by address, i.e. { [address]: AddressLabel }
+ */
+export const useAddressLabels = () => useContext(AddressLabelsContext);
@@ -0,0 +1,20 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useSelector } from 'react-redux';
+import networkUtils from '../utils/network';
+
+/**
+ * Checks if the backend of the selected network provides a feature
+ *
+ * @param {string} capability One of BACKEND_CAPABILITIES
+ */
+export const useBackendSupports = capability => {
+  const network = useSelector(state => state.network);
+
+  return networkUtils.backendSupports(network, capability);
+};
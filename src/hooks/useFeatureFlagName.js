@@ -0,0 +1,20 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useSelector } from 'react-redux';
+import networkUtils from '../utils/network';
+
+/**
+ * Name of a feature flag on the selected network
+ *
+ * @param {string} flag One of the UNLEASH_*_FEATURE_FLAG constants
+ */
+export const useFeatureFlagName = flag => {
+  const network = useSelector(state => state.network);
+
+  return networkUtils.getFeatureFlagName(network, flag);
+};
@@ -7,9 +7,10 @@
 
 import { useFlag } from '@unleash/proxy-client-react';
 import { UNLEASH_NEW_UI_FEATURE_FLAG } from '../constants';
+import { useFeatureFlagName } from './useFeatureFlagName';
 
 export const useNewUiEnabled = () => {
-  const newUiEnabled = useFlag(UNLEASH_NEW_UI_FEATURE_FLAG);
+  const newUiEnabled = useFlag(useFeatureFlagName(UNLEASH_NEW_UI_FEATURE_FLAG));
 
   return newUiEnabled;
 };
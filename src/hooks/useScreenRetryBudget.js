@@ -0,0 +1,23 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useLayoutEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import { startScreenBudget } from '../api/retry';
+
+/**
+ * Starts a new retry budget for the api requests every time the user navigates to another screen.
+ *
+ * A layout effect is used so the budget starts before the screen effects make their requests.
+ */
+export const useScreenRetryBudget = () => {
+  const { pathname } = useLocation();
+
+  useLayoutEffect(() => {
+    startScreenBudget();
+  }, [pathname]);
+};
@@ -0,0 +1,36 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useRef } from 'react';
+import { useSelector } from 'react-redux';
+import { WS_CONNECTION_STATES } from '../constants';
+
+/**
+ * Calls the callback every time the websocket connection is established again,
+ * so screens can fetch the data they missed while it was down. The first connection
+ * is skipped, the screens already load their data when they open.
+ *
+ * @param {function} callback
+ */
+export const useWsReconnect = callback => {
+  const wsConnectionState = useSelector(state => state.wsConnectionState);
+  const previousState = useRef(wsConnectionState);
+  // If the websocket was connected at some point since the screen opened
+  const hasConnected = useRef(wsConnectionState === WS_CONNECTION_STATES.connected);
+
+  useEffect(() => {
+    const wasConnected = previousState.current === WS_CONNECTION_STATES.connected;
+    previousState.current = wsConnectionState;
+
+    if (!wasConnected && wsConnectionState === WS_CONNECTION_STATES.connected) {
+      if (hasConnected.current) {
+        callback();
+      }
+      hasConnected.current = true;
+    }
+  }, [wsConnectionState, callback]);
+};
@@ -10,6 +10,7 @@ import { createRoot } from 'react-dom/client';
 import FlagProvider from '@unleash/proxy-client-react';
 import { Provider } from 'react-redux';
 import App from './App';
+import { AddressLabelsProvider } from './hooks';
 
 import 'bootstrap';
 import 'bootstrap/dist/css/bootstrap.min.css';
@@ -26,7 +27,9 @@ const root = createRoot(container);
 root.render(
   <FlagProvider config={UNLEASH_CONFIG}>
     <Provider store={store}>
-      <App />
+      <AddressLabelsProvider>
+        <App />
+      </AddressLabelsProvider>
     </Provider>
   </FlagProvider>
 );
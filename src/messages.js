@@ -2,3 +2,12 @@ export const tokenBannedMessage =
   'This token has been linked to suspicious activity by the community. Please exercise caution when interacting with this token.'; // TODO: this message is being disscussed here: https://github.com/HathorNetwork/hathor-explorer/issues/92
 export const txTokenBannedMessage =
   'One of the tokens of this transaction has been linked to suspicious activity by the community. Please exercise caution when interacting with this token.'; // TODO: this message is being disscussed here: https://github.com/HathorNetwork/hathor-explorer/issues/92
+export const fullnodeUnsupportedMessage =
+  'This feature depends on the explorer service and is not available when connected directly to a full node.';
+export const apiErrorMessages = {
+  network: 'Could not reach the server. Please check your connection and try again.',
+  timeout: 'The server took too long to respond. Please try again.',
+  not_found: 'The requested data was not found.',
+  server: 'The server failed to process the request. Please try again after some time.',
+  validation: 'The request was rejected by the server.',
+};
@@ -8,6 +8,10 @@
 import { constants } from '@hathor/wallet-lib';
 import { cloneDeep } from 'lodash';
 import themeUtils from '../utils/theme';
+import networkUtils from '../utils/network';
+import watchlistUtils from '../utils/watchlist';
+import addressLabelsUtils from '../utils/addressLabels';
+import WebSocketHandler from '../WebSocketHandler';
 
 /**
  * Dashboard data from websocket updates
@@ -48,7 +52,12 @@ import themeUtils from '../utils/theme';
  * @property {DashboardData} data - object with latest data.
  * @property {boolean} isVersionAllowed - if the backend API version is allowed for this admin.
  * @property {ServerInfo} serverInfo - server info from version api.
- * @property {boolean} apiLoadError - If we had an error while loading the initial data from the server.
+ * @property {false|Error} apiLoadError - Error loading the initial data from the server, false if none.
+ * @property {NetworkConfig} network - network the explorer is connected to.
+ * @property {NetworkConfig[]} networks - networks available on the network switcher.
+ * @property {string} wsConnectionState - one of WS_CONNECTION_STATES, state of the websocket connection.
+ * @property {WatchedAddress[]} watchlist - addresses watched by the user on the portfolio.
+ * @property {Object} privateLabels - labels given by the user to addresses, indexed by address.
  */
 
 /**
@@ -64,6 +73,11 @@ const initialState = {
   },
   apiLoadError: false,
   theme: themeUtils.initializeTheme(),
+  network: networkUtils.getSelectedNetwork(),
+  networks: networkUtils.getNetworks(),
+  wsConnectionState: WebSocketHandler.connectionState,
+  watchlist: watchlistUtils.getWatchlist(),
+  privateLabels: addressLabelsUtils.getPrivateLabels(),
 };
 
 const rootReducer = (state = initialState, action) => {
@@ -78,6 +92,16 @@ const rootReducer = (state = initialState, action) => {
       return setServerInfo(state, action);
     case 'toggle_theme':
       return { ...state, theme: action.payload };
+    case 'select_network':
+      return { ...state, network: action.payload };
+    case 'update_networks':
+      return { ...state, networks: action.payload };
+    case 'ws_connection_state_update':
+      return { ...state, wsConnectionState: action.payload };
+    case 'update_watchlist':
+      return { ...state, watchlist: action.payload };
+    case 'update_private_labels':
+      return { ...state, privateLabels: action.payload };
     default:
       return state;
   }
@@ -11,12 +11,16 @@ import { useHistory } from 'react-router-dom/cjs/react-router-dom';
 import { useParams } from 'react-router-dom';
 import AddressDetailExplorer from '../components/AddressDetailExplorer';
 import AddressDetailLegacy from '../components/AddressDetailLegacy';
-import { UNLEASH_ADDRESS_DETAIL_BASE_FEATURE_FLAG } from '../constants';
+import { BACKEND_CAPABILITIES, UNLEASH_ADDRESS_DETAIL_BASE_FEATURE_FLAG } from '../constants';
+import { useBackendSupports, useFeatureFlagName } from '../hooks';
 import ErrorMessageWithIcon from '../components/error/ErrorMessageWithIcon';
 
 const AddressDetail = () => {
-  const maintenanceMode = useFlag(`${UNLEASH_ADDRESS_DETAIL_BASE_FEATURE_FLAG}.maintenance`);
-  const latestMode = useFlag(`${UNLEASH_ADDRESS_DETAIL_BASE_FEATURE_FLAG}.latest`);
+  const addressDetailFlag = useFeatureFlagName(UNLEASH_ADDRESS_DETAIL_BASE_FEATURE_FLAG);
+  const maintenanceMode = useFlag(`${addressDetailFlag}.maintenance`);
+  const latestMode = useFlag(`${addressDetailFlag}.latest`);
+  // The legacy screen uses only the full node api, so it's used when the address index is missing
+  const hasAddressIndex = useBackendSupports(BACKEND_CAPABILITIES.addressIndex);
   const history = useHistory();
   const params = useParams();
 
@@ -26,7 +30,7 @@ const AddressDetail = () => {
     );
   }
 
-  if (latestMode) {
+  if (latestMode && hasAddressIndex) {
     return <AddressDetailExplorer />;
   }
 
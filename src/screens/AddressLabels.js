@@ -0,0 +1,251 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import { Link, useHistory, useLocation } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { sortBy } from 'lodash';
+import { useNewUiEnabled } from '../hooks';
+import { updatePrivateLabels } from '../actions';
+import addressLabelsUtils, { LABEL_CATEGORIES, LABEL_SOURCES } from '../utils/addressLabels';
+
+/**
+ * Public labels of the bundled registry and the private ones given by the user, with a form to
+ * label addresses
+ *
+ * @memberof Screens
+ */
+function AddressLabels() {
+  const dispatch = useDispatch();
+  const history = useHistory();
+  const location = useLocation();
+  const newUiEnabled = useNewUiEnabled();
+  const privateLabels = useSelector(state => state.privateLabels);
+  // The labels depend on the network the wallet-lib is set to, which changes with the server info
+  useSelector(state => state.serverInfo);
+
+  const params = new URLSearchParams(location.search);
+  const query = params.get('q') || '';
+  const category = params.get('category') || '';
+
+  // formData {Object} Private label being saved, prefilled when coming from an address screen
+  const [formData, setFormData] = useState(() => {
+    const address = params.get('address') || '';
+    return {
+      address,
+      label: privateLabels[address]?.label || '',
+      category: privateLabels[address]?.category || 'other',
+    };
+  });
+  // formMessage {Object | null} Result of the last change on the private labels
+  const [formMessage, setFormMessage] = useState(null);
+
+  const labels = sortBy(
+    addressLabelsUtils.filterLabels(addressLabelsUtils.getAllLabels(privateLabels), {
+      query,
+      category,
+    }),
+    [entry => entry.label.toLowerCase()]
+  );
+
+  /**
+   * Keeps the filters on the URL, so the filtered view can be linked to
+   *
+   * @param {string} name Query parameter of the filter
+   * @param {string} value
+   */
+  const onFilterChange = (name, value) => {
+    const newParams = new URLSearchParams(location.search);
+    if (value) {
+      newParams.set(name, value);
+    } else {
+      newParams.delete(name);
+    }
+    history.replace({ search: newParams.toString() });
+  };
+
+  const onFormChange = e => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const onFormSubmit = e => {
+    e.preventDefault();
+    try {
+      addressLabelsUtils.setPrivateLabel(
+        formData.address.trim(),
+        formData.label,
+        formData.category
+      );
+    } catch (err) {
+      setFormMessage({ error: true, text: err.message });
+      return;
+    }
+
+    setFormMessage(null);
+    setFormData({ address: '', label: '', category: 'other' });
+    dispatch(updatePrivateLabels());
+  };
+
+  const onLabelEdited = entry => {
+    setFormMessage(null);
+    setFormData({ address: entry.address, label: entry.label, category: entry.category });
+  };
+
+  const onLabelRemoved = address => {
+    addressLabelsUtils.removePrivateLabel(address);
+    dispatch(updatePrivateLabels());
+  };
+
+  const renderCategoryOptions = () =>
+    Object.entries(LABEL_CATEGORIES).map(([key, name]) => (
+      <option key={key} value={key}>
+        {name}
+      </option>
+    ));
+
+  const renderForm = () => {
+    return (
+      <form
+        className="d-flex flex-column flex-lg-row align-items-lg-center"
+        onSubmit={onFormSubmit}
+      >
+        <input
+          className="form-control me-lg-2 mb-2 mb-lg-0"
+          name="address"
+          placeholder="Address"
+          value={formData.address}
+          onChange={onFormChange}
+          required
+        />
+        <input
+          className="form-control me-lg-2 mb-2 mb-lg-0 address-label-input"
+          name="label"
+          placeholder="Label"
+          value={formData.label}
+          onChange={onFormChange}
+          required
+        />
+        <select
+          className="form-select me-lg-2 mb-2 mb-lg-0 address-label-category"
+          name="category"
+          value={formData.category}
+          onChange={onFormChange}
+        >
+          {renderCategoryOptions()}
+        </select>
+        <button type="submit" className="btn btn-hathor">
+          Save
+        </button>
+      </form>
+    );
+  };
+
+  const renderFilters = () => {
+    return (
+      <div className="d-flex flex-column flex-lg-row align-items-lg-center mt-4">
+        <input
+          className="form-control me-lg-2 mb-2 mb-lg-0"
+          placeholder="Search by label or address"
+          value={query}
+          onChange={e => onFilterChange('q', e.target.value)}
+        />
+        <select
+          className="form-select address-label-category"
+          value={category}
+          onChange={e => onFilterChange('category', e.target.value)}
+        >
+          <option value="">All categories</option>
+          {renderCategoryOptions()}
+        </select>
+      </div>
+    );
+  };
+
+  const renderTable = content => {
+    return newUiEnabled ? (
+      <table className="table-stylized" id="address-labels-table">
+        {content}
+      </table>
+    ) : (
+      <table className="table table-striped" id="address-labels-table">
+        {content}
+      </table>
+    );
+  };
+
+  const renderLabels = () => {
+    if (labels.length === 0) {
+      return <p className="mt-3">No labelled addresses match the filters.</p>;
+    }
+
+    return (
+      <div className="table-responsive mt-3">
+        {renderTable(
+          <>
+            <thead>
+              <tr>
+                <th>Label</th>
+                <th>Category</th>
+                <th>Address</th>
+                <th>Source</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {labels.map(entry => (
+                <tr key={`${entry.source}-${entry.address}`}>
+                  <td>{entry.label}</td>
+                  <td>{LABEL_CATEGORIES[entry.category]}</td>
+                  <td>
+                    <Link to={`/address/${entry.address}`}>{entry.address}</Link>
+                  </td>
+                  <td>{entry.source === LABEL_SOURCES.private ? 'Private' : 'Public'}</td>
+                  <td className="text-end">
+                    {entry.source === LABEL_SOURCES.private && (
+                      <>
+                        <i
+                          className="fa fa-pencil pointer me-3"
+                          title="Edit label"
+                          onClick={() => onLabelEdited(entry)}
+                        ></i>
+                        <i
+                          className="fa fa-times pointer"
+                          title="Remove label"
+                          onClick={() => onLabelRemoved(entry.address)}
+                        ></i>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className={newUiEnabled ? 'section-tables-stylized' : 'content-wrapper'}>
+      <h3 className="mt-4">Address labels</h3>
+      <p>
+        Public labels come from the registry bundled with the explorer (version{' '}
+        {addressLabelsUtils.getRegistryVersion()}). Private labels are only saved on this browser.
+      </p>
+      {renderForm()}
+      {formMessage && (
+        <p className={`mt-2 ${formMessage.error ? 'text-danger' : 'text-success'}`}>
+          {formMessage.text}
+        </p>
+      )}
+      {renderFilters()}
+      {renderLabels()}
+    </div>
+  );
+}
+
+export default AddressLabels;
@@ -0,0 +1,356 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import hathorLib from '@hathor/wallet-lib';
+import { Link, useHistory, useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import txApi from '../api/txApi';
+import blockApi from '../api/blockApi';
+import featureApi from '../api/featureApi';
+import Loading from '../components/Loading';
+import AddressLabel from '../components/AddressLabel';
+import ErrorMessageWithIcon from '../components/error/ErrorMessageWithIcon';
+import FeatureDataRow from '../components/feature_activation/FeatureDataRow';
+import { API_ERROR_TYPES } from '../api/errors';
+import blockUtils from '../utils/block';
+import searchUtils from '../utils/search';
+import dateFormatter from '../utils/date';
+import helpers from '../utils/helpers';
+
+/**
+ * Hash of the block identified by a height or hash
+ *
+ * @param {string} heightOrHash
+ *
+ * @return {Promise<string>}
+ */
+const getBlockHash = async heightOrHash => {
+  if (!searchUtils.isHeight(heightOrHash)) {
+    return heightOrHash;
+  }
+  const { block } = await blockApi.getBlockAtHeight(parseInt(heightOrHash, 10));
+  return block.tx_id;
+};
+
+/**
+ * Details of a block, addressed by its height on the best chain or by its hash
+ *
+ * @memberof Screens
+ */
+function BlockDetail() {
+  const { heightOrHash } = useParams();
+  const history = useHistory();
+  const serverInfo = useSelector(state => state.serverInfo);
+
+  // block {Object | null} Loaded block
+  const [block, setBlock] = useState(null);
+  // meta {Object | null} Metadata of the loaded block
+  const [meta, setMeta] = useState(null);
+  // error {ApiError | null} Error loading the block
+  const [error, setError] = useState(null);
+  // loadAttempt {number} Incremented to request the block again after an error
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  // hasNext {boolean} If there is a block after this one on the best chain
+  const [hasNext, setHasNext] = useState(false);
+  // signalBits {Object[] | null} Features signaled by the block
+  const [signalBits, setSignalBits] = useState(null);
+  // signalBitsError {ApiError | null} Error loading the signal bits
+  const [signalBitsError, setSignalBitsError] = useState(null);
+  // confirmed {ConfirmedTransactions | null} Transactions first confirmed by the block
+  const [confirmed, setConfirmed] = useState(null);
+  // confirmedError {ApiError | null} Error loading the transactions confirmed by the block
+  const [confirmedError, setConfirmedError] = useState(null);
+  // shownHash {string | null} Hash of the block on screen, to discard data of previous blocks
+  const shownHash = useRef(null);
+
+  useEffect(() => {
+    let ignore = false;
+
+    async function loadBlock() {
+      shownHash.current = null;
+      setBlock(null);
+      setMeta(null);
+      setError(null);
+      setHasNext(false);
+      try {
+        const hash = await getBlockHash(heightOrHash);
+        const data = await txApi.getTransaction(hash);
+        if (ignore) {
+          return;
+        }
+        if (!hathorLib.transactionUtils.isBlock(data.tx)) {
+          history.replace(`/transaction/${hash}`);
+          return;
+        }
+        shownHash.current = data.tx.hash;
+        setBlock(data.tx);
+        setMeta(data.meta);
+      } catch (e) {
+        if (!ignore) {
+          setError(e);
+        }
+      }
+    }
+
+    loadBlock();
+    return () => {
+      ignore = true;
+    };
+  }, [heightOrHash, history, loadAttempt]);
+
+  useEffect(() => {
+    if (!block) {
+      return undefined;
+    }
+
+    let ignore = false;
+    blockApi
+      .getBlockAtHeight(block.height + 1)
+      .then(() => !ignore && setHasNext(true))
+      .catch(() => {
+        // There is no next block yet, or we can't know it
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [block]);
+
+  const loadSignalBits = useCallback(async () => {
+    setSignalBits(null);
+    setSignalBitsError(null);
+    try {
+      const data = (await featureApi.getSignalBits(block.hash)) || [];
+      if (shownHash.current === block.hash) {
+        setSignalBits(data);
+      }
+    } catch (e) {
+      if (shownHash.current === block.hash) {
+        setSignalBitsError(e);
+      }
+    }
+  }, [block]);
+
+  const loadConfirmedTransactions = useCallback(async () => {
+    setConfirmed(null);
+    setConfirmedError(null);
+    try {
+      const data = await blockUtils.getConfirmedTransactions(block);
+      if (shownHash.current === block.hash) {
+        setConfirmed(data);
+      }
+    } catch (e) {
+      if (shownHash.current === block.hash) {
+        setConfirmedError(e);
+      }
+    }
+  }, [block]);
+
+  useEffect(() => {
+    if (block) {
+      loadSignalBits();
+      loadConfirmedTransactions();
+    }
+  }, [block, loadSignalBits, loadConfirmedTransactions]);
+
+  const renderNavigation = () => {
+    return (
+      <div className="d-flex flex-row align-items-center">
+        {block.height > 0 ? (
+          <Link to={`/block/${block.height - 1}`}>&larr; Block {block.height - 1}</Link>
+        ) : (
+          <span className="text-muted">&larr; Genesis block</span>
+        )}
+        <strong className="mx-4">Block {block.height}</strong>
+        {hasNext ? (
+          <Link to={`/block/${block.height + 1}`}>Block {block.height + 1} &rarr;</Link>
+        ) : (
+          <span className="text-muted">Latest block &rarr;</span>
+        )}
+      </div>
+    );
+  };
+
+  const renderSummary = () => {
+    return (
+      <div className="mt-4">
+        <p>
+          <strong>Hash: </strong>
+          <Link to={`/transaction/${block.hash}`}>{block.hash}</Link>
+        </p>
+        <p>
+          <strong>Height: </strong>
+          {block.height}
+        </p>
+        <p>
+          <strong>Time: </strong>
+          {dateFormatter.parseTimestamp(block.timestamp)}
+        </p>
+        <p>
+          <strong>Weight: </strong>
+          {helpers.roundFloat(block.weight)}
+        </p>
+        <p>
+          <strong>Score: </strong>
+          {helpers.roundFloat(meta.score)}
+        </p>
+        {meta.voided_by.length > 0 && (
+          <p className="text-danger">This block is voided and is not part of the best chain.</p>
+        )}
+      </div>
+    );
+  };
+
+  const renderRewardOutputs = () => {
+    const symbol =
+      serverInfo?.native_token?.symbol ?? hathorLib.constants.DEFAULT_NATIVE_TOKEN_CONFIG.symbol;
+
+    return (
+      <div className="table-responsive">
+        <table className="table table-striped table-bordered" id="reward-outputs-table">
+          <thead>
+            <tr>
+              <th className="d-lg-table-cell">Address</th>
+              <th className="d-lg-table-cell">Value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {block.outputs.map((output, idx) => {
+              const address = output.decoded?.address;
+              return (
+                <tr key={idx}>
+                  <td>
+                    {address ? (
+                      <>
+                        <Link to={`/address/${address}`}>{address}</Link>
+                        <AddressLabel address={address} />
+                      </>
+                    ) : (
+                      '—'
+                    )}
+                  </td>
+                  <td>
+                    {hathorLib.numberUtils.prettyValue(output.value, serverInfo.decimal_places)}{' '}
+                    {symbol}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  const renderSignalBits = () => {
+    if (signalBitsError) {
+      return <ErrorMessageWithIcon error={signalBitsError} onRetry={loadSignalBits} />;
+    }
+    if (!signalBits) {
+      return <Loading />;
+    }
+    if (signalBits.length === 0) {
+      return <p>There are currently no features.</p>;
+    }
+
+    return (
+      <div className="table-responsive">
+        <table className="table table-striped table-bordered" id="signal-bits-table">
+          <thead>
+            <tr>
+              <th className="d-lg-table-cell">Bit</th>
+              <th className="d-lg-table-cell">Signal</th>
+              <th className="d-lg-table-cell">Feature</th>
+              <th className="d-lg-table-cell">Feature State</th>
+            </tr>
+          </thead>
+          <tbody>
+            {signalBits.map(featureData => (
+              <FeatureDataRow key={featureData.bit} featureData={featureData} />
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  const renderConfirmedTransactions = () => {
+    if (confirmedError) {
+      return <ErrorMessageWithIcon error={confirmedError} onRetry={loadConfirmedTransactions} />;
+    }
+    if (!confirmed) {
+      return <Loading />;
+    }
+    if (confirmed.transactions.length === 0) {
+      return <p>This block did not confirm any new transaction.</p>;
+    }
+
+    return (
+      <div className="table-responsive">
+        {!confirmed.complete && (
+          <p className="text-warning">
+            Showing only the first {confirmed.transactions.length} transactions found.
+          </p>
+        )}
+        <table className="table table-striped table-bordered" id="confirmed-txs-table">
+          <thead>
+            <tr>
+              <th className="d-lg-table-cell">Hash</th>
+              <th className="d-lg-table-cell">Timestamp</th>
+            </tr>
+          </thead>
+          <tbody>
+            {confirmed.transactions.map(tx => (
+              <tr key={tx.hash}>
+                <td>
+                  <Link to={`/transaction/${tx.hash}`}>{helpers.getShortHash(tx.hash)}</Link>
+                </td>
+                <td>{dateFormatter.parseTimestamp(tx.timestamp)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  if (error) {
+    // An unknown height is rejected as invalid by the full node
+    if (error.type === API_ERROR_TYPES.notFound || error.type === API_ERROR_TYPES.validation) {
+      return (
+        <div className="content-wrapper">
+          <p className="text-danger">Block {heightOrHash} not found</p>
+        </div>
+      );
+    }
+    return (
+      <div className="content-wrapper">
+        <ErrorMessageWithIcon error={error} onRetry={() => setLoadAttempt(a => a + 1)} />
+      </div>
+    );
+  }
+
+  if (!block) {
+    return <Loading />;
+  }
+
+  return (
+    <div className="content-wrapper">
+      <h3 className="mt-4">Block Information</h3>
+      {renderNavigation()}
+      {renderSummary()}
+      <h4 className="mt-5 mb-4">Reward Outputs</h4>
+      {renderRewardOutputs()}
+      <h4 className="mt-5 mb-4">Signal Bits</h4>
+      {renderSignalBits()}
+      <h4 className="mt-5 mb-4">Transactions First Confirmed</h4>
+      {renderConfirmedTransactions()}
+    </div>
+  );
+}
+
+export default BlockDetail;
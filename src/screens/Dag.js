@@ -8,7 +8,10 @@
 import React, { useCallback, useEffect, useRef, useState } from 'react';
 import txApi from '../api/txApi';
 import DagComponent from '../components/DagComponent';
+import LiveIndicator from '../components/LiveIndicator';
 import WebSocketHandler from '../WebSocketHandler';
+import { useWsReconnect } from '../hooks';
+import backfillUtils from '../utils/backfill';
 
 // The pure functions below have no interaction with the screen component and are used only for
 // calculations.
@@ -56,6 +59,26 @@ function filterArrays(blocks, txs, timeframe) {
   return [newBlocks, newTxs];
 }
 
+/*
+ * Returns the most recent element between the current one and the new elements
+ */
+function getLatest(current, elements) {
+  let latest = current;
+  for (const element of elements) {
+    if (!latest || element.timestamp >= latest.timestamp) {
+      latest = element;
+    }
+  }
+  return latest;
+}
+
+/*
+ * Sorts the array by timestamp, in place
+ */
+function sortByTimestamp(txArray) {
+  return txArray.sort((a, b) => a.timestamp - b.timestamp);
+}
+
 function Dag() {
   const [blocks, setBlocks] = useState(null); // array of blocks to show on the graph
   const [txs, setTxs] = useState(null); // array of txs to show on graph
@@ -63,6 +86,7 @@ function Dag() {
   const [inputTimeframe, setInputTimeframe] = useState(60); // the time window to display
   const [throttled, setThrottled] = useState(false); // if tx/block messages are being throttled because it reached the flow limit
   const [newWsData, setNewWsData] = useState(null); // Helper for handling new Websocket data
+  const [missedData, setMissedData] = useState(null); // Helper for handling data recovered after a websocket reconnection
   const [consolidation, setConsolidation] = useState({
     hasNewData: false,
     type: 'none',
@@ -78,6 +102,30 @@ function Dag() {
   const pausedTxs = useRef([]);
   // Indicates how many seconds to display on the graphic. Updated only on reset
   const timeframe = useRef(inputTimeframe);
+  // Most recent block and tx received, reference to recover the data missed while disconnected
+  const lastSeen = useRef({ block: null, tx: null });
+
+  // Keeps track of the most recent elements received, including the ones not drawn yet
+  const updateLastSeen = useCallback((newBlocks, newTxs) => {
+    lastSeen.current = {
+      block: getLatest(lastSeen.current.block, newBlocks),
+      tx: getLatest(lastSeen.current.tx, newTxs),
+    };
+  }, []);
+
+  // Queues elements to be drawn, merging with data not yet consolidated
+  const queueUpdate = useCallback((newBlocks, newTxs) => {
+    setConsolidation(current => {
+      if (current.hasNewData) {
+        return {
+          ...current,
+          blocks: [...current.blocks, ...newBlocks],
+          txs: [...current.txs, ...newTxs],
+        };
+      }
+      return { hasNewData: true, type: 'update', blocks: newBlocks, txs: newTxs };
+    });
+  }, []);
 
   // Initializing the WebSocket listener
   useEffect(() => {
@@ -112,21 +160,33 @@ function Dag() {
       case 'full':
         // The first load, when blocks and txs are still null.
         // This requires no component update: all data is being informed for the first time
-        tmpBlocks = consolidation.blocks;
-        tmpTxs = consolidation.txs;
+        tmpBlocks = sortByTimestamp(backfillUtils.dedupe(consolidation.blocks));
+        tmpTxs = sortByTimestamp(backfillUtils.dedupe(consolidation.txs));
         break;
-      case 'update':
+      case 'update': {
         // Every update after the component is already drawn needs to be informed to the component
-        // directly, besides the state update
-        for (const block of consolidation.blocks) {
+        // directly, besides the state update.
+        // Elements recovered after a reconnection may also have arrived through the websocket
+        const newBlocks = backfillUtils.dedupe(
+          sortByTimestamp([...consolidation.blocks]),
+          new Set(tmpBlocks.map(block => block.tx_id))
+        );
+        const newTxs = backfillUtils.dedupe(
+          sortByTimestamp([...consolidation.txs]),
+          new Set(tmpTxs.map(tx => tx.tx_id))
+        );
+        for (const block of newBlocks) {
           tmpBlocks.push(block);
           updateComponentWithNewData(block, true);
         }
-        for (const tx of consolidation.txs) {
+        for (const tx of newTxs) {
           tmpTxs.push(tx);
           updateComponentWithNewData(tx, false);
         }
+        sortByTimestamp(tmpBlocks);
+        sortByTimestamp(tmpTxs);
         break;
+      }
       default:
         throw new Error('No consolidation type defined');
     }
@@ -158,6 +218,7 @@ function Dag() {
     setNewWsData(null);
 
     setThrottled(wsData.throttled);
+    updateLastSeen(wsData.is_block ? [wsData] : [], wsData.is_block ? [] : [wsData]);
     if (isPaused) {
       // Transactions received while paused will not be sent to the drawing component immediately
       if (wsData.is_block) {
@@ -169,21 +230,30 @@ function Dag() {
     }
 
     if (wsData.is_block) {
-      setConsolidation({
-        hasNewData: true,
-        type: 'update',
-        blocks: [newWsData],
-        txs: [],
-      });
+      queueUpdate([wsData], []);
     } else {
-      setConsolidation({
-        hasNewData: true,
-        type: 'update',
-        blocks: [],
-        txs: [wsData],
-      });
+      queueUpdate([], [wsData]);
+    }
+  }, [newWsData, isPaused, updateLastSeen, queueUpdate]);
+
+  // Handling the blocks and txs recovered after a websocket reconnection
+  useEffect(() => {
+    if (!missedData) {
+      return;
+    }
+
+    const { blocks: missedBlocks, txs: missedTxs } = missedData;
+    setMissedData(null);
+
+    updateLastSeen(missedBlocks, missedTxs);
+    if (isPaused) {
+      pausedBlocks.current.push(...missedBlocks);
+      pausedTxs.current.push(...missedTxs);
+      return;
     }
-  }, [newWsData, isPaused]);
+
+    queueUpdate(missedBlocks, missedTxs);
+  }, [missedData, isPaused, updateLastSeen, queueUpdate]);
 
   // Function that fetches the full information for transactions and blocks
   const requestData = useCallback(async () => {
@@ -207,13 +277,14 @@ function Dag() {
     } catch (e) {
       console.log('Error on fetching txs', e);
     }
+    updateLastSeen(fetchedBlocks, fetchedTxs);
     setConsolidation({
       hasNewData: true,
       type: 'full',
       blocks: fetchedBlocks,
       txs: fetchedTxs,
     });
-  }, []);
+  }, [updateLastSeen]);
 
   // Initializing the screen with transaction data
   useEffect(() => {
@@ -221,6 +292,45 @@ function Dag() {
     requestData().catch(e => console.error('Error while requesting data on screen start', e));
   }, [requestData]);
 
+  // Draws the graph again from scratch, discarding the elements received while paused
+  const reloadData = useCallback(() => {
+    setBlocks(null);
+    setTxs(null);
+    pausedBlocks.current = [];
+    pausedTxs.current = [];
+    lastSeen.current = { block: null, tx: null };
+    requestData().catch(e => console.error('Error while reloading data', e));
+  }, [requestData]);
+
+  /*
+   * Transactions sent while the websocket was down are lost, so we fetch everything accepted
+   * after the last block and tx seen. The graph is drawn again if the gap is too long.
+   */
+  const handleWsReconnect = useCallback(async () => {
+    const { block, tx } = lastSeen.current;
+    if (!block || !tx) {
+      reloadData();
+      return;
+    }
+
+    try {
+      const [missedBlocks, missedTxs] = await Promise.all([
+        backfillUtils.fetchSince('block', block),
+        backfillUtils.fetchSince('tx', tx),
+      ]);
+      if (!missedBlocks.complete || !missedTxs.complete) {
+        reloadData();
+        return;
+      }
+      setMissedData({ blocks: missedBlocks.transactions, txs: missedTxs.transactions });
+    } catch (e) {
+      console.error('Error recovering the data missed while disconnected', e);
+      reloadData();
+    }
+  }, [reloadData]);
+
+  useWsReconnect(handleWsReconnect);
+
   // Handles the Pause button click, sending stored transactions to be drawn, if there are any
   const handlePause = _event => {
     if (!isPaused) {
@@ -229,12 +339,7 @@ function Dag() {
     }
 
     // Updating the screen with the elements that arrived while paused
-    setConsolidation({
-      hasNewData: true,
-      type: 'update',
-      blocks: [...pausedBlocks.current],
-      txs: [...pausedTxs.current],
-    });
+    queueUpdate([...pausedBlocks.current], [...pausedTxs.current]);
     setIsPaused(false);
     pausedBlocks.current = [];
     pausedTxs.current = [];
@@ -246,6 +351,7 @@ function Dag() {
     setBlocks(null);
     setTxs(null);
     setIsPaused(false);
+    lastSeen.current = { block: null, tx: null };
     requestData().catch(e => console.error('Error while requesting data on a reset', e));
   };
 
@@ -261,9 +367,12 @@ function Dag() {
 
   return (
     <div className="d-flex align-items-start flex-column content-wrapper dag-visualizer">
-      <button className="btn btn-secondary me-5" onClick={handlePause}>
-        {isPaused ? 'Play' : 'Pause'}
-      </button>
+      <div className="d-flex align-items-center">
+        <button className="btn btn-secondary me-5" onClick={handlePause}>
+          {isPaused ? 'Play' : 'Pause'}
+        </button>
+        <LiveIndicator />
+      </div>
       <div className="d-flex align-items-center mt-3">
         <label htmlFor="timeframe" className="me-3">
           Timeframe (in seconds):
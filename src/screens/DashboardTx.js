@@ -11,8 +11,29 @@ import WebSocketHandler from '../WebSocketHandler';
 import { DASHBOARD_BLOCKS_COUNT, DASHBOARD_TX_COUNT } from '../constants';
 import txApi from '../api/txApi';
 import helpers from '../utils/helpers';
+import backfillUtils from '../utils/backfill';
 import TxRow from '../components/tx/TxRow';
-import { useIsMobile, useNewUiEnabled } from '../hooks';
+import LiveIndicator from '../components/LiveIndicator';
+import ErrorMessageWithIcon from '../components/error/ErrorMessageWithIcon';
+import { useIsMobile, useNewUiEnabled, useWsReconnect } from '../hooks';
+
+/**
+ * Adds new elements to the beginning of a dashboard list, ignoring the ones already on it.
+ *
+ * @param {Object[]} list Current list, most recent first
+ * @param {Object[]} elements Elements to add, oldest first
+ * @param {number} max Maximum size of the list
+ *
+ * @return {Object[]} A new list
+ */
+function addToList(list, elements, max) {
+  const knownIds = new Set(list.map(element => element.tx_id));
+  const newList = [...list];
+  for (const element of backfillUtils.dedupe(elements, knownIds)) {
+    helpers.updateListWs(newList, element, max);
+  }
+  return newList;
+}
 
 /**
  * Dashboard screen that show some blocks and some transactions
@@ -24,6 +45,8 @@ function DashboardTx() {
   const [transactions, setTransactions] = useState([]);
   // blocks {Array} Array of blocks to show in the dashboard
   const [blocks, setBlocks] = useState([]);
+  // error {ApiError | null} Error loading the dashboard data
+  const [error, setError] = useState(null);
   const newUiEnabled = useNewUiEnabled();
 
   /**
@@ -39,41 +62,86 @@ function DashboardTx() {
 
     if (wsData.is_block) {
       // Updates the Blocks list
-      setBlocks(currentBlocks => {
-        // Create a new array to be mutated by the helper
-        const oldBlocks = [...currentBlocks];
-
-        // Finally we update the state again
-        return helpers.updateListWs(oldBlocks, wsData, DASHBOARD_BLOCKS_COUNT);
-      });
+      setBlocks(currentBlocks => addToList(currentBlocks, [wsData], DASHBOARD_BLOCKS_COUNT));
     } else {
       // Updates the Transactions list
-      setTransactions(currentTxs => {
-        // Create a new array to be mutated by the helper
-        const oldTransactions = [...currentTxs];
-
-        // Finally we update the state again
-        return helpers.updateListWs(oldTransactions, wsData, DASHBOARD_TX_COUNT);
-      });
+      setTransactions(currentTxs => addToList(currentTxs, [wsData], DASHBOARD_TX_COUNT));
     }
   }, []);
 
+  // lastSeen {Object} Most recent block and transaction shown, reference to recover a websocket gap
+  const lastSeen = useRef({ block: null, tx: null });
+
   useEffect(() => {
-    // Fetches initial data for the screen
+    lastSeen.current.block = blocks[0] || null;
+  }, [blocks]);
+
+  useEffect(() => {
+    lastSeen.current.tx = transactions[0] || null;
+  }, [transactions]);
+
+  /**
+   * Fetches the latest blocks and transactions, replacing the current lists
+   */
+  const fetchDashboardData = useCallback(() => {
     txApi
       .getDashboardTx(DASHBOARD_BLOCKS_COUNT, DASHBOARD_TX_COUNT)
       .then(dashboardData => {
+        setError(null);
         setTransactions(dashboardData.transactions);
         setBlocks(dashboardData.blocks);
       })
-      .catch(e => console.error(e));
+      .catch(e => {
+        console.error(e);
+        setError(e);
+      });
+  }, []);
+
+  /**
+   * Messages sent while the websocket was down are lost, so we fetch everything accepted after
+   * the last block and transaction seen. The lists are fetched again if the gap is too long.
+   */
+  const handleWsReconnect = useCallback(async () => {
+    const { block, tx } = lastSeen.current;
+    if (!block || !tx) {
+      fetchDashboardData();
+      return;
+    }
+
+    try {
+      const [missedBlocks, missedTxs] = await Promise.all([
+        backfillUtils.fetchSince('block', block),
+        backfillUtils.fetchSince('tx', tx),
+      ]);
+      if (!missedBlocks.complete || !missedTxs.complete) {
+        fetchDashboardData();
+        return;
+      }
+
+      setBlocks(currentBlocks =>
+        addToList(currentBlocks, missedBlocks.transactions, DASHBOARD_BLOCKS_COUNT)
+      );
+      setTransactions(currentTxs =>
+        addToList(currentTxs, missedTxs.transactions, DASHBOARD_TX_COUNT)
+      );
+    } catch (e) {
+      console.error('Error recovering the dashboard data missed while disconnected', e);
+      fetchDashboardData();
+    }
+  }, [fetchDashboardData]);
+
+  useWsReconnect(handleWsReconnect);
+
+  useEffect(() => {
+    // Fetches initial data for the screen
+    fetchDashboardData();
 
     WebSocketHandler.on('network', handleWebsocket);
 
     return () => {
       WebSocketHandler.removeListener('network', handleWebsocket);
     };
-  }, [handleWebsocket]);
+  }, [fetchDashboardData, handleWebsocket]);
 
   const [tableVisible, setTableVisible] = useState('transactions');
 
@@ -111,6 +179,10 @@ function DashboardTx() {
   const renderUi = () => {
     return (
       <div className="content-wrapper">
+        <div className="d-flex justify-content-end">
+          <LiveIndicator />
+        </div>
+        {error && <ErrorMessageWithIcon error={error} onRetry={fetchDashboardData} />}
         <div className="table-responsive">
           <table className="table" id="tx-table">
             <thead>
@@ -163,6 +235,7 @@ function DashboardTx() {
         <br />
         <div className="container-title-page">
           <p className="title-page data-title">Live Data</p>
+          <LiveIndicator />
           <div className="buttons-mobile-container">
             <button
               ref={transactionButtonRef}
@@ -179,6 +252,7 @@ function DashboardTx() {
             </button>
           </div>
         </div>
+        {error && <ErrorMessageWithIcon error={error} onRetry={fetchDashboardData} />}
         <div className="tables-container">
           {isMobile ? (
             <>
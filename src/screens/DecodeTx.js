@@ -8,8 +8,12 @@
 import React, { useState } from 'react';
 import TxTextInput from '../components/tx/TxTextInput';
 import TxData from '../components/tx/TxData';
+import LocalTxData from '../components/tx/LocalTxData';
 import helpers from '../utils/helpers';
+import localDecodeUtils from '../utils/localDecode';
 import txApi from '../api/txApi';
+import ErrorMessageWithIcon from '../components/error/ErrorMessageWithIcon';
+import { API_ERROR_TYPES } from '../api/errors';
 
 /**
  * Screen used to decode a transaction and show its detail
@@ -29,6 +33,14 @@ function DecodeTx() {
   const [spentOutputs, setSpentOutputs] = useState(null);
   /* confirmationData {Object} Confirmation data of decoded transaction received from the server */
   const [confirmationData, setConfirmationData] = useState(null);
+  /* error {ApiError | null} Error requesting the server, other than invalid data */
+  const [error, setError] = useState(null);
+  /* offline {boolean} If the transaction is decoded on the browser instead of the server */
+  const [offline, setOffline] = useState(false);
+  /* localTransaction {DecodedTx | null} Transaction decoded on the browser */
+  const [localTransaction, setLocalTransaction] = useState(null);
+  /* fallbackMessage {string | null} Why the transaction was decoded on the browser when not asked */
+  const [fallbackMessage, setFallbackMessage] = useState(null);
 
   /**
    * Method called after change on the text area with the encoded hexadecimal
@@ -39,20 +51,54 @@ function DecodeTx() {
     setDataToDecode(e.target.value);
   };
 
+  /**
+   * Decodes the transaction with the wallet-lib, without requests to the server
+   */
+  const decodeLocally = () => {
+    setTransaction(null);
+    setError(null);
+    try {
+      setLocalTransaction(localDecodeUtils.decodeTx(dataToDecode || ''));
+      setSuccess(true);
+    } catch (e) {
+      setLocalTransaction(null);
+      setSuccess(false);
+    }
+  };
+
   /**
    * Called after the 'Decode' button is clicked, so sends hexadecimal to server to be decoded
    */
   const buttonClicked = async () => {
+    setFallbackMessage(null);
+    if (offline) {
+      decodeLocally();
+      return;
+    }
+
+    let data;
     try {
-      const data = await txApi.decodeTx(dataToDecode);
-      if (!data.success) {
-        setTransaction(null);
-        setConfirmationData(null);
-        setMeta(null);
-        setSpentOutputs(null);
-        setSuccess(false);
+      data = await txApi.decodeTx(dataToDecode);
+    } catch (e) {
+      setTransaction(null);
+      setLocalTransaction(null);
+      setConfirmationData(null);
+      setMeta(null);
+      setSpentOutputs(null);
+      if (e.type === API_ERROR_TYPES.network || e.type === API_ERROR_TYPES.timeout) {
+        setFallbackMessage('The server could not be reached, so the transaction was decoded here.');
+        decodeLocally();
         return;
       }
+      setSuccess(false);
+      // Data that can't be decoded is rejected as a validation error
+      setError(e.type === API_ERROR_TYPES.validation ? null : e);
+      return;
+    }
+
+    try {
+      setError(null);
+      setLocalTransaction(null);
       setSuccess(true);
       setTransaction(data.tx);
       setMeta(data.meta);
@@ -69,6 +115,18 @@ function DecodeTx() {
 
   return (
     <div className="content-wrapper">
+      <div className="form-check mb-3">
+        <input
+          type="checkbox"
+          className="form-check-input"
+          id="decode-offline"
+          checked={offline}
+          onChange={e => setOffline(e.target.checked)}
+        />
+        <label className="form-check-label" htmlFor="decode-offline">
+          Decode on the browser and check the signatures of the inputs
+        </label>
+      </div>
       <TxTextInput
         onChange={handleChangeData}
         buttonClicked={buttonClicked}
@@ -77,6 +135,7 @@ function DecodeTx() {
         link="/push-tx/"
         helpText="Write your transaction in hex value and click the button to get a human value description"
       />
+      {fallbackMessage ? <p className="text-warning">{fallbackMessage}</p> : null}
       {transaction ? (
         <TxData
           transaction={transaction}
@@ -87,7 +146,9 @@ function DecodeTx() {
           showConflicts={false}
         />
       ) : null}
-      {success === false ? (
+      {localTransaction ? <LocalTxData transaction={localTransaction} /> : null}
+      {error ? <ErrorMessageWithIcon error={error} onRetry={buttonClicked} /> : null}
+      {success === false && !error ? (
         <p className="text-danger">Could not decode this data to a transaction</p>
       ) : null}
     </div>
@@ -0,0 +1,454 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Link, useHistory, useLocation, useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import hathorLib, { numberUtils } from '@hathor/wallet-lib';
+import txApi from '../api/txApi';
+import Loading from '../components/Loading';
+import ErrorMessageWithIcon from '../components/error/ErrorMessageWithIcon';
+import FundTraceGraph, { TRACE_NODE_STATUS } from '../components/FundTraceGraph';
+import fundTraceUtils, { TRACE_DIRECTIONS } from '../utils/fundTrace';
+import paymentUtils from '../utils/payment';
+import exportUtils from '../utils/export';
+import helpers from '../utils/helpers';
+import { useNewUiEnabled } from '../hooks';
+import { TRACE_DEFAULT_HOPS, TRACE_MAX_HOPS, TRACE_MAX_NODES } from '../constants';
+
+/**
+ * @return {Object} Empty trace, with the transactions and the edges between them
+ */
+const createGraph = () => ({ nodes: new Map(), edges: new Map(), truncated: false });
+
+/**
+ * Follows the funds of a transaction output through the spending transactions, or back through
+ * the transactions that funded it, expanding each transaction on demand
+ *
+ * @memberof Screens
+ */
+function FundTrace() {
+  const { txId, index } = useParams();
+  const history = useHistory();
+  const location = useLocation();
+  const newUiEnabled = useNewUiEnabled();
+  const serverInfo = useSelector(state => state.serverInfo);
+  const decimalPlaces = serverInfo.decimal_places;
+  const nativeSymbol =
+    serverInfo?.native_token?.symbol ?? hathorLib.constants.DEFAULT_NATIVE_TOKEN_CONFIG.symbol;
+
+  const params = new URLSearchParams(location.search);
+  const direction =
+    params.get('direction') === TRACE_DIRECTIONS.backward
+      ? TRACE_DIRECTIONS.backward
+      : TRACE_DIRECTIONS.forward;
+  const requestedHops = parseInt(params.get('hops'), 10);
+  const hops = requestedHops > 0 ? Math.min(requestedHops, TRACE_MAX_HOPS) : TRACE_DEFAULT_HOPS;
+  const outputIndex = parseInt(index, 10);
+
+  // The trace lives on graphRef, this counter only makes the screen show its changes
+  const [, setGraphVersion] = useState(0);
+  // loading {boolean} If the first hops of the trace are being loaded
+  const [loading, setLoading] = useState(true);
+  // error {ApiError | null} Error loading the starting transaction
+  const [error, setError] = useState(null);
+  // loadAttempt {number} Incremented to load the trace again
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  // selectedTx {string | null} Transaction clicked on the graph
+  const [selectedTx, setSelectedTx] = useState(null);
+  // tokenFilter {string} Uid of the only token followed, all when empty
+  const [tokenFilter, setTokenFilter] = useState('');
+  // minValue {string} Smallest amount followed, as typed by the user
+  const [minValue, setMinValue] = useState('');
+
+  // The graph is changed by the requests in place, so they don't overwrite each other
+  const graphRef = useRef(createGraph());
+
+  const isMinValueValid = !minValue || paymentUtils.isValidAmount(minValue, decimalPlaces);
+  const filters = useMemo(
+    () => ({
+      token: tokenFilter,
+      minValue:
+        isMinValueValid && minValue ? Math.round(Number(minValue) * 10 ** decimalPlaces) : 0,
+    }),
+    [tokenFilter, minValue, isMinValueValid, decimalPlaces]
+  );
+  // Read by the requests, so changing the filters doesn't load the trace again
+  const filtersRef = useRef(filters);
+  filtersRef.current = filters;
+
+  /**
+   * Loads a transaction of the trace and adds the transactions it leads to on the next hop
+   *
+   * @param {string} id Transaction to expand
+   *
+   * @return {Promise<string[]>} Transactions reached that pass the filters and weren't expanded
+   */
+  const expandNode = useCallback(
+    async id => {
+      const graph = graphRef.current;
+      const node = graph.nodes.get(id);
+      node.status = TRACE_NODE_STATUS.loading;
+      setGraphVersion(v => v + 1);
+
+      let txData;
+      try {
+        txData = await txApi.getTransaction(id);
+      } catch (e) {
+        node.status = TRACE_NODE_STATUS.error;
+        node.error = e;
+        setGraphVersion(v => v + 1);
+        if (node.hop === 0) {
+          throw e;
+        }
+        return [];
+      }
+
+      const onlyIndex =
+        node.hop === 0 && direction === TRACE_DIRECTIONS.forward ? outputIndex : null;
+      const next = [];
+      for (const edge of fundTraceUtils.getEdges(txData, direction, onlyIndex)) {
+        graph.edges.set(edge.id, edge);
+        const nextTx = fundTraceUtils.getNextTx(edge, direction);
+        if (!graph.nodes.has(nextTx)) {
+          if (graph.nodes.size >= TRACE_MAX_NODES) {
+            graph.truncated = true;
+            continue;
+          }
+          graph.nodes.set(nextTx, {
+            txId: nextTx,
+            hop: node.hop + 1,
+            status: TRACE_NODE_STATUS.pending,
+            error: null,
+          });
+        }
+        if (
+          graph.nodes.get(nextTx).status === TRACE_NODE_STATUS.pending &&
+          fundTraceUtils.passesFilters(edge, filtersRef.current) &&
+          !next.includes(nextTx)
+        ) {
+          next.push(nextTx);
+        }
+      }
+
+      node.status = TRACE_NODE_STATUS.expanded;
+      node.error = null;
+      setGraphVersion(v => v + 1);
+      return next;
+    },
+    [direction, outputIndex]
+  );
+
+  useEffect(() => {
+    let ignore = false;
+    const graph = createGraph();
+    graph.nodes.set(txId, { txId, hop: 0, status: TRACE_NODE_STATUS.pending, error: null });
+    graphRef.current = graph;
+    setSelectedTx(null);
+    setGraphVersion(v => v + 1);
+
+    async function loadTrace() {
+      setLoading(true);
+      setError(null);
+      try {
+        // Expands one hop at a time, so the closest transactions are loaded first
+        let level = [txId];
+        for (let hop = 0; hop < hops && level.length > 0 && !ignore; hop++) {
+          const nextLevel = [];
+          for (const id of level) {
+            if (ignore) {
+              return;
+            }
+            // It may have been expanded by the user while the previous ones were loading
+            if (graph.nodes.get(id).status !== TRACE_NODE_STATUS.pending) {
+              continue;
+            }
+            nextLevel.push(...(await expandNode(id)));
+          }
+          level = nextLevel;
+        }
+      } catch (e) {
+        if (!ignore) {
+          setError(e);
+        }
+      }
+      if (!ignore) {
+        setLoading(false);
+      }
+    }
+
+    loadTrace();
+    return () => {
+      ignore = true;
+    };
+  }, [txId, hops, expandNode, loadAttempt]);
+
+  // Transactions and edges reachable from the start through edges that pass the filters
+  const visible = (() => {
+    const graph = graphRef.current;
+    const allEdges = [...graph.edges.values()];
+    const reached = new Set([txId]);
+    const edges = [];
+    const queue = [txId];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const edge of allEdges) {
+        const previous = direction === TRACE_DIRECTIONS.forward ? edge.from : edge.to;
+        const next = fundTraceUtils.getNextTx(edge, direction);
+        if (
+          previous === current &&
+          graph.nodes.has(next) &&
+          fundTraceUtils.passesFilters(edge, filters)
+        ) {
+          edges.push(edge);
+          if (!reached.has(next)) {
+            reached.add(next);
+            queue.push(next);
+          }
+        }
+      }
+    }
+    const nodes = [...reached]
+      .filter(id => graph.nodes.has(id))
+      .map(id => ({ ...graph.nodes.get(id), isStart: id === txId }));
+    return { nodes, edges };
+  })();
+
+  const graphEdges = visible.edges.map(edge => ({
+    id: edge.id,
+    source: edge.from,
+    target: edge.to,
+    address: edge.address,
+    label: `${numberUtils.prettyValue(edge.value, decimalPlaces)} ${edge.tokenSymbol ||
+      nativeSymbol}`,
+  }));
+
+  const selectedPath = selectedTx
+    ? fundTraceUtils.findPath(visible.edges, txId, selectedTx, direction) || []
+    : [];
+
+  const onExpand = useCallback(
+    id => {
+      expandNode(id).catch(e => setError(e));
+    },
+    [expandNode]
+  );
+
+  // Tokens moved on the trace, to filter by
+  const tokenOptions = [];
+  for (const edge of graphRef.current.edges.values()) {
+    if (!tokenOptions.some(option => option.uid === edge.token)) {
+      tokenOptions.push({ uid: edge.token, symbol: edge.tokenSymbol || nativeSymbol });
+    }
+  }
+
+  /**
+   * Changes a parameter of the trace on the URL, loading it again
+   *
+   * @param {string} name Query parameter
+   * @param {string} value
+   */
+  const onParamChange = (name, value) => {
+    const newParams = new URLSearchParams(location.search);
+    newParams.set(name, value);
+    history.replace({ search: newParams.toString() });
+  };
+
+  /**
+   * @param {TraceEdge[]} edges Edges written on the file
+   * @param {string} fileName
+   */
+  const exportEdges = (edges, fileName) => {
+    const hopsByTx = {};
+    for (const node of graphRef.current.nodes.values()) {
+      hopsByTx[node.txId] = node.hop;
+    }
+    const rows = fundTraceUtils.buildExportRows(
+      edges,
+      hopsByTx,
+      direction,
+      nativeSymbol,
+      decimalPlaces
+    );
+    exportUtils.downloadFile(fundTraceUtils.toCsv(rows), fileName, 'text/csv');
+  };
+
+  const renderControls = () => (
+    <div className="fund-trace-controls d-flex flex-row flex-wrap align-items-end mb-3">
+      <div className="me-3 mb-2">
+        <label htmlFor="trace-direction" className="form-label">
+          Direction
+        </label>
+        <select
+          id="trace-direction"
+          className="form-select form-select-sm"
+          value={direction}
+          onChange={e => onParamChange('direction', e.target.value)}
+        >
+          <option value={TRACE_DIRECTIONS.forward}>Forward (spending transactions)</option>
+          <option value={TRACE_DIRECTIONS.backward}>Backward (funding transactions)</option>
+        </select>
+      </div>
+      <div className="me-3 mb-2">
+        <label htmlFor="trace-hops" className="form-label">
+          Hops
+        </label>
+        <select
+          id="trace-hops"
+          className="form-select form-select-sm"
+          value={hops}
+          onChange={e => onParamChange('hops', e.target.value)}
+        >
+          {[...Array(TRACE_MAX_HOPS).keys()].map(i => (
+            <option key={i + 1} value={i + 1}>
+              {i + 1}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="me-3 mb-2">
+        <label htmlFor="trace-token" className="form-label">
+          Token
+        </label>
+        <select
+          id="trace-token"
+          className="form-select form-select-sm"
+          value={tokenFilter}
+          onChange={e => setTokenFilter(e.target.value)}
+        >
+          <option value="">All tokens</option>
+          {tokenOptions.map(option => (
+            <option key={option.uid} value={option.uid}>
+              {option.symbol}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="me-3 mb-2">
+        <label htmlFor="trace-min-value" className="form-label">
+          Minimum amount
+        </label>
+        <input
+          id="trace-min-value"
+          type="text"
+          className={`form-control form-control-sm ${isMinValueValid ? '' : 'is-invalid'}`}
+          placeholder="0"
+          value={minValue}
+          onChange={e => setMinValue(e.target.value.trim())}
+        />
+      </div>
+      <div className="mb-2">
+        <button
+          type="button"
+          className="btn btn-hathor btn-sm"
+          onClick={() =>
+            exportEdges(visible.edges, `${txId}-${outputIndex}-${direction}-trace.csv`)
+          }
+          disabled={visible.edges.length === 0}
+        >
+          Export graph
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderSelected = () => {
+    const node = graphRef.current.nodes.get(selectedTx);
+    if (!node) {
+      return <p className="text-muted">Click a transaction to see how the funds reached it.</p>;
+    }
+
+    return (
+      <div className="fund-trace-selected">
+        <p className="mb-1">
+          <strong>Transaction: </strong>
+          <Link to={`/transaction/${node.txId}`}>{node.txId}</Link>
+        </p>
+        <p className="mb-1">
+          <strong>Hop: </strong>
+          {node.hop}
+        </p>
+        {node.status === TRACE_NODE_STATUS.error && (
+          <ErrorMessageWithIcon error={node.error} onRetry={() => onExpand(node.txId)} />
+        )}
+        <div className="d-flex flex-row mt-2">
+          {node.status === TRACE_NODE_STATUS.pending && (
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm me-2"
+              onClick={() => onExpand(node.txId)}
+            >
+              Expand
+            </button>
+          )}
+          <button
+            type="button"
+            className="btn btn-hathor btn-sm"
+            onClick={() =>
+              exportEdges(selectedPath, `${txId}-${outputIndex}-path-${node.txId}.csv`)
+            }
+            disabled={selectedPath.length === 0}
+          >
+            Export path
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const renderContent = () => {
+    if (error && visible.edges.length === 0) {
+      return <ErrorMessageWithIcon error={error} onRetry={() => setLoadAttempt(a => a + 1)} />;
+    }
+
+    return (
+      <>
+        {renderControls()}
+        {loading && <Loading showSlowLoadMessage={false} />}
+        {graphRef.current.truncated && (
+          <p className="text-warning">
+            The trace reached {TRACE_MAX_NODES} transactions, the next ones are not shown.
+          </p>
+        )}
+        {!loading && visible.edges.length === 0 && (
+          <p>
+            {direction === TRACE_DIRECTIONS.forward
+              ? 'This output was not spent yet, or no spending transaction passes the filters.'
+              : 'This transaction has no inputs, or none of them passes the filters.'}
+          </p>
+        )}
+        <FundTraceGraph
+          nodes={visible.nodes}
+          edges={graphEdges}
+          selectedTx={selectedTx}
+          highlightedEdges={selectedPath.map(edge => edge.id)}
+          onSelect={setSelectedTx}
+          onExpand={onExpand}
+        />
+        <p className="text-muted fund-trace-hint">
+          Drag to move and scroll to zoom. Click + on a transaction to follow its funds one more
+          hop.
+        </p>
+        {renderSelected()}
+      </>
+    );
+  };
+
+  return (
+    <div className={newUiEnabled ? 'section-tables-stylized' : 'content-wrapper'}>
+      <h3 className="mt-4">Fund trace</h3>
+      <p>
+        {direction === TRACE_DIRECTIONS.forward ? 'Spending of output ' : 'Funding of output '}
+        <Link to={`/transaction/${txId}`}>{helpers.getShortHash(txId)}</Link>
+        {` #${outputIndex}`}
+      </p>
+      {renderContent()}
+    </div>
+  );
+}
+
+export default FundTrace;
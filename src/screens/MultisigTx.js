@@ -0,0 +1,490 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { CopyToClipboard } from 'react-copy-to-clipboard';
+import TxTextInput from '../components/tx/TxTextInput';
+import AddressLabel from '../components/AddressLabel';
+import Loading from '../components/Loading';
+import ErrorMessageWithIcon from '../components/error/ErrorMessageWithIcon';
+import txApi from '../api/txApi';
+import { getErrorMessage } from '../api/errors';
+import localDecodeUtils, { SIGNATURE_STATUS } from '../utils/localDecode';
+import multisigTxUtils from '../utils/multisigTx';
+import multisigUtils from '../utils/multisig';
+import transactionUtils from '../utils/transaction';
+import helpers from '../utils/helpers';
+
+// Characters of the xpub shown for the participants that shared signatures
+const XPUB_LENGTH = 16;
+
+/**
+ * Screen to collect the signatures of the participants of a multisig on an unsigned or partially
+ * signed transaction, and push it once all the inputs have the signatures needed
+ *
+ * @memberof Screens
+ */
+function MultisigTx() {
+  // dataToLoad {string} Text written by the user as the serialized transaction
+  const [dataToLoad, setDataToLoad] = useState('');
+  // hex {string | null} Transaction being signed, as loaded
+  const [hex, setHex] = useState(null);
+  // transaction {DecodedTx | null} Transaction being signed, decoded
+  const [transaction, setTransaction] = useState(null);
+  // decodeError {boolean} If the data written could not be decoded to a transaction
+  const [decodeError, setDecodeError] = useState(false);
+  // spentOutputs {Object[] | null} Output spent by each input, with its token, null while loading
+  const [spentOutputs, setSpentOutputs] = useState(null);
+  // loadError {ApiError | null} Error loading the spent outputs
+  const [loadError, setLoadError] = useState(null);
+  // loadAttempt {number} Incremented to load the spent outputs again
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  // searchingPolicies {boolean} If the participants of the multisig addresses are being searched
+  const [searchingPolicies, setSearchingPolicies] = useState(false);
+  // policies {Object} Policies of the multisig addresses spent, found or typed, by address
+  const [policies, setPolicies] = useState({});
+  // redeemScripts {Object} Redeem scripts being typed by the user, by address
+  const [redeemScripts, setRedeemScripts] = useState({});
+  // redeemScriptErrors {Object} Why the redeem script typed was not accepted, by address
+  const [redeemScriptErrors, setRedeemScriptErrors] = useState({});
+  // signers {P2SHSignature[]} Signatures shared by the participants
+  const [signers, setSigners] = useState([]);
+  // signaturesText {string} Signatures being pasted by the user
+  const [signaturesText, setSignaturesText] = useState('');
+  // signaturesError {string | null} Why the signatures pasted were not accepted
+  const [signaturesError, setSignaturesError] = useState(null);
+  // copied {boolean} If the signed transaction was copied to the clipboard
+  const [copied, setCopied] = useState(false);
+  // pushing {boolean} If the transaction is being pushed
+  const [pushing, setPushing] = useState(false);
+  // pushResult {{ success: boolean, message: string, canForce: boolean } | null} Last push
+  const [pushResult, setPushResult] = useState(null);
+  // force {boolean} If the next push is forced
+  const [force, setForce] = useState(false);
+
+  useEffect(() => {
+    if (!transaction) {
+      return undefined;
+    }
+    const controller = new AbortController();
+
+    async function loadSpentOutputs() {
+      setSpentOutputs(null);
+      setLoadError(null);
+      let outputs;
+      try {
+        const spentTxs = {};
+        const txIds = [...new Set(transaction.inputs.map(input => input.tx_id))];
+        await Promise.all(
+          txIds.map(async txId => {
+            spentTxs[txId] = (await txApi.getTransaction(txId)).tx;
+          })
+        );
+        outputs = transaction.inputs.map(input => {
+          const tx = spentTxs[input.tx_id];
+          const output = tx.outputs[input.index];
+          return output && { ...output, token: transactionUtils.getTokenUid(tx, output) };
+        });
+      } catch (e) {
+        if (!controller.signal.aborted) {
+          setLoadError(e);
+        }
+        return;
+      }
+      if (controller.signal.aborted) {
+        return;
+      }
+      setSpentOutputs(outputs);
+
+      // The redeem script is only on the transaction after the first signature, before that the
+      // participants are searched on the history of the address
+      const missing = new Map();
+      multisigTxUtils.getInputs(transaction, outputs, {}, []).forEach((input, index) => {
+        if (input.isMultisig && !input.policy) {
+          missing.set(input.address, outputs[index].token);
+        }
+      });
+      setSearchingPolicies(true);
+      await Promise.all(
+        [...missing].map(async ([address, token]) => {
+          try {
+            const policy = await multisigUtils.findPolicy(address, token, {
+              signal: controller.signal,
+            });
+            if (policy && !controller.signal.aborted) {
+              setPolicies(current => ({ ...current, [address]: policy }));
+            }
+          } catch (e) {
+            // The redeem script can still be typed by the user
+          }
+        })
+      );
+      if (!controller.signal.aborted) {
+        setSearchingPolicies(false);
+      }
+    }
+
+    loadSpentOutputs();
+    return () => {
+      controller.abort();
+    };
+  }, [transaction, loadAttempt]);
+
+  const inputs = useMemo(
+    () =>
+      transaction && spentOutputs
+        ? multisigTxUtils.getInputs(transaction, spentOutputs, policies, signers)
+        : null,
+    [transaction, spentOutputs, policies, signers]
+  );
+
+  // Transaction with all the signatures collected, and the check of each of its inputs
+  const signed = useMemo(() => {
+    if (!inputs) {
+      return null;
+    }
+    const signedHex = multisigTxUtils.mergeSignatures(hex, inputs);
+    const decoded = localDecodeUtils.decodeTx(signedHex);
+    const checks = decoded.inputs.map((input, index) =>
+      localDecodeUtils.verifyInput(input, decoded.dataToSignHash, spentOutputs[index])
+    );
+    return {
+      hex: signedHex,
+      checks,
+      complete: checks.every(check => check.status === SIGNATURE_STATUS.valid),
+    };
+  }, [hex, inputs, spentOutputs]);
+
+  /**
+   * Called after the 'Load' button is clicked, starts over with the transaction written
+   */
+  const loadTransaction = () => {
+    setPolicies({});
+    setRedeemScripts({});
+    setRedeemScriptErrors({});
+    setSigners([]);
+    setSignaturesError(null);
+    setPushResult(null);
+    setCopied(false);
+    try {
+      setTransaction(localDecodeUtils.decodeTx(dataToLoad));
+      setHex(dataToLoad.trim());
+      setDecodeError(false);
+    } catch (e) {
+      setTransaction(null);
+      setHex(null);
+      setDecodeError(true);
+    }
+  };
+
+  /**
+   * @param {Object} e Submit event of the signatures form
+   */
+  const addSignatures = e => {
+    e.preventDefault();
+    let signer;
+    try {
+      signer = multisigTxUtils.parseSignatures(signaturesText);
+    } catch (err) {
+      setSignaturesError(err.message);
+      return;
+    }
+
+    const others = signers.filter(item => item.pubkey !== signer.pubkey);
+    const rejected = multisigTxUtils.getRejectedInputs(
+      multisigTxUtils.getInputs(transaction, spentOutputs, policies, [...others, signer]),
+      signer
+    );
+    if (rejected.length) {
+      setSignaturesError(
+        `The signatures of the inputs ${rejected.join(', ')} do not match any participant`
+      );
+      return;
+    }
+    setSigners([...others, signer]);
+    setSignaturesText('');
+    setSignaturesError(null);
+    setPushResult(null);
+    setCopied(false);
+  };
+
+  /**
+   * @param {string} address Multisig address whose redeem script was typed
+   */
+  const addRedeemScript = address => {
+    try {
+      const policy = multisigTxUtils.parseRedeemScript(redeemScripts[address] || '', address);
+      setPolicies({ ...policies, [address]: policy });
+      setRedeemScriptErrors({ ...redeemScriptErrors, [address]: null });
+    } catch (err) {
+      setRedeemScriptErrors({ ...redeemScriptErrors, [address]: err.message });
+    }
+  };
+
+  const pushTransaction = async () => {
+    setPushing(true);
+    try {
+      const data = await txApi.pushTx(signed.hex, force);
+      setPushResult({
+        success: !!data.success,
+        message: data.message,
+        canForce: !!data.can_force,
+      });
+    } catch (e) {
+      setPushResult({ success: false, message: getErrorMessage(e), canForce: false });
+    }
+    setPushing(false);
+  };
+
+  /**
+   * @param {MultisigInput} input
+   *
+   * @return {JSX.Element} Form to type the redeem script of an address whose participants are not
+   *                       known
+   */
+  const renderRedeemScriptForm = input => {
+    if (searchingPolicies) {
+      return <span className="text-muted">Looking for the participants...</span>;
+    }
+    return (
+      <div>
+        <p className="mb-1">
+          The participants of this address are not public yet. Write its redeem script in hex:
+        </p>
+        <div className="d-flex flex-row">
+          <input
+            type="text"
+            className="form-control form-control-sm me-2"
+            value={redeemScripts[input.address] || ''}
+            onChange={e => setRedeemScripts({ ...redeemScripts, [input.address]: e.target.value })}
+          />
+          <button
+            type="button"
+            className="btn btn-hathor btn-sm"
+            onClick={() => addRedeemScript(input.address)}
+          >
+            Use
+          </button>
+        </div>
+        {redeemScriptErrors[input.address] && (
+          <span className="text-danger">{redeemScriptErrors[input.address]}</span>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * @param {MultisigInput} input
+   * @param {number} index
+   *
+   * @return {JSX.Element} Signatures of the input, by participant
+   */
+  const renderSignatures = (input, index) => {
+    const check = signed.checks[index];
+    if (!input.isMultisig) {
+      return (
+        <span className={check.status === SIGNATURE_STATUS.valid ? 'text-success' : 'text-danger'}>
+          {check.status === SIGNATURE_STATUS.unsigned
+            ? 'Not a multisig input, it must be signed by the owner of the address'
+            : check.message}
+        </span>
+      );
+    }
+    if (!input.policy) {
+      return renderRedeemScriptForm(input);
+    }
+
+    return (
+      <>
+        <div className={check.status === SIGNATURE_STATUS.valid ? 'text-success' : 'text-warning'}>
+          {check.status === SIGNATURE_STATUS.unsigned
+            ? `Not signed, ${input.policy.signaturesRequired} signatures needed`
+            : check.message}
+        </div>
+        {input.policy.participants.map((participant, i) => {
+          const { signature, signer } = input.signatures[i];
+          return (
+            <div key={participant.publicKey} className="multisig-tx-participant">
+              <i
+                className={
+                  signature ? 'fa fa-check text-success me-1' : 'fa fa-clock-o text-muted me-1'
+                }
+              />
+              <Link to={`/address/${participant.address}`}>{participant.address}</Link>
+              <AddressLabel address={participant.address} />
+              {signature && (
+                <span className="text-muted ms-1" title={signer || undefined}>
+                  {signer
+                    ? `shared by ${signer.substring(0, XPUB_LENGTH)}...`
+                    : 'on the transaction'}
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </>
+    );
+  };
+
+  const renderInputs = () => (
+    <div className="table-responsive">
+      <table className="table table-striped" id="multisig-tx-inputs">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Spent output</th>
+            <th>Address</th>
+            <th>Signatures</th>
+          </tr>
+        </thead>
+        <tbody>
+          {inputs.map((input, index) => (
+            <tr key={`${transaction.inputs[index].tx_id}:${transaction.inputs[index].index}`}>
+              <td>{index}</td>
+              <td>
+                <Link to={`/transaction/${transaction.inputs[index].tx_id}`}>
+                  {helpers.getShortHash(transaction.inputs[index].tx_id)}
+                </Link>{' '}
+                ({transaction.inputs[index].index})
+              </td>
+              <td>
+                {input.address ? (
+                  <Link to={`/address/${input.address}`}>{input.address}</Link>
+                ) : (
+                  'Unknown script'
+                )}
+              </td>
+              <td>{renderSignatures(input, index)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const renderSigners = () => (
+    <ul className="list-unstyled">
+      {signers.map(signer => (
+        <li key={signer.pubkey} title={signer.pubkey}>
+          {signer.pubkey.substring(0, XPUB_LENGTH)}...: inputs{' '}
+          {Object.keys(signer.signatures).join(', ')}
+          <button
+            type="button"
+            className="btn btn-link btn-sm"
+            title="Remove these signatures"
+            onClick={() => setSigners(signers.filter(item => item.pubkey !== signer.pubkey))}
+          >
+            <i className="fa fa-times" />
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+
+  const renderPush = () => (
+    <div className="mt-3">
+      {pushResult?.canForce && (
+        <div className="form-check mb-3">
+          <input
+            className="form-check-input"
+            type="checkbox"
+            id="multisig-tx-force"
+            checked={force}
+            onChange={e => setForce(e.target.checked)}
+          />
+          <label className="form-check-label" htmlFor="multisig-tx-force">
+            Force push
+          </label>
+        </div>
+      )}
+      <button
+        type="button"
+        className="btn btn-hathor"
+        onClick={pushTransaction}
+        disabled={!signed.complete || pushing}
+      >
+        Push tx
+      </button>
+      {!signed.complete && (
+        <span className="text-muted ms-2">
+          The transaction can be pushed once all the inputs have the signatures needed.
+        </span>
+      )}
+      {pushResult?.success && (
+        <p className="text-success mt-2">Transaction pushed to the network with success!</p>
+      )}
+      {pushResult && !pushResult.success && (
+        <p className="text-danger mt-2">{pushResult.message}</p>
+      )}
+    </div>
+  );
+
+  const renderTransaction = () => {
+    if (loadError) {
+      return <ErrorMessageWithIcon error={loadError} onRetry={() => setLoadAttempt(a => a + 1)} />;
+    }
+    if (!inputs) {
+      return <Loading />;
+    }
+
+    return (
+      <div className="multisig-tx mt-4">
+        <h5>Inputs</h5>
+        {renderInputs()}
+        <h5>Add signatures</h5>
+        <form onSubmit={addSignatures}>
+          <p className="mb-1">
+            Paste the signatures shared by a participant, in the format{' '}
+            <code>{'<xpub>|<input>:<signature>|<input>:<signature>'}</code> used by the wallets.
+          </p>
+          <textarea
+            className="form-control local-tx-hex"
+            rows="3"
+            value={signaturesText}
+            onChange={e => setSignaturesText(e.target.value)}
+          />
+          {signaturesError && <span className="text-danger">{signaturesError}</span>}
+          <button
+            type="submit"
+            className="btn btn-hathor btn-sm d-block mt-2 mb-3"
+            disabled={!signaturesText.trim()}
+          >
+            Add signatures
+          </button>
+        </form>
+        {signers.length > 0 && renderSigners()}
+        <h5>
+          Transaction with the signatures
+          <CopyToClipboard text={signed.hex} onCopy={() => setCopied(true)}>
+            <i className="fa fa-clone pointer ms-2" title="Copy to clipboard"></i>
+          </CopyToClipboard>
+          {copied && <span className="text-success ms-2">Copied!</span>}
+        </h5>
+        <p className="local-tx-hex">{signed.hex}</p>
+        {renderPush()}
+      </div>
+    );
+  };
+
+  return (
+    <div className="content-wrapper">
+      <TxTextInput
+        onChange={e => setDataToLoad(e.target.value)}
+        buttonClicked={loadTransaction}
+        action="Load tx"
+        otherAction="decode"
+        link="/decode-tx/"
+        helpText="Write an unsigned or partially signed transaction in hex and click the button to collect the signatures of the multisig participants"
+      />
+      {decodeError && <p className="text-danger">Could not decode this data to a transaction</p>}
+      {transaction && renderTransaction()}
+    </div>
+  );
+}
+
+export default MultisigTx;
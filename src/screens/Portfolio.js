@@ -0,0 +1,415 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { numberUtils } from '@hathor/wallet-lib';
+import { orderBy } from 'lodash';
+import TokenBalancesTable from '../components/token/TokenBalancesTable';
+import Loading from '../components/Loading';
+import AddressLabel from '../components/AddressLabel';
+import ErrorMessageWithIcon from '../components/error/ErrorMessageWithIcon';
+import { useBackendSupports, useNewUiEnabled } from '../hooks';
+import { updateWatchlist } from '../actions';
+import { BACKEND_CAPABILITIES } from '../constants';
+import watchlistUtils from '../utils/watchlist';
+import portfolioUtils from '../utils/portfolio';
+import exportUtils from '../utils/export';
+import dateFormatter from '../utils/date';
+
+/**
+ * Watchlist of addresses and their balances summed by token, with the changes since the last visit
+ *
+ * @memberof Screens
+ */
+function Portfolio() {
+  const dispatch = useDispatch();
+  const newUiEnabled = useNewUiEnabled();
+  const watchlist = useSelector(state => state.watchlist);
+  const decimalPlaces = useSelector(state => state.serverInfo.decimal_places);
+  const hasAddressIndex = useBackendSupports(BACKEND_CAPABILITIES.addressIndex);
+
+  // lastVisit {PortfolioSnapshot | null} Balances of the last visit, read once when the screen opens
+  const [lastVisit] = useState(() => watchlistUtils.getSnapshot());
+  // portfolio {PortfolioToken[] | null} Balances summed by token
+  const [portfolio, setPortfolio] = useState(null);
+  // failed {string[]} Addresses whose balances could not be loaded
+  const [failed, setFailed] = useState([]);
+  // loadedCount {number} Number of addresses already loaded, to show the progress
+  const [loadedCount, setLoadedCount] = useState(0);
+  // loadAttempt {number} Incremented to load the balances again
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  // selectedToken {string | null} Uid of the token whose balance per address is shown
+  const [selectedToken, setSelectedToken] = useState(null);
+  // sortBy {string} Field of the addresses table used for sorting
+  const [sortBy, setSortBy] = useState('total');
+  // order {string} Order of the addresses table, 'asc' or 'desc'
+  const [order, setOrder] = useState('desc');
+  // formData {Object} Address being added to the watchlist
+  const [formData, setFormData] = useState({ address: '', label: '' });
+  // formMessage {Object | null} Result of the last change on the watchlist
+  const [formMessage, setFormMessage] = useState(null);
+
+  const importInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!hasAddressIndex || watchlist.length === 0) {
+      setPortfolio([]);
+      return undefined;
+    }
+
+    let ignore = false;
+
+    async function loadPortfolio() {
+      setPortfolio(null);
+      setLoadedCount(0);
+      const addresses = watchlist.map(item => item.address);
+      const { tokens, balances, failed: failedAddresses } = await portfolioUtils.loadBalances(
+        addresses,
+        count => !ignore && setLoadedCount(count)
+      );
+      if (ignore) {
+        return;
+      }
+
+      setPortfolio(portfolioUtils.aggregate(tokens, balances, lastVisit));
+      setFailed(failedAddresses);
+
+      // Addresses that failed keep their previous balances for the next comparison
+      const snapshot = portfolioUtils.buildSnapshot(balances);
+      snapshot.balances = { ...lastVisit?.balances, ...snapshot.balances };
+      watchlistUtils.saveSnapshot(snapshot);
+    }
+
+    loadPortfolio().catch(e => console.error('Error loading the portfolio', e));
+    return () => {
+      ignore = true;
+    };
+  }, [watchlist, hasAddressIndex, lastVisit, loadAttempt]);
+
+  const prettyValue = value => numberUtils.prettyValue(value, decimalPlaces);
+
+  const onFormChange = e => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const onFormSubmit = e => {
+    e.preventDefault();
+    try {
+      watchlistUtils.addAddress(formData.address.trim(), formData.label);
+    } catch (err) {
+      setFormMessage({ error: true, text: err.message });
+      return;
+    }
+
+    setFormMessage(null);
+    setFormData({ address: '', label: '' });
+    dispatch(updateWatchlist());
+  };
+
+  const onAddressRemoved = address => {
+    watchlistUtils.removeAddress(address);
+    dispatch(updateWatchlist());
+  };
+
+  const onExport = () => {
+    exportUtils.downloadFile(watchlistUtils.exportJson(), 'watchlist.json', 'application/json');
+  };
+
+  const onImportFileSelected = async e => {
+    const [file] = e.target.files;
+    // Allows importing the same file again
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const count = watchlistUtils.importJson(await file.text());
+      setFormMessage({ error: false, text: `${count} addresses imported.` });
+    } catch (err) {
+      setFormMessage({ error: true, text: err.message });
+      return;
+    }
+    dispatch(updateWatchlist());
+  };
+
+  const onTableHeaderClicked = (e, field) => {
+    e.preventDefault();
+    if (field === sortBy) {
+      setOrder(order === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortBy(field);
+      setOrder('desc');
+    }
+  };
+
+  const renderChange = change => {
+    if (change === null) {
+      return '—';
+    }
+    if (change === 0) {
+      return '0';
+    }
+    return (
+      <span className={change > 0 ? 'text-success' : 'text-danger'}>
+        {change > 0 ? '+' : ''}
+        {prettyValue(change)}
+      </span>
+    );
+  };
+
+  const renderTable = (id, content) => {
+    return newUiEnabled ? (
+      <table className="table-stylized" id={id}>
+        {content}
+      </table>
+    ) : (
+      <table className="table table-striped" id={id}>
+        {content}
+      </table>
+    );
+  };
+
+  const renderWatchlistForm = () => {
+    return (
+      <form
+        className="d-flex flex-column flex-lg-row align-items-lg-center"
+        onSubmit={onFormSubmit}
+      >
+        <input
+          className="form-control me-lg-2 mb-2 mb-lg-0"
+          name="address"
+          placeholder="Address"
+          value={formData.address}
+          onChange={onFormChange}
+          required
+        />
+        <input
+          className="form-control me-lg-2 mb-2 mb-lg-0 portfolio-label-input"
+          name="label"
+          placeholder="Label (optional)"
+          value={formData.label}
+          onChange={onFormChange}
+        />
+        <button type="submit" className="btn btn-hathor me-2">
+          Watch
+        </button>
+        <button
+          type="button"
+          className="btn btn-secondary me-2"
+          onClick={() => importInputRef.current.click()}
+        >
+          Import
+        </button>
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={onExport}
+          disabled={watchlist.length === 0}
+        >
+          Export
+        </button>
+        <input
+          type="file"
+          accept="application/json,.json"
+          className="d-none"
+          ref={importInputRef}
+          onChange={onImportFileSelected}
+        />
+      </form>
+    );
+  };
+
+  const renderWatchlist = () => {
+    if (watchlist.length === 0) {
+      return <p className="mt-3">No addresses on the watchlist yet.</p>;
+    }
+
+    return (
+      <div className="table-responsive mt-3">
+        {renderTable(
+          'watchlist-table',
+          <>
+            <thead>
+              <tr>
+                <th>Label</th>
+                <th>Address</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {watchlist.map(item => (
+                <tr key={item.address}>
+                  <td>{item.label || '—'}</td>
+                  <td>
+                    <Link to={`/address/${item.address}`}>{item.address}</Link>
+                    <AddressLabel address={item.address} />
+                    {failed.includes(item.address) && (
+                      <span className="text-danger ms-2">(failed to load)</span>
+                    )}
+                  </td>
+                  <td className="text-end">
+                    <i
+                      className="fa fa-times pointer"
+                      title="Remove from the watchlist"
+                      onClick={() => onAddressRemoved(item.address)}
+                    ></i>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderLastVisit = () => {
+    if (!lastVisit) {
+      return <p>Changes since the last visit will be shown from the next visit on.</p>;
+    }
+    return (
+      <p>
+        Changes since the last visit on{' '}
+        {dateFormatter.parseTimestamp(Math.floor(lastVisit.timestamp / 1000))}.
+      </p>
+    );
+  };
+
+  const renderTokens = () => {
+    return (
+      <div className="table-responsive">
+        {renderTable(
+          'portfolio-table',
+          <>
+            <thead>
+              <tr>
+                <th>Token</th>
+                <th>Total</th>
+                <th>Unlocked</th>
+                <th>Locked</th>
+                <th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {portfolio.map(token => (
+                <tr
+                  key={token.token_id}
+                  className={`pointer ${token.change ? 'portfolio-changed' : ''} ${
+                    token.token_id === selectedToken ? 'portfolio-selected' : ''
+                  }`}
+                  onClick={() => setSelectedToken(token.token_id)}
+                >
+                  <td>
+                    {token.symbol} - {token.name}
+                  </td>
+                  <td>{prettyValue(token.total)}</td>
+                  <td>{prettyValue(token.unlocked_balance)}</td>
+                  <td>{prettyValue(token.locked_balance)}</td>
+                  <td>{renderChange(token.change)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderSelectedToken = () => {
+    const token = portfolio.find(item => item.token_id === selectedToken);
+    if (!token) {
+      return <p>Select a token to see its balance on each address.</p>;
+    }
+
+    const changed = token.addresses.filter(item => item.change);
+    return (
+      <div>
+        <h4 className="mt-4">
+          {token.symbol} by address <Link to={`/token_detail/${token.token_id}`}>(details)</Link>
+        </h4>
+        {changed.length > 0 && (
+          <ul className="portfolio-changes">
+            {changed.map(item => (
+              <li key={item.address}>
+                <Link to={`/address/${item.address}?token=${token.token_id}`}>{item.address}</Link>
+                <AddressLabel address={item.address} />: {renderChange(item.change)}
+              </li>
+            ))}
+          </ul>
+        )}
+        <TokenBalancesTable
+          data={orderBy(token.addresses, [sortBy], [order])}
+          tokenId={token.token_id}
+          hasBefore={false}
+          hasAfter={false}
+          onNextPageClicked={() => {}}
+          onPreviousPageClicked={() => {}}
+          loading={false}
+          sortBy={sortBy}
+          order={order}
+          tableHeaderClicked={onTableHeaderClicked}
+          newUiEnabled={newUiEnabled}
+        />
+      </div>
+    );
+  };
+
+  const renderPortfolio = () => {
+    if (!hasAddressIndex) {
+      return (
+        <ErrorMessageWithIcon message="Balances are not available on this network, since it has no address index." />
+      );
+    }
+    if (watchlist.length === 0) {
+      return null;
+    }
+    if (!portfolio) {
+      return (
+        <div>
+          <p>
+            Loading balances of {loadedCount} of {watchlist.length} addresses...
+          </p>
+          <Loading />
+        </div>
+      );
+    }
+
+    return (
+      <div>
+        {failed.length > 0 && (
+          <ErrorMessageWithIcon
+            message={`The balances of ${failed.length} addresses could not be loaded.`}
+            onRetry={() => setLoadAttempt(attempt => attempt + 1)}
+          />
+        )}
+        {renderLastVisit()}
+        {renderTokens()}
+        {renderSelectedToken()}
+      </div>
+    );
+  };
+
+  return (
+    <div className={newUiEnabled ? 'section-tables-stylized' : 'content-wrapper'}>
+      <h3 className="mt-4">Portfolio</h3>
+      {renderWatchlistForm()}
+      {formMessage && (
+        <p className={`mt-2 ${formMessage.error ? 'text-danger' : 'text-success'}`}>
+          {formMessage.text}
+        </p>
+      )}
+      {renderWatchlist()}
+      <h4 className="mt-5 mb-3">Balances</h4>
+      {renderPortfolio()}
+    </div>
+  );
+}
+
+export default Portfolio;
@@ -8,6 +8,7 @@
 import React, { useRef, useState } from 'react';
 import TxTextInput from '../components/tx/TxTextInput';
 import txApi from '../api/txApi';
+import { getErrorMessage } from '../api/errors';
 
 function PushTx() {
   const [success, setSuccess] = useState(false);
@@ -20,7 +21,14 @@ function PushTx() {
 
   async function buttonClicked() {
     setSuccess(false);
-    const data = await txApi.pushTx(dataToPush, force);
+    let data;
+    try {
+      data = await txApi.pushTx(dataToPush, force);
+    } catch (e) {
+      setErrorMessage(getErrorMessage(e));
+      setCanForce(false);
+      return;
+    }
 
     setSuccess(!!data.success);
     if (data.success) {
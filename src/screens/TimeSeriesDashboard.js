@@ -10,10 +10,12 @@ import { useFlag } from '@unleash/proxy-client-react';
 
 import TimeSeries from '../components/timeseries/TimeSeries';
 import { UNLEASH_TIME_SERIES_FEATURE_FLAG } from '../constants';
+import { useFeatureFlagName } from '../hooks';
 
 const TimeSeriesDashboard = () => {
-  const maintenanceMode = useFlag(`${UNLEASH_TIME_SERIES_FEATURE_FLAG}.maintenance`);
-  const featureFlag = useFlag(`${UNLEASH_TIME_SERIES_FEATURE_FLAG}.rollout`);
+  const timeSeriesFlag = useFeatureFlagName(UNLEASH_TIME_SERIES_FEATURE_FLAG);
+  const maintenanceMode = useFlag(`${timeSeriesFlag}.maintenance`);
+  const featureFlag = useFlag(`${timeSeriesFlag}.rollout`);
 
   return (
     <div>
@@ -8,12 +8,24 @@
 import React from 'react';
 import { useFlag } from '@unleash/proxy-client-react';
 import TokenBalances from '../components/token/TokenBalances';
-import { UNLEASH_TOKEN_BALANCES_FEATURE_FLAG } from '../constants';
-import { useNewUiEnabled } from '../hooks';
+import ErrorMessageWithIcon from '../components/error/ErrorMessageWithIcon';
+import { BACKEND_CAPABILITIES, UNLEASH_TOKEN_BALANCES_FEATURE_FLAG } from '../constants';
+import { useBackendSupports, useFeatureFlagName, useNewUiEnabled } from '../hooks';
+import { fullnodeUnsupportedMessage } from '../messages';
 
 const TokenBalancesList = () => {
-  const maintenanceMode = useFlag(`${UNLEASH_TOKEN_BALANCES_FEATURE_FLAG}.maintenance`);
+  const tokenBalancesFlag = useFeatureFlagName(UNLEASH_TOKEN_BALANCES_FEATURE_FLAG);
+  const maintenanceMode = useFlag(`${tokenBalancesFlag}.maintenance`);
   const newUiEnabled = useNewUiEnabled();
+  const hasTokenIndex = useBackendSupports(BACKEND_CAPABILITIES.tokenIndex);
+
+  if (!hasTokenIndex) {
+    return (
+      <div className={newUiEnabled ? 'section-tables-stylized' : 'content-wrapper'}>
+        <ErrorMessageWithIcon message={fullnodeUnsupportedMessage} />
+      </div>
+    );
+  }
 
   const renderUi = () => (
     <div className="content-wrapper">
@@ -12,7 +12,9 @@ import metadataApi from '../api/metadataApi';
 import tokenApi from '../api/tokenApi';
 import TokenDetailsTop from '../components/token/TokenDetailsTop';
 import TokenAlerts from '../components/token/TokenAlerts';
+import ErrorMessageWithIcon from '../components/error/ErrorMessageWithIcon';
 import { useNewUiEnabled } from '../hooks';
+import { API_ERROR_TYPES } from '../api/errors';
 
 /**
  * Screen to manage a token. See total amount, if can mint/melt and the history of transaction
@@ -35,13 +37,13 @@ function TokenDetail() {
    *        - nft {Object} Token nft data
    *            - type {string} type of file
    *            - file {string} url of file
-   * errorMessage {string} error message to show
+   * error {ApiError | null} error loading the token
    * transactions {Array} Array of transactions for the token
    * metadataLoaded {boolean} If token metadata was loaded
    */
   const newUiEnabled = useNewUiEnabled();
   const [token, setToken] = useState(null);
-  const [errorMessage, setErrorMessage] = useState('');
+  const [error, setError] = useState(null);
   const [metadataLoaded, setMetadataLoaded] = useState(false);
 
   const { tokenUID } = useParams();
@@ -51,13 +53,20 @@ function TokenDetail() {
     updateTokenMetadata(tokenUID).catch(e => console.error(e));
   }, [tokenUID]);
 
+  const retry = () => {
+    setError(null);
+    updateTokenInfo(tokenUID).catch(e => console.error(e));
+  };
+
   /**
    * Upadte token info getting data from the full node (can mint, can melt, total supply)
    */
   const updateTokenInfo = async id => {
-    const response = await tokenApi.get(id);
-    if (!response.success) {
-      setErrorMessage(response.message);
+    let response;
+    try {
+      response = await tokenApi.get(id);
+    } catch (e) {
+      setError(e);
       return;
     }
 
@@ -74,8 +83,12 @@ function TokenDetail() {
   };
 
   const updateTokenMetadata = async id => {
-    const data = await metadataApi.getDagMetadata(id);
-    setMetadataLoaded(true);
+    let data;
+    try {
+      data = await metadataApi.getDagMetadata(id);
+    } finally {
+      setMetadataLoaded(true);
+    }
     if (!data) {
       return;
     }
@@ -126,10 +139,14 @@ function TokenDetail() {
     return tokenApi.getHistory(token.uid, timestamp, hash, page);
   };
 
-  if (errorMessage) {
+  if (error) {
     return (
       <div className="content-wrapper flex align-items-start">
-        <p className="text-danger">{errorMessage}</p>
+        {error.type === API_ERROR_TYPES.notFound ? (
+          <p className="text-danger">{error.message}</p>
+        ) : (
+          <ErrorMessageWithIcon error={error} onRetry={retry} />
+        )}
       </div>
     );
   }
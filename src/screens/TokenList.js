@@ -8,12 +8,24 @@
 import React from 'react';
 import { useFlag } from '@unleash/proxy-client-react';
 import Tokens from '../components/token/Tokens';
-import { UNLEASH_TOKENS_BASE_FEATURE_FLAG } from '../constants';
-import { useNewUiEnabled } from '../hooks';
+import ErrorMessageWithIcon from '../components/error/ErrorMessageWithIcon';
+import { BACKEND_CAPABILITIES, UNLEASH_TOKENS_BASE_FEATURE_FLAG } from '../constants';
+import { useBackendSupports, useFeatureFlagName, useNewUiEnabled } from '../hooks';
+import { fullnodeUnsupportedMessage } from '../messages';
 
 const TokenList = () => {
-  const maintenanceMode = useFlag(`${UNLEASH_TOKENS_BASE_FEATURE_FLAG}.maintenance`);
+  const tokensBaseFlag = useFeatureFlagName(UNLEASH_TOKENS_BASE_FEATURE_FLAG);
+  const maintenanceMode = useFlag(`${tokensBaseFlag}.maintenance`);
   const newUiEnabled = useNewUiEnabled();
+  const hasTokenIndex = useBackendSupports(BACKEND_CAPABILITIES.tokenIndex);
+
+  if (!hasTokenIndex) {
+    return (
+      <div className={newUiEnabled ? 'section-tables-stylized' : 'content-wrapper'}>
+        <ErrorMessageWithIcon message={fullnodeUnsupportedMessage} />
+      </div>
+    );
+  }
 
   const renderNewUi = () => {
     return (
@@ -12,7 +12,9 @@ import TxData from '../components/tx/TxData';
 import txApi from '../api/txApi';
 import metadataApi from '../api/metadataApi';
 import Spinner from '../components/Spinner';
+import ErrorMessageWithIcon from '../components/error/ErrorMessageWithIcon';
 import { useNewUiEnabled } from '../hooks';
+import { API_ERROR_TYPES } from '../api/errors';
 
 /**
  * Shows the detail of a transaction or block
@@ -36,15 +38,19 @@ function TransactionDetail() {
   const [spentOutputs, setSpentOutputs] = useState(null);
   /* confirmationData {Object} Confirmation data of loaded transaction received from the server */
   const [confirmationData, setConfirmationData] = useState(null);
+  /* error {ApiError | null} Error loading the transaction */
+  const [error, setError] = useState(null);
 
   /**
    * Get transaction in the server
    */
   const updateTxInfo = useCallback(async id => {
-    const txData = await txApi.getTransaction(id);
-
-    setLoaded(true);
-    if (!txData.success) {
+    let txData;
+    try {
+      txData = await txApi.getTransaction(id);
+    } catch (e) {
+      setLoaded(true);
+      setError(e);
       setTransaction(null);
       setMeta(null);
       setSpentOutputs(null);
@@ -52,6 +58,9 @@ function TransactionDetail() {
       return;
     }
 
+    setLoaded(true);
+    setError(null);
+
     // Update state after receiving the transaction response back from the server
     setTransaction(txData.tx);
     setMeta(txData.meta);
@@ -59,8 +68,13 @@ function TransactionDetail() {
 
     // Get accumulated weight and confirmation level of the transaction
     if (!hathorLib.transactionUtils.isBlock(txData.tx)) {
-      const confirmationDataResponse = await txApi.getConfirmationData(id);
-      setConfirmationData(confirmationDataResponse);
+      try {
+        const confirmationDataResponse = await txApi.getConfirmationData(id);
+        setConfirmationData(confirmationDataResponse);
+      } catch (e) {
+        // Shown as not available, the transaction itself was loaded
+        setConfirmationData({ success: false });
+      }
     }
 
     // Get transaction metadata from explorer service, adding to the transaction properties
@@ -70,10 +84,26 @@ function TransactionDetail() {
     }
   }, []);
 
-  useEffect(() => {
+  const loadTx = useCallback(() => {
     updateTxInfo(txUid).catch(e => console.error(e));
   }, [txUid, updateTxInfo]);
 
+  useEffect(() => {
+    loadTx();
+  }, [loadTx]);
+
+  const retry = () => {
+    setLoaded(false);
+    loadTx();
+  };
+
+  const renderError = () => {
+    if (!error || error.type === API_ERROR_TYPES.notFound) {
+      return <p className="text-danger">Transaction with hash {txUid} not found</p>;
+    }
+    return <ErrorMessageWithIcon error={error} onRetry={retry} />;
+  };
+
   const renderTx = () => {
     return (
       <div className="content-wrapper">
@@ -87,7 +117,7 @@ function TransactionDetail() {
             showConflicts={true}
           />
         ) : (
-          <p className="text-danger">Transaction with hash {txUid} not found</p>
+          renderError()
         )}
       </div>
     );
@@ -107,7 +137,7 @@ function TransactionDetail() {
             newUiEnabled={newUiEnabled}
           />
         ) : (
-          <p className="text-danger">Transaction with hash {txUid} not found</p>
+          renderError()
         )}
       </>
     );
@@ -0,0 +1,288 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link, useHistory, useLocation } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import hathorLib, { numberUtils } from '@hathor/wallet-lib';
+import txApi from '../api/txApi';
+import Loading from '../components/Loading';
+import AddressLabel from '../components/AddressLabel';
+import ErrorMessageWithIcon from '../components/error/ErrorMessageWithIcon';
+import txCompareUtils from '../utils/txCompare';
+import transactionUtils from '../utils/transaction';
+import utxoUtils from '../utils/utxo';
+import dateFormatter from '../utils/date';
+import helpers from '../utils/helpers';
+import { useNewUiEnabled } from '../hooks';
+
+/**
+ * Transactions side by side, highlighting the inputs they share and the fields and outputs that
+ * differ, to debug double spendings and twins
+ *
+ * @memberof Screens
+ */
+function TxCompare() {
+  const history = useHistory();
+  const location = useLocation();
+  const newUiEnabled = useNewUiEnabled();
+  const serverInfo = useSelector(state => state.serverInfo);
+  const decimalPlaces = serverInfo.decimal_places;
+  const nativeSymbol =
+    serverInfo?.native_token?.symbol ?? hathorLib.constants.DEFAULT_NATIVE_TOKEN_CONFIG.symbol;
+
+  const ids = [...new Set(new URLSearchParams(location.search).getAll('tx'))];
+  const idsKey = ids.join(',');
+
+  // results {Object[]} Transaction data or error loading each of the ids, in order
+  const [results, setResults] = useState([]);
+  // loading {boolean} If the transactions are being loaded
+  const [loading, setLoading] = useState(true);
+  // loadAttempt {number} Incremented to load the transactions again
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  // newTx {string} Hash typed by the user to add to the comparison
+  const [newTx, setNewTx] = useState('');
+
+  useEffect(() => {
+    let ignore = false;
+
+    async function loadTransactions() {
+      setLoading(true);
+      const loaded = await Promise.all(
+        idsKey
+          .split(',')
+          .filter(Boolean)
+          .map(id =>
+            txApi
+              .getTransaction(id)
+              .then(txData => ({ id, txData, error: null }))
+              .catch(error => ({ id, txData: null, error }))
+          )
+      );
+      if (!ignore) {
+        setResults(loaded);
+        setLoading(false);
+      }
+    }
+
+    loadTransactions();
+    return () => {
+      ignore = true;
+    };
+  }, [idsKey, loadAttempt]);
+
+  /**
+   * @param {string[]} newIds Transactions compared
+   */
+  const updateIds = newIds => {
+    const params = new URLSearchParams();
+    newIds.forEach(id => params.append('tx', id));
+    history.push({ search: params.toString() });
+  };
+
+  const onAddSubmit = e => {
+    e.preventDefault();
+    const id = newTx.trim();
+    if (id && !ids.includes(id)) {
+      updateIds([...ids, id]);
+    }
+    setNewTx('');
+  };
+
+  const loadedResults = results.filter(result => result.txData);
+  const comparison =
+    loadedResults.length > 1
+      ? txCompareUtils.compare(loadedResults.map(result => result.txData))
+      : null;
+
+  /**
+   * @param {Object} tx
+   * @param {ComparedItem} compared Input or output
+   *
+   * @return {string} Amount and symbol of the token, or the authority
+   */
+  const formatValue = (tx, compared) => {
+    if (transactionUtils.isAuthorityOutput(compared.item)) {
+      return `${utxoUtils.getAuthorityName(compared.item.value)} authority`;
+    }
+    const token = tx.tokens.find(item => item.uid === compared.token);
+    return `${numberUtils.prettyValue(compared.item.value, decimalPlaces)} ${
+      token ? token.symbol : nativeSymbol
+    }`;
+  };
+
+  /**
+   * @param {string} field One of COMPARED_FIELDS
+   *
+   * @return {string} Class of a row, highlighted when the transactions differ on it
+   */
+  const rowClass = field => (comparison.differs[field] ? 'tx-compare-diff' : undefined);
+
+  const renderCells = render =>
+    loadedResults.map((result, i) => <td key={result.id}>{render(result.txData, i)}</td>);
+
+  const renderComparison = () => (
+    <div className="table-responsive">
+      <table
+        className={newUiEnabled ? 'table-stylized tx-compare-table' : 'table tx-compare-table'}
+      >
+        <thead>
+          <tr>
+            <th></th>
+            {loadedResults.map(result => (
+              <th key={result.id}>
+                <Link to={`/transaction/${result.id}`}>{helpers.getShortHash(result.id)}</Link>
+                <button
+                  type="button"
+                  className="btn btn-link btn-sm"
+                  title="Remove from the comparison"
+                  onClick={() => updateIds(ids.filter(id => id !== result.id))}
+                >
+                  <i className="fa fa-times" />
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          <tr className={rowClass('type')}>
+            <th>Type</th>
+            {renderCells(({ tx }) =>
+              hathorLib.transactionUtils.isBlock(tx) ? 'Block' : 'Transaction'
+            )}
+          </tr>
+          <tr className={rowClass('timestamp')}>
+            <th>Timestamp</th>
+            {renderCells(({ tx }) => dateFormatter.parseTimestamp(tx.timestamp))}
+          </tr>
+          <tr className={rowClass('weight')}>
+            <th>Weight</th>
+            {renderCells(({ tx }) => helpers.roundFloat(tx.weight))}
+          </tr>
+          <tr className={rowClass('voided')}>
+            <th>Voided</th>
+            {renderCells(({ meta }) =>
+              meta.voided_by?.length ? (
+                <span className="text-danger">
+                  Voided by{' '}
+                  {meta.voided_by.map(hash => (
+                    <Link key={hash} className="d-block" to={`/transaction/${hash}`}>
+                      {helpers.getShortHash(hash)}
+                    </Link>
+                  ))}
+                </span>
+              ) : (
+                'No'
+              )
+            )}
+          </tr>
+          <tr className={rowClass('parents')}>
+            <th>Parents</th>
+            {renderCells(({ tx }) =>
+              tx.parents.map(hash => (
+                <Link key={hash} className="d-block" to={`/transaction/${hash}`}>
+                  {helpers.getShortHash(hash)}
+                </Link>
+              ))
+            )}
+          </tr>
+          <tr>
+            <th>Inputs</th>
+            {renderCells(({ tx }, i) =>
+              comparison.inputs[i].map(input => (
+                <div
+                  key={input.key}
+                  className={
+                    input.highlighted ? 'tx-compare-item tx-compare-shared' : 'tx-compare-item'
+                  }
+                >
+                  <Link to={`/transaction/${input.item.tx_id}`}>
+                    {helpers.getShortHash(input.item.tx_id)}
+                  </Link>{' '}
+                  ({input.item.index}) · {formatValue(tx, input)}
+                </div>
+              ))
+            )}
+          </tr>
+          <tr>
+            <th>Outputs</th>
+            {renderCells(({ tx }, i) =>
+              comparison.outputs[i].map((output, index) => (
+                <div
+                  key={index}
+                  className={
+                    output.highlighted ? 'tx-compare-item tx-compare-diff' : 'tx-compare-item'
+                  }
+                >
+                  {index}: {formatValue(tx, output)} →{' '}
+                  {output.item.decoded?.address ? (
+                    <>
+                      <Link to={`/address/${output.item.decoded.address}`}>
+                        {output.item.decoded.address}
+                      </Link>
+                      <AddressLabel address={output.item.decoded.address} />
+                    </>
+                  ) : (
+                    'Unknown script'
+                  )}
+                </div>
+              ))
+            )}
+          </tr>
+        </tbody>
+      </table>
+      <div className="tx-compare-legend">
+        <span className="tx-compare-legend-shared">Input spent by more than one transaction</span>
+        <span className="tx-compare-legend-diff">Different between the transactions</span>
+      </div>
+    </div>
+  );
+
+  const renderContent = () => {
+    if (loading) {
+      return <Loading />;
+    }
+
+    return (
+      <>
+        {results
+          .filter(result => result.error)
+          .map(result => (
+            <div key={result.id} className="mb-2">
+              <p className="mb-0">Transaction {result.id} could not be loaded.</p>
+              <ErrorMessageWithIcon
+                error={result.error}
+                onRetry={() => setLoadAttempt(a => a + 1)}
+              />
+            </div>
+          ))}
+        {comparison ? renderComparison() : <p>Add at least two transactions to compare them.</p>}
+      </>
+    );
+  };
+
+  return (
+    <div className={newUiEnabled ? 'section-tables-stylized' : 'content-wrapper'}>
+      <h3 className="mt-4">Compare transactions</h3>
+      <form className="d-flex flex-row align-items-center mb-3" onSubmit={onAddSubmit}>
+        <input
+          type="text"
+          className="form-control me-2"
+          placeholder="Transaction hash"
+          value={newTx}
+          onChange={e => setNewTx(e.target.value)}
+        />
+        <button type="submit" className="btn btn-hathor" disabled={!newTx.trim()}>
+          Add
+        </button>
+      </form>
+      {renderContent()}
+    </div>
+  );
+}
+
+export default TxCompare;
@@ -13,6 +13,7 @@ import helpers from '../utils/helpers';
 import { isVersionAllowedUpdate } from '../actions/index';
 import logo from '../assets/images/hathor-white-logo.png';
 import Version from '../components/Version';
+import NetworkSwitcher from '../components/NetworkSwitcher';
 
 function VersionError() {
   const dispatch = useDispatch();
@@ -38,7 +39,8 @@ function VersionError() {
             className="collapse navbar-collapse d-flex flex-column align-items-end"
             id="navbarSupportedContent"
           >
-            <div>
+            <div className="d-flex flex-row align-items-center">
+              <NetworkSwitcher />
               <Version />
             </div>
           </div>
@@ -0,0 +1,361 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { numberUtils } from '@hathor/wallet-lib';
+import Loading from '../components/Loading';
+import AddressLabel from '../components/AddressLabel';
+import ErrorMessageWithIcon from '../components/error/ErrorMessageWithIcon';
+import { useBackendSupports, useNewUiEnabled } from '../hooks';
+import { BACKEND_CAPABILITIES, TX_COUNT, XPUB_GAP_LIMIT } from '../constants';
+import xpubUtils, { XPUB_LEVELS } from '../utils/xpub';
+import portfolioUtils from '../utils/portfolio';
+import dateFormatter from '../utils/date';
+import helpers from '../utils/helpers';
+
+/**
+ * Addresses, balances and history of a whole HD wallet, derived from its xpub
+ *
+ * @memberof Screens
+ */
+function XpubDetail() {
+  const { xpub } = useParams();
+  const newUiEnabled = useNewUiEnabled();
+  const decimalPlaces = useSelector(state => state.serverInfo.decimal_places);
+  const hasAddressIndex = useBackendSupports(BACKEND_CAPABILITIES.addressIndex);
+  const isValid = xpubUtils.isXpub(xpub);
+
+  // level {string} Derivation level of the xpub, one of XPUB_LEVELS
+  const [level, setLevel] = useState(XPUB_LEVELS.account);
+  // progress {Object} Number of addresses checked and used found by the running scan
+  const [progress, setProgress] = useState({ scanned: 0, used: 0 });
+  // wallet {Object | null} Result of the scan, with the balances summed by token
+  const [wallet, setWallet] = useState(null);
+  // error {ApiError | null} Error scanning the wallet
+  const [error, setError] = useState(null);
+  // loadAttempt {number} Incremented to scan the wallet again after an error
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  // sources {HistorySource[]} History of each token of each address, merged on screen
+  const [sources, setSources] = useState([]);
+  // loadingHistory {boolean} If more history is being fetched
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  // historyError {ApiError | null} Error fetching the history
+  const [historyError, setHistoryError] = useState(null);
+
+  useEffect(() => {
+    if (!isValid || !hasAddressIndex) {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    async function loadWallet() {
+      setWallet(null);
+      setError(null);
+      setSources([]);
+      setHistoryError(null);
+      setProgress({ scanned: 0, used: 0 });
+      try {
+        const scan = await xpubUtils.scan(xpub, level, {
+          onProgress: (scanned, used) => setProgress({ scanned, used }),
+          signal: controller.signal,
+        });
+        if (!scan) {
+          return;
+        }
+
+        const { tokens, balances, failed } = await portfolioUtils.loadBalances(
+          scan.addresses.map(item => item.address)
+        );
+        if (controller.signal.aborted) {
+          return;
+        }
+        setWallet({
+          ...scan,
+          tokens,
+          failed,
+          portfolio: portfolioUtils.aggregate(tokens, balances, null),
+        });
+
+        setLoadingHistory(true);
+        const loadedSources = await xpubUtils.loadHistory(
+          xpubUtils.createHistorySources(scan.addresses),
+          TX_COUNT
+        );
+        if (!controller.signal.aborted) {
+          setSources(loadedSources);
+        }
+      } catch (e) {
+        if (!controller.signal.aborted) {
+          setError(e);
+        }
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoadingHistory(false);
+        }
+      }
+    }
+
+    loadWallet();
+    return () => {
+      controller.abort();
+    };
+  }, [xpub, level, isValid, hasAddressIndex, loadAttempt]);
+
+  const loadMoreHistory = async () => {
+    setLoadingHistory(true);
+    setHistoryError(null);
+    try {
+      const merged = xpubUtils.mergeHistory(sources);
+      setSources(await xpubUtils.loadHistory(sources, merged.length + TX_COUNT));
+    } catch (e) {
+      setHistoryError(e);
+    }
+    setLoadingHistory(false);
+  };
+
+  const prettyValue = value => numberUtils.prettyValue(value, decimalPlaces);
+
+  const getSymbol = tokenId => wallet.tokens[tokenId]?.symbol || helpers.getShortHash(tokenId);
+
+  const renderTable = (id, content) => {
+    return newUiEnabled ? (
+      <table className="table-stylized" id={id}>
+        {content}
+      </table>
+    ) : (
+      <table className="table table-striped" id={id}>
+        {content}
+      </table>
+    );
+  };
+
+  const renderLevelSelect = () => {
+    return (
+      <div className="d-flex flex-row align-items-center mb-3">
+        <label htmlFor="xpub-level" className="me-3 text-nowrap">
+          Derivation level
+        </label>
+        <select
+          id="xpub-level"
+          className="form-select xpub-level-select"
+          value={level}
+          onChange={e => setLevel(e.target.value)}
+        >
+          <option value={XPUB_LEVELS.account}>Account (m/44&apos;/280&apos;/0&apos;)</option>
+          <option value={XPUB_LEVELS.chain}>Address chain (m/44&apos;/280&apos;/0&apos;/0)</option>
+        </select>
+      </div>
+    );
+  };
+
+  const renderBalances = () => {
+    if (wallet.portfolio.length === 0) {
+      return <p>This wallet has no balance.</p>;
+    }
+
+    return (
+      <div className="table-responsive">
+        {renderTable(
+          'xpub-balances-table',
+          <>
+            <thead>
+              <tr>
+                <th>Token</th>
+                <th>Total</th>
+                <th>Unlocked</th>
+                <th>Locked</th>
+              </tr>
+            </thead>
+            <tbody>
+              {wallet.portfolio.map(token => (
+                <tr key={token.token_id}>
+                  <td>
+                    <Link to={`/token_detail/${token.token_id}`}>
+                      {token.symbol} - {token.name}
+                    </Link>
+                  </td>
+                  <td>{prettyValue(token.total)}</td>
+                  <td>{prettyValue(token.unlocked_balance)}</td>
+                  <td>{prettyValue(token.locked_balance)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderAddresses = () => {
+    return (
+      <div className="table-responsive">
+        {renderTable(
+          'xpub-addresses-table',
+          <>
+            <thead>
+              <tr>
+                <th>Index</th>
+                <th>Address</th>
+                <th>Tokens</th>
+              </tr>
+            </thead>
+            <tbody>
+              {wallet.addresses.map(item => (
+                <tr key={item.address}>
+                  <td>{item.index}</td>
+                  <td>
+                    <Link to={`/address/${item.address}`}>{item.address}</Link>
+                    <AddressLabel address={item.address} />
+                    {wallet.failed.includes(item.address) && (
+                      <span className="text-danger ms-2">(balance not loaded)</span>
+                    )}
+                  </td>
+                  <td>{item.tokens.map(getSymbol).join(', ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderHistory = () => {
+    const merged = xpubUtils.mergeHistory(sources);
+    if (merged.length === 0 && loadingHistory) {
+      return <Loading />;
+    }
+
+    return (
+      <div>
+        {merged.length === 0 ? (
+          <p>This wallet has no transactions.</p>
+        ) : (
+          <div className="table-responsive">
+            {renderTable(
+              'xpub-history-table',
+              <>
+                <thead>
+                  <tr>
+                    <th>Hash</th>
+                    <th>Timestamp</th>
+                    <th>Addresses</th>
+                    <th>Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {merged.map(tx => (
+                    <tr key={tx.tx_id} className={tx.voided ? 'voided' : ''}>
+                      <td>
+                        <Link to={`/transaction/${tx.tx_id}`}>
+                          {helpers.getShortHash(tx.tx_id)}
+                        </Link>
+                      </td>
+                      <td>{dateFormatter.parseTimestamp(tx.timestamp)}</td>
+                      <td>
+                        {tx.addresses.map(address => (
+                          <div key={address}>
+                            <Link to={`/address/${address}`}>{helpers.getShortHash(address)}</Link>
+                            <AddressLabel address={address} />
+                          </div>
+                        ))}
+                      </td>
+                      <td>
+                        {Object.entries(tx.balances).map(([tokenId, balance]) => (
+                          <div
+                            key={tokenId}
+                            className={balance < 0 ? 'sent-value' : 'received-value'}
+                          >
+                            {balance > 0 ? '+' : ''}
+                            {prettyValue(balance)} {getSymbol(tokenId)}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </>
+            )}
+          </div>
+        )}
+        {historyError && <ErrorMessageWithIcon error={historyError} onRetry={loadMoreHistory} />}
+        {xpubUtils.hasMoreHistory(sources) && !historyError && (
+          <button
+            type="button"
+            className="btn btn-hathor"
+            onClick={loadMoreHistory}
+            disabled={loadingHistory}
+          >
+            {loadingHistory ? 'Loading...' : 'Load more'}
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  const renderWallet = () => {
+    if (error) {
+      return <ErrorMessageWithIcon error={error} onRetry={() => setLoadAttempt(a => a + 1)} />;
+    }
+    if (!wallet) {
+      return (
+        <div>
+          <p>
+            Scanning addresses: {progress.scanned} checked, {progress.used} with transactions...
+          </p>
+          <Loading />
+        </div>
+      );
+    }
+
+    return (
+      <div>
+        <p>
+          {wallet.addresses.length} addresses with transactions found, checking until{' '}
+          {XPUB_GAP_LIMIT} consecutive addresses had none ({wallet.scanned} addresses checked).
+        </p>
+        <h4 className="mt-4 mb-3">Balances</h4>
+        {renderBalances()}
+        <h4 className="mt-4 mb-3">History</h4>
+        {renderHistory()}
+        <h4 className="mt-5 mb-3">Addresses</h4>
+        {renderAddresses()}
+      </div>
+    );
+  };
+
+  const renderContent = () => {
+    if (!isValid) {
+      return <p className="text-danger">Invalid xpub.</p>;
+    }
+    if (!hasAddressIndex) {
+      return (
+        <ErrorMessageWithIcon message="Wallets can't be explored on this network, since it has no address index." />
+      );
+    }
+
+    return (
+      <div>
+        <p className="xpub-key">{xpub}</p>
+        {renderLevelSelect()}
+        {renderWallet()}
+      </div>
+    );
+  };
+
+  return (
+    <div className={newUiEnabled ? 'section-tables-stylized' : 'content-wrapper'}>
+      <h3 className="mt-4">Wallet</h3>
+      {renderContent()}
+    </div>
+  );
+}
+
+export default XpubDetail;
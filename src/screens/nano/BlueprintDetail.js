@@ -6,13 +6,25 @@
  */
 
 import React, { useEffect, useRef, useState } from 'react';
-import hljs from 'highlight.js/lib/core';
-import python from 'highlight.js/lib/languages/python';
 import { useParams } from 'react-router-dom';
 import Loading from '../../components/Loading';
 import nanoApi from '../../api/nanoApi';
+import ErrorMessageWithIcon from '../../components/error/ErrorMessageWithIcon';
+import { getErrorMessage } from '../../api/errors';
 
-hljs.registerLanguage('python', python);
+/**
+ * Loads highlight.js with the python language only when the source code is shown
+ *
+ * @return {Promise<Object>} highlight.js instance
+ */
+const loadHighlighter = async () => {
+  const [{ default: hljs }, { default: python }] = await Promise.all([
+    import('highlight.js/lib/core'),
+    import('highlight.js/lib/languages/python'),
+  ]);
+  hljs.registerLanguage('python', python);
+  return hljs;
+};
 
 /**
  * Details of a Blueprint
@@ -28,12 +40,16 @@ function BlueprintDetail() {
   const [blueprintSourceCode, setBlueprintSourceCode] = useState(null);
   // loading {boolean} Bool to show/hide loading when getting blueprint information
   const [loading, setLoading] = useState(true);
-  // errorMessage {string | null} Error message in case a request to get nano contract data fails
-  const [errorMessage, setErrorMessage] = useState(null);
+  // error {ApiError | null} Error in case a request to get blueprint data fails
+  const [error, setError] = useState(null);
+  // loadAttempt {number} Incremented to request the blueprint again after an error
+  const [loadAttempt, setLoadAttempt] = useState(0);
   // showCode {boolean} If should show the blueprint source code
   const [showCode, setShowCode] = useState(false);
 
   const codeRef = useRef();
+  // highlightedCode {string | null} Source code already highlighted on the code element
+  const highlightedCode = useRef(null);
 
   useEffect(() => {
     let ignore = false;
@@ -41,6 +57,7 @@ function BlueprintDetail() {
     async function loadBlueprintInformation() {
       setLoading(true);
       setBlueprintInformation(null);
+      setError(null);
       try {
         const blueprintInformationData = await nanoApi.getBlueprintInformation(blueprintId);
         const blueprintSourceCodeData = await nanoApi.getBlueprintSourceCode(blueprintId);
@@ -55,7 +72,7 @@ function BlueprintDetail() {
           // This is to prevent setting a state after the component has been already cleaned
           return;
         }
-        setErrorMessage('Error getting blueprint information.');
+        setError(e);
       } finally {
         setLoading(false);
       }
@@ -65,16 +82,33 @@ function BlueprintDetail() {
     return () => {
       ignore = true;
     };
-  }, [blueprintId]);
+  }, [blueprintId, loadAttempt]);
 
   useEffect(() => {
-    if (codeRef && codeRef.current) {
-      hljs.highlightBlock(codeRef.current);
+    if (!showCode || !codeRef.current || highlightedCode.current === blueprintSourceCode) {
+      return;
     }
-  }, [blueprintSourceCode]);
 
-  if (errorMessage) {
-    return <p className="text-danger mb-4">{errorMessage}</p>;
+    loadHighlighter()
+      .then(hljs => {
+        if (codeRef.current) {
+          hljs.highlightElement(codeRef.current);
+          highlightedCode.current = blueprintSourceCode;
+        }
+      })
+      .catch(e => {
+        // The code is still readable without the highlight
+        console.error('Error loading the code highlighter', e);
+      });
+  }, [blueprintSourceCode, showCode]);
+
+  if (error) {
+    return (
+      <ErrorMessageWithIcon
+        message={`Error getting blueprint information. ${getErrorMessage(error)}`}
+        onRetry={() => setLoadAttempt(attempt => attempt + 1)}
+      />
+    );
   }
 
   if (loading) {
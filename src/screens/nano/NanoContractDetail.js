@@ -13,6 +13,8 @@ import NanoContractHistory from '../../components/nano/NanoContractHistory';
 import Loading from '../../components/Loading';
 import nanoApi from '../../api/nanoApi';
 import txApi from '../../api/txApi';
+import ErrorMessageWithIcon from '../../components/error/ErrorMessageWithIcon';
+import { API_ERROR_TYPES, getErrorMessage } from '../../api/errors';
 
 /**
  * Details of a Nano Contract
@@ -30,8 +32,12 @@ function NanoContractDetail() {
   const [txData, setTxData] = useState(null);
   // loadingDetail {boolean} Bool to show/hide loading when getting transaction detail
   const [loadingDetail, setLoadingDetail] = useState(true);
-  // errorMessage {string | null} Error message in case a request to get nano contract data fails
+  // errorMessage {string | null} Error message in case the nano contract is invalid
   const [errorMessage, setErrorMessage] = useState(null);
+  // error {ApiError | null} Error in case a request to get nano contract data fails
+  const [error, setError] = useState(null);
+  // loadAttempt {number} Incremented to request the nano contract again after an error
+  const [loadAttempt, setLoadAttempt] = useState(0);
 
   const { decimalPlaces } = useSelector(state => {
     return { decimalPlaces: state.serverInfo.decimal_places };
@@ -44,6 +50,7 @@ function NanoContractDetail() {
       setLoadingDetail(true);
       setNcState(null);
       setTxData(null);
+      setError(null);
       try {
         const transactionData = await txApi.getTransaction(ncId);
         if (transactionData.tx.version !== hathorLib.constants.NANO_CONTRACTS_VERSION) {
@@ -77,7 +84,11 @@ function NanoContractDetail() {
           // This is to prevent setting a state after the componenet has been already cleaned
           return;
         }
-        setErrorMessage('Error getting nano contract state.');
+        if (e.type === API_ERROR_TYPES.notFound) {
+          setErrorMessage('Nano contract not found.');
+        } else {
+          setError(e);
+        }
         setLoadingDetail(false);
       }
     }
@@ -87,12 +98,21 @@ function NanoContractDetail() {
     return () => {
       ignore = true;
     };
-  }, [ncId]);
+  }, [ncId, loadAttempt]);
 
   if (errorMessage) {
     return <p className="text-danger mb-4">{errorMessage}</p>;
   }
 
+  if (error) {
+    return (
+      <ErrorMessageWithIcon
+        message={`Error getting nano contract state. ${getErrorMessage(error)}`}
+        onRetry={() => setLoadAttempt(attempt => attempt + 1)}
+      />
+    );
+  }
+
   if (loadingDetail) {
     return <Loading />;
   }
@@ -0,0 +1,12 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { TextDecoder, TextEncoder } from 'util';
+
+// The jsdom of the test environment lacks them and the wallet-lib needs them to load
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
@@ -0,0 +1,88 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import { crypto as bitcoreCrypto, PrivateKey } from 'bitcore-lib';
+
+/**
+ * Keys, scripts and transactions shared by the tests of the signature utils.
+ * The addresses depend on the network of the lib, so the tests must set it first.
+ */
+
+// Transaction whose outputs are spent by the transactions built here
+export const SPENT_TX = '00000000000000000000000000000000000000000000000000000000000000aa';
+
+// Participants of the multisig, the first one also owns the P2PKH address
+export const keys = ['01', '02', '03'].map(byte => new PrivateKey(byte.padStart(64, '0')));
+
+/**
+ * @param {Buffer[]} data
+ *
+ * @return {Buffer} Script pushing the data to the stack, in order
+ */
+export const pushAll = data => {
+  const stack = [];
+  data.forEach(item => hathorLib.helpersUtils.pushDataToStack(stack, item));
+  return Buffer.concat(stack);
+};
+
+// 2 of 3 multisig of the keys: OP_2 <pubkey 1> <pubkey 2> <pubkey 3> OP_3 OP_CHECKMULTISIG
+export const redeemScript = Buffer.concat([
+  Buffer.from([0x52]),
+  pushAll(keys.map(key => key.publicKey.toBuffer())),
+  Buffer.from([0x53, 0xae]),
+]);
+
+/**
+ * @param {PrivateKey} key
+ *
+ * @return {string} P2PKH address of the key
+ */
+export const getP2PKHAddress = key =>
+  hathorLib.addressUtils.getAddressFromPubkey(
+    key.publicKey.toString(),
+    hathorLib.config.getNetwork()
+  ).base58;
+
+/**
+ * @param {Buffer} script Redeem script
+ *
+ * @return {string} P2SH address of the redeem script
+ */
+export const getP2SHAddress = script =>
+  hathorLib.helpersUtils.encodeAddressP2SH(
+    bitcoreCrypto.Hash.sha256ripemd160(script),
+    hathorLib.config.getNetwork()
+  ).base58;
+
+/**
+ * Unsigned transaction spending the first outputs of SPENT_TX, with an output of 100 to the
+ * P2PKH address of the first key
+ *
+ * @param {number} [inputCount]
+ *
+ * @return {Object} Transaction of the lib
+ */
+export const buildTx = (inputCount = 1) => {
+  const network = hathorLib.config.getNetwork();
+  const address = new hathorLib.Address(getP2PKHAddress(keys[0]), { network });
+  const inputs = [...Array(inputCount).keys()].map(index => new hathorLib.Input(SPENT_TX, index));
+  return new hathorLib.Transaction(
+    inputs,
+    [new hathorLib.Output(100, new hathorLib.P2PKH(address).createScript())],
+    { timestamp: 1700000000, parents: [] }
+  );
+};
+
+/**
+ * @param {Object} tx Transaction of the lib
+ * @param {PrivateKey} key
+ *
+ * @return {Buffer} Signature of the transaction in DER. All the inputs sign the same hash.
+ */
+export const sign = (tx, key) =>
+  hathorLib.transactionUtils.getSignature(tx.getDataToSignHash(), key);
@@ -0,0 +1,124 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import addressApi from '../api/addressApi';
+import exportUtils from './export';
+import { ADDRESS_EXPORT_PAGE_SIZE, TOKEN_COUNT } from '../constants';
+
+/**
+ * Columns of the exported history, in the order they are written on the CSV
+ */
+const EXPORT_COLUMNS = [
+  { key: 'timestamp', title: 'Timestamp' },
+  { key: 'tx_id', title: 'Transaction ID' },
+  { key: 'balance', title: 'Balance' },
+  { key: 'voided', title: 'Voided' },
+  { key: 'token', title: 'Token' },
+];
+
+const addressHistoryUtils = {
+  /**
+   * Fetches the whole history of an address for a token, page by page.
+   *
+   * @param {string} address
+   * @param {string} token Token uid
+   * @param {Object} [options]
+   * @param {function(number)} [options.onProgress] Called with the number of elements fetched
+   * @param {AbortSignal} [options.signal] Stops fetching pages when aborted
+   *
+   * @return {Promise<Object[] | null>} History elements, newest first, or null when aborted
+   */
+  async fetchAll(address, token, { onProgress, signal } = {}) {
+    const history = [];
+    let lastTx = null;
+    let lastTs = null;
+
+    for (;;) {
+      const data = await addressApi.getHistory(
+        address,
+        token,
+        ADDRESS_EXPORT_PAGE_SIZE,
+        lastTx,
+        lastTs
+      );
+      if (signal?.aborted) {
+        return null;
+      }
+
+      history.push(...data.history);
+      if (onProgress) {
+        onProgress(history.length);
+      }
+
+      if (!data.has_next || data.history.length === 0) {
+        return history;
+      }
+      ({ tx_id: lastTx, timestamp: lastTs } = data.history[data.history.length - 1]);
+    }
+  },
+
+  /**
+   * Fetches every token of an address. The explorer service returns at most TOKEN_COUNT tokens
+   * per request, so the remaining ones are requested page by page until its total is reached.
+   *
+   * @param {string} address
+   *
+   * @return {Promise<Object[]>} Tokens of the address, with the most recent activity first
+   */
+  async fetchAllTokens(address) {
+    const tokens = [];
+
+    for (;;) {
+      const data = await addressApi.getTokens(address, TOKEN_COUNT, tokens.length);
+      const page = Object.values(data.tokens || {});
+      tokens.push(...page);
+
+      if (page.length === 0 || tokens.length >= (data.total || 0)) {
+        return tokens;
+      }
+    }
+  },
+
+  /**
+   * Rows of the exported history, with the values formatted for the accounting
+   *
+   * @param {Object[]} history History elements returned by the explorer service
+   * @param {string} tokenSymbol
+   * @param {number} decimalPlaces Decimal places of the token, 0 for NFTs
+   *
+   * @return {Object[]}
+   */
+  buildExportRows(history, tokenSymbol, decimalPlaces) {
+    return history.map(tx => ({
+      timestamp: new Date(tx.timestamp * 1000).toISOString(),
+      tx_id: tx.tx_id,
+      balance: exportUtils.formatAmount(tx.balance, decimalPlaces),
+      voided: Boolean(tx.voided),
+      token: tokenSymbol,
+    }));
+  },
+
+  /**
+   * @param {Object[]} rows Rows built by `buildExportRows`
+   *
+   * @return {string}
+   */
+  toCsv(rows) {
+    return exportUtils.toCsv(EXPORT_COLUMNS, rows);
+  },
+
+  /**
+   * @param {Object[]} rows Rows built by `buildExportRows`
+   *
+   * @return {string}
+   */
+  toJson(rows) {
+    return JSON.stringify(rows, null, 2);
+  },
+};
+
+export default addressHistoryUtils;
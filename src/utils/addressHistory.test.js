@@ -0,0 +1,45 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import addressHistoryUtils from './addressHistory';
+import addressApi from '../api/addressApi';
+import { TOKEN_COUNT } from '../constants';
+
+jest.mock('../api/addressApi', () => ({ getTokens: jest.fn() }));
+
+const page = (...ids) => ({
+  tokens: Object.fromEntries(ids.map(id => [id, { token_id: id }])),
+});
+
+describe('fetchAllTokens', () => {
+  beforeEach(() => {
+    addressApi.getTokens.mockReset();
+  });
+
+  it('requests the next pages until the total is reached', async () => {
+    addressApi.getTokens
+      .mockResolvedValueOnce({ ...page('a', 'b'), total: 3 })
+      .mockResolvedValueOnce({ ...page('c'), total: 3 });
+
+    const tokens = await addressHistoryUtils.fetchAllTokens('addr');
+    expect(tokens.map(token => token.token_id)).toEqual(['a', 'b', 'c']);
+    expect(addressApi.getTokens.mock.calls).toEqual([
+      ['addr', TOKEN_COUNT, 0],
+      ['addr', TOKEN_COUNT, 2],
+    ]);
+  });
+
+  it('stops on an empty page even if the total was not reached', async () => {
+    addressApi.getTokens
+      .mockResolvedValueOnce({ ...page('a'), total: 5 })
+      .mockResolvedValueOnce({ ...page(), total: 5 });
+
+    const tokens = await addressHistoryUtils.fetchAllTokens('addr');
+    expect(tokens).toHaveLength(1);
+    expect(addressApi.getTokens).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import registry from '../data/addressLabels.json';
+
+const PRIVATE_LABELS_KEY = 'address_labels';
+
+export const LABEL_CATEGORIES = {
+  exchange: 'Exchange',
+  faucet: 'Faucet',
+  bridge: 'Bridge',
+  other: 'Other',
+};
+
+export const LABEL_SOURCES = {
+  registry: 'registry',
+  private: 'private',
+};
+
+/**
+ * Name given to an address
+ * @typedef {Object} AddressLabel
+ * @property {string} address
+ * @property {string} label
+ * @property {string} category One of LABEL_CATEGORIES keys
+ * @property {string} source One of LABEL_SOURCES, private labels are only on this browser
+ */
+
+const addressLabelsUtils = {
+  /**
+   * @returns {number} Version of the bundled registry of public labels
+   */
+  getRegistryVersion() {
+    return registry.version;
+  },
+
+  /**
+   * Public labels of the bundled registry for the network the explorer is connected to
+   *
+   * @returns {AddressLabel[]}
+   */
+  getRegistryLabels() {
+    const networkName = hathorLib.config.getNetwork().name;
+    const entries = registry.networks[networkName] || [];
+    return entries.map(entry => ({
+      address: entry.address,
+      label: entry.label,
+      category: entry.category in LABEL_CATEGORIES ? entry.category : 'other',
+      source: LABEL_SOURCES.registry,
+    }));
+  },
+
+  /**
+   * Retrieves the labels given by the user from localStorage, indexed by address.
+   *
+   * @returns {Object} i.e. { [address]: { label, category } }
+   */
+  getPrivateLabels() {
+    try {
+      const labels = JSON.parse(localStorage.getItem(PRIVATE_LABELS_KEY));
+      return labels && typeof labels === 'object' && !Array.isArray(labels) ? labels : {};
+    } catch (e) {
+      console.error('Invalid address labels stored, ignoring them.', e);
+      return {};
+    }
+  },
+
+  /**
+   * Validates and saves a private label, replacing the current one of the address.
+   *
+   * @param {string} address
+   * @param {string} label
+   * @param {string} category One of LABEL_CATEGORIES keys
+   *
+   * @throws {Error} When the address is invalid on the current network or the label is empty
+   */
+  setPrivateLabel(address, label, category) {
+    const network = hathorLib.config.getNetwork();
+    if (!new hathorLib.Address(address, { network }).isValid()) {
+      throw new Error(`Invalid address: ${address || '(empty)'}`);
+    }
+    if (!label || !label.trim()) {
+      throw new Error('The label is empty.');
+    }
+
+    const labels = this.getPrivateLabels();
+    labels[address] = {
+      label: label.trim(),
+      category: category in LABEL_CATEGORIES ? category : 'other',
+    };
+    localStorage.setItem(PRIVATE_LABELS_KEY, JSON.stringify(labels));
+  },
+
+  /**
+   * @param {string} address
+   */
+  removePrivateLabel(address) {
+    const labels = this.getPrivateLabels();
+    delete labels[address];
+    localStorage.setItem(PRIVATE_LABELS_KEY, JSON.stringify(labels));
+  },
+
+  /**
+   * Public and private labels of the current network. An address may have both.
+   *
+   * @param {Object} privateLabels Labels given by the user, as returned by `getPrivateLabels`
+   *
+   * @returns {AddressLabel[]}
+   */
+  getAllLabels(privateLabels) {
+    const network = hathorLib.config.getNetwork();
+    const privateEntries = Object.entries(privateLabels)
+      // Labels given on other networks are kept, but not shown
+      .filter(([address]) => new hathorLib.Address(address, { network }).isValid())
+      .map(([address, item]) => ({
+        address,
+        label: item.label,
+        category: item.category,
+        source: LABEL_SOURCES.private,
+      }));
+    return [...privateEntries, ...this.getRegistryLabels()];
+  },
+
+  /**
+   * Label shown next to each address, the private one when it has both
+   *
+   * @param {Object} privateLabels Labels given by the user, as returned by `getPrivateLabels`
+   *
+   * @returns {Object} Labels indexed by address, i.e. { [address]: AddressLabel }
+   */
+  buildLabelMap(privateLabels) {
+    const map = {};
+    // Private labels come first, so they are kept over the public ones
+    for (const entry of this.getAllLabels(privateLabels)) {
+      if (!(entry.address in map)) {
+        map[entry.address] = entry;
+      }
+    }
+    return map;
+  },
+
+  /**
+   * @param {AddressLabel[]} labels
+   * @param {Object} filters
+   * @param {string} [filters.query] Text searched on the label and address, case insensitive
+   * @param {string} [filters.category] One of LABEL_CATEGORIES keys
+   *
+   * @returns {AddressLabel[]}
+   */
+  filterLabels(labels, { query, category }) {
+    const text = (query || '').trim().toLowerCase();
+    return labels.filter(
+      entry =>
+        (!category || entry.category === category) &&
+        (!text ||
+          entry.label.toLowerCase().includes(text) ||
+          entry.address.toLowerCase().includes(text))
+    );
+  },
+};
+
+export default addressLabelsUtils;
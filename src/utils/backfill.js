@@ -0,0 +1,74 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import txApi from '../api/txApi';
+import { WS_BACKFILL_MAX_PAGES, WS_BACKFILL_PAGE_SIZE } from '../constants';
+
+/**
+ * Result of a backfill
+ * @typedef {Object} BackfillResult
+ * @property {Object[]} transactions Elements newer than the reference, oldest first
+ * @property {boolean} complete False when the gap was too long to be fetched entirely
+ */
+
+const backfillUtils = {
+  /**
+   * Fetches the blocks or transactions accepted after the last one seen by a live screen,
+   * paging towards the most recent ones.
+   *
+   * @param {string} type 'block' or 'tx'
+   * @param {Object} lastSeen Most recent element known by the screen
+   * @param {number} lastSeen.timestamp
+   * @param {string} lastSeen.tx_id
+   *
+   * @return {Promise<BackfillResult>}
+   */
+  async fetchSince(type, lastSeen) {
+    const transactions = [];
+    let reference = lastSeen;
+
+    for (let page = 0; page < WS_BACKFILL_MAX_PAGES; page++) {
+      const data = await txApi.getTransactions(
+        type,
+        WS_BACKFILL_PAGE_SIZE,
+        reference.timestamp,
+        reference.tx_id,
+        'previous'
+      );
+      // The 'previous' page comes with the oldest element first
+      transactions.push(...data.transactions);
+
+      if (!data.has_more || data.transactions.length === 0) {
+        return { transactions: this.dedupe(transactions), complete: true };
+      }
+      reference = data.transactions[data.transactions.length - 1];
+    }
+
+    return { transactions: this.dedupe(transactions), complete: false };
+  },
+
+  /**
+   * Removes repeated elements, keeping the first occurrence
+   *
+   * @param {Object[]} list Blocks or transactions
+   * @param {Set<string>} [knownIds] Ids that should also be removed
+   *
+   * @return {Object[]}
+   */
+  dedupe(list, knownIds = new Set()) {
+    const seen = new Set(knownIds);
+    return list.filter(element => {
+      if (seen.has(element.tx_id)) {
+        return false;
+      }
+      seen.add(element.tx_id);
+      return true;
+    });
+  },
+};
+
+export default backfillUtils;
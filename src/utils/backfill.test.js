@@ -0,0 +1,78 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import backfillUtils from './backfill';
+import txApi from '../api/txApi';
+import { WS_BACKFILL_MAX_PAGES } from '../constants';
+
+jest.mock('../api/txApi', () => ({ getTransactions: jest.fn() }));
+
+const element = (id, timestamp = 0) => ({ tx_id: id, timestamp });
+
+describe('dedupe', () => {
+  it('keeps the first occurrence of each element', () => {
+    const first = element('a', 1);
+    const list = [first, element('b'), element('a', 2), element('c'), element('b')];
+    const result = backfillUtils.dedupe(list);
+    expect(result.map(item => item.tx_id)).toEqual(['a', 'b', 'c']);
+    expect(result[0]).toBe(first);
+  });
+
+  it('removes the known ids', () => {
+    const list = [element('a'), element('b'), element('c')];
+    const known = new Set(['b']);
+    expect(backfillUtils.dedupe(list, known).map(item => item.tx_id)).toEqual(['a', 'c']);
+    // The set of the caller is left as it was
+    expect([...known]).toEqual(['b']);
+  });
+});
+
+describe('fetchSince', () => {
+  beforeEach(() => {
+    txApi.getTransactions.mockReset();
+  });
+
+  it('pages from the last element seen and removes repeated ones', async () => {
+    txApi.getTransactions
+      .mockResolvedValueOnce({ transactions: [element('b', 2), element('c', 3)], has_more: true })
+      .mockResolvedValueOnce({ transactions: [element('c', 3), element('d', 4)], has_more: false });
+
+    const result = await backfillUtils.fetchSince('tx', element('a', 1));
+
+    expect(result.complete).toBe(true);
+    expect(result.transactions.map(item => item.tx_id)).toEqual(['b', 'c', 'd']);
+    expect(txApi.getTransactions).toHaveBeenNthCalledWith(
+      1,
+      'tx',
+      expect.any(Number),
+      1,
+      'a',
+      'previous'
+    );
+    expect(txApi.getTransactions).toHaveBeenNthCalledWith(
+      2,
+      'tx',
+      expect.any(Number),
+      3,
+      'c',
+      'previous'
+    );
+  });
+
+  it('stops when the gap is too long', async () => {
+    let timestamp = 0;
+    txApi.getTransactions.mockImplementation(async () => {
+      timestamp += 1;
+      return { transactions: [element(`tx${timestamp}`, timestamp)], has_more: true };
+    });
+
+    const result = await backfillUtils.fetchSince('block', element('a', 0));
+
+    expect(result.complete).toBe(false);
+    expect(result.transactions).toHaveLength(WS_BACKFILL_MAX_PAGES);
+  });
+});
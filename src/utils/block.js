@@ -0,0 +1,66 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import txApi from '../api/txApi';
+import { BLOCK_CONFIRMED_TXS_MAX } from '../constants';
+
+/**
+ * Transactions first confirmed by a block
+ * @typedef {Object} ConfirmedTransactions
+ * @property {Object[]} transactions Transactions confirmed, newest first
+ * @property {boolean} complete False when there were too many transactions to fetch all of them
+ */
+
+const blockUtils = {
+  /**
+   * Finds the transactions first confirmed by a block, i.e. the ones in its past that were not
+   * confirmed by a previous block. The full node has no index for them, so we walk the DAG from
+   * the block parents until reaching transactions confirmed by other blocks.
+   *
+   * @param {Object} block Block as returned by `txApi.getTransaction`
+   *
+   * @return {Promise<ConfirmedTransactions>}
+   */
+  async getConfirmedTransactions(block) {
+    const confirmed = new Map();
+    const visited = new Set();
+    // The first parent of a block is the previous block
+    let pending = block.parents.slice(1);
+    let complete = true;
+
+    while (pending.length > 0) {
+      const capacity = BLOCK_CONFIRMED_TXS_MAX - confirmed.size;
+      if (pending.length > capacity) {
+        complete = false;
+        pending = pending.slice(0, capacity);
+      }
+      pending.forEach(id => visited.add(id));
+
+      const responses = await Promise.all(pending.map(id => txApi.getTransaction(id)));
+      const next = new Set();
+      for (const { tx, meta } of responses) {
+        if (meta.first_block !== block.hash) {
+          continue;
+        }
+
+        confirmed.set(tx.hash, tx);
+        // Inputs may spend transactions that are not reachable through the parents
+        for (const id of [...tx.parents, ...tx.inputs.map(input => input.tx_id)]) {
+          if (!visited.has(id)) {
+            next.add(id);
+          }
+        }
+      }
+      pending = [...next];
+    }
+
+    const transactions = [...confirmed.values()].sort((a, b) => b.timestamp - a.timestamp);
+    return { transactions, complete };
+  },
+};
+
+export default blockUtils;
@@ -0,0 +1,79 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import blockUtils from './block';
+import txApi from '../api/txApi';
+import { BLOCK_CONFIRMED_TXS_MAX } from '../constants';
+
+jest.mock('../api/txApi', () => ({ getTransaction: jest.fn() }));
+
+const BLOCK = 'block';
+
+/**
+ * Mocks the full node with the transactions given
+ *
+ * @param {Object[]} transactions Transactions with hash, parents, inputs, timestamp and the
+ *                                block that first confirmed them
+ */
+const mockTransactions = transactions => {
+  const byHash = new Map(
+    transactions.map(({ firstBlock, ...tx }) => [
+      tx.hash,
+      { tx, meta: { first_block: firstBlock } },
+    ])
+  );
+  txApi.getTransaction.mockImplementation(async id => byHash.get(id));
+};
+
+const tx = (hash, timestamp, { parents = [], inputs = [], firstBlock = BLOCK } = {}) => ({
+  hash,
+  timestamp,
+  parents,
+  inputs: inputs.map(id => ({ tx_id: id, index: 0 })),
+  firstBlock,
+});
+
+describe('getConfirmedTransactions', () => {
+  beforeEach(() => {
+    txApi.getTransaction.mockReset();
+  });
+
+  it('walks the parents and inputs until the transactions of other blocks', async () => {
+    mockTransactions([
+      tx('a', 3, { parents: ['b', 'c'] }),
+      tx('b', 2, { parents: ['old'], inputs: ['d'] }),
+      tx('c', 1, { parents: ['old', 'b'] }),
+      tx('d', 4),
+      tx('old', 0, { parents: ['older'], firstBlock: 'previous' }),
+    ]);
+
+    const result = await blockUtils.getConfirmedTransactions({
+      hash: BLOCK,
+      parents: ['previous', 'a'],
+    });
+
+    expect(result.complete).toBe(true);
+    expect(result.transactions.map(item => item.hash)).toEqual(['d', 'a', 'b', 'c']);
+    // Each transaction is fetched once, and the walk stops at the ones of other blocks
+    const fetched = txApi.getTransaction.mock.calls.map(([id]) => id);
+    expect(fetched.sort()).toEqual(['a', 'b', 'c', 'd', 'old']);
+  });
+
+  it('stops at the maximum number of transactions', async () => {
+    const count = BLOCK_CONFIRMED_TXS_MAX + 10;
+    const ids = [...Array(count).keys()].map(index => `tx${index}`);
+    mockTransactions(ids.map((id, index) => tx(id, index)));
+
+    const result = await blockUtils.getConfirmedTransactions({
+      hash: BLOCK,
+      parents: ['previous', ...ids],
+    });
+
+    expect(result.complete).toBe(false);
+    expect(result.transactions).toHaveLength(BLOCK_CONFIRMED_TXS_MAX);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import dateFormatter from './date';
+import helpers from './helpers';
+
+export const NEIGHBOR_GRAPH_TYPES = {
+  // Parents and children of the transaction
+  verification: 'verification',
+  // Transactions spent by the inputs and spending the outputs
+  funds: 'funds',
+};
+
+/**
+ * Transaction or block shown on a neighbors graph
+ * @typedef {Object} NeighborNode
+ * @property {string} id
+ * @property {number} depth Distance from the center, negative for the parents or funding
+ *                          transactions and positive for the children or spending ones
+ * @property {boolean} isBlock
+ * @property {number} timestamp
+ * @property {number} weight
+ * @property {boolean} isVoided
+ */
+
+/**
+ * Arrow between two nodes, from the transaction that came first to the one that points to it
+ * @typedef {Object} NeighborEdge
+ * @property {string} id
+ * @property {string} from
+ * @property {string} to
+ */
+
+const dagNeighborsUtils = {
+  /**
+   * @param {Object} txData Transaction data, as returned by `txApi.getTransaction`
+   * @param {number} depth
+   *
+   * @return {NeighborNode}
+   */
+  buildNode(txData, depth) {
+    const { tx, meta } = txData;
+    return {
+      id: tx.hash,
+      depth,
+      isBlock: hathorLib.transactionUtils.isBlock(tx),
+      timestamp: tx.timestamp,
+      weight: tx.weight,
+      isVoided: Boolean(meta?.voided_by?.length),
+    };
+  },
+
+  /**
+   * Neighbors of a transaction on the graph, split by the side of the center they are drawn
+   *
+   * @param {Object} txData Transaction data, as returned by `txApi.getTransaction`
+   * @param {string} graphType One of NEIGHBOR_GRAPH_TYPES
+   *
+   * @return {{ before: string[], after: string[] }} Transactions that came before, i.e. parents
+   *   or funding transactions, and after, i.e. children or spending transactions
+   */
+  getNeighbors(txData, graphType) {
+    const { tx, meta } = txData;
+    if (graphType === NEIGHBOR_GRAPH_TYPES.verification) {
+      return { before: tx.parents || [], after: meta?.children || [] };
+    }
+    return {
+      before: [...new Set((tx.inputs || []).map(input => input.tx_id))],
+      after: [...new Set(Object.values(txData.spent_outputs || {}))],
+    };
+  },
+
+  /**
+   * @param {NeighborNode} node
+   *
+   * @return {string} Type, timestamp, weight and voided state of the node
+   */
+  describeNode(node) {
+    return [
+      node.isBlock ? 'Block' : 'Transaction',
+      node.id,
+      `Timestamp: ${dateFormatter.parseTimestamp(node.timestamp)}`,
+      `Weight: ${helpers.roundFloat(node.weight)}`,
+      node.isVoided ? 'Voided' : 'Not voided',
+    ].join('\n');
+  },
+};
+
+export default dagNeighborsUtils;
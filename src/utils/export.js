@@ -0,0 +1,100 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Column of a CSV file
+ * @typedef {Object} CsvColumn
+ * @property {string} key Property of the row with the column value
+ * @property {string} title Header of the column
+ */
+
+// Spreadsheets run fields starting with these characters as formulas
+const FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+// Amounts formatted by `formatAmount`, which may start with a minus sign
+const NUMBER_REGEX = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Quotes a CSV field when it has characters that would break the row. Fields that a
+ * spreadsheet would run as a formula, like token symbols set by anyone, get a `'` in front.
+ *
+ * @param {*} value
+ *
+ * @return {string}
+ */
+const escapeCsvField = value => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX_REGEX.test(text) && !NUMBER_REGEX.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const exportUtils = {
+  /**
+   * Builds a CSV file, with a header line
+   *
+   * @param {CsvColumn[]} columns
+   * @param {Object[]} rows
+   *
+   * @return {string}
+   */
+  toCsv(columns, rows) {
+    const header = columns.map(column => escapeCsvField(column.title)).join(',');
+    const lines = rows.map(row => columns.map(column => escapeCsvField(row[column.key])).join(','));
+    return [header, ...lines].join('\r\n');
+  },
+
+  /**
+   * Formats an integer amount with its decimal places, without thousand separators,
+   * so spreadsheets read it as a number.
+   *
+   * @param {number | string} value Integer amount
+   * @param {number} decimalPlaces
+   *
+   * @return {string}
+   */
+  formatAmount(value, decimalPlaces) {
+    // Handled as text, so amounts sent as strings don't lose precision
+    const text = String(value);
+    const isNegative = text.startsWith('-');
+    const sign = isNegative ? '-' : '';
+    const digits = isNegative ? text.slice(1) : text;
+    if (decimalPlaces === 0) {
+      return `${sign}${digits}`;
+    }
+
+    const padded = digits.padStart(decimalPlaces + 1, '0');
+    const integerPart = padded.slice(0, -decimalPlaces);
+    const decimalPart = padded.slice(-decimalPlaces);
+    return `${sign}${integerPart}.${decimalPart}`;
+  },
+
+  /**
+   * Makes the browser download a file generated on the page
+   *
+   * @param {string | Blob} content
+   * @param {string} fileName
+   * @param {string} mimeType Type of the content, when it's not a Blob
+   */
+  downloadFile(content, fileName, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  },
+};
+
+export default exportUtils;
@@ -0,0 +1,75 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import exportUtils from './export';
+
+describe('formatAmount', () => {
+  it('adds the decimal places', () => {
+    expect(exportUtils.formatAmount(12345, 2)).toBe('123.45');
+  });
+
+  it('pads amounts smaller than one', () => {
+    expect(exportUtils.formatAmount(1, 2)).toBe('0.01');
+    expect(exportUtils.formatAmount(0, 2)).toBe('0.00');
+  });
+
+  it('keeps the sign of negative amounts', () => {
+    expect(exportUtils.formatAmount(-5, 2)).toBe('-0.05');
+    expect(exportUtils.formatAmount(-12345, 2)).toBe('-123.45');
+  });
+
+  it('returns the integer when there are no decimal places', () => {
+    expect(exportUtils.formatAmount(42, 0)).toBe('42');
+    expect(exportUtils.formatAmount(-42, 0)).toBe('-42');
+  });
+
+  it('keeps the precision of amounts sent as strings', () => {
+    expect(exportUtils.formatAmount('9007199254740993', 2)).toBe('90071992547409.93');
+  });
+});
+
+describe('toCsv', () => {
+  const columns = [
+    { key: 'symbol', title: 'Symbol' },
+    { key: 'amount', title: 'Amount' },
+  ];
+
+  it('quotes fields that would break the row', () => {
+    const csv = exportUtils.toCsv(columns, [{ symbol: 'A,"B"', amount: '1.00' }]);
+    expect(csv).toBe('Symbol,Amount\r\n"A,""B""",1.00');
+  });
+
+  it('writes missing values as empty fields', () => {
+    expect(exportUtils.toCsv(columns, [{ symbol: null }])).toBe('Symbol,Amount\r\n,');
+  });
+
+  it('keeps spreadsheets from running fields as formulas', () => {
+    const rows = ['=HYPERLINK("x")', '+cmd|x', '-1+2', '@SUM(A1)', '\tTAB', '\rCR'].map(symbol => ({
+      symbol,
+      amount: '1.00',
+    }));
+    const fields = exportUtils
+      .toCsv(columns, rows)
+      .split('\r\n')
+      .slice(1)
+      .map(line => line.slice(0, line.lastIndexOf(',')));
+    expect(fields).toEqual([
+      `"'=HYPERLINK(""x"")"`,
+      `'+cmd|x`,
+      `'-1+2`,
+      `'@SUM(A1)`,
+      `'\tTAB`,
+      `"'\rCR"`,
+    ]);
+  });
+
+  it('keeps negative amounts as numbers', () => {
+    expect(exportUtils.toCsv(columns, [{ symbol: 'HTR', amount: '-0.05' }])).toBe(
+      'Symbol,Amount\r\nHTR,-0.05'
+    );
+  });
+});
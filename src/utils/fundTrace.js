@@ -0,0 +1,183 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import transactionUtils from './transaction';
+import exportUtils from './export';
+
+export const TRACE_DIRECTIONS = {
+  // Follows the transactions spending the outputs
+  forward: 'forward',
+  // Follows the transactions whose outputs were spent by the inputs
+  backward: 'backward',
+};
+
+/**
+ * Columns of the exported trace, in the order they are written on the CSV
+ */
+const EXPORT_COLUMNS = [
+  { key: 'hop', title: 'Hop' },
+  { key: 'from_tx', title: 'From transaction' },
+  { key: 'index', title: 'Output index' },
+  { key: 'to_tx', title: 'To transaction' },
+  { key: 'address', title: 'Address' },
+  { key: 'token', title: 'Token' },
+  { key: 'value', title: 'Value' },
+];
+
+/**
+ * Output of a transaction spent by another one. It always points the way the funds moved,
+ * whatever the direction of the trace.
+ * @typedef {Object} TraceEdge
+ * @property {string} id
+ * @property {string} from Transaction with the output
+ * @property {string} to Transaction spending the output
+ * @property {number} index Index of the output
+ * @property {string} token Token uid
+ * @property {string} tokenSymbol
+ * @property {number} value
+ * @property {string | null} address
+ */
+
+const fundTraceUtils = {
+  /**
+   * Edges of a transaction leading to the next transactions of the trace. Authorities don't
+   * carry funds, so they are left out.
+   *
+   * @param {Object} txData Transaction data, as returned by `txApi.getTransaction`
+   * @param {string} direction One of TRACE_DIRECTIONS
+   * @param {number | null} [onlyIndex] Only follows this output, when tracing forward from it
+   *
+   * @return {TraceEdge[]}
+   */
+  getEdges(txData, direction, onlyIndex = null) {
+    const { tx } = txData;
+    const buildEdge = (from, to, index, item) => {
+      const token = transactionUtils.getTokenUid(tx, item);
+      return {
+        id: `${from}:${index}`,
+        from,
+        to,
+        index,
+        token,
+        // The native token is not on the token list of the transaction
+        tokenSymbol: tx.tokens.find(entry => entry.uid === token)?.symbol ?? null,
+        value: item.value,
+        address: item.decoded?.address || null,
+      };
+    };
+
+    if (direction === TRACE_DIRECTIONS.forward) {
+      const spentOutputs = txData.spent_outputs || {};
+      const edges = [];
+      tx.outputs.forEach((output, index) => {
+        if (
+          index in spentOutputs &&
+          !transactionUtils.isAuthorityOutput(output) &&
+          (onlyIndex === null || index === onlyIndex)
+        ) {
+          edges.push(buildEdge(tx.hash, spentOutputs[index], index, output));
+        }
+      });
+      return edges;
+    }
+
+    return tx.inputs
+      .filter(input => !transactionUtils.isAuthorityOutput(input))
+      .map(input => buildEdge(input.tx_id, tx.hash, input.index, input));
+  },
+
+  /**
+   * @param {TraceEdge} edge
+   * @param {string} direction One of TRACE_DIRECTIONS
+   *
+   * @return {string} Transaction the trace reaches through the edge
+   */
+  getNextTx(edge, direction) {
+    return direction === TRACE_DIRECTIONS.forward ? edge.to : edge.from;
+  },
+
+  /**
+   * @param {TraceEdge} edge
+   * @param {Object} filters
+   * @param {string} [filters.token] Only edges of this token uid, all when empty
+   * @param {number} [filters.minValue] Only edges with at least this value
+   *
+   * @return {boolean}
+   */
+  passesFilters(edge, { token, minValue }) {
+    return (!token || edge.token === token) && (!minValue || edge.value >= minValue);
+  },
+
+  /**
+   * Path of edges from the start of the trace to a transaction, found by a breadth-first search
+   *
+   * @param {TraceEdge[]} edges Edges shown on the trace
+   * @param {string} startTx
+   * @param {string} targetTx
+   * @param {string} direction One of TRACE_DIRECTIONS
+   *
+   * @return {TraceEdge[] | null} Null when the transaction can't be reached
+   */
+  findPath(edges, startTx, targetTx, direction) {
+    const reachedBy = new Map([[startTx, null]]);
+    const queue = [startTx];
+    while (queue.length > 0 && !reachedBy.has(targetTx)) {
+      const current = queue.shift();
+      for (const edge of edges) {
+        const previous = direction === TRACE_DIRECTIONS.forward ? edge.from : edge.to;
+        const next = this.getNextTx(edge, direction);
+        if (previous === current && !reachedBy.has(next)) {
+          reachedBy.set(next, edge);
+          queue.push(next);
+        }
+      }
+    }
+
+    if (!reachedBy.has(targetTx)) {
+      return null;
+    }
+    const path = [];
+    let edge = reachedBy.get(targetTx);
+    while (edge) {
+      path.unshift(edge);
+      edge = reachedBy.get(direction === TRACE_DIRECTIONS.forward ? edge.from : edge.to);
+    }
+    return path;
+  },
+
+  /**
+   * @param {TraceEdge[]} edges
+   * @param {Object} hops Hop of each transaction, i.e. { [txId]: number }
+   * @param {string} direction One of TRACE_DIRECTIONS
+   * @param {string} nativeSymbol Symbol of the native token
+   * @param {number} decimalPlaces
+   *
+   * @return {Object[]} Rows of the export, with the values formatted
+   */
+  buildExportRows(edges, hops, direction, nativeSymbol, decimalPlaces) {
+    return edges.map(edge => ({
+      hop: hops[this.getNextTx(edge, direction)],
+      from_tx: edge.from,
+      index: edge.index,
+      to_tx: edge.to,
+      address: edge.address || '',
+      token: edge.tokenSymbol || nativeSymbol,
+      value: exportUtils.formatAmount(edge.value, decimalPlaces),
+    }));
+  },
+
+  /**
+   * @param {Object[]} rows Rows built by `buildExportRows`
+   *
+   * @return {string}
+   */
+  toCsv(rows) {
+    return exportUtils.toCsv(EXPORT_COLUMNS, rows);
+  },
+};
+
+export default fundTraceUtils;
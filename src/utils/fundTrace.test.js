@@ -0,0 +1,56 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import fundTraceUtils, { TRACE_DIRECTIONS } from './fundTrace';
+
+const edge = (from, to, index = 0) => ({ id: `${from}:${index}`, from, to, index });
+
+// a -> b -> d, a -> c -> d, d -> e, and f -> e unreachable from a
+const edges = [
+  edge('a', 'b'),
+  edge('a', 'c', 1),
+  edge('b', 'd'),
+  edge('c', 'd'),
+  edge('d', 'e'),
+  edge('f', 'e'),
+];
+
+const ids = path => path && path.map(item => item.id);
+
+describe('findPath', () => {
+  it('finds the shortest path following the spending transactions', () => {
+    expect(ids(fundTraceUtils.findPath(edges, 'a', 'e', TRACE_DIRECTIONS.forward))).toEqual([
+      'a:0',
+      'b:0',
+      'd:0',
+    ]);
+  });
+
+  it('finds the path back to the funding transactions', () => {
+    expect(ids(fundTraceUtils.findPath(edges, 'e', 'c', TRACE_DIRECTIONS.backward))).toEqual([
+      'd:0',
+      'c:0',
+    ]);
+  });
+
+  it('returns an empty path to the start of the trace', () => {
+    expect(fundTraceUtils.findPath(edges, 'a', 'a', TRACE_DIRECTIONS.forward)).toEqual([]);
+  });
+
+  it('returns null when the transaction is not reachable', () => {
+    expect(fundTraceUtils.findPath(edges, 'a', 'f', TRACE_DIRECTIONS.forward)).toBeNull();
+    expect(fundTraceUtils.findPath(edges, 'e', 'a', TRACE_DIRECTIONS.forward)).toBeNull();
+  });
+
+  it('does not loop on cycles', () => {
+    const cycle = [edge('a', 'b'), edge('b', 'a'), edge('b', 'c')];
+    expect(ids(fundTraceUtils.findPath(cycle, 'a', 'c', TRACE_DIRECTIONS.forward))).toEqual([
+      'a:0',
+      'b:0',
+    ]);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import { crypto as bitcoreCrypto, PublicKey } from 'bitcore-lib';
+import multisigUtils from './multisig';
+
+export const SIGNATURE_STATUS = {
+  // All the signatures needed are there and valid
+  valid: 'valid',
+  // Some of the signatures needed are missing, but the ones there are valid
+  partial: 'partial',
+  // A signature doesn't match the spent output
+  invalid: 'invalid',
+  // The input has no data yet
+  unsigned: 'unsigned',
+  // The spent output couldn't be loaded, or its script is not a P2PKH or P2SH one
+  unknown: 'unknown',
+};
+
+/**
+ * Transaction decoded on the browser
+ * @typedef {Object} DecodedTx
+ * @property {string} hash
+ * @property {number} version
+ * @property {number} signalBits
+ * @property {number} weight
+ * @property {number} timestamp
+ * @property {number} nonce
+ * @property {string[]} parents
+ * @property {string[]} tokens Uids of the tokens, the token data of the outputs points to them
+ * @property {Object | null} tokenInfo Name and symbol, for token creation transactions
+ * @property {DecodedInput[]} inputs
+ * @property {DecodedOutput[]} outputs
+ * @property {Buffer} dataToSignHash Hash signed by the inputs
+ */
+
+/**
+ * @typedef {Object} DecodedInput
+ * @property {string} tx_id
+ * @property {number} index
+ * @property {string | null} data Input data in hex, null when not signed yet
+ */
+
+/**
+ * @typedef {Object} DecodedOutput
+ * @property {number} value
+ * @property {number} tokenData
+ * @property {string} token Token uid
+ * @property {boolean} isAuthority
+ * @property {string} type 'p2pkh', 'p2sh', 'data' or 'unknown'
+ * @property {string | null} address
+ * @property {number | null} timelock
+ * @property {string | null} data Text of data scripts
+ * @property {string} script Script in hex
+ */
+
+/**
+ * Signature check of an input
+ * @typedef {Object} SignatureCheck
+ * @property {string} status One of SIGNATURE_STATUS
+ * @property {string} message Describes the result
+ */
+
+/**
+ * @param {Object} output Output of the lib
+ * @param {Object} network
+ *
+ * @return {Object} Type, address, timelock and data of the output script
+ */
+const decodeScript = (output, network) => {
+  let decoded = null;
+  try {
+    decoded = output.parseScript(network);
+  } catch (e) {
+    // Scripts the lib can't parse are shown as unknown
+  }
+  if (!decoded) {
+    return { type: 'unknown', address: null, timelock: null, data: null };
+  }
+  if (decoded.getType() === 'data') {
+    return { type: 'data', address: null, timelock: null, data: decoded.data };
+  }
+  return {
+    type: decoded.getType(),
+    address: decoded.address.base58,
+    timelock: decoded.timelock || null,
+    data: null,
+  };
+};
+
+const localDecodeUtils = {
+  /**
+   * Decodes a transaction on the browser, without the full node
+   *
+   * @param {string} hex Serialized transaction
+   *
+   * @throws {Error} When the data is not a transaction the lib can parse
+   *
+   * @return {DecodedTx}
+   */
+  decodeTx(hex) {
+    const network = hathorLib.config.getNetwork();
+    const tx = hathorLib.helpersUtils.createTxFromHex(hex.trim(), network);
+    const isCreateToken = tx.version === hathorLib.constants.CREATE_TOKEN_TX_VERSION;
+
+    const getOutputToken = output => {
+      if (output.isTokenHTR()) {
+        return hathorLib.constants.NATIVE_TOKEN_UID;
+      }
+      // Token creations have no token list, their custom outputs are of the token created
+      return isCreateToken ? tx.hash : tx.tokens[output.getTokenIndex()];
+    };
+
+    return {
+      hash: tx.hash,
+      version: tx.version,
+      signalBits: tx.signalBits,
+      weight: tx.weight,
+      timestamp: tx.timestamp,
+      nonce: tx.nonce,
+      parents: tx.parents,
+      tokens: tx.tokens,
+      tokenInfo: isCreateToken ? { name: tx.name, symbol: tx.symbol } : null,
+      inputs: tx.inputs.map(input => ({
+        tx_id: input.hash,
+        index: input.index,
+        data: input.data && input.data.length ? input.data.toString('hex') : null,
+      })),
+      outputs: tx.outputs.map(output => ({
+        value: Number(output.value),
+        tokenData: output.tokenData,
+        token: getOutputToken(output),
+        isAuthority: output.isAuthority(),
+        script: output.script.toString('hex'),
+        ...decodeScript(output, network),
+      })),
+      dataToSignHash: tx.getDataToSignHash(),
+    };
+  },
+
+  /**
+   * Checks the signatures of an input against the output it spends. P2PKH inputs have a
+   * signature and a public key, P2SH ones have the signatures and the multisig redeem script.
+   *
+   * @param {DecodedInput} input
+   * @param {Buffer} dataToSignHash Hash signed by the inputs
+   * @param {Object | null} spentOutput Output returned by the full node, null when unavailable
+   *
+   * @return {SignatureCheck}
+   */
+  verifyInput(input, dataToSignHash, spentOutput) {
+    if (!input.data) {
+      return { status: SIGNATURE_STATUS.unsigned, message: 'Not signed' };
+    }
+    if (!spentOutput) {
+      return {
+        status: SIGNATURE_STATUS.unknown,
+        message: 'The spent output could not be loaded to check the signature',
+      };
+    }
+
+    const network = hathorLib.config.getNetwork();
+    const address = spentOutput.decoded?.address;
+    const pushes = multisigUtils.parsePushes(Buffer.from(input.data, 'hex'));
+    if (!address || !pushes || pushes.length < 2) {
+      return {
+        status: SIGNATURE_STATUS.unknown,
+        message: 'Only P2PKH and P2SH signatures can be checked',
+      };
+    }
+
+    const script = pushes[pushes.length - 1];
+    const redeemScript = multisigUtils.parseRedeemScript(script);
+    if (!redeemScript) {
+      // P2PKH, signed by the public key of the address
+      const [signature, pubkey] = pushes;
+      const hash = bitcoreCrypto.Hash.sha256ripemd160(pubkey);
+      if (hathorLib.helpersUtils.encodeAddress(hash, network).base58 !== address) {
+        return {
+          status: SIGNATURE_STATUS.invalid,
+          message: 'The public key does not belong to the spent address',
+        };
+      }
+      return this.verifySignature(dataToSignHash, signature, pubkey)
+        ? { status: SIGNATURE_STATUS.valid, message: 'Valid signature' }
+        : { status: SIGNATURE_STATUS.invalid, message: 'Invalid signature' };
+    }
+
+    if (multisigUtils.getAddress(script) !== address) {
+      return {
+        status: SIGNATURE_STATUS.invalid,
+        message: 'The redeem script does not belong to the spent address',
+      };
+    }
+
+    // Like OP_CHECKMULTISIG, the signatures must be in the same order as the public keys
+    const signatures = pushes.slice(0, -1);
+    let keyIndex = 0;
+    for (const signature of signatures) {
+      while (
+        keyIndex < redeemScript.publicKeys.length &&
+        !this.verifySignature(dataToSignHash, signature, redeemScript.publicKeys[keyIndex])
+      ) {
+        keyIndex++;
+      }
+      if (keyIndex === redeemScript.publicKeys.length) {
+        return {
+          status: SIGNATURE_STATUS.invalid,
+          message: 'A signature does not match the public keys of the multisig',
+        };
+      }
+      keyIndex++;
+    }
+
+    const count = `${signatures.length} of ${redeemScript.signaturesRequired} signatures`;
+    return signatures.length >= redeemScript.signaturesRequired
+      ? { status: SIGNATURE_STATUS.valid, message: `Valid, ${count}` }
+      : { status: SIGNATURE_STATUS.partial, message: `Partially signed, ${count}` };
+  },
+
+  /**
+   * @param {Buffer} hash Hash signed
+   * @param {Buffer} signature Signature in DER
+   * @param {Buffer | string} pubkey Public key in DER, or in hex
+   *
+   * @return {boolean}
+   */
+  verifySignature(hash, signature, pubkey) {
+    try {
+      return bitcoreCrypto.ECDSA.verify(
+        hash,
+        bitcoreCrypto.Signature.fromDER(signature),
+        new PublicKey(pubkey)
+      );
+    } catch (e) {
+      // Malformed signatures and keys just don't verify
+      return false;
+    }
+  },
+};
+
+export default localDecodeUtils;
@@ -0,0 +1,144 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import localDecodeUtils, { SIGNATURE_STATUS } from './localDecode';
+import {
+  SPENT_TX,
+  buildTx,
+  getP2PKHAddress,
+  getP2SHAddress,
+  keys,
+  pushAll,
+  redeemScript,
+  sign,
+} from './__fixtures__/multisig';
+
+/**
+ * Signs a transaction with the input data built by `getData`, decodes it and checks its input.
+ * The value of the output is changed after signing when `tamperedValue` is given.
+ */
+const check = (getData, spentAddress, { tamperedValue = null } = {}) => {
+  const tx = buildTx();
+  tx.inputs[0].setData(getData(tx));
+  if (tamperedValue !== null) {
+    tx.outputs[0].value = tamperedValue;
+  }
+  const decoded = localDecodeUtils.decodeTx(tx.toHex());
+  return localDecodeUtils.verifyInput(decoded.inputs[0], decoded.dataToSignHash, {
+    decoded: { address: spentAddress },
+  });
+};
+
+const p2pkhData = key => tx => pushAll([sign(tx, key), key.publicKey.toBuffer()]);
+
+const multisigData = signers => tx => pushAll([...signers.map(key => sign(tx, key)), redeemScript]);
+
+beforeAll(() => {
+  hathorLib.config.setNetwork('testnet');
+});
+
+describe('decodeTx', () => {
+  it('reads the inputs and outputs of the transaction', () => {
+    const tx = buildTx();
+    const decoded = localDecodeUtils.decodeTx(tx.toHex());
+
+    expect(decoded.inputs).toEqual([{ tx_id: SPENT_TX, index: 0, data: null }]);
+    expect(decoded.outputs[0]).toMatchObject({
+      value: 100,
+      token: hathorLib.constants.NATIVE_TOKEN_UID,
+      type: 'p2pkh',
+      address: getP2PKHAddress(keys[0]),
+    });
+    expect(decoded.dataToSignHash).toEqual(tx.getDataToSignHash());
+  });
+
+  it('reads the outputs of a token creation as the token created', () => {
+    const network = hathorLib.config.getNetwork();
+    const script = new hathorLib.P2PKH(
+      new hathorLib.Address(getP2PKHAddress(keys[0]), { network })
+    ).createScript();
+    const tx = new hathorLib.CreateTokenTransaction(
+      'Test Token',
+      'TST',
+      [new hathorLib.Input(SPENT_TX, 0)],
+      [
+        new hathorLib.Output(100, script, { tokenData: 1 }),
+        new hathorLib.Output(hathorLib.constants.TOKEN_MINT_MASK, script, {
+          tokenData: hathorLib.constants.AUTHORITY_TOKEN_DATA,
+        }),
+        new hathorLib.Output(5, script),
+      ],
+      { timestamp: 1700000000, parents: [] }
+    );
+    const decoded = localDecodeUtils.decodeTx(tx.toHex());
+
+    expect(decoded.tokenInfo).toEqual({ name: 'Test Token', symbol: 'TST' });
+    expect(decoded.outputs.map(output => output.token)).toEqual([
+      decoded.hash,
+      decoded.hash,
+      hathorLib.constants.NATIVE_TOKEN_UID,
+    ]);
+    expect(decoded.outputs[1].isAuthority).toBe(true);
+  });
+
+  it('throws when the data is not a transaction', () => {
+    expect(() => localDecodeUtils.decodeTx('00ff')).toThrow();
+  });
+});
+
+describe('verifyInput', () => {
+  it('accepts a valid P2PKH signature', () => {
+    expect(check(p2pkhData(keys[0]), getP2PKHAddress(keys[0])).status).toBe(SIGNATURE_STATUS.valid);
+  });
+
+  it('rejects a P2PKH signature of a transaction changed after signing', () => {
+    const result = check(p2pkhData(keys[0]), getP2PKHAddress(keys[0]), { tamperedValue: 1000 });
+    expect(result).toEqual({ status: SIGNATURE_STATUS.invalid, message: 'Invalid signature' });
+  });
+
+  it('rejects a public key of another address', () => {
+    const result = check(p2pkhData(keys[1]), getP2PKHAddress(keys[0]));
+    expect(result).toEqual({
+      status: SIGNATURE_STATUS.invalid,
+      message: 'The public key does not belong to the spent address',
+    });
+  });
+
+  it('accepts the signatures of a multisig in the order of the public keys', () => {
+    expect(check(multisigData([keys[0], keys[2]]), getP2SHAddress(redeemScript))).toEqual({
+      status: SIGNATURE_STATUS.valid,
+      message: 'Valid, 2 of 2 signatures',
+    });
+  });
+
+  it('rejects the signatures of a multisig out of order', () => {
+    const result = check(multisigData([keys[2], keys[0]]), getP2SHAddress(redeemScript));
+    expect(result.status).toBe(SIGNATURE_STATUS.invalid);
+  });
+
+  it('reports a multisig missing signatures', () => {
+    expect(check(multisigData([keys[1]]), getP2SHAddress(redeemScript))).toEqual({
+      status: SIGNATURE_STATUS.partial,
+      message: 'Partially signed, 1 of 2 signatures',
+    });
+  });
+
+  it('rejects a redeem script of another address', () => {
+    const result = check(multisigData([keys[0], keys[1]]), getP2PKHAddress(keys[0]));
+    expect(result.status).toBe(SIGNATURE_STATUS.invalid);
+  });
+
+  it('does not check inputs without data or spent output', () => {
+    expect(localDecodeUtils.verifyInput({ data: null }, Buffer.alloc(32), null).status).toBe(
+      SIGNATURE_STATUS.unsigned
+    );
+    expect(localDecodeUtils.verifyInput({ data: '00' }, Buffer.alloc(32), null).status).toBe(
+      SIGNATURE_STATUS.unknown
+    );
+  });
+});
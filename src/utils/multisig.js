@@ -0,0 +1,212 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import { crypto as bitcoreCrypto } from 'bitcore-lib';
+import addressApi from '../api/addressApi';
+import txApi from '../api/txApi';
+import { ADDRESS_EXPORT_PAGE_SIZE, MULTISIG_SCAN_MAX_TXS } from '../constants';
+
+// OP_N opcodes are OP_0 plus N, e.g. OP_2 is 0x52
+const OP_0 = 0x50;
+const OP_PUSHDATA1 = 0x4c;
+const OP_CHECKMULTISIG = 0xae;
+const PUBKEY_LENGTH = 33;
+
+/**
+ * Spending policy of a P2SH multisig address, read from its redeem script
+ * @typedef {Object} MultisigPolicy
+ * @property {number} signaturesRequired Number of signatures needed to spend (m)
+ * @property {{publicKey: string, address: string}[]} participants Public keys of the redeem
+ *           script (n), in hex, and their P2PKH addresses
+ * @property {string | null} txId Transaction whose input revealed the redeem script, null when
+ *           it was given by the user
+ * @property {string} redeemScript Redeem script in hex
+ */
+
+const multisigUtils = {
+  /**
+   * @param {string} address
+   *
+   * @return {boolean}
+   */
+  isP2SH(address) {
+    const network = hathorLib.config.getNetwork();
+    const addressObj = new hathorLib.Address(address, { network });
+    return addressObj.isValid() && addressObj.getType() === 'p2sh';
+  },
+
+  /**
+   * Splits the data of an input in the values it pushes to the stack
+   *
+   * @param {Buffer} data
+   *
+   * @return {Buffer[] | null} Null if the data has anything besides pushes
+   */
+  parsePushes(data) {
+    const pushes = [];
+    let position = 0;
+    while (position < data.length) {
+      let length = data[position];
+      position += 1;
+      if (length === OP_PUSHDATA1) {
+        length = data[position];
+        position += 1;
+      } else if (length > OP_PUSHDATA1) {
+        return null;
+      }
+
+      if (length === undefined || position + length > data.length) {
+        return null;
+      }
+      pushes.push(data.slice(position, position + length));
+      position += length;
+    }
+    return pushes;
+  },
+
+  /**
+   * Reads the m-of-n policy of a multisig redeem script:
+   * OP_m <pubkey 1> ... <pubkey n> OP_n OP_CHECKMULTISIG
+   *
+   * @param {Buffer} script
+   *
+   * @return {{signaturesRequired: number, publicKeys: string[]} | null} Null if the script is
+   *         not a multisig redeem script
+   */
+  parseRedeemScript(script) {
+    const signaturesRequired = script[0] - OP_0;
+    const pushes = this.parsePushes(script.slice(1, -2));
+    const numKeys = script[script.length - 2] - OP_0;
+
+    if (
+      script[script.length - 1] !== OP_CHECKMULTISIG ||
+      !pushes ||
+      numKeys !== pushes.length ||
+      signaturesRequired < 1 ||
+      signaturesRequired > numKeys ||
+      pushes.some(push => push.length !== PUBKEY_LENGTH)
+    ) {
+      return null;
+    }
+
+    return { signaturesRequired, publicKeys: pushes.map(push => push.toString('hex')) };
+  },
+
+  /**
+   * Reads the policy of the P2SH address spent by an input, from the redeem script at the end
+   * of its data
+   *
+   * @param {Object} input Input of a transaction, as returned by the full node
+   * @param {string} txId Transaction of the input
+   *
+   * @return {MultisigPolicy | null} Null if the input doesn't spend a multisig address
+   */
+  decodeInput(input, txId) {
+    if (!input.data) {
+      return null;
+    }
+
+    const pushes = this.parsePushes(Buffer.from(input.data, 'base64'));
+    if (!pushes || pushes.length === 0) {
+      return null;
+    }
+
+    return this.getPolicy(pushes[pushes.length - 1], txId);
+  },
+
+  /**
+   * @param {Buffer} script Redeem script
+   * @param {string | null} txId Transaction whose input revealed the redeem script
+   *
+   * @return {MultisigPolicy | null} Null if the script is not a multisig redeem script
+   */
+  getPolicy(script, txId) {
+    const redeemScript = this.parseRedeemScript(script);
+    if (!redeemScript) {
+      return null;
+    }
+
+    const network = hathorLib.config.getNetwork();
+    return {
+      signaturesRequired: redeemScript.signaturesRequired,
+      participants: redeemScript.publicKeys.map(publicKey => ({
+        publicKey,
+        address: hathorLib.addressUtils.getAddressFromPubkey(publicKey, network).base58,
+      })),
+      txId,
+      redeemScript: script.toString('hex'),
+    };
+  },
+
+  /**
+   * @param {Buffer} script Redeem script
+   *
+   * @return {string} P2SH address spent with the redeem script
+   */
+  getAddress(script) {
+    const network = hathorLib.config.getNetwork();
+    const scriptHash = bitcoreCrypto.Hash.sha256ripemd160(script);
+    return hathorLib.helpersUtils.encodeAddressP2SH(scriptHash, network).base58;
+  },
+
+  /**
+   * The redeem script of a P2SH address is only public once it spends an output. Looks for it
+   * on the latest transactions of the address that may have spent from it.
+   *
+   * @param {string} address P2SH address
+   * @param {string} token Token uid of the history to look at
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Stops looking when aborted
+   *
+   * @return {Promise<MultisigPolicy | null>} Null if no spending transaction was found, or when
+   *                                          aborted
+   */
+  async findPolicy(address, token, { signal } = {}) {
+    let checked = 0;
+    let lastTx = null;
+    let lastTs = null;
+
+    while (checked < MULTISIG_SCAN_MAX_TXS) {
+      const data = await addressApi.getHistory(
+        address,
+        token,
+        ADDRESS_EXPORT_PAGE_SIZE,
+        lastTx,
+        lastTs
+      );
+
+      for (const element of data.history) {
+        if (signal?.aborted || checked >= MULTISIG_SCAN_MAX_TXS) {
+          return null;
+        }
+        checked += 1;
+
+        // Only transactions that took value from the address, or moved its authorities, spend it
+        if (element.balance > 0) {
+          continue;
+        }
+
+        const { tx } = await txApi.getTransaction(element.tx_id);
+        const input = tx.inputs.find(txInput => txInput.decoded?.address === address);
+        const policy = input && this.decodeInput(input, tx.hash);
+        if (policy) {
+          return policy;
+        }
+      }
+
+      if (!data.has_next || data.history.length === 0) {
+        return null;
+      }
+      ({ tx_id: lastTx, timestamp: lastTs } = data.history[data.history.length - 1]);
+    }
+
+    return null;
+  },
+};
+
+export default multisigUtils;
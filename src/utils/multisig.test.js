@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import multisigUtils from './multisig';
+import { keys, redeemScript } from './__fixtures__/multisig';
+
+describe('parsePushes', () => {
+  it('splits the data in the values it pushes', () => {
+    const long = Buffer.alloc(80, 1);
+    const data = Buffer.concat([Buffer.from([2, 0xaa, 0xbb, 0x4c, 80]), long]);
+    expect(multisigUtils.parsePushes(data)).toEqual([Buffer.from([0xaa, 0xbb]), long]);
+  });
+
+  it('rejects data with opcodes or cut pushes', () => {
+    expect(multisigUtils.parsePushes(Buffer.from([0x76]))).toBeNull();
+    expect(multisigUtils.parsePushes(Buffer.from([3, 0xaa]))).toBeNull();
+  });
+});
+
+describe('parseRedeemScript', () => {
+  it('reads the m-of-n policy', () => {
+    expect(multisigUtils.parseRedeemScript(redeemScript)).toEqual({
+      signaturesRequired: 2,
+      publicKeys: keys.map(key => key.publicKey.toString()),
+    });
+  });
+
+  it('rejects scripts that are not multisig', () => {
+    const withOpcode = (position, opcode) => {
+      const script = Buffer.from(redeemScript);
+      script[position] = opcode;
+      return script;
+    };
+
+    // More signatures than public keys
+    expect(multisigUtils.parseRedeemScript(withOpcode(0, 0x54))).toBeNull();
+    // No signatures
+    expect(multisigUtils.parseRedeemScript(withOpcode(0, 0x50))).toBeNull();
+    // Number of public keys different from the ones on the script
+    expect(multisigUtils.parseRedeemScript(withOpcode(redeemScript.length - 2, 0x52))).toBeNull();
+    // OP_CHECKSIG instead of OP_CHECKMULTISIG
+    expect(multisigUtils.parseRedeemScript(withOpcode(redeemScript.length - 1, 0xac))).toBeNull();
+    // Public key with a length other than 33
+    expect(multisigUtils.parseRedeemScript(Buffer.from('5102aabb51ae', 'hex'))).toBeNull();
+  });
+});
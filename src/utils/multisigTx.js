@@ -0,0 +1,190 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib, { P2SHSignature } from '@hathor/wallet-lib';
+import localDecodeUtils from './localDecode';
+import multisigUtils from './multisig';
+
+/**
+ * Input of a transaction being signed by the participants of a multisig
+ * @typedef {Object} MultisigInput
+ * @property {string | null} address Address of the spent output
+ * @property {boolean} isMultisig If the spent address is a P2SH one
+ * @property {MultisigPolicy | null} policy Null while the redeem script is not known
+ * @property {MultisigSignature[]} signatures One for each participant of the policy, in order
+ */
+
+/**
+ * @typedef {Object} MultisigSignature
+ * @property {string | null} signature Signature in DER and hex, null when missing
+ * @property {string | null} signer Xpub of the participant who shared it, null when it was
+ *                                  already on the transaction
+ */
+
+/**
+ * @param {string} hex
+ *
+ * @return {boolean}
+ */
+const isHex = hex => /^([0-9a-fA-F]{2})+$/.test(hex);
+
+const multisigTxUtils = {
+  /**
+   * Reads the signatures shared by a participant, in the format of the wallets:
+   * <xpub>|<input index>:<signature>|<input index>:<signature>|...
+   *
+   * @param {string} text
+   *
+   * @throws {Error} When the text is not in this format
+   *
+   * @return {P2SHSignature}
+   */
+  parseSignatures(text) {
+    const signer = P2SHSignature.deserialize(text.trim());
+    const entries = Object.entries(signer.signatures);
+    if (
+      entries.length === 0 ||
+      entries.some(([index, signature]) => !/^\d+$/.test(index) || !isHex(signature || ''))
+    ) {
+      throw new Error('The signatures should be in the format <xpub>|<input>:<signature>|...');
+    }
+    return signer;
+  },
+
+  /**
+   * Reads a redeem script typed by the user for a P2SH address
+   *
+   * @param {string} text Redeem script in hex
+   * @param {string} address P2SH address it should spend
+   *
+   * @throws {Error} When it's not a multisig redeem script of the address
+   *
+   * @return {MultisigPolicy}
+   */
+  parseRedeemScript(text, address) {
+    const hex = text.trim();
+    const script = Buffer.from(hex, 'hex');
+    const policy = isHex(hex) ? multisigUtils.getPolicy(script, null) : null;
+    if (!policy) {
+      throw new Error('This is not a multisig redeem script');
+    }
+    if (multisigUtils.getAddress(script) !== address) {
+      throw new Error(`This redeem script does not belong to ${address}`);
+    }
+    return policy;
+  },
+
+  /**
+   * Matches the signatures already on the transaction and the ones shared by the participants to
+   * the public keys of each multisig input. Signatures that don't match any of them are left out.
+   *
+   * @param {DecodedTx} transaction
+   * @param {(Object | null)[]} spentOutputs Output spent by each input, as returned by the full node
+   * @param {Object} policies Policies typed by the user or found on the history, by address
+   * @param {P2SHSignature[]} signers Signatures shared by the participants
+   *
+   * @return {MultisigInput[]}
+   */
+  getInputs(transaction, spentOutputs, policies, signers) {
+    return transaction.inputs.map((input, index) => {
+      const address = spentOutputs[index]?.decoded?.address || null;
+      if (!address || !multisigUtils.isP2SH(address)) {
+        return { address, isMultisig: false, policy: null, signatures: [] };
+      }
+
+      // The input data of a partially signed transaction already has the redeem script
+      const pushes = input.data ? multisigUtils.parsePushes(Buffer.from(input.data, 'hex')) : null;
+      let policy = policies[address] || null;
+      let current = [];
+      if (pushes && pushes.length) {
+        const script = pushes[pushes.length - 1];
+        if (multisigUtils.getAddress(script) === address) {
+          policy = multisigUtils.getPolicy(script, null) || policy;
+          current = pushes.slice(0, -1);
+        }
+      }
+      if (!policy) {
+        return { address, isMultisig: true, policy: null, signatures: [] };
+      }
+
+      const signatures = policy.participants.map(() => ({ signature: null, signer: null }));
+      const candidates = [
+        ...current.map(signature => ({ signature: signature.toString('hex'), signer: null })),
+        ...signers
+          .filter(signer => signer.signatures[index])
+          .map(signer => ({ signature: signer.signatures[index], signer: signer.pubkey })),
+      ];
+      for (const candidate of candidates) {
+        const position = policy.participants.findIndex(
+          (participant, i) =>
+            signatures[i].signature === null &&
+            localDecodeUtils.verifySignature(
+              transaction.dataToSignHash,
+              Buffer.from(candidate.signature, 'hex'),
+              participant.publicKey
+            )
+        );
+        if (position !== -1) {
+          signatures[position] = candidate;
+        }
+      }
+
+      return { address, isMultisig: true, policy, signatures };
+    });
+  },
+
+  /**
+   * @param {MultisigInput[]} inputs
+   * @param {P2SHSignature} signer
+   *
+   * @return {number[]} Inputs whose signature shared by the participant doesn't match any public
+   *                    key of their policy
+   */
+  getRejectedInputs(inputs, signer) {
+    return Object.entries(signer.signatures)
+      .map(([index, signature]) => ({ index: Number(index), signature }))
+      .filter(({ index, signature }) => {
+        const input = inputs[index];
+        if (!input || !input.isMultisig) {
+          return true;
+        }
+        // Inputs of unknown policies are checked once the redeem script is there
+        return input.policy && !input.signatures.some(item => item.signature === signature);
+      })
+      .map(({ index }) => index);
+  },
+
+  /**
+   * Writes the signatures of the multisig inputs on the transaction, in the order of the public
+   * keys as OP_CHECKMULTISIG expects, followed by the redeem script. Inputs with more signatures
+   * than needed only keep the first ones.
+   *
+   * @param {string} hex Transaction being signed
+   * @param {MultisigInput[]} inputs
+   *
+   * @return {string} Transaction with the signatures in hex
+   */
+  mergeSignatures(hex, inputs) {
+    const network = hathorLib.config.getNetwork();
+    const tx = hathorLib.helpersUtils.createTxFromHex(hex.trim(), network);
+    inputs.forEach((input, index) => {
+      const signatures = input.signatures.filter(item => item.signature !== null);
+      if (!input.policy || signatures.length === 0) {
+        return;
+      }
+      const stack = [];
+      for (const item of signatures.slice(0, input.policy.signaturesRequired)) {
+        hathorLib.helpersUtils.pushDataToStack(stack, Buffer.from(item.signature, 'hex'));
+      }
+      hathorLib.helpersUtils.pushDataToStack(stack, Buffer.from(input.policy.redeemScript, 'hex'));
+      tx.inputs[index].setData(Buffer.concat(stack));
+    });
+    return tx.toHex();
+  },
+};
+
+export default multisigTxUtils;
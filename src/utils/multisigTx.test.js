@@ -0,0 +1,173 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib, { P2SHSignature } from '@hathor/wallet-lib';
+import { PrivateKey } from 'bitcore-lib';
+import multisigTxUtils from './multisigTx';
+import localDecodeUtils, { SIGNATURE_STATUS } from './localDecode';
+import multisigUtils from './multisig';
+import {
+  buildTx,
+  getP2PKHAddress,
+  getP2SHAddress,
+  keys,
+  pushAll,
+  redeemScript,
+  sign as signTx,
+} from './__fixtures__/multisig';
+
+let p2shAddress;
+let p2pkhAddress;
+
+const spentOutputs = () => [
+  { decoded: { address: p2shAddress } },
+  { decoded: { address: p2pkhAddress } },
+];
+
+const sign = (tx, key) => signTx(tx, key).toString('hex');
+
+const signer = (name, signatures) => new P2SHSignature(name, signatures);
+
+beforeAll(() => {
+  hathorLib.config.setNetwork('testnet');
+  p2shAddress = getP2SHAddress(redeemScript);
+  p2pkhAddress = getP2PKHAddress(keys[0]);
+});
+
+describe('parseSignatures', () => {
+  it('reads the signatures of a participant', () => {
+    const result = multisigTxUtils.parseSignatures(' xpubA|0:3045aa|2:3045bb\n');
+    expect(result.pubkey).toBe('xpubA');
+    expect(result.signatures).toEqual({ 0: '3045aa', 2: '3045bb' });
+  });
+
+  it.each([['xpubA'], ['xpubA|0:not-hex'], ['xpubA|first:3045aa']])('rejects %s', text => {
+    expect(() => multisigTxUtils.parseSignatures(text)).toThrow(
+      'The signatures should be in the format <xpub>|<input>:<signature>|...'
+    );
+  });
+});
+
+describe('parseRedeemScript', () => {
+  it('reads the policy of the address', () => {
+    const policy = multisigTxUtils.parseRedeemScript(redeemScript.toString('hex'), p2shAddress);
+    expect(policy.signaturesRequired).toBe(2);
+    expect(policy.participants.map(item => item.publicKey)).toEqual(
+      keys.map(key => key.publicKey.toString())
+    );
+    expect(policy.participants[0].address).toBe(p2pkhAddress);
+  });
+
+  it('rejects scripts that are not multisig redeem scripts', () => {
+    expect(() => multisigTxUtils.parseRedeemScript('zz', p2shAddress)).toThrow(
+      'This is not a multisig redeem script'
+    );
+    expect(() => multisigTxUtils.parseRedeemScript('52ae', p2shAddress)).toThrow(
+      'This is not a multisig redeem script'
+    );
+  });
+
+  it('rejects redeem scripts of another address', () => {
+    const other = Buffer.from(redeemScript);
+    other[0] = 0x51;
+    expect(() => multisigTxUtils.parseRedeemScript(other.toString('hex'), p2shAddress)).toThrow(
+      `This redeem script does not belong to ${p2shAddress}`
+    );
+  });
+});
+
+describe('getInputs', () => {
+  const getPolicies = () => ({ [p2shAddress]: multisigUtils.getPolicy(redeemScript, null) });
+
+  it('matches the shared signatures to the public keys, in their order', () => {
+    const tx = buildTx(2);
+    const transaction = localDecodeUtils.decodeTx(tx.toHex());
+    const signers = [
+      signer('xpubC', { 0: sign(tx, keys[2]) }),
+      signer('xpubA', { 0: sign(tx, keys[0]) }),
+    ];
+
+    const inputs = multisigTxUtils.getInputs(transaction, spentOutputs(), getPolicies(), signers);
+
+    expect(inputs[0].isMultisig).toBe(true);
+    expect(inputs[0].signatures.map(item => item.signer)).toEqual(['xpubA', null, 'xpubC']);
+    expect(inputs[1]).toEqual({
+      address: p2pkhAddress,
+      isMultisig: false,
+      policy: null,
+      signatures: [],
+    });
+  });
+
+  it('leaves out signatures that match no public key', () => {
+    const tx = buildTx(2);
+    const transaction = localDecodeUtils.decodeTx(tx.toHex());
+    const other = new PrivateKey('04'.padStart(64, '0'));
+    const signers = [signer('xpubD', { 0: sign(tx, other) })];
+
+    const [input] = multisigTxUtils.getInputs(transaction, spentOutputs(), getPolicies(), signers);
+
+    expect(input.signatures.every(item => item.signature === null)).toBe(true);
+    expect(multisigTxUtils.getRejectedInputs([input], signers[0])).toEqual([0]);
+  });
+
+  it('reads the signatures and the redeem script already on the transaction', () => {
+    const tx = buildTx(2);
+    tx.inputs[0].setData(pushAll([signTx(tx, keys[1]), redeemScript]));
+    const transaction = localDecodeUtils.decodeTx(tx.toHex());
+
+    const [input] = multisigTxUtils.getInputs(transaction, spentOutputs(), {}, []);
+
+    expect(input.policy.redeemScript).toBe(redeemScript.toString('hex'));
+    expect(input.signatures[1]).toEqual({ signature: sign(tx, keys[1]), signer: null });
+  });
+
+  it('waits for the redeem script of unknown policies', () => {
+    const transaction = localDecodeUtils.decodeTx(buildTx(2).toHex());
+
+    const [input] = multisigTxUtils.getInputs(transaction, spentOutputs(), {}, []);
+
+    expect(input).toEqual({ address: p2shAddress, isMultisig: true, policy: null, signatures: [] });
+  });
+});
+
+describe('getRejectedInputs', () => {
+  it('rejects signatures of inputs that are not multisig', () => {
+    const tx = buildTx(2);
+    const transaction = localDecodeUtils.decodeTx(tx.toHex());
+    const shared = signer('xpubA', { 0: sign(tx, keys[0]), 1: sign(tx, keys[0]), 5: 'aa' });
+    const policies = { [p2shAddress]: multisigUtils.getPolicy(redeemScript, null) };
+
+    const inputs = multisigTxUtils.getInputs(transaction, spentOutputs(), policies, [shared]);
+
+    expect(multisigTxUtils.getRejectedInputs(inputs, shared)).toEqual([1, 5]);
+  });
+});
+
+describe('mergeSignatures', () => {
+  it('writes the signatures the multisig needs, in the order of the public keys', () => {
+    const tx = buildTx(2);
+    const transaction = localDecodeUtils.decodeTx(tx.toHex());
+    const signers = [
+      signer('xpubC', { 0: sign(tx, keys[2]) }),
+      signer('xpubB', { 0: sign(tx, keys[1]) }),
+      signer('xpubA', { 0: sign(tx, keys[0]) }),
+    ];
+    const policies = { [p2shAddress]: multisigUtils.getPolicy(redeemScript, null) };
+    const inputs = multisigTxUtils.getInputs(transaction, spentOutputs(), policies, signers);
+
+    const merged = localDecodeUtils.decodeTx(multisigTxUtils.mergeSignatures(tx.toHex(), inputs));
+
+    const expected = pushAll([signTx(tx, keys[0]), signTx(tx, keys[1]), redeemScript]);
+    expect(merged.inputs[0].data).toBe(expected.toString('hex'));
+    expect(
+      localDecodeUtils.verifyInput(merged.inputs[0], merged.dataToSignHash, spentOutputs()[0])
+    ).toEqual({ status: SIGNATURE_STATUS.valid, message: 'Valid, 2 of 2 signatures' });
+    // The P2PKH input is left as it was
+    expect(merged.inputs[1].data).toBeNull();
+  });
+});
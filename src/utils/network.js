@@ -0,0 +1,217 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  BACKEND_CAPABILITIES,
+  BACKEND_TYPES,
+  BASE_URL,
+  EXPLORER_SERVICE_BASE_URL,
+  PRESET_NETWORKS,
+  REACT_APP_BACKEND,
+  REACT_APP_NETWORK,
+  WS_URL,
+} from '../constants';
+
+const CUSTOM_NETWORKS_KEY = 'custom_networks';
+const SELECTED_NETWORK_KEY = 'selected_network';
+
+/**
+ * Network the explorer can connect to
+ * @typedef {Object} NetworkConfig
+ * @property {string} id Unique identifier of the network on the registry
+ * @property {string} name Name shown to the user
+ * @property {string} baseUrl Full node api url, used by the wallet-lib
+ * @property {string} [explorerServiceUrl] Explorer service url, used by the explorer api modules
+ * @property {string} wsUrl Full node websocket url
+ * @property {string} backend One of BACKEND_TYPES, where the api modules get their data from
+ * @property {boolean} [custom] If the network was added by the user
+ */
+
+const networkUtils = {
+  /**
+   * Network configured by the environment variables at build time
+   *
+   * @returns {NetworkConfig}
+   */
+  getBuildNetwork() {
+    return {
+      id: REACT_APP_NETWORK,
+      name: REACT_APP_NETWORK,
+      baseUrl: BASE_URL,
+      explorerServiceUrl: EXPLORER_SERVICE_BASE_URL,
+      wsUrl: WS_URL,
+      backend: REACT_APP_BACKEND,
+    };
+  },
+
+  /**
+   * Retrieves the networks added by the user from localStorage.
+   *
+   * @returns {NetworkConfig[]}
+   */
+  getCustomNetworks() {
+    try {
+      const networks = JSON.parse(localStorage.getItem(CUSTOM_NETWORKS_KEY));
+      return Array.isArray(networks) ? networks : [];
+    } catch (e) {
+      console.error('Invalid custom networks stored, ignoring them.', e);
+      return [];
+    }
+  },
+
+  /**
+   * All networks available to the user: the build time one, the presets and the custom ones.
+   *
+   * @returns {NetworkConfig[]}
+   */
+  getNetworks() {
+    const buildNetwork = this.getBuildNetwork();
+    const presets = PRESET_NETWORKS.filter(network => network.id !== buildNetwork.id);
+    return [buildNetwork, ...presets, ...this.getCustomNetworks()];
+  },
+
+  /**
+   * Retrieves the network selected by the user, falling back to the build time network.
+   *
+   * @returns {NetworkConfig}
+   */
+  getSelectedNetwork() {
+    const selectedId = localStorage.getItem(SELECTED_NETWORK_KEY);
+    const networks = this.getNetworks();
+    return networks.find(network => network.id === selectedId) || networks[0];
+  },
+
+  /**
+   * Stores the selected network id in localStorage.
+   *
+   * @param {string} id Id of the selected network
+   */
+  saveSelectedNetwork(id) {
+    localStorage.setItem(SELECTED_NETWORK_KEY, id);
+  },
+
+  /**
+   * Validates and stores a new custom network in localStorage.
+   * The websocket url is derived from the full node url when not informed.
+   *
+   * @param {Object} data Network data filled by the user
+   * @param {string} data.name
+   * @param {string} data.baseUrl
+   * @param {string} [data.explorerServiceUrl] Required unless the backend is the full node
+   * @param {string} [data.wsUrl]
+   * @param {string} data.backend
+   *
+   * @returns {NetworkConfig} The network added
+   * @throws {Error} When some of the data is invalid
+   */
+  addCustomNetwork({ name, baseUrl, explorerServiceUrl, wsUrl, backend }) {
+    if (!name || !name.trim()) {
+      throw new Error('Network name is required.');
+    }
+
+    const isFullnode = backend === BACKEND_TYPES.fullnode;
+    const network = {
+      id: `custom-${Date.now()}`,
+      name: name.trim(),
+      baseUrl: this.normalizeUrl(baseUrl, ['http:', 'https:']),
+      explorerServiceUrl:
+        isFullnode && !explorerServiceUrl
+          ? null
+          : this.normalizeUrl(explorerServiceUrl, ['http:', 'https:']),
+      backend: isFullnode ? BACKEND_TYPES.fullnode : BACKEND_TYPES.explorerService,
+      wsUrl: wsUrl
+        ? this.normalizeUrl(wsUrl, ['ws:', 'wss:'])
+        : this.getWsUrlFromBaseUrl(this.normalizeUrl(baseUrl, ['http:', 'https:'])),
+      custom: true,
+    };
+
+    localStorage.setItem(
+      CUSTOM_NETWORKS_KEY,
+      JSON.stringify([...this.getCustomNetworks(), network])
+    );
+    return network;
+  },
+
+  /**
+   * Removes a custom network from localStorage.
+   *
+   * @param {string} id Id of the network to remove
+   */
+  removeCustomNetwork(id) {
+    const networks = this.getCustomNetworks().filter(network => network.id !== id);
+    localStorage.setItem(CUSTOM_NETWORKS_KEY, JSON.stringify(networks));
+  },
+
+  /**
+   * Unleash only has flags for the build time and preset networks, custom networks follow the
+   * flags of the build time one.
+   *
+   * @param {NetworkConfig} network
+   * @param {string} flag Name of the flag, without the network
+   *
+   * @returns {string} Name of the flag on the network
+   */
+  getFeatureFlagName(network, flag) {
+    const flagNetwork = network.custom ? REACT_APP_NETWORK : network.id;
+    return `${flag}-${flagNetwork}`;
+  },
+
+  /**
+   * Checks if the backend of a network provides a feature.
+   * Networks stored before the backend option existed use the explorer service.
+   *
+   * @param {NetworkConfig} network
+   * @param {string} capability One of BACKEND_CAPABILITIES
+   *
+   * @returns {boolean}
+   */
+  backendSupports(network, capability) {
+    if (network.backend !== BACKEND_TYPES.fullnode) {
+      return true;
+    }
+
+    // All capabilities depend on the explorer service indexes, which the full node does not have
+    return !Object.values(BACKEND_CAPABILITIES).includes(capability);
+  },
+
+  /**
+   * Validates an url and makes sure it ends with a slash, since the api paths are relative to it.
+   *
+   * @param {string} url Url to validate
+   * @param {string[]} protocols Accepted protocols
+   *
+   * @returns {string} Normalized url
+   * @throws {Error} When the url is invalid
+   */
+  normalizeUrl(url, protocols) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      throw new Error(`Invalid url: ${url || '(empty)'}`);
+    }
+
+    if (!protocols.includes(parsed.protocol)) {
+      throw new Error(`Invalid url protocol, expected ${protocols.join(' or ')}: ${url}`);
+    }
+
+    return parsed.href.endsWith('/') ? parsed.href : `${parsed.href}/`;
+  },
+
+  /**
+   * Full node websocket is served on the `ws/` path of the api url.
+   *
+   * @param {string} baseUrl Full node api url
+   *
+   * @returns {string} Websocket url
+   */
+  getWsUrlFromBaseUrl(baseUrl) {
+    return `${baseUrl.replace(/^http/, 'ws')}ws/`;
+  },
+};
+
+export default networkUtils;
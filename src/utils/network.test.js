@@ -0,0 +1,24 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import networkUtils from './network';
+import { REACT_APP_NETWORK } from '../constants';
+
+describe('getFeatureFlagName', () => {
+  it('uses the flags of the selected network', () => {
+    expect(networkUtils.getFeatureFlagName({ id: 'testnet' }, 'explorer-tokens')).toBe(
+      'explorer-tokens-testnet'
+    );
+  });
+
+  it('uses the flags of the build time network on custom networks', () => {
+    const network = { id: 'custom-1', custom: true };
+    expect(networkUtils.getFeatureFlagName(network, 'explorer-tokens')).toBe(
+      `explorer-tokens-${REACT_APP_NETWORK}`
+    );
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+
+export const PAYMENT_URI_SCHEME = 'hathor';
+
+const paymentUtils = {
+  /**
+   * @param {string} text Amount typed by the user, in the token unit, e.g. 1.50
+   * @param {number} decimalPlaces
+   *
+   * @return {boolean}
+   */
+  isValidAmount(text, decimalPlaces) {
+    const pattern = decimalPlaces > 0 ? new RegExp(`^\\d+(\\.\\d{1,${decimalPlaces}})?$`) : /^\d+$/;
+    return pattern.test(text) && Number(text) > 0;
+  },
+
+  /**
+   * Builds a payment request URI, in the format hathor:<address>?amount=<amount>&token=<uid>
+   * The amount is in the token unit and the token is left out when it's the native token.
+   *
+   * @param {string} address
+   * @param {Object} [options]
+   * @param {string} [options.amount] Amount requested
+   * @param {string} [options.token] Uid of the token requested
+   *
+   * @return {string}
+   */
+  buildUri(address, { amount, token } = {}) {
+    const params = new URLSearchParams();
+    if (amount) {
+      params.set('amount', amount);
+    }
+    if (token && token !== hathorLib.constants.NATIVE_TOKEN_UID) {
+      params.set('token', token);
+    }
+
+    const query = params.toString();
+    return `${PAYMENT_URI_SCHEME}:${address}${query ? `?${query}` : ''}`;
+  },
+};
+
+export default paymentUtils;
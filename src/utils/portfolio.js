@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import addressApi from '../api/addressApi';
+import addressHistoryUtils from './addressHistory';
+
+/**
+ * Balance of a token on a watched address
+ * @typedef {Object} AddressTokenBalance
+ * @property {string} address
+ * @property {number} total
+ * @property {number} unlocked_balance
+ * @property {number} locked_balance
+ * @property {number | null} change Difference of the total since the last visit, null if unknown
+ */
+
+/**
+ * Balances of a token summed over all watched addresses
+ * @typedef {Object} PortfolioToken
+ * @property {string} token_id
+ * @property {string} name
+ * @property {string} symbol
+ * @property {number} total
+ * @property {number} unlocked_balance
+ * @property {number} locked_balance
+ * @property {number | null} change Difference of the total since the last visit, null if unknown
+ * @property {AddressTokenBalance[]} addresses Balance on each address holding the token
+ */
+
+const portfolioUtils = {
+  /**
+   * Loads the balance of every token of each address, one address at a time
+   *
+   * @param {string[]} addresses
+   * @param {function(number)} [onProgress] Called with the number of addresses already loaded
+   *
+   * @return {Promise<Object>} Tokens found, indexed by uid, the balances of each address indexed
+   *                           by address and token uid, and the addresses that failed to load.
+   */
+  async loadBalances(addresses, onProgress) {
+    const tokens = {};
+    const balances = {};
+    const failed = [];
+
+    for (const [idx, address] of addresses.entries()) {
+      try {
+        const addressTokens = await addressHistoryUtils.fetchAllTokens(address);
+        const tokenBalances = await Promise.all(
+          addressTokens.map(token => addressApi.getBalance(address, token.token_id))
+        );
+
+        balances[address] = {};
+        addressTokens.forEach((token, tokenIdx) => {
+          tokens[token.token_id] = token;
+          balances[address][token.token_id] = tokenBalances[tokenIdx];
+        });
+      } catch (e) {
+        console.error(`Error loading the balances of ${address}`, e);
+        failed.push(address);
+      }
+
+      if (onProgress) {
+        onProgress(idx + 1);
+      }
+    }
+
+    return { tokens, balances, failed };
+  },
+
+  /**
+   * Sums the balances of each token over all addresses, comparing them with the last visit
+   *
+   * @param {Object} tokens Tokens indexed by uid, as returned by `loadBalances`
+   * @param {Object} balances Balances indexed by address and token uid, as returned by `loadBalances`
+   * @param {PortfolioSnapshot | null} snapshot Balances on the last visit
+   *
+   * @return {PortfolioToken[]} Tokens sorted by symbol
+   */
+  aggregate(tokens, balances, snapshot) {
+    const portfolio = {};
+
+    for (const [address, addressBalances] of Object.entries(balances)) {
+      // Addresses added after the last visit have nothing to compare with
+      const previous = snapshot?.balances?.[address];
+
+      for (const [tokenId, balance] of Object.entries(addressBalances)) {
+        if (!portfolio[tokenId]) {
+          portfolio[tokenId] = {
+            token_id: tokenId,
+            name: tokens[tokenId].name,
+            symbol: tokens[tokenId].symbol,
+            total: 0,
+            unlocked_balance: 0,
+            locked_balance: 0,
+            change: null,
+            addresses: [],
+          };
+        }
+
+        const total = balance.unlocked_balance + balance.locked_balance;
+        const change = previous ? total - (previous[tokenId] || 0) : null;
+        const item = portfolio[tokenId];
+        item.total += total;
+        item.unlocked_balance += balance.unlocked_balance;
+        item.locked_balance += balance.locked_balance;
+        if (change !== null) {
+          item.change = (item.change || 0) + change;
+        }
+        item.addresses.push({
+          address,
+          total,
+          unlocked_balance: balance.unlocked_balance,
+          locked_balance: balance.locked_balance,
+          change,
+        });
+      }
+    }
+
+    return Object.values(portfolio).sort((a, b) => a.symbol.localeCompare(b.symbol));
+  },
+
+  /**
+   * Snapshot of the loaded balances, to be compared on the next visit
+   *
+   * @param {Object} balances Balances indexed by address and token uid, as returned by `loadBalances`
+   *
+   * @return {PortfolioSnapshot}
+   */
+  buildSnapshot(balances) {
+    const snapshot = { timestamp: Date.now(), balances: {} };
+    for (const [address, addressBalances] of Object.entries(balances)) {
+      snapshot.balances[address] = {};
+      for (const [tokenId, balance] of Object.entries(addressBalances)) {
+        snapshot.balances[address][tokenId] = balance.unlocked_balance + balance.locked_balance;
+      }
+    }
+    return snapshot;
+  },
+};
+
+export default portfolioUtils;
@@ -0,0 +1,228 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import txApi from '../api/txApi';
+import blockApi from '../api/blockApi';
+import nanoApi from '../api/nanoApi';
+import tokensApi from '../api/tokensApi';
+import { API_ERROR_TYPES } from '../api/errors';
+import helpers from './helpers';
+import xpubUtils from './xpub';
+
+export const SEARCH_RESULT_TYPES = {
+  address: 'address',
+  block: 'block',
+  transaction: 'transaction',
+  token: 'token',
+  nanoContract: 'nano_contract',
+  blueprint: 'blueprint',
+  xpub: 'xpub',
+};
+
+const SEARCH_RESULT_LABELS = {
+  [SEARCH_RESULT_TYPES.address]: 'Address',
+  [SEARCH_RESULT_TYPES.block]: 'Block',
+  [SEARCH_RESULT_TYPES.transaction]: 'Transaction',
+  [SEARCH_RESULT_TYPES.token]: 'Token',
+  [SEARCH_RESULT_TYPES.nanoContract]: 'Nano contract',
+  [SEARCH_RESULT_TYPES.blueprint]: 'Blueprint',
+  [SEARCH_RESULT_TYPES.xpub]: 'Wallet',
+};
+
+// Maximum number of token suggestions shown while the user types
+const MAX_TOKEN_SUGGESTIONS = 10;
+
+/**
+ * Something the searched text refers to
+ * @typedef {Object} SearchResult
+ * @property {string} type One of SEARCH_RESULT_TYPES
+ * @property {string} id Hash, address or token uid of the result
+ * @property {string} label Name of the result type shown to the user
+ * @property {string} path Route of the result screen
+ * @property {string} [description] Details to tell results of the same search apart
+ */
+
+/**
+ * Errors meaning the searched resource does not exist, instead of a failure to look it up
+ *
+ * @param {ApiError} error
+ *
+ * @return {boolean}
+ */
+const isMissing = error => {
+  return error.type === API_ERROR_TYPES.notFound || error.type === API_ERROR_TYPES.validation;
+};
+
+const searchUtils = {
+  /**
+   * @param {string} text
+   *
+   * @return {boolean}
+   */
+  isHash(text) {
+    return /^[A-Fa-f\d]{64}$/.test(text);
+  },
+
+  /**
+   * @param {string} text
+   *
+   * @return {boolean}
+   */
+  isHeight(text) {
+    return /^\d+$/.test(text) && !this.isHash(text);
+  },
+
+  /**
+   * @param {string} text
+   *
+   * @return {boolean}
+   */
+  isAddress(text) {
+    const network = hathorLib.config.getNetwork();
+    return new hathorLib.Address(text, { network }).isValid();
+  },
+
+  /**
+   * @param {string} type One of SEARCH_RESULT_TYPES
+   * @param {string} id
+   * @param {string} [description]
+   *
+   * @return {SearchResult}
+   */
+  buildResult(type, id, description) {
+    const paths = {
+      [SEARCH_RESULT_TYPES.address]: `/address/${id}`,
+      [SEARCH_RESULT_TYPES.block]: `/block/${id}`,
+      [SEARCH_RESULT_TYPES.transaction]: `/transaction/${id}`,
+      [SEARCH_RESULT_TYPES.token]: `/token_detail/${id}`,
+      [SEARCH_RESULT_TYPES.nanoContract]: `/nano_contract/detail/${id}`,
+      [SEARCH_RESULT_TYPES.blueprint]: `/blueprint/detail/${id}`,
+      [SEARCH_RESULT_TYPES.xpub]: `/xpub/${id}`,
+    };
+    return { type, id, label: SEARCH_RESULT_LABELS[type], path: paths[type], description };
+  },
+
+  /**
+   * Finds everything a hash can identify. The same hash may be, at the same time, a transaction
+   * and the token or nano contract it created.
+   *
+   * @param {string} hash
+   *
+   * @return {Promise<SearchResult[]>}
+   * @throws {ApiError} When it was not possible to check what the hash is
+   */
+  async resolveHash(hash) {
+    const [txResult, blueprintResult] = await Promise.allSettled([
+      txApi.getTransaction(hash),
+      nanoApi.getBlueprintInformation(hash),
+    ]);
+
+    const results = [];
+
+    if (txResult.status === 'fulfilled') {
+      const { tx } = txResult.value;
+      if (helpers.isBlock(tx)) {
+        results.push(this.buildResult(SEARCH_RESULT_TYPES.block, hash, `Height ${tx.height}`));
+      } else {
+        results.push(this.buildResult(SEARCH_RESULT_TYPES.transaction, hash));
+      }
+
+      if (tx.version === hathorLib.constants.CREATE_TOKEN_TX_VERSION) {
+        const token = tx.tokens.find(t => t.uid === hash);
+        const description = token ? `${token.name} (${token.symbol})` : undefined;
+        results.push(this.buildResult(SEARCH_RESULT_TYPES.token, hash, description));
+      }
+
+      if (
+        tx.version === hathorLib.constants.NANO_CONTRACTS_VERSION &&
+        tx.nc_method === 'initialize'
+      ) {
+        results.push(this.buildResult(SEARCH_RESULT_TYPES.nanoContract, hash));
+      }
+    } else if (!isMissing(txResult.reason)) {
+      throw txResult.reason;
+    }
+
+    if (blueprintResult.status === 'fulfilled') {
+      results.push(
+        this.buildResult(SEARCH_RESULT_TYPES.blueprint, hash, blueprintResult.value.name)
+      );
+    } else if (!isMissing(blueprintResult.reason)) {
+      throw blueprintResult.reason;
+    }
+
+    return results;
+  },
+
+  /**
+   * @param {number} height
+   *
+   * @return {Promise<SearchResult[]>} The block of the best chain at the height, if any
+   * @throws {ApiError} When it was not possible to get the block
+   */
+  async resolveHeight(height) {
+    try {
+      const { block } = await blockApi.getBlockAtHeight(height);
+      return [this.buildResult(SEARCH_RESULT_TYPES.block, block.tx_id, `Height ${height}`)];
+    } catch (e) {
+      if (isMissing(e)) {
+        return [];
+      }
+      throw e;
+    }
+  },
+
+  /**
+   * Finds what the text typed on the search refers to: an address, an xpub, a block height or a
+   * hash. Any other text is handled as a token name or symbol.
+   *
+   * @param {string} text
+   * @param {boolean} hasTokenIndex If the backend can search tokens by name
+   *
+   * @return {Promise<SearchResult[]>} Empty when nothing matches the text
+   * @throws {ApiError} When the search failed
+   */
+  async resolve(text, hasTokenIndex) {
+    if (this.isHash(text)) {
+      return this.resolveHash(text);
+    }
+
+    if (this.isHeight(text)) {
+      return this.resolveHeight(parseInt(text, 10));
+    }
+
+    if (this.isAddress(text)) {
+      return [this.buildResult(SEARCH_RESULT_TYPES.address, text)];
+    }
+
+    if (xpubUtils.isXpub(text)) {
+      return [this.buildResult(SEARCH_RESULT_TYPES.xpub, text)];
+    }
+
+    return hasTokenIndex ? this.searchTokens(text) : [];
+  },
+
+  /**
+   * Tokens whose name, symbol or uid match the text
+   *
+   * @param {string} text
+   *
+   * @return {Promise<SearchResult[]>}
+   * @throws {ApiError} When the search failed
+   */
+  async searchTokens(text) {
+    const data = await tokensApi.getList(text, 'transaction_timestamp', 'desc', []);
+    return data.hits
+      .slice(0, MAX_TOKEN_SUGGESTIONS)
+      .map(token =>
+        this.buildResult(SEARCH_RESULT_TYPES.token, token.id, `${token.name} (${token.symbol})`)
+      );
+  },
+};
+
+export default searchUtils;
@@ -5,6 +5,7 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import hathorLib from '@hathor/wallet-lib';
 import { TOKEN_AUTHORITY_MASK } from '../constants';
 
 /**
@@ -25,6 +26,25 @@ const transaction = {
   isAuthorityOutput(output) {
     return (output.token_data & TOKEN_AUTHORITY_MASK) > 0;
   },
+
+  /*
+   * Gets the uid of the token of an input or output, from the tokens of its transaction
+   *
+   * @param {Object} tx Transaction returned by the full node
+   * @param {Object} item Input or output object with 'token_data' key
+   *
+   * @return {string} Token uid
+   *
+   * @memberof Wallet
+   * @inner
+   */
+  getTokenUid(tx, item) {
+    const tokenIndex = hathorLib.tokensUtils.getTokenIndexFromData(item.token_data);
+    if (tokenIndex === hathorLib.constants.HATHOR_TOKEN_INDEX) {
+      return hathorLib.constants.NATIVE_TOKEN_UID;
+    }
+    return tx.tokens[tokenIndex - 1].uid;
+  },
 };
 
 export default transaction;
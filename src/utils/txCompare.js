@@ -0,0 +1,113 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import transactionUtils from './transaction';
+
+/**
+ * Fields compared between the transactions, in the order they are shown
+ */
+export const COMPARED_FIELDS = ['type', 'timestamp', 'weight', 'voided', 'parents'];
+
+/**
+ * Input or output of a compared transaction
+ * @typedef {Object} ComparedItem
+ * @property {string} key Identifies the same input or output on the other transactions
+ * @property {Object} item Input or output returned by the full node
+ * @property {string} token Token uid
+ * @property {boolean} highlighted If the input is spent by another of the transactions too, or
+ *                                 if the output is missing on some of them
+ */
+
+/**
+ * Result of the comparison, each list has one entry for each transaction, in order
+ * @typedef {Object} TxComparison
+ * @property {Object} differs If each of COMPARED_FIELDS has different values, i.e. { [field]: boolean }
+ * @property {ComparedItem[][]} inputs
+ * @property {ComparedItem[][]} outputs
+ */
+
+/**
+ * @param {Object} txData Transaction data, as returned by `txApi.getTransaction`
+ *
+ * @return {Object} Value of each of COMPARED_FIELDS, as a string so they can be compared
+ */
+const getFieldValues = ({ tx, meta }) => ({
+  type: hathorLib.transactionUtils.isBlock(tx) ? 'block' : 'transaction',
+  timestamp: String(tx.timestamp),
+  weight: String(tx.weight),
+  voided: String(Boolean(meta.voided_by?.length)),
+  parents: [...(tx.parents || [])].sort().join(','),
+});
+
+/**
+ * @param {Object} tx
+ * @param {Object} output
+ *
+ * @return {string} Key of the output, the same for outputs sending the same value to the same script
+ */
+const getOutputKey = (tx, output) =>
+  [
+    transactionUtils.getTokenUid(tx, output),
+    // The token data depends on the order of the token list of each transaction
+    transactionUtils.isAuthorityOutput(output),
+    output.value,
+    output.decoded?.address || output.script,
+    output.decoded?.timelock || '',
+  ].join(':');
+
+const txCompareUtils = {
+  /**
+   * Compares two or more transactions. Inputs spending the same output are usually the reason
+   * of a double spending, so they are highlighted, as the outputs that are not on all of them.
+   *
+   * @param {Object[]} txDataList Transactions data, as returned by `txApi.getTransaction`
+   *
+   * @return {TxComparison}
+   */
+  compare(txDataList) {
+    const values = txDataList.map(getFieldValues);
+    const differs = {};
+    for (const field of COMPARED_FIELDS) {
+      differs[field] = new Set(values.map(value => value[field])).size > 1;
+    }
+
+    const inputKeys = txDataList.map(({ tx }) =>
+      tx.inputs.map(input => `${input.tx_id}:${input.index}`)
+    );
+    const inputs = txDataList.map(({ tx }, i) =>
+      tx.inputs.map((input, index) => {
+        const key = inputKeys[i][index];
+        return {
+          key,
+          item: input,
+          token: transactionUtils.getTokenUid(tx, input),
+          highlighted: inputKeys.some((keys, j) => j !== i && keys.includes(key)),
+        };
+      })
+    );
+
+    const outputKeys = txDataList.map(({ tx }) =>
+      tx.outputs.map(output => getOutputKey(tx, output))
+    );
+    const outputs = txDataList.map(({ tx }, i) =>
+      tx.outputs.map((output, index) => {
+        const key = outputKeys[i][index];
+        return {
+          key,
+          item: output,
+          token: transactionUtils.getTokenUid(tx, output),
+          highlighted: outputKeys.some(keys => !keys.includes(key)),
+        };
+      })
+    );
+
+    return { differs, inputs, outputs };
+  },
+};
+
+export default txCompareUtils;
@@ -0,0 +1,86 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import txCompareUtils from './txCompare';
+
+const TOKEN = '00000000a1';
+
+const input = (txId, index) => ({ tx_id: txId, index, token_data: 0, value: 10 });
+
+const output = (address, value, tokenData = 0) => ({
+  value,
+  token_data: tokenData,
+  script: 'script',
+  decoded: { address },
+});
+
+const txData = (hash, inputs, outputs, { timestamp = 1, voided = false, tokens = [] } = {}) => ({
+  tx: { hash, version: 1, timestamp, weight: 17, parents: ['p1', 'p2'], inputs, outputs, tokens },
+  meta: { voided_by: voided ? [hash] : [] },
+});
+
+describe('compare', () => {
+  it('highlights the inputs spent by both transactions', () => {
+    const result = txCompareUtils.compare([
+      txData('a', [input('x', 0), input('x', 1)], []),
+      txData('b', [input('x', 1), input('y', 0)], []),
+    ]);
+
+    expect(result.inputs.map(items => items.map(item => item.highlighted))).toEqual([
+      [false, true],
+      [true, false],
+    ]);
+  });
+
+  it('highlights the outputs missing on the other transaction', () => {
+    const result = txCompareUtils.compare([
+      txData('a', [], [output('A', 10), output('B', 5)]),
+      txData('b', [], [output('B', 5), output('A', 9)]),
+    ]);
+
+    expect(result.outputs.map(items => items.map(item => item.highlighted))).toEqual([
+      [true, false],
+      [false, true],
+    ]);
+  });
+
+  it('matches outputs of a token at different positions of the token lists', () => {
+    const result = txCompareUtils.compare([
+      txData('a', [], [output('A', 10, 1)], { tokens: [{ uid: TOKEN }] }),
+      txData('b', [], [output('A', 10, 2)], { tokens: [{ uid: '00000000b2' }, { uid: TOKEN }] }),
+    ]);
+
+    expect(result.outputs.map(items => items.map(item => item.highlighted))).toEqual([
+      [false],
+      [false],
+    ]);
+  });
+
+  it('marks the fields that differ', () => {
+    const result = txCompareUtils.compare([
+      txData('a', [], [], { timestamp: 1 }),
+      txData('b', [], [], { timestamp: 2, voided: true }),
+    ]);
+
+    expect(result.differs).toEqual({
+      type: false,
+      timestamp: true,
+      weight: false,
+      voided: true,
+      parents: false,
+    });
+  });
+
+  it('reads the token of each output', () => {
+    const tokens = [{ uid: TOKEN, symbol: 'TKN' }];
+    const result = txCompareUtils.compare([
+      txData('a', [], [output('A', 10), output('A', 10, 1)], { tokens }),
+    ]);
+
+    expect(result.outputs[0].map(item => item.token)).toEqual(['00', TOKEN]);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import transactionUtils from './transaction';
+
+/**
+ * Inputs or outputs of a transaction summed by address, token and kind
+ * @typedef {Object} FlowNode
+ * @property {string} id
+ * @property {string | null} address Null for virtual nodes and scripts without an address
+ * @property {string} token Token uid
+ * @property {number} value Sum of the amounts, 0 for authorities
+ * @property {boolean} isAuthority
+ * @property {number} authorities Bitmask of the authorities, when isAuthority
+ * @property {boolean} isChange If it's an output to an address that is also on the inputs
+ * @property {string | null} virtual Describes value created or destroyed by the transaction,
+ *                                   like fees and minted tokens, null for real inputs and outputs
+ */
+
+/**
+ * Value moving from an input node to an output node
+ * @typedef {Object} FlowLink
+ * @property {FlowNode} source
+ * @property {FlowNode} target
+ * @property {number} value 0 for links between authorities
+ */
+
+/**
+ * Flow of a single token on the transaction
+ * @typedef {Object} TokenFlow
+ * @property {string} token Token uid
+ * @property {FlowNode[]} inputs
+ * @property {FlowNode[]} outputs
+ * @property {FlowLink[]} links
+ */
+
+/**
+ * Sums the inputs or outputs by address, token and kind, keeping the order they first appear
+ *
+ * @param {Object} tx
+ * @param {Object[]} items Inputs or outputs of the transaction
+ * @param {string} side 'input' or 'output', to build unique ids
+ *
+ * @return {FlowNode[]}
+ */
+const groupItems = (tx, items, side) => {
+  const nodes = new Map();
+  for (const item of items) {
+    const token = transactionUtils.getTokenUid(tx, item);
+    const address = item.decoded?.address || null;
+    const isAuthority = transactionUtils.isAuthorityOutput(item);
+    const id = `${side}:${token}:${address}:${isAuthority ? 'authority' : 'value'}`;
+
+    if (!nodes.has(id)) {
+      nodes.set(id, {
+        id,
+        address,
+        token,
+        value: 0,
+        isAuthority,
+        authorities: 0,
+        isChange: false,
+        virtual: null,
+      });
+    }
+    const node = nodes.get(id);
+    if (isAuthority) {
+      node.authorities |= item.value;
+    } else {
+      node.value += item.value;
+    }
+  }
+  return [...nodes.values()];
+};
+
+/**
+ * Splits the value of the sources among the targets in order, so each source fills the next
+ * targets until its value runs out. Both sides must have the same total.
+ *
+ * @param {FlowNode[]} sources
+ * @param {FlowNode[]} targets
+ *
+ * @return {FlowLink[]}
+ */
+const allocate = (sources, targets) => {
+  const links = [];
+  let i = 0;
+  let j = 0;
+  let sourceLeft = sources[0]?.value;
+  let targetLeft = targets[0]?.value;
+
+  while (i < sources.length && j < targets.length) {
+    const value = Math.min(sourceLeft, targetLeft);
+    if (value > 0) {
+      links.push({ source: sources[i], target: targets[j], value });
+    }
+    sourceLeft -= value;
+    targetLeft -= value;
+    if (sourceLeft === 0) {
+      i++;
+      sourceLeft = sources[i]?.value;
+    }
+    if (targetLeft === 0) {
+      j++;
+      targetLeft = targets[j]?.value;
+    }
+  }
+  return links;
+};
+
+/**
+ * @param {string} token Token uid
+ * @param {string} side 'input' or 'output'
+ * @param {string} description
+ * @param {number} value
+ *
+ * @return {FlowNode}
+ */
+const buildVirtualNode = (token, side, description, value) => ({
+  id: `${side}:${token}:virtual`,
+  address: null,
+  token,
+  value,
+  isAuthority: false,
+  authorities: 0,
+  isChange: false,
+  virtual: description,
+});
+
+const txFlowUtils = {
+  /**
+   * Builds the flow of value of each token on a transaction, from its inputs to its outputs.
+   * The transaction doesn't say which input pays which output, so the inputs fill the outputs
+   * in order. Value created or destroyed, like the block reward, fees and minted tokens, is
+   * shown as virtual nodes so both sides have the same total.
+   *
+   * @param {Object} tx Transaction returned by the full node
+   *
+   * @return {TokenFlow[]}
+   */
+  buildFlow(tx) {
+    const inputs = groupItems(tx, tx.inputs, 'input');
+    const outputs = groupItems(tx, tx.outputs, 'output');
+    const isBlock = hathorLib.transactionUtils.isBlock(tx);
+    const nativeUid = hathorLib.constants.NATIVE_TOKEN_UID;
+
+    const inputAddresses = new Set(inputs.map(node => node.address).filter(Boolean));
+    for (const node of outputs) {
+      node.isChange = !node.isAuthority && inputAddresses.has(node.address);
+    }
+
+    const tokens = [...new Set([...inputs, ...outputs].map(node => node.token))];
+    return tokens.map(token => {
+      const tokenInputs = inputs.filter(node => node.token === token);
+      const tokenOutputs = outputs.filter(node => node.token === token);
+      const valueInputs = tokenInputs.filter(node => !node.isAuthority);
+      const valueOutputs = tokenOutputs.filter(node => !node.isAuthority);
+
+      const totalIn = valueInputs.reduce((acc, node) => acc + node.value, 0);
+      const totalOut = valueOutputs.reduce((acc, node) => acc + node.value, 0);
+      if (totalIn > totalOut) {
+        const description = token === nativeUid ? 'Fee and deposit' : 'Melted';
+        const node = buildVirtualNode(token, 'output', description, totalIn - totalOut);
+        valueOutputs.push(node);
+        tokenOutputs.push(node);
+      } else if (totalOut > totalIn) {
+        let description = 'Minted';
+        if (token === nativeUid) {
+          description = isBlock ? 'Block reward' : 'Deposit withdrawn';
+        }
+        const node = buildVirtualNode(token, 'input', description, totalOut - totalIn);
+        valueInputs.unshift(node);
+        tokenInputs.unshift(node);
+      }
+
+      const authorityLinks = [];
+      for (const source of tokenInputs.filter(node => node.isAuthority)) {
+        for (const target of tokenOutputs.filter(node => node.isAuthority)) {
+          authorityLinks.push({ source, target, value: 0 });
+        }
+      }
+
+      return {
+        token,
+        inputs: tokenInputs,
+        outputs: tokenOutputs,
+        links: [...allocate(valueInputs, valueOutputs), ...authorityLinks],
+      };
+    });
+  },
+};
+
+export default txFlowUtils;
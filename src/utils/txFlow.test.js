@@ -0,0 +1,99 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import txFlowUtils from './txFlow';
+
+const TOKEN = '00000000a1';
+
+const item = (address, value, tokenData = 0) => ({
+  value,
+  token_data: tokenData,
+  decoded: { address },
+});
+
+const transaction = (inputs, outputs, version = 1) => ({
+  version,
+  inputs,
+  outputs,
+  tokens: [{ uid: TOKEN, symbol: 'TKN' }],
+});
+
+// Links as [source, target, value], with the address or the description of virtual nodes
+const describeLinks = flow =>
+  flow.links.map(({ source, target, value }) => [
+    source.virtual || source.address,
+    target.virtual || target.address,
+    value,
+  ]);
+
+describe('buildFlow', () => {
+  it('fills the outputs with the inputs in order', () => {
+    const tx = transaction(
+      [item('A', 30), item('B', 70)],
+      [item('C', 50), item('D', 40), item('A', 10)]
+    );
+
+    const [flow] = txFlowUtils.buildFlow(tx);
+
+    expect(describeLinks(flow)).toEqual([
+      ['A', 'C', 30],
+      ['B', 'C', 20],
+      ['B', 'D', 40],
+      ['B', 'A', 10],
+    ]);
+    expect(flow.outputs.map(node => node.isChange)).toEqual([false, false, true]);
+  });
+
+  it('sums the inputs and outputs of the same address', () => {
+    const tx = transaction([item('A', 10), item('A', 20)], [item('B', 30)]);
+
+    const [flow] = txFlowUtils.buildFlow(tx);
+
+    expect(flow.inputs).toHaveLength(1);
+    expect(flow.inputs[0].value).toBe(30);
+    expect(describeLinks(flow)).toEqual([['A', 'B', 30]]);
+  });
+
+  it('sends what the outputs do not spend to the fee', () => {
+    const tx = transaction([item('A', 100)], [item('B', 99)]);
+
+    const [flow] = txFlowUtils.buildFlow(tx);
+
+    expect(describeLinks(flow)).toEqual([
+      ['A', 'B', 99],
+      ['A', 'Fee and deposit', 1],
+    ]);
+  });
+
+  it('shows the block reward as the source of the outputs of a block', () => {
+    const tx = transaction([], [item('A', 6400)], 0);
+
+    const [flow] = txFlowUtils.buildFlow(tx);
+
+    expect(describeLinks(flow)).toEqual([['Block reward', 'A', 6400]]);
+  });
+
+  it('splits the flow by token and links the authorities', () => {
+    const tx = transaction(
+      [item('A', 100), item('A', 1, 0x81)],
+      [item('B', 99), item('B', 500, 1), item('A', 1, 0x81)]
+    );
+
+    const flows = txFlowUtils.buildFlow(tx);
+
+    expect(flows.map(flow => flow.token)).toEqual(['00', TOKEN]);
+    expect(describeLinks(flows[0])).toEqual([
+      ['A', 'B', 99],
+      ['A', 'Fee and deposit', 1],
+    ]);
+    expect(describeLinks(flows[1])).toEqual([
+      ['Minted', 'B', 500],
+      ['A', 'A', 0],
+    ]);
+    expect(flows[1].outputs.find(node => node.isAuthority).isChange).toBe(false);
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import addressApi from '../api/addressApi';
+import txApi from '../api/txApi';
+import transactionUtils from './transaction';
+import exportUtils from './export';
+import { ADDRESS_EXPORT_PAGE_SIZE, UTXO_SCAN_MAX_TXS } from '../constants';
+
+/**
+ * Columns of the exported unspent outputs, in the order they are written on the CSV
+ */
+const EXPORT_COLUMNS = [
+  { key: 'tx_id', title: 'Transaction ID' },
+  { key: 'index', title: 'Index' },
+  { key: 'token', title: 'Token' },
+  { key: 'amount', title: 'Amount' },
+  { key: 'authority', title: 'Authority' },
+  { key: 'timelock', title: 'Timelock' },
+  { key: 'timestamp', title: 'Timestamp' },
+];
+
+export const LOCK_REASONS = {
+  timelock: 'timelock',
+  rewardLock: 'reward_lock',
+};
+
+/**
+ * Unspent output of an address
+ * @typedef {Object} AddressUtxo
+ * @property {string} tx_id
+ * @property {number} index
+ * @property {number} value Amount, or the authority bitmask of authority outputs
+ * @property {string} token Token uid
+ * @property {boolean} isAuthority
+ * @property {number | null} timelock Timestamp until which the output can't be spent
+ * @property {number | null} height Height of the block, when the output is a block reward
+ * @property {number} timestamp Timestamp of the transaction
+ */
+
+/**
+ * Why an output can't be spent yet and when that changes
+ * @typedef {Object} UtxoLock
+ * @property {string} reason One of LOCK_REASONS
+ * @property {number} [unlockTimestamp] When a timelock ends
+ * @property {number} [unlockHeight] Height of the best chain when a reward lock ends
+ */
+
+const utxoUtils = {
+  /**
+   * @param {Object} txData Transaction data, as returned by `txApi.getTransaction`
+   * @param {string} address
+   * @param {string} token Token uid
+   *
+   * @return {AddressUtxo[]} Outputs of the transaction to the address not spent yet
+   */
+  getUnspentOutputs(txData, address, token) {
+    const { tx, meta } = txData;
+    if (meta.voided_by.length > 0) {
+      // Outputs of a voided transaction don't exist on the best chain
+      return [];
+    }
+
+    const isBlock = hathorLib.transactionUtils.isBlock(tx);
+    const spentOutputs = txData.spent_outputs || {};
+    const utxos = [];
+    tx.outputs.forEach((output, index) => {
+      if (
+        output.decoded?.address !== address ||
+        transactionUtils.getTokenUid(tx, output) !== token ||
+        index in spentOutputs
+      ) {
+        return;
+      }
+
+      utxos.push({
+        tx_id: tx.hash,
+        index,
+        value: output.value,
+        token,
+        isAuthority: transactionUtils.isAuthorityOutput(output),
+        timelock: output.decoded.timelock ?? null,
+        height: isBlock ? tx.height : null,
+        timestamp: tx.timestamp,
+      });
+    });
+    return utxos;
+  },
+
+  /**
+   * Looks for the unspent outputs of an address on its history, newest first
+   *
+   * @param {string} address
+   * @param {string} token Token uid
+   * @param {Object} [options]
+   * @param {function(AddressUtxo[]): boolean} [options.until] Stops once it returns true for the
+   *                                                          outputs found
+   * @param {function(number)} [options.onProgress] Called with the number of transactions checked
+   * @param {AbortSignal} [options.signal] Stops looking when aborted
+   *
+   * @return {Promise<Object | null>} The outputs found and if all transactions of the address
+   *                                  were checked, or null when aborted
+   */
+  async fetchUtxos(address, token, { until, onProgress, signal } = {}) {
+    const utxos = [];
+    let checked = 0;
+    let lastTx = null;
+    let lastTs = null;
+
+    for (;;) {
+      const data = await addressApi.getHistory(
+        address,
+        token,
+        ADDRESS_EXPORT_PAGE_SIZE,
+        lastTx,
+        lastTs
+      );
+      const page = data.history.slice(0, UTXO_SCAN_MAX_TXS - checked);
+      const txs = await Promise.all(page.map(element => txApi.getTransaction(element.tx_id)));
+      if (signal?.aborted) {
+        return null;
+      }
+
+      for (const txData of txs) {
+        utxos.push(...this.getUnspentOutputs(txData, address, token));
+      }
+      checked += page.length;
+      if (onProgress) {
+        onProgress(checked);
+      }
+
+      if (!data.has_next || data.history.length === 0) {
+        return { utxos, complete: true };
+      }
+      if ((until && until(utxos)) || checked >= UTXO_SCAN_MAX_TXS) {
+        return { utxos, complete: false };
+      }
+      ({ tx_id: lastTx, timestamp: lastTs } = data.history[data.history.length - 1]);
+    }
+  },
+
+  /**
+   * @param {number} authorities Value of an authority output, a bitmask of its authorities
+   *
+   * @return {string} Authorities of the output, e.g. Mint, Melt
+   */
+  getAuthorityName(authorities) {
+    const names = [];
+    if (authorities & hathorLib.constants.TOKEN_MINT_MASK) {
+      names.push('Mint');
+    }
+    if (authorities & hathorLib.constants.TOKEN_MELT_MASK) {
+      names.push('Melt');
+    }
+    return names.length > 0 ? names.join(', ') : 'Unknown';
+  },
+
+  /**
+   * @param {AddressUtxo[]} utxos
+   * @param {string} tokenSymbol Written on each row, identifying the token of the outputs
+   * @param {number} decimalPlaces Decimal places of the amounts, 0 for NFTs
+   *
+   * @return {Object[]} Rows of the export, with the values formatted
+   */
+  buildExportRows(utxos, tokenSymbol, decimalPlaces) {
+    return utxos.map(utxo => ({
+      tx_id: utxo.tx_id,
+      index: utxo.index,
+      token: tokenSymbol,
+      amount: utxo.isAuthority ? '' : exportUtils.formatAmount(utxo.value, decimalPlaces),
+      authority: utxo.isAuthority ? this.getAuthorityName(utxo.value) : '',
+      timelock: utxo.timelock ? new Date(utxo.timelock * 1000).toISOString() : '',
+      timestamp: new Date(utxo.timestamp * 1000).toISOString(),
+    }));
+  },
+
+  /**
+   * @param {Object[]} rows Rows built by `buildExportRows`
+   *
+   * @return {string}
+   */
+  toCsv(rows) {
+    return exportUtils.toCsv(EXPORT_COLUMNS, rows);
+  },
+
+  /**
+   * @param {AddressUtxo} utxo
+   * @param {Object} options
+   * @param {number} options.now Current timestamp, in seconds
+   * @param {number | null} options.currentHeight Height of the best chain, if known
+   * @param {number} options.rewardLock Blocks a reward stays locked, `reward_spend_min_blocks`
+   *
+   * @return {UtxoLock | null} Null when the output can be spent
+   */
+  getLock(utxo, { now, currentHeight, rewardLock }) {
+    if (hathorLib.transactionUtils.isHeightLocked(utxo.height, currentHeight, rewardLock)) {
+      return { reason: LOCK_REASONS.rewardLock, unlockHeight: utxo.height + rewardLock };
+    }
+    if (utxo.timelock && now < utxo.timelock) {
+      return { reason: LOCK_REASONS.timelock, unlockTimestamp: utxo.timelock };
+    }
+    return null;
+  },
+};
+
+export default utxoUtils;
@@ -0,0 +1,158 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+
+const WATCHLIST_KEY = 'watchlist';
+const PORTFOLIO_SNAPSHOT_KEY = 'portfolio_snapshot';
+// Version of the exported file, to allow changing its format later
+const EXPORT_VERSION = 1;
+
+/**
+ * Address watched by the user
+ * @typedef {Object} WatchedAddress
+ * @property {string} address
+ * @property {string} [label] Name given by the user
+ */
+
+/**
+ * Balances of the watched addresses on the last visit to the portfolio
+ * @typedef {Object} PortfolioSnapshot
+ * @property {number} timestamp When the balances were loaded, in milliseconds
+ * @property {Object} balances Total balance of each token of each address,
+ *                             i.e. { [address]: { [tokenUid]: total } }
+ */
+
+const watchlistUtils = {
+  /**
+   * Retrieves the watched addresses from localStorage.
+   *
+   * @returns {WatchedAddress[]}
+   */
+  getWatchlist() {
+    try {
+      const watchlist = JSON.parse(localStorage.getItem(WATCHLIST_KEY));
+      return Array.isArray(watchlist) ? watchlist : [];
+    } catch (e) {
+      console.error('Invalid watchlist stored, ignoring it.', e);
+      return [];
+    }
+  },
+
+  /**
+   * @param {WatchedAddress[]} watchlist
+   */
+  saveWatchlist(watchlist) {
+    localStorage.setItem(WATCHLIST_KEY, JSON.stringify(watchlist));
+  },
+
+  /**
+   * @param {string} address
+   *
+   * @returns {boolean}
+   */
+  isWatched(address) {
+    return this.getWatchlist().some(item => item.address === address);
+  },
+
+  /**
+   * Validates and adds an address to the watchlist, or updates its label if already watched.
+   *
+   * @param {string} address
+   * @param {string} [label]
+   *
+   * @throws {Error} When the address is invalid on the current network
+   */
+  addAddress(address, label) {
+    const network = hathorLib.config.getNetwork();
+    if (!new hathorLib.Address(address, { network }).isValid()) {
+      throw new Error(`Invalid address: ${address || '(empty)'}`);
+    }
+
+    const item = { address };
+    if (label && label.trim()) {
+      item.label = label.trim();
+    }
+
+    const others = this.getWatchlist().filter(watched => watched.address !== address);
+    this.saveWatchlist([...others, item]);
+  },
+
+  /**
+   * @param {string} address
+   */
+  removeAddress(address) {
+    this.saveWatchlist(this.getWatchlist().filter(item => item.address !== address));
+  },
+
+  /**
+   * @returns {string} Watchlist as a JSON file content
+   */
+  exportJson() {
+    return JSON.stringify({ version: EXPORT_VERSION, addresses: this.getWatchlist() }, null, 2);
+  },
+
+  /**
+   * Adds the addresses of an exported watchlist to the current one.
+   * Labels on the imported file replace the current ones.
+   *
+   * @param {string} content JSON file content
+   *
+   * @returns {number} Number of addresses imported
+   * @throws {Error} When the file is not a valid watchlist
+   */
+  importJson(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (e) {
+      throw new Error('The file is not a valid JSON.');
+    }
+
+    // Plain lists of addresses are also accepted
+    const addresses = Array.isArray(data) ? data : data?.addresses;
+    if (!Array.isArray(addresses)) {
+      throw new Error('The file does not have a list of addresses.');
+    }
+
+    const items = addresses.map(item => (typeof item === 'string' ? { address: item } : item));
+    // Validates all addresses before changing the watchlist
+    const network = hathorLib.config.getNetwork();
+    const invalid = items.find(
+      item => !new hathorLib.Address(item?.address, { network }).isValid()
+    );
+    if (invalid) {
+      throw new Error(`Invalid address on the file: ${invalid?.address}`);
+    }
+
+    for (const item of items) {
+      this.addAddress(item.address, item.label);
+    }
+    return items.length;
+  },
+
+  /**
+   * @returns {PortfolioSnapshot | null}
+   */
+  getSnapshot() {
+    try {
+      return JSON.parse(localStorage.getItem(PORTFOLIO_SNAPSHOT_KEY));
+    } catch (e) {
+      console.error('Invalid portfolio snapshot stored, ignoring it.', e);
+      return null;
+    }
+  },
+
+  /**
+   * @param {PortfolioSnapshot} snapshot
+   */
+  saveSnapshot(snapshot) {
+    localStorage.setItem(PORTFOLIO_SNAPSHOT_KEY, JSON.stringify(snapshot));
+  },
+};
+
+export default watchlistUtils;
@@ -0,0 +1,262 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import addressApi from '../api/addressApi';
+import addressHistoryUtils from './addressHistory';
+import { TX_COUNT, XPUB_GAP_LIMIT } from '../constants';
+
+/**
+ * Derivation level of an xpub. Wallets share the account xpub (m/44'/280'/0'), whose first child
+ * (m/44'/280'/0'/0) derives the addresses.
+ */
+export const XPUB_LEVELS = {
+  account: 'account',
+  chain: 'chain',
+};
+
+/**
+ * Address of the wallet that has transactions
+ * @typedef {Object} XpubAddress
+ * @property {number} index Derivation index of the address
+ * @property {string} address
+ * @property {string[]} tokens Uids of the tokens that have passed on the address
+ */
+
+/**
+ * History of a token on an address, fetched one page at a time while it's merged
+ * @typedef {Object} HistorySource
+ * @property {string} address
+ * @property {string} token
+ * @property {Object[]} items History elements already fetched, newest first
+ * @property {boolean} hasNext If there are older elements to fetch
+ */
+
+/**
+ * Transaction on the merged history of the wallet
+ * @typedef {Object} XpubHistoryElement
+ * @property {string} tx_id
+ * @property {number} timestamp
+ * @property {number} version
+ * @property {boolean} voided
+ * @property {string[]} addresses Addresses of the wallet involved in the transaction
+ * @property {Object} balances Balance of the transaction on the wallet, indexed by token uid
+ */
+
+const xpubUtils = {
+  /**
+   * @param {string} text
+   *
+   * @return {boolean}
+   */
+  isXpub(text) {
+    return hathorLib.walletUtils.isXpubKeyValid(text);
+  },
+
+  /**
+   * @param {string} xpub
+   * @param {string} level One of XPUB_LEVELS
+   * @param {number} startIndex
+   * @param {number} count
+   *
+   * @return {{index: number, address: string}[]}
+   */
+  deriveAddresses(xpub, level, startIndex, count) {
+    const chainXpub =
+      level === XPUB_LEVELS.account ? hathorLib.walletUtils.xpubDeriveChild(xpub, 0) : xpub;
+    const networkName = hathorLib.config.getNetwork().name;
+
+    const addresses = [];
+    for (let index = startIndex; index < startIndex + count; index++) {
+      const { base58 } = hathorLib.addressUtils.deriveAddressFromXPubP2PKH(
+        chainXpub,
+        index,
+        networkName
+      );
+      addresses.push({ index, address: base58 });
+    }
+    return addresses;
+  },
+
+  /**
+   * Finds the addresses of the wallet that have transactions. Addresses are checked in batches
+   * until XPUB_GAP_LIMIT consecutive addresses have none, the same way wallets look for them.
+   *
+   * @param {string} xpub
+   * @param {string} level One of XPUB_LEVELS
+   * @param {Object} [options]
+   * @param {function(number, number)} [options.onProgress] Called with the number of addresses
+   *                                                       checked and the number of used ones
+   * @param {AbortSignal} [options.signal] Stops the scan when aborted
+   *
+   * @return {Promise<Object | null>} The used addresses and the number of addresses checked, or
+   *                                  null when aborted
+   */
+  async scan(xpub, level, { onProgress, signal } = {}) {
+    const addresses = [];
+    let scanned = 0;
+    let lastUsedIndex = -1;
+
+    for (;;) {
+      const batch = this.deriveAddresses(xpub, level, scanned, XPUB_GAP_LIMIT);
+      const responses = await Promise.all(
+        batch.map(item => addressHistoryUtils.fetchAllTokens(item.address))
+      );
+      if (signal?.aborted) {
+        return null;
+      }
+
+      for (const [idx, item] of batch.entries()) {
+        const tokens = responses[idx].map(token => token.token_id);
+        if (tokens.length > 0) {
+          addresses.push({ ...item, tokens });
+          lastUsedIndex = item.index;
+        }
+      }
+      scanned += batch.length;
+      if (onProgress) {
+        onProgress(scanned, addresses.length);
+      }
+
+      if (scanned - lastUsedIndex - 1 >= XPUB_GAP_LIMIT) {
+        return { addresses, scanned };
+      }
+    }
+  },
+
+  /**
+   * @param {XpubAddress[]} addresses
+   *
+   * @return {HistorySource[]} One source for each token of each address, nothing fetched yet
+   */
+  createHistorySources(addresses) {
+    return addresses.flatMap(({ address, tokens }) =>
+      tokens.map(token => ({ address, token, items: [], hasNext: true }))
+    );
+  },
+
+  /**
+   * The merged history is only complete for the timestamps after the oldest element fetched
+   * from each source that still has older elements.
+   *
+   * @param {HistorySource[]} sources
+   *
+   * @return {number | null} Timestamp down to which the merged history is not complete, null
+   *                         when everything was fetched
+   */
+  getCutoff(sources) {
+    const pending = sources.filter(source => source.hasNext);
+    if (pending.length === 0) {
+      return null;
+    }
+    return Math.max(
+      ...pending.map(source =>
+        source.items.length > 0 ? source.items[source.items.length - 1].timestamp : Infinity
+      )
+    );
+  },
+
+  /**
+   * Fetches the next page of the sources holding the merged history back
+   *
+   * @param {HistorySource[]} sources
+   *
+   * @return {Promise<HistorySource[]>} Sources with the new pages, the given ones are not changed
+   */
+  async fetchNextPages(sources) {
+    const cutoff = this.getCutoff(sources);
+    return Promise.all(
+      sources.map(async source => {
+        const last = source.items[source.items.length - 1];
+        if (!source.hasNext || (last && last.timestamp < cutoff)) {
+          return source;
+        }
+
+        const data = await addressApi.getHistory(
+          source.address,
+          source.token,
+          TX_COUNT,
+          last?.tx_id,
+          last?.timestamp
+        );
+        return {
+          ...source,
+          items: [...source.items, ...data.history],
+          hasNext: data.has_next && data.history.length > 0,
+        };
+      })
+    );
+  },
+
+  /**
+   * Fetches pages until the merged history has at least a number of transactions, or there is
+   * nothing else to fetch
+   *
+   * @param {HistorySource[]} sources
+   * @param {number} minimum
+   *
+   * @return {Promise<HistorySource[]>}
+   */
+  async loadHistory(sources, minimum) {
+    let current = sources;
+    while (this.hasMoreHistory(current) && this.mergeHistory(current).length < minimum) {
+      current = await this.fetchNextPages(current);
+    }
+    return current;
+  },
+
+  /**
+   * @param {HistorySource[]} sources
+   *
+   * @return {boolean}
+   */
+  hasMoreHistory(sources) {
+    return sources.some(source => source.hasNext);
+  },
+
+  /**
+   * Merges the history of all sources by transaction, newest first. Elements older than the
+   * cutoff are left out, since other sources may have transactions between them.
+   *
+   * @param {HistorySource[]} sources
+   *
+   * @return {XpubHistoryElement[]}
+   */
+  mergeHistory(sources) {
+    const cutoff = this.getCutoff(sources);
+    const merged = {};
+
+    for (const source of sources) {
+      for (const item of source.items) {
+        if (cutoff !== null && item.timestamp <= cutoff) {
+          continue;
+        }
+
+        if (!merged[item.tx_id]) {
+          merged[item.tx_id] = {
+            tx_id: item.tx_id,
+            timestamp: item.timestamp,
+            version: item.version,
+            voided: Boolean(item.voided),
+            addresses: [],
+            balances: {},
+          };
+        }
+
+        const element = merged[item.tx_id];
+        if (!element.addresses.includes(source.address)) {
+          element.addresses.push(source.address);
+        }
+        element.balances[source.token] = (element.balances[source.token] || 0) + item.balance;
+      }
+    }
+
+    return Object.values(merged).sort((a, b) => b.timestamp - a.timestamp);
+  },
+};
+
+export default xpubUtils;